@@ -9,10 +9,52 @@ import { pipeline } from 'stream/promises';
 import archiver from 'archiver';
 import extract from 'extract-zip';
 import logoGenerator from './modules/utils/logoGenerator.js';
+import { resolveGenerationSettings, toMessageParams } from './modules/utils/generationSettings.js';
+import { formatIssues } from './modules/utils/appValidator.js';
+import { AppFormat, END_MARKER, fileMarker, writeAppContent, readAppContent } from './modules/utils/appFiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Transparent region at the top of every generated app, so its frameless window can be dragged
+const DRAG_REGION = '<div style="height: 38px; width: 100%; position: fixed; top: 0; left: 0; -webkit-app-region: drag; z-index: 1000;"></div>';
+
+// Guidelines for every app format, after the format's own file layout guidelines
+const SHARED_GUIDELINES = [
+  'The application must be fully functional without any external dependencies or network requests.',
+  'Use modern JavaScript (ES6+) and CSS features.',
+  'Ensure the UI is clean, intuitive, and responsive.',
+  'Include appropriate error handling and user feedback.',
+  'Add comments to explain complex logic or functionality.',
+  `CRITICAL: You MUST include a transparent draggable region at the top of the window for the Electron app. Add this to your HTML body as the first element: ${DRAG_REGION}`,
+  'Make sure your content has enough top padding (at least 38px) to account for the draggable region.'
+];
+
+/**
+ * Build the system prompt for an app format from the shared guidelines
+ * @param {Object} format - Format-specific prompt text
+ * @param {string} format.apps - What kind of apps are generated
+ * @param {string} format.implementation - What the model generates for a description
+ * @param {Array<string>} format.guidelines - File layout guidelines, listed before the shared ones
+ * @param {string} format.responseFormat - How the response must be laid out
+ * @param {string} format.example - Example response
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt({ apps, implementation, guidelines, responseFormat, example }) {
+  const numbered = [...guidelines, ...SHARED_GUIDELINES].map((guideline, index) => `${index + 1}. ${guideline}`);
+
+  return `You are an expert web developer specializing in creating ${apps} using HTML, CSS, and JavaScript. When given a description of an application, you will generate ${implementation} that can run in an Electron window.
+
+IMPORTANT GUIDELINES:
+${numbered.join('\n')}
+
+RESPONSE FORMAT:
+${responseFormat}
+
+EXAMPLE OUTPUT:
+${example}`;
+}
+
 class ClaudeClient {
   constructor(apiKey) {
     this.apiKey = apiKey;
@@ -25,25 +67,16 @@ class ClaudeClient {
       });
     }
     
-    this.systemPrompt = `You are an expert web developer specializing in creating self-contained mini applications using HTML, CSS, and JavaScript. When given a description of an application, you will generate a complete, functional implementation that can run in an Electron window.
-
-IMPORTANT GUIDELINES:
-1. Your response must be a SINGLE self-contained HTML file that includes all CSS and JavaScript.
-2. All CSS must be in a <style> tag in the <head> section.
-3. All JavaScript must be in a <script> tag at the end of the <body> section.
-4. The application must be fully functional without any external dependencies or network requests.
-5. Use modern JavaScript (ES6+) and CSS features.
-6. Ensure the UI is clean, intuitive, and responsive.
-7. Include appropriate error handling and user feedback.
-8. Add comments to explain complex logic or functionality.
-9. CRITICAL: You MUST include a transparent draggable region at the top of the window for the Electron app. Add this to your HTML body as the first element: <div style="height: 38px; width: 100%; position: fixed; top: 0; left: 0; -webkit-app-region: drag; z-index: 1000;"></div>
-10. Make sure your content has enough top padding (at least 38px) to account for the draggable region.
-
-RESPONSE FORMAT:
-Your response must be a valid HTML document starting with <!DOCTYPE html> and containing all necessary elements. Do not include any explanations or markdown formatting outside the HTML code.
-
-EXAMPLE OUTPUT:
-<!DOCTYPE html>
+    this.systemPrompt = buildSystemPrompt({
+      apps: 'self-contained mini applications',
+      implementation: 'a complete, functional implementation',
+      guidelines: [
+        'Your response must be a SINGLE self-contained HTML file that includes all CSS and JavaScript.',
+        'All CSS must be in a <style> tag in the <head> section.',
+        'All JavaScript must be in a <script> tag at the end of the <body> section.'
+      ],
+      responseFormat: 'Your response must be a valid HTML document starting with <!DOCTYPE html> and containing all necessary elements. Do not include any explanations or markdown formatting outside the HTML code.',
+      example: `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
@@ -57,13 +90,48 @@ EXAMPLE OUTPUT:
   </style>
 </head>
 <body>
-  <div style="height: 38px; width: 100%; position: fixed; top: 0; left: 0; -webkit-app-region: drag; z-index: 1000;"></div>
+  ${DRAG_REGION}
   <!-- HTML content here -->
   <script>
     // JavaScript code here
   </script>
 </body>
-</html>`;
+</html>`
+    });
+
+    // Used for AppFormat.MULTI_FILE; the response is parsed by modules/utils/appFiles.js
+    this.multiFileSystemPrompt = buildSystemPrompt({
+      apps: 'mini applications',
+      implementation: 'a complete, functional implementation, split into separate files,',
+      guidelines: [
+        'Put the page structure in index.html, all CSS in styles.css and all JavaScript in app.js.',
+        'index.html must load them with <link rel="stylesheet" href="styles.css"> in the <head> and <script src="app.js"></script> at the end of the <body>.',
+        'Put any additional text assets, such as SVG icons or JSON data, under assets/ (for example assets/icon.svg) and reference them with relative paths. Binary files are not supported.'
+      ],
+      responseFormat: `Respond with every file of the app, starting with index.html. Start each file with a line "${fileMarker('<path>')}" and finish the response with a line "${END_MARKER}". Do not include any explanations or markdown formatting outside the files.`,
+      example: `${fileMarker('index.html')}
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Mini Application</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  ${DRAG_REGION}
+  <!-- HTML content here -->
+  <script src="app.js"></script>
+</body>
+</html>
+${fileMarker('styles.css')}
+body {
+  padding-top: 38px; /* Add padding for the drag region */
+}
+${fileMarker('app.js')}
+// JavaScript code here
+${END_MARKER}`
+    });
 
     this.appStoragePath = path.join(app.getPath('userData'), 'generated-apps');
     this.ensureAppStorageDirectory();
@@ -168,7 +236,16 @@ EXAMPLE OUTPUT:
     }
   }
 
-  async generateApp(prompt, conversationId = null) {
+  /**
+   * Start a streaming app generation request
+   * @param {string} prompt - User prompt
+   * @param {string} conversationId - Conversation to continue, if any
+   * @param {Object} options - { signal: AbortSignal that cancels the request, draft: partial HTML to continue from,
+   *   settings: generation settings from resolveGenerationSettings, defaults if omitted,
+   *   format: AppFormat value, single-file if omitted }
+   * @returns {Promise<Stream>} Claude message stream
+   */
+  async generateApp(prompt, conversationId = null, options = {}) {
     // Check if in read-only mode
     if (this.readOnlyMode) {
       throw new Error('Cannot generate app: API key not set. Please set your Claude API key in settings.');
@@ -190,22 +267,71 @@ EXAMPLE OUTPUT:
         }
       }
 
-      const response = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 8000,
-        system: this.systemPrompt,
-        messages,
-        stream: true
-      });
+      return await this._streamMessages(messages, options);
+    } catch (error) {
+      console.error('Claude API Error details:', error);
+      throw new Error(`Claude API Error: ${error.message}`);
+    }
+  }
 
-      return response;
+  /**
+   * Start a streaming request to fix problems found in a generated app
+   * @param {string} htmlContent - Generated HTML
+   * @param {Array<Object>} issues - Issues from validateGeneratedApp
+   * @param {Object} options - Same options as generateApp
+   * @returns {Promise<Stream>} Claude message stream with the corrected document
+   */
+  async repairApp(htmlContent, issues, options = {}) {
+    if (this.readOnlyMode) {
+      throw new Error('Cannot repair app: API key not set. Please set your Claude API key in settings.');
+    }
+    
+    try {
+      const messages = [
+        {
+          role: 'user',
+          content: `This mini app failed validation:\n\n${htmlContent}\n\nProblems found:\n${formatIssues(issues)}\n\nFix every problem while keeping the app's features and design. Respond with the complete corrected app only, in the same format.`
+        }
+      ];
+      
+      return await this._streamMessages(messages, options);
     } catch (error) {
       console.error('Claude API Error details:', error);
       throw new Error(`Claude API Error: ${error.message}`);
     }
   }
 
-  async saveGeneratedApp(appName, htmlContent, prompt, conversationId = null, logoData = null) {
+  /**
+   * Send messages with the app generation system prompt and stream the reply
+   * @param {Array<Object>} messages - Conversation so far
+   * @param {Object} options - { signal, draft, settings, format }
+   * @returns {Promise<Stream>} Claude message stream
+   */
+  async _streamMessages(messages, options) {
+    // Continue a partial document (a canceled draft or a cut-off response)
+    // by prefilling it; the API rejects a prefill that ends in whitespace
+    if (options.draft) {
+      messages.push({ role: 'assistant', content: options.draft.trimEnd() });
+    }
+
+    const params = toMessageParams(options.settings || resolveGenerationSettings());
+
+    // Extended thinking can't continue a prefilled assistant turn
+    if (options.draft) {
+      delete params.thinking;
+    }
+
+    return this.anthropic.messages.create({
+      ...params,
+      system: options.format === AppFormat.MULTI_FILE ? this.multiFileSystemPrompt : this.systemPrompt,
+      messages,
+      stream: true
+    }, {
+      signal: options.signal
+    });
+  }
+
+  async saveGeneratedApp(appName, htmlContent, prompt, conversationId = null, logoData = null, versionDetails = {}) {
     // Check if in read-only mode
     if (this.readOnlyMode) {
       throw new Error('Cannot save generated app: API key not set. Please set your Claude API key in settings.');
@@ -226,9 +352,8 @@ EXAMPLE OUTPUT:
       // Create assets folder
       await fs.mkdir(path.join(folderPath, 'assets'), { recursive: true });
       
-      // Save the HTML content as index.html
-      const htmlFilePath = path.join(folderPath, 'index.html');
-      await fs.writeFile(htmlFilePath, htmlContent);
+      // Save the app as index.html, plus its other files for multi-file apps
+      const { filePath: htmlFilePath, files } = await writeAppContent(folderPath, htmlContent, versionDetails.format);
       
       // Generate logo if OpenAI is available and no logo data provided
       let logoInfo = null;
@@ -259,7 +384,9 @@ EXAMPLE OUTPUT:
         versions: [
           {
             timestamp,
-            filePath: 'index.html' // Relative path within the folder
+            filePath: 'index.html', // Relative path within the folder
+            ...versionDetails, // format, generation settings and validation results
+            files
           }
         ]
       };
@@ -303,10 +430,7 @@ EXAMPLE OUTPUT:
               { role: 'user', content: metadata.prompt },
               { 
                 role: 'assistant', 
-                content: await fs.readFile(
-                  path.join(this.appStoragePath, folder, metadata.versions[0].filePath), 
-                  'utf-8'
-                ) 
+                content: await readAppContent(path.join(this.appStoragePath, folder), metadata.versions[0])
               }
             ];
             
@@ -316,10 +440,7 @@ EXAMPLE OUTPUT:
                 messages.push({ role: 'user', content: metadata.versions[i].prompt });
                 messages.push({ 
                   role: 'assistant', 
-                  content: await fs.readFile(
-                    path.join(this.appStoragePath, folder, metadata.versions[i].filePath), 
-                    'utf-8'
-                  )
+                  content: await readAppContent(path.join(this.appStoragePath, folder), metadata.versions[i])
                 });
               }
             }
@@ -391,7 +512,7 @@ EXAMPLE OUTPUT:
     }
   }
 
-  async updateGeneratedApp(conversationId, prompt, htmlContent) {
+  async updateGeneratedApp(conversationId, prompt, htmlContent, versionDetails = {}) {
     // Check if in read-only mode
     if (this.readOnlyMode) {
       throw new Error('Cannot update app: API key not set. Please set your Claude API key in settings.');
@@ -417,19 +538,31 @@ EXAMPLE OUTPUT:
             // Create a new version
             const timestamp = Date.now();
             const versionNumber = metadata.versions.length + 1;
-            const versionFilename = `v${versionNumber}.html`;
-            const versionPath = path.join(this.appStoragePath, folder, versionFilename);
-            
-            console.log('Updating app, saving to:', versionPath);
+            let versionFilename = `v${versionNumber}.html`;
+            let versionPath = path.join(this.appStoragePath, folder, versionFilename);
+            let files;
             
-            // Save the new version
-            await fs.writeFile(versionPath, htmlContent);
+            // Multi-file versions get a folder of their own
+            if (versionDetails.format === AppFormat.MULTI_FILE) {
+              const saved = await writeAppContent(path.join(this.appStoragePath, folder, `v${versionNumber}`), htmlContent, versionDetails.format);
+              versionFilename = `v${versionNumber}/index.html`;
+              versionPath = saved.filePath;
+              files = saved.files;
+              console.log('Updated app files saved to:', path.dirname(versionPath));
+            } else {
+              console.log('Updating app, saving to:', versionPath);
+              
+              // Save the new version
+              await fs.writeFile(versionPath, htmlContent);
+            }
             
             // Update metadata
             metadata.versions.push({
               timestamp,
               filePath: versionFilename,
-              prompt
+              prompt,
+              ...versionDetails,
+              files
             });
             
             await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
@@ -453,6 +586,36 @@ EXAMPLE OUTPUT:
     }
   }
 
+  /**
+   * Get the format of an app's latest version
+   * @param {string} conversationId - App conversation ID
+   * @returns {Promise<string>} AppFormat value; single-file for apps that don't record one
+   */
+  async getAppFormat(conversationId) {
+    try {
+      const items = await fs.readdir(this.appStoragePath, { withFileTypes: true });
+      const folders = items.filter(item => item.isDirectory()).map(item => item.name);
+      
+      for (const folder of folders) {
+        try {
+          const metaContent = await fs.readFile(path.join(this.appStoragePath, folder, 'metadata.json'), 'utf-8');
+          const metadata = JSON.parse(metaContent);
+          
+          if (metadata.conversationId === conversationId) {
+            return metadata.versions[metadata.versions.length - 1].format || AppFormat.SINGLE_FILE;
+          }
+        } catch (error) {
+          // Skip folders without valid metadata
+          continue;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to read app format:', error);
+    }
+    
+    return AppFormat.SINGLE_FILE;
+  }
+
   async deleteGeneratedApp(conversationId) {
     // Check if in read-only mode
     if (this.readOnlyMode) {
@@ -643,35 +806,17 @@ EXAMPLE OUTPUT:
       const files = await fs.readdir(tempDir);
       
       for (const file of files) {
-        if (file === 'assets') {
-          // Handle assets directory separately
-          const assetFiles = await fs.readdir(path.join(tempDir, 'assets'));
-          for (const assetFile of assetFiles) {
-            const srcPath = path.join(tempDir, 'assets', assetFile);
-            const destPath = path.join(folderPath, 'assets', assetFile);
-            await fs.copyFile(srcPath, destPath);
-          }
-        } else {
-          const srcPath = path.join(tempDir, file);
-          const destPath = path.join(folderPath, file);
-          
-          // Check if it's a directory
-          const stat = await fs.stat(srcPath);
-          if (stat.isDirectory() && file !== 'assets') {
-            // Create the directory
-            await fs.mkdir(destPath, { recursive: true });
-            
-            // Copy all files in the directory
-            const subFiles = await fs.readdir(srcPath);
-            for (const subFile of subFiles) {
-              const subSrcPath = path.join(srcPath, subFile);
-              const subDestPath = path.join(destPath, subFile);
-              await fs.copyFile(subSrcPath, subDestPath);
-            }
-          } else if (stat.isFile()) {
-            // Copy the file
-            await fs.copyFile(srcPath, destPath);
-          }
+        const srcPath = path.join(tempDir, file);
+        const destPath = path.join(folderPath, file);
+        
+        // Check if it's a directory
+        const stat = await fs.stat(srcPath);
+        if (stat.isDirectory()) {
+          // Copy the whole tree; multi-file versions nest their own assets folder
+          await fs.cp(srcPath, destPath, { recursive: true });
+        } else if (stat.isFile()) {
+          // Copy the file
+          await fs.copyFile(srcPath, destPath);
         }
       }
       
@@ -14,6 +14,7 @@ import * as credentialHandlers from './modules/ipc/credentialHandlers.js';
 import * as appCreationHandlers from './modules/ipc/appCreationHandlers.js';
 import { registerImportHandlers } from './src/app-importer/ipc/ImportHandlers.js';
 import { ErrorHandler } from './modules/utils/errorHandler.js';
+import { runInSandbox } from './modules/utils/scriptSandbox.js';
 // Import new island architecture
 import { DistributionManager } from './src/distribution/index.js';
 // Import CommonJS module correctly
@@ -33,9 +34,13 @@ try {
 
 
 // Initialize distribution manager
+const updateSettings = store.get('settings.updates') || {};
 const distributionManager = new DistributionManager({
   autoCleanup: true,
   autoUpdates: false, // Handled separately by electron-updater
+  updateFeed: updateSettings.feedUrl || null,
+  updateKeyring: updateSettings.keyringPath || null,
+  healthCheck: checkUpdatedAppLoads,
   maxConcurrentOperations: 3
 });
 
@@ -226,6 +231,31 @@ app.on('before-quit', async () => {
   }
 });
 
+/**
+ * Health check probe for updated apps: the app's page must load without uncaught errors
+ * Apps without an index.html have no page to load, so only their start is checked.
+ * @param {string} appId - App ID
+ * @param {Object} processInfo - Running app info
+ * @returns {Promise<boolean>} Whether the app is healthy
+ */
+async function checkUpdatedAppLoads(appId, processInfo) {
+  let html;
+  try {
+    html = await fs.promises.readFile(path.join(processInfo.installPath, 'index.html'), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+
+  const errors = await runInSandbox(html);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+  return true;
+}
+
 /**
  * Handle importing a .lahat file
  * @param {string} filePath - Path to the .lahat file
@@ -1,20 +1,35 @@
-import { shell, ipcMain } from 'electron';
+import { shell, ipcMain, dialog, app } from 'electron';
+import path from 'path';
 import ClaudeClient from '../../claudeClient.js';
 import store from '../../store.js';
 import { IpcChannels, createSuccessResponse, createErrorResponse } from './ipcTypes.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
-import { CredentialManager } from '../../src/credentials/CredentialManager.js';
+import {
+  security,
+  ProviderDefinitionLoader,
+  OAuthProvider,
+  registerOAuthProviders,
+  providerRegistry
+} from '../../src/credentials/index.js';
+import { toExpiryEvents } from '../../src/credentials/expiryReminders.js';
 import keyManager from '../security/keyManager.js'; // Keep for migration
 import logoGenerator from '../utils/logoGenerator.js';
 import logger from '../utils/logger.js';
+import * as windowManager from '../windowManager/windowManager.js';
 
 /**
  * API Handlers Module
  * Responsible for API key management and Claude client initialization
  */
 
-// Initialize the credential manager
-const credentialManager = new CredentialManager();
+// Share the security manager's credential manager so grants are enforced and audited in one place
+const credentialManager = security.credentialManager;
+
+// User-defined credential providers from ~/.lahat/providers
+const providerDefinitions = new ProviderDefinitionLoader();
+
+// OAuth sign-ins in progress, by credential name
+const oauthAuthorizations = new Map();
 
 // Migration flag to track if we've migrated credentials
 let migrationCompleted = false;
@@ -582,6 +597,513 @@ async function handleOpenAppDirectory() {
   }
 }
 
+/**
+ * Handle checking credentials for expiry
+ * @returns {Promise<Object>} - Result object with expired and expiring credentials
+ */
+async function handleCheckCredentialExpiry() {
+  try {
+    const result = await credentialManager.checkExpiry();
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to check credential expiry', error, 'handleCheckCredentialExpiry');
+    ErrorHandler.logError('handleCheckCredentialExpiry', error);
+    return createErrorResponse(error, 'check-credential-expiry');
+  }
+}
+
+/**
+ * Handle rotating a credential to a new, tested value
+ * @param {Object} event - IPC event
+ * @param {Object} params - Rotation parameters { name, value, provider, field, expiresAt }
+ * @returns {Promise<Object>} - Result object with rotation details
+ */
+async function handleRotateCredential(event, params) {
+  try {
+    const { name, value, provider, field, expiresAt } = params || {};
+
+    if (!name || !value) {
+      return createErrorResponse('Missing required parameters: name, value', 'rotate-credential');
+    }
+
+    const result = await credentialManager.rotateCredential(name, value, { provider, field, expiresAt });
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to rotate credential', error, 'handleRotateCredential');
+    ErrorHandler.logError('handleRotateCredential', error);
+    return createErrorResponse(error, 'rotate-credential');
+  }
+}
+
+/**
+ * Handle exporting credentials to an encrypted backup file
+ * @param {Object} event - IPC event
+ * @param {Object} params - Export parameters { names, passphrase }
+ * @returns {Promise<Object>} - Result object with the backup location
+ */
+async function handleExportCredentials(event, params) {
+  try {
+    const { names, passphrase } = params || {};
+
+    // Reject a weak passphrase before the user picks where to save
+    credentialManager.validateBackupPassphrase(passphrase);
+
+    const { canceled, filePath } = await dialog.showSaveDialog({
+      title: 'Export Credentials Backup',
+      defaultPath: path.join(app.getPath('documents'), 'lahat-credentials.json'),
+      filters: [
+        { name: 'Lahat Credential Backups', extensions: ['json'] }
+      ]
+    });
+
+    if (canceled) {
+      return { success: false, canceled: true };
+    }
+
+    const result = await credentialManager.exportCredentials(filePath, passphrase, { names });
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to export credentials', error, 'handleExportCredentials');
+    ErrorHandler.logError('handleExportCredentials', error);
+    return createErrorResponse(error, 'export-credentials');
+  }
+}
+
+/**
+ * Handle previewing an encrypted credential backup before importing it
+ * @param {Object} event - IPC event
+ * @param {Object} params - Preview parameters { passphrase, filePath }
+ * @returns {Promise<Object>} - Result object with backup contents (no values)
+ */
+async function handlePreviewCredentialImport(event, params) {
+  try {
+    let { passphrase, filePath } = params || {};
+
+    if (!passphrase) {
+      return createErrorResponse('Missing required parameters: passphrase', 'preview-credential-import');
+    }
+
+    if (!filePath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog({
+        title: 'Import Credentials Backup',
+        properties: ['openFile'],
+        filters: [
+          { name: 'Lahat Credential Backups', extensions: ['json'] }
+        ]
+      });
+
+      if (canceled || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      filePath = filePaths[0];
+    }
+
+    const preview = await credentialManager.previewImport(filePath, passphrase);
+    return createSuccessResponse({ filePath, ...preview });
+  } catch (error) {
+    logger.error('Failed to preview credential import', error, 'handlePreviewCredentialImport');
+    ErrorHandler.logError('handlePreviewCredentialImport', error);
+    return createErrorResponse(error, 'preview-credential-import');
+  }
+}
+
+/**
+ * Handle restoring credentials from an encrypted backup
+ * @param {Object} event - IPC event
+ * @param {Object} params - Import parameters { filePath, passphrase, names, onConflict, conflicts }
+ * @returns {Promise<Object>} - Result object with per-credential import results
+ */
+async function handleImportCredentials(event, params) {
+  try {
+    const { filePath, passphrase, ...options } = params || {};
+
+    if (!filePath) {
+      return createErrorResponse('Missing required parameter: filePath', 'import-credentials');
+    }
+
+    const result = await credentialManager.importCredentials(filePath, passphrase, options);
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to import credentials', error, 'handleImportCredentials');
+    ErrorHandler.logError('handleImportCredentials', error);
+    return createErrorResponse(error, 'import-credentials');
+  }
+}
+
+/**
+ * Ask the user to approve the credentials an app's manifest requests
+ * Access that was approved before is not asked for again.
+ * @param {string} appId - App ID
+ * @param {Object} manifest - App manifest declaring `credentials`
+ * @returns {Promise<Object>} - Result { granted, access }
+ */
+export async function requestAppCredentialAccess(appId, manifest) {
+  return await security.requestAppCredentials(appId, manifest, async ({ appName, credentials, providers }) => {
+    const requested = [
+      ...credentials.map(name => `• ${name}`),
+      ...providers.map(provider => `• Any ${provider} credential`)
+    ];
+
+    const { response } = await dialog.showMessageBox({
+      type: 'question',
+      buttons: ['Allow', 'Deny'],
+      defaultId: 1,
+      cancelId: 1,
+      title: 'Credential Access',
+      message: `${appName} wants to use your credentials`,
+      detail: `${requested.join('\n')}\n\nYou can revoke access later from the credential manager.`
+    });
+
+    return response === 0;
+  });
+}
+
+/**
+ * Handle listing which apps were granted which credentials
+ * @returns {Promise<Object>} - Result object with grants
+ */
+async function handleListCredentialGrants() {
+  try {
+    await credentialManager.initialize();
+    return createSuccessResponse({ grants: credentialManager.getCredentialGrants() });
+  } catch (error) {
+    logger.error('Failed to list credential grants', error, 'handleListCredentialGrants');
+    ErrorHandler.logError('handleListCredentialGrants', error);
+    return createErrorResponse(error, 'list-credential-grants');
+  }
+}
+
+/**
+ * Handle revoking an app's credential access
+ * @param {Object} event - IPC event
+ * @param {Object} params - Revoke parameters { appId, credentials, providers }; omit both lists to revoke everything
+ * @returns {Promise<Object>} - Result object with success flag
+ */
+async function handleRevokeCredentialGrant(event, params) {
+  try {
+    const { appId, credentials, providers } = params || {};
+
+    if (!appId) {
+      return createErrorResponse('Missing required parameter: appId', 'revoke-credential-grant');
+    }
+
+    const access = credentials || providers ? { credentials, providers } : null;
+    const revoked = await security.revokeAppCredentials(appId, access);
+    return createSuccessResponse({ revoked });
+  } catch (error) {
+    logger.error('Failed to revoke credential grant', error, 'handleRevokeCredentialGrant');
+    ErrorHandler.logError('handleRevokeCredentialGrant', error);
+    return createErrorResponse(error, 'revoke-credential-grant');
+  }
+}
+
+/**
+ * Handle querying the persisted security audit log
+ * @param {Object} event - IPC event
+ * @param {Object} filter - Filter options { action, appId, since, until, limit }
+ * @returns {Promise<Object>} - Result object with matching entries
+ */
+async function handleQueryAuditLog(event, filter = {}) {
+  try {
+    const { action, appId, since, until, limit } = filter || {};
+    const entries = await security.queryAuditLog({ action, appId, since, until, limit });
+    return createSuccessResponse({ entries });
+  } catch (error) {
+    logger.error('Failed to query audit log', error, 'handleQueryAuditLog');
+    ErrorHandler.logError('handleQueryAuditLog', error);
+    return createErrorResponse(error, 'query-audit-log');
+  }
+}
+
+/**
+ * Handle verifying the security audit log's hash chain
+ * @returns {Promise<Object>} - Result object with verification details
+ */
+async function handleVerifyAuditLog() {
+  try {
+    const result = await security.verifyAuditLog();
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to verify audit log', error, 'handleVerifyAuditLog');
+    ErrorHandler.logError('handleVerifyAuditLog', error);
+    return createErrorResponse(error, 'verify-audit-log');
+  }
+}
+
+/**
+ * Handle getting the credential lock state
+ * @returns {Promise<Object>} - Result object with security status
+ */
+async function handleGetSecurityStatus() {
+  try {
+    return createSuccessResponse(security.getSecurityStatus());
+  } catch (error) {
+    logger.error('Failed to get security status', error, 'handleGetSecurityStatus');
+    ErrorHandler.logError('handleGetSecurityStatus', error);
+    return createErrorResponse(error, 'get-security-status');
+  }
+}
+
+/**
+ * Handle unlocking credential storage with the master password
+ * @param {Object} event - IPC event
+ * @param {string} password - Master password
+ * @returns {Promise<Object>} - Result object with security status
+ */
+async function handleUnlockCredentials(event, password) {
+  try {
+    await security.unlock(password);
+    return createSuccessResponse(security.getSecurityStatus());
+  } catch (error) {
+    logger.error('Failed to unlock credentials', error, 'handleUnlockCredentials');
+    ErrorHandler.logError('handleUnlockCredentials', error);
+    return createErrorResponse(error, 'unlock-credentials');
+  }
+}
+
+/**
+ * Handle locking credential storage
+ * @returns {Promise<Object>} - Result object with security status
+ */
+async function handleLockCredentials() {
+  try {
+    security.lock();
+    return createSuccessResponse(security.getSecurityStatus());
+  } catch (error) {
+    logger.error('Failed to lock credentials', error, 'handleLockCredentials');
+    ErrorHandler.logError('handleLockCredentials', error);
+    return createErrorResponse(error, 'lock-credentials');
+  }
+}
+
+/**
+ * Handle setting or changing the master password
+ * @param {Object} event - IPC event
+ * @param {Object} params - Parameters { newPassword, currentPassword }; currentPassword is required to change an existing one
+ * @returns {Promise<Object>} - Result object with the number of re-encrypted credentials
+ */
+async function handleSetMasterPassword(event, params) {
+  try {
+    const { currentPassword, newPassword } = params || {};
+
+    if (!newPassword) {
+      return createErrorResponse('Missing required parameter: newPassword', 'set-master-password');
+    }
+
+    const result = security.isMasterPasswordEnabled()
+      ? await security.changeMasterPassword(currentPassword, newPassword)
+      : await security.enableMasterPassword(newPassword);
+
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to set master password', error, 'handleSetMasterPassword');
+    ErrorHandler.logError('handleSetMasterPassword', error);
+    return createErrorResponse(error, 'set-master-password');
+  }
+}
+
+/**
+ * Handle turning off the master password requirement
+ * @param {Object} event - IPC event
+ * @param {string} password - Current master password
+ * @returns {Promise<Object>} - Result object with the number of re-encrypted credentials
+ */
+async function handleDisableMasterPassword(event, password) {
+  try {
+    const result = await security.disableMasterPassword(password);
+    return createSuccessResponse(result);
+  } catch (error) {
+    logger.error('Failed to disable master password', error, 'handleDisableMasterPassword');
+    ErrorHandler.logError('handleDisableMasterPassword', error);
+    return createErrorResponse(error, 'disable-master-password');
+  }
+}
+
+/**
+ * Handle listing user-defined credential provider definitions
+ * @returns {Promise<Object>} - Result object with definitions and the files that failed to load
+ */
+async function handleListProviderDefinitions() {
+  try {
+    return createSuccessResponse({
+      definitions: providerDefinitions.getDefinitions(),
+      errors: providerDefinitions.getErrors()
+    });
+  } catch (error) {
+    logger.error('Failed to list provider definitions', error, 'handleListProviderDefinitions');
+    ErrorHandler.logError('handleListProviderDefinitions', error);
+    return createErrorResponse(error, 'list-provider-definitions');
+  }
+}
+
+/**
+ * Handle listing the OAuth providers that can be signed in with
+ * @returns {Promise<Object>} - Result object with providers { id, displayName, description, flows }
+ */
+async function handleListOAuthProviders() {
+  try {
+    const providers = providerRegistry.getAllProviders()
+      .filter(provider => provider instanceof OAuthProvider)
+      .map(provider => ({
+        id: provider.getId(),
+        displayName: provider.getDisplayName(),
+        description: provider.config.description,
+        flows: provider.getFlows()
+      }));
+
+    return createSuccessResponse({ providers });
+  } catch (error) {
+    logger.error('Failed to list OAuth providers', error, 'handleListOAuthProviders');
+    ErrorHandler.logError('handleListOAuthProviders', error);
+    return createErrorResponse(error, 'list-oauth-providers');
+  }
+}
+
+/**
+ * Handle signing in with an OAuth provider and storing the tokens as a credential
+ * The device code flow sends its code to the requesting window on 'oauth-user-code'.
+ * @param {Object} event - IPC event
+ * @param {Object} params - { name, providerId, flow, metadata }
+ * @returns {Promise<Object>} - Result object with { name, provider, flow, expiresAt, scope }
+ */
+async function handleAuthorizeOAuthCredential(event, { name, providerId, flow = 'pkce', metadata = {} } = {}) {
+  try {
+    if (!name || !providerId) {
+      return createErrorResponse('Missing required parameters: name, providerId', 'authorize-oauth-credential');
+    }
+
+    if (oauthAuthorizations.has(name)) {
+      return createErrorResponse(`Sign-in for '${name}' is already in progress`, 'authorize-oauth-credential');
+    }
+
+    const controller = new AbortController();
+    oauthAuthorizations.set(name, controller);
+
+    try {
+      const result = await credentialManager.authorizeOAuthCredential(name, providerId, {
+        flow,
+        metadata,
+        signal: controller.signal,
+        openUrl: (url) => shell.openExternal(url),
+        onUserCode: (prompt) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send(IpcChannels.OAUTH_USER_CODE, { name, ...prompt });
+          }
+        }
+      });
+
+      return createSuccessResponse(result);
+    } finally {
+      oauthAuthorizations.delete(name);
+    }
+  } catch (error) {
+    logger.error('Failed to sign in with OAuth', error, 'handleAuthorizeOAuthCredential');
+    ErrorHandler.logError('handleAuthorizeOAuthCredential', error);
+    return createErrorResponse(error, 'authorize-oauth-credential');
+  }
+}
+
+/**
+ * Handle cancelling an OAuth sign-in in progress
+ * @param {Object} event - IPC event
+ * @param {Object} params - { name }
+ * @returns {Promise<Object>} - Result object with { canceled }
+ */
+async function handleCancelOAuthAuthorization(event, { name } = {}) {
+  try {
+    if (!name) {
+      return createErrorResponse('Missing required parameter: name', 'cancel-oauth-authorization');
+    }
+
+    const controller = oauthAuthorizations.get(name);
+    controller?.abort();
+
+    return createSuccessResponse({ canceled: Boolean(controller) });
+  } catch (error) {
+    logger.error('Failed to cancel OAuth sign-in', error, 'handleCancelOAuthAuthorization');
+    ErrorHandler.logError('handleCancelOAuthAuthorization', error);
+    return createErrorResponse(error, 'cancel-oauth-authorization');
+  }
+}
+
+/**
+ * Register the OAuth providers configured in the `oauthProviders` setting
+ */
+function loadOAuthProviders() {
+  const { errors } = registerOAuthProviders(store.get('oauthProviders') || [], providerRegistry);
+
+  for (const { id, error } of errors) {
+    logger.warn('Skipped invalid OAuth provider', { id, error }, 'loadOAuthProviders');
+  }
+}
+
+/**
+ * Load the master password setting and tell windows when credentials lock or unlock
+ */
+function watchCredentialLock() {
+  const forward = () => {
+    windowManager.broadcastToWindows(IpcChannels.CREDENTIALS_LOCK_CHANGED, security.getSecurityStatus());
+  };
+
+  security.on('security:locked', forward);
+  security.on('security:unlocked', forward);
+  security.on('security:master_password:changed', forward);
+
+  security.initialize().catch(error => {
+    logger.error('Failed to initialize security manager', error, 'watchCredentialLock');
+  });
+}
+
+/**
+ * Load user-defined providers and tell windows when the definitions folder changes
+ */
+function watchProviderDefinitions() {
+  providerDefinitions.on('providers:loaded', ({ errors }) => {
+    windowManager.broadcastToWindows(IpcChannels.PROVIDER_DEFINITIONS_CHANGED, {
+      definitions: providerDefinitions.getDefinitions(),
+      errors
+    });
+  });
+
+  providerDefinitions.on('provider:definition:error', ({ filePath, errors }) => {
+    logger.warn('Skipped invalid provider definition', { filePath, errors }, 'watchProviderDefinitions');
+  });
+
+  providerDefinitions.start().catch(error => {
+    logger.error('Failed to load provider definitions', error, 'watchProviderDefinitions');
+  });
+}
+
+/**
+ * Forward credential expiry reminders to the main window
+ */
+function watchCredentialExpiry() {
+  const forward = (type) => (status) => {
+    windowManager.sendToWindow(windowManager.WindowType.MAIN, IpcChannels.CREDENTIAL_EXPIRY, { type, ...status });
+  };
+
+  credentialManager.on('credential:expiring', forward('expiring'));
+  credentialManager.on('credential:expired', forward('expired'));
+  credentialManager.on('credential:rotated', forward('rotated'));
+
+  // Reminders are only sent when a state changes, which can happen before the
+  // main window has loaded; send the current ones every time it (re)loads
+  app.on('browser-window-created', (_event, win) => {
+    win.webContents.on('did-finish-load', () => {
+      if (win !== windowManager.getWindow(windowManager.WindowType.MAIN)) return;
+
+      for (const status of toExpiryEvents(credentialManager.getExpiringCredentials())) {
+        win.webContents.send(IpcChannels.CREDENTIAL_EXPIRY, status);
+      }
+    });
+  });
+
+  credentialManager.startExpiryMonitor().catch(error => {
+    logger.error('Failed to start credential expiry monitor', error, 'watchCredentialExpiry');
+  });
+}
+
 /**
  * Export credential value getter for use by other modules
  */
@@ -603,6 +1125,32 @@ export function registerHandlers(ipcHandler) {
     ipcMain.handle(IpcChannels.CHECK_OPENAI_API_KEY, handleCheckOpenAIApiKey);
     ipcMain.handle(IpcChannels.DELETE_OPENAI_API_KEY, handleDeleteOpenAIApiKey);
     
+    // Credential lifecycle handlers
+    ipcMain.handle(IpcChannels.CHECK_CREDENTIAL_EXPIRY, handleCheckCredentialExpiry);
+    ipcMain.handle(IpcChannels.ROTATE_CREDENTIAL, handleRotateCredential);
+    ipcMain.handle(IpcChannels.EXPORT_CREDENTIALS, handleExportCredentials);
+    ipcMain.handle(IpcChannels.PREVIEW_CREDENTIAL_IMPORT, handlePreviewCredentialImport);
+    ipcMain.handle(IpcChannels.IMPORT_CREDENTIALS, handleImportCredentials);
+    ipcMain.handle(IpcChannels.LIST_CREDENTIAL_GRANTS, handleListCredentialGrants);
+    ipcMain.handle(IpcChannels.REVOKE_CREDENTIAL_GRANT, handleRevokeCredentialGrant);
+    
+    // Security audit handlers
+    ipcMain.handle(IpcChannels.QUERY_AUDIT_LOG, handleQueryAuditLog);
+    ipcMain.handle(IpcChannels.VERIFY_AUDIT_LOG, handleVerifyAuditLog);
+    
+    // Master password handlers
+    ipcMain.handle(IpcChannels.GET_SECURITY_STATUS, handleGetSecurityStatus);
+    ipcMain.handle(IpcChannels.UNLOCK_CREDENTIALS, handleUnlockCredentials);
+    ipcMain.handle(IpcChannels.LOCK_CREDENTIALS, handleLockCredentials);
+    ipcMain.handle(IpcChannels.SET_MASTER_PASSWORD, handleSetMasterPassword);
+    ipcMain.handle(IpcChannels.DISABLE_MASTER_PASSWORD, handleDisableMasterPassword);
+    
+    // Credential provider handlers
+    ipcMain.handle(IpcChannels.LIST_PROVIDER_DEFINITIONS, handleListProviderDefinitions);
+    ipcMain.handle(IpcChannels.LIST_OAUTH_PROVIDERS, handleListOAuthProviders);
+    ipcMain.handle(IpcChannels.AUTHORIZE_OAUTH_CREDENTIAL, handleAuthorizeOAuthCredential);
+    ipcMain.handle(IpcChannels.CANCEL_OAUTH_AUTHORIZATION, handleCancelOAuthAuthorization);
+    
     // Logo generation handlers
     ipcMain.handle(IpcChannels.GENERATE_LOGO, handleGenerateLogo);
     ipcMain.handle(IpcChannels.REGENERATE_LOGO, handleRegenerateLogo);
@@ -611,6 +1159,11 @@ export function registerHandlers(ipcHandler) {
     // General handlers
     ipcMain.handle(IpcChannels.OPEN_APP_DIRECTORY, handleOpenAppDirectory);
     
+    watchCredentialLock();
+    watchProviderDefinitions();
+    loadOAuthProviders();
+    watchCredentialExpiry();
+    
     console.log('API handlers registered (legacy mode)');
     return;
   }
@@ -626,6 +1179,32 @@ export function registerHandlers(ipcHandler) {
     [IpcChannels.CHECK_OPENAI_API_KEY]: handleCheckOpenAIApiKey,
     [IpcChannels.DELETE_OPENAI_API_KEY]: handleDeleteOpenAIApiKey,
     
+    // Credential lifecycle handlers
+    [IpcChannels.CHECK_CREDENTIAL_EXPIRY]: handleCheckCredentialExpiry,
+    [IpcChannels.ROTATE_CREDENTIAL]: handleRotateCredential,
+    [IpcChannels.EXPORT_CREDENTIALS]: handleExportCredentials,
+    [IpcChannels.PREVIEW_CREDENTIAL_IMPORT]: handlePreviewCredentialImport,
+    [IpcChannels.IMPORT_CREDENTIALS]: handleImportCredentials,
+    [IpcChannels.LIST_CREDENTIAL_GRANTS]: handleListCredentialGrants,
+    [IpcChannels.REVOKE_CREDENTIAL_GRANT]: handleRevokeCredentialGrant,
+    
+    // Security audit handlers
+    [IpcChannels.QUERY_AUDIT_LOG]: handleQueryAuditLog,
+    [IpcChannels.VERIFY_AUDIT_LOG]: handleVerifyAuditLog,
+    
+    // Master password handlers
+    [IpcChannels.GET_SECURITY_STATUS]: handleGetSecurityStatus,
+    [IpcChannels.UNLOCK_CREDENTIALS]: handleUnlockCredentials,
+    [IpcChannels.LOCK_CREDENTIALS]: handleLockCredentials,
+    [IpcChannels.SET_MASTER_PASSWORD]: handleSetMasterPassword,
+    [IpcChannels.DISABLE_MASTER_PASSWORD]: handleDisableMasterPassword,
+    
+    // Credential provider handlers
+    [IpcChannels.LIST_PROVIDER_DEFINITIONS]: handleListProviderDefinitions,
+    [IpcChannels.LIST_OAUTH_PROVIDERS]: handleListOAuthProviders,
+    [IpcChannels.AUTHORIZE_OAUTH_CREDENTIAL]: handleAuthorizeOAuthCredential,
+    [IpcChannels.CANCEL_OAUTH_AUTHORIZATION]: handleCancelOAuthAuthorization,
+    
     // Logo generation handlers
     [IpcChannels.GENERATE_LOGO]: handleGenerateLogo,
     [IpcChannels.REGENERATE_LOGO]: handleRegenerateLogo,
@@ -635,5 +1214,10 @@ export function registerHandlers(ipcHandler) {
     [IpcChannels.OPEN_APP_DIRECTORY]: handleOpenAppDirectory
   });
   
+  watchCredentialLock();
+  watchProviderDefinitions();
+  loadOAuthProviders();
+  watchCredentialExpiry();
+  
   console.log('API handlers registered');
 }
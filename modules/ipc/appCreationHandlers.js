@@ -7,6 +7,8 @@ import { ipcMain } from 'electron';
 import fs from 'fs/promises';
 import path from 'path';
 import { app } from 'electron';
+import store from '../../store.js';
+import { KNOWN_MODELS, resolveGenerationSettings } from '../utils/generationSettings.js';
 
 // Get the app creation settings storage path
 const getSettingsPath = () => path.join(app.getPath('userData'), 'app-creation-settings.json');
@@ -153,6 +155,52 @@ async function handleClearDefaultCredentials(event) {
   }
 }
 
+/**
+ * Handle getting the default generation settings
+ * @param {Object} event - IPC event
+ * @returns {Promise<Object>} Result object with settings and the models to choose from
+ */
+async function handleGetGenerationSettings(event) {
+  try {
+    return {
+      success: true,
+      settings: resolveGenerationSettings(store.get('settings.generation')),
+      models: KNOWN_MODELS
+    };
+  } catch (error) {
+    // Stored settings that no longer validate fall back to the defaults
+    console.warn('Ignoring stored generation settings:', error.message);
+    return {
+      success: true,
+      settings: resolveGenerationSettings(),
+      models: KNOWN_MODELS
+    };
+  }
+}
+
+/**
+ * Handle saving the default generation settings
+ * @param {Object} event - IPC event
+ * @param {Object} settings - { model, maxTokens, temperature, thinkingBudget }
+ * @returns {Promise<Object>} Result object with the saved settings
+ */
+async function handleSaveGenerationSettings(event, settings) {
+  try {
+    const resolved = resolveGenerationSettings(settings);
+    store.set('settings.generation', resolved);
+    return {
+      success: true,
+      settings: resolved
+    };
+  } catch (error) {
+    console.error('Error saving generation settings:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Register app creation settings IPC handlers
  */
@@ -162,6 +210,8 @@ export function registerHandlers() {
   ipcMain.handle('save-app-creation-settings', handleSaveAppCreationSettings);
   ipcMain.handle('update-default-credentials', handleUpdateDefaultCredentials);
   ipcMain.handle('clear-default-credentials', handleClearDefaultCredentials);
+  ipcMain.handle('get-generation-settings', handleGetGenerationSettings);
+  ipcMain.handle('save-generation-settings', handleSaveGenerationSettings);
   
   console.log('App creation settings handlers registered');
 }
@@ -1,6 +1,7 @@
 import { ipcMain } from 'electron';
 import { IpcChannels, createSuccessResponse, createErrorResponse } from './ipcTypes.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
+import { requestAppCredentialAccess } from './apiHandlers.js';
 
 /**
  * Distribution Handlers Module
@@ -30,6 +31,7 @@ export function registerHandlers() {
   ipcMain.handle(IpcChannels.START_APP, handleStartApp);
   ipcMain.handle(IpcChannels.STOP_APP, handleStopApp);
   ipcMain.handle(IpcChannels.UPDATE_APP, handleUpdateApp);
+  ipcMain.handle(IpcChannels.ROLLBACK_APP, handleRollbackApp);
   
   // Package management handlers
   ipcMain.handle(IpcChannels.PACKAGE_APP, handlePackageApp);
@@ -107,6 +109,15 @@ async function handleStartApp(event, appId, options = {}) {
       throw new Error('Distribution manager not available');
     }
     
+    // Apps that declare credentials need the user's approval once
+    const app = distributionManager.getApp(appId);
+    if (app?.manifest?.credentials?.length) {
+      const access = await requestAppCredentialAccess(appId, app.manifest);
+      if (!access.granted) {
+        return createErrorResponse('Credential access was denied, so the app was not started');
+      }
+    }
+    
     const result = await distributionManager.startApp(appId, options);
     return createSuccessResponse(result);
   } catch (error) {
@@ -149,6 +160,23 @@ async function handleUpdateApp(event, appId, packagePath = null, options = {}) {
   }
 }
 
+/**
+ * Roll an app back to its previous version
+ */
+async function handleRollbackApp(event, appId) {
+  try {
+    if (!distributionManager) {
+      throw new Error('Distribution manager not available');
+    }
+    
+    const result = await distributionManager.rollbackApp(appId);
+    return createSuccessResponse(result);
+  } catch (error) {
+    ErrorHandler.logError('handleRollbackApp', error);
+    return createErrorResponse(error.message);
+  }
+}
+
 /**
  * Package an app
  */
@@ -17,6 +17,26 @@ export const IpcChannels = {
   CHECK_OPENAI_API_KEY: 'check-openai-api-key',
   DELETE_OPENAI_API_KEY: 'delete-openai-api-key',
   
+  // Credential lifecycle
+  CHECK_CREDENTIAL_EXPIRY: 'check-credential-expiry',
+  ROTATE_CREDENTIAL: 'rotate-credential',
+  EXPORT_CREDENTIALS: 'export-credentials',
+  PREVIEW_CREDENTIAL_IMPORT: 'preview-credential-import',
+  IMPORT_CREDENTIALS: 'import-credentials',
+  LIST_CREDENTIAL_GRANTS: 'list-credential-grants',
+  REVOKE_CREDENTIAL_GRANT: 'revoke-credential-grant',
+  QUERY_AUDIT_LOG: 'query-audit-log',
+  VERIFY_AUDIT_LOG: 'verify-audit-log',
+  GET_SECURITY_STATUS: 'get-security-status',
+  UNLOCK_CREDENTIALS: 'unlock-credentials',
+  LOCK_CREDENTIALS: 'lock-credentials',
+  SET_MASTER_PASSWORD: 'set-master-password',
+  DISABLE_MASTER_PASSWORD: 'disable-master-password',
+  LIST_PROVIDER_DEFINITIONS: 'list-provider-definitions',
+  LIST_OAUTH_PROVIDERS: 'list-oauth-providers',
+  AUTHORIZE_OAUTH_CREDENTIAL: 'authorize-oauth-credential',
+  CANCEL_OAUTH_AUTHORIZATION: 'cancel-oauth-authorization',
+  
   // General API
   OPEN_APP_DIRECTORY: 'open-app-directory',
   
@@ -27,6 +47,9 @@ export const IpcChannels = {
   
   // Mini app related
   GENERATE_MINI_APP: 'generate-mini-app',
+  CANCEL_MINI_APP_GENERATION: 'cancel-mini-app-generation',
+  GET_GENERATION_SETTINGS: 'get-generation-settings',
+  SAVE_GENERATION_SETTINGS: 'save-generation-settings',
   GENERATE_TITLE_DESCRIPTION: 'generate-title-and-description',
   LIST_MINI_APPS: 'list-mini-apps',
   OPEN_MINI_APP: 'open-mini-app',
@@ -47,6 +70,7 @@ export const IpcChannels = {
   START_APP: 'start-app',
   STOP_APP: 'stop-app',
   UPDATE_APP: 'update-app',
+  ROLLBACK_APP: 'rollback-app',
   PACKAGE_APP: 'package-app',
   VALIDATE_PACKAGE: 'validate-package',
   GET_PACKAGE_METADATA: 'get-package-metadata',
@@ -59,7 +83,11 @@ export const IpcChannels = {
   GENERATION_STATUS: 'generation-status',
   GENERATION_CHUNK: 'generation-chunk',
   TITLE_DESCRIPTION_CHUNK: 'title-description-chunk',
-  LOGO_GENERATION_PROGRESS: 'logo-generation-progress'
+  LOGO_GENERATION_PROGRESS: 'logo-generation-progress',
+  CREDENTIAL_EXPIRY: 'credential-expiry',
+  CREDENTIALS_LOCK_CHANGED: 'credentials-lock-changed',
+  PROVIDER_DEFINITIONS_CHANGED: 'provider-definitions-changed',
+  OAUTH_USER_CODE: 'oauth-user-code'
 };
 
 /**
@@ -6,6 +6,31 @@ import * as miniAppManager from '../miniAppManager.js';
 import * as titleDescriptionGenerator from '../utils/titleDescriptionGenerator.js';
 import store from '../../store.js';
 import fs from 'fs/promises';
+import { GenerationStatus } from './ipcTypes.js';
+import { resolveGenerationSettings } from '../utils/generationSettings.js';
+import { streamWithContinuation, isDocumentComplete } from '../utils/generationContinuation.js';
+import { validateGeneratedApp, validateAppFiles, formatIssues, DEFAULT_REPAIR_ROUNDS } from '../utils/appValidator.js';
+import { AppFormat, isFileSetComplete, writeAppContent } from '../utils/appFiles.js';
+import { runInSandbox } from '../utils/scriptSandbox.js';
+import {
+  GenerationTracker,
+  finishCanceledGeneration,
+  readGenerationDraft,
+  removeGenerationDraft
+} from '../utils/generationDrafts.js';
+
+// In-flight generations, so a window can cancel its own
+const generations = new GenerationTracker();
+
+/**
+ * Get the key that identifies a window's in-flight generation
+ * @param {Object} event - IPC event
+ * @param {string} conversationId - Conversation being generated, if known
+ * @returns {string} - Generation key
+ */
+function getGenerationKey(event, conversationId) {
+  return conversationId || `sender_${event.sender.id}`;
+}
 
 /**
  * Get the app storage path without requiring Claude client initialization
@@ -177,7 +202,25 @@ async function listAppsFromFileSystem() {
  * @param {Object} params - Parameters for generating the mini app
  * @returns {Promise<Object>} - Result object with success flag
  */
-async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conversationId, logoPath }) {
+async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conversationId, logoPath, resumeDraft = false, generationSettings = null, repairRounds = DEFAULT_REPAIR_ROUNDS, format = AppFormat.SINGLE_FILE }) {
+  if (!Object.values(AppFormat).includes(format)) {
+    return {
+      success: false,
+      error: `Unknown app format "${format}"`
+    };
+  }
+  
+  const generationKey = getGenerationKey(event, conversationId);
+  const generation = generations.start(generationKey);
+  if (!generation) {
+    return {
+      success: false,
+      error: 'This app is already being generated'
+    };
+  }
+  
+  let htmlContent = '';
+  
   try {
     const claudeClient = await apiHandlers.getClaudeClient();
     if (!claudeClient) {
@@ -187,30 +230,56 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
       };
     }
     
+    // Per-app choices from the wizard override the stored defaults
+    const settings = resolveGenerationSettings(store.get('settings.generation'), generationSettings);
+    
+    // Continue from the draft a canceled generation left behind
+    const draft = resumeDraft && folderPath ? await readGenerationDraft(folderPath) : null;
+    
     // Start streaming response
     if (!event.sender.isDestroyed()) {
       event.sender.send('generation-status', {
-        status: 'generating',
-        message: 'Generating your mini app...'
+        status: GenerationStatus.GENERATING,
+        message: draft ? 'Resuming your mini app from the draft...' : 'Generating your mini app...'
       });
     }
     
-    const response = await claudeClient.generateApp(prompt, conversationId);
-    let htmlContent = '';
-    
-    // Stream the response
-    for await (const streamEvent of response) {
-      if (streamEvent.type === 'content_block_delta' && streamEvent.delta.type === 'text_delta') {
-        htmlContent += streamEvent.delta.text || '';
-        if (!event.sender.isDestroyed()) {
-          event.sender.send('generation-chunk', {
-            content: streamEvent.delta.text || '',
-            done: false
-          });
-        }
+    // Show the draft first so the viewer holds the whole document
+    if (draft) {
+      htmlContent = draft.trimEnd();
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('generation-chunk', {
+          content: htmlContent,
+          done: false
+        });
       }
     }
     
+    // Stream the response, continuing it if it gets cut off
+    const result = await streamGeneratedDocument(event, GenerationStatus.GENERATING, {
+      draft,
+      format,
+      generate: (partial) => claudeClient.generateApp(prompt, conversationId, {
+        signal: generation.controller.signal,
+        draft: partial,
+        settings,
+        format
+      }),
+      onText: (text) => {
+        htmlContent += text;
+      }
+    });
+    htmlContent = result.content;
+    
+    // Check the app before it's saved, and have Claude fix what fails
+    const checked = await validateAndRepair(event, claudeClient, htmlContent, GenerationStatus.GENERATING, {
+      signal: generation.controller.signal,
+      settings,
+      repairRounds,
+      format
+    });
+    htmlContent = checked.content;
+    
     // Signal completion
     if (!event.sender.isDestroyed()) {
       event.sender.send('generation-chunk', {
@@ -222,8 +291,8 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
     let savedApp;
     if (folderPath && conversationId) {
       // Use the pre-created folder structure
-      const htmlFilePath = path.join(folderPath, 'index.html');
-      await fs.writeFile(htmlFilePath, htmlContent);
+      const { filePath: htmlFilePath, files } = await writeAppContent(folderPath, htmlContent, format);
+      await removeGenerationDraft(folderPath);
       
       // Create metadata in new standardized format
       const metadata = {
@@ -236,7 +305,12 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
         versions: [
           {
             timestamp: Date.now(),
-            filePath: 'index.html'
+            filePath: 'index.html',
+            format,
+            files,
+            generation: settings,
+            continuations: result.continuations,
+            validation: checked.validation
           }
         ]
       };
@@ -255,15 +329,18 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
       savedApp = await claudeClient.saveGeneratedApp(
         appName || 'Mini App',
         htmlContent,
-        prompt
+        prompt,
+        null,
+        null,
+        { format, generation: settings, continuations: result.continuations, validation: checked.validation }
       );
     }
     
-    // Create a window for the app
+    // Create a window for the app; multi-file apps load from their folder
     const windowResult = await miniAppManager.createMiniAppWindow(
       savedApp.metadata.appName,
       htmlContent,
-      savedApp.filePath,
+      format === AppFormat.MULTI_FILE ? savedApp.folderPath : savedApp.filePath,
       savedApp.metadata.conversationId
     );
     
@@ -293,9 +370,16 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
     return { 
       success: true,
       appId: savedApp.metadata.conversationId,
-      name: savedApp.metadata.appName
+      name: savedApp.metadata.appName,
+      continuations: result.continuations,
+      complete: result.complete,
+      validation: checked.validation
     };
   } catch (error) {
+    if (generation.controller.signal.aborted) {
+      return await finishCanceledGeneration(event, generation, folderPath, htmlContent);
+    }
+    
     if (!event.sender.isDestroyed()) {
       event.sender.send('generation-status', {
         status: 'error',
@@ -307,9 +391,139 @@ async function handleGenerateMiniApp(event, { prompt, appName, folderPath, conve
       success: false,
       error: error.message
     };
+  } finally {
+    generations.finish(generationKey);
   }
 }
 
+/**
+ * Get the check for whether generated content is finished
+ * @param {string} format - AppFormat value
+ * @returns {Function} - (content) => boolean
+ */
+function getCompletionCheck(format) {
+  return format === AppFormat.MULTI_FILE ? isFileSetComplete : isDocumentComplete;
+}
+
+/**
+ * Stream a generated document to the renderer, continuing it while it is cut off
+ * @param {Object} event - IPC event
+ * @param {string} status - Generation status to report continuation rounds under
+ * @param {Object} options - { generate: (draft) => Promise<Stream>, draft, onText, format }
+ * @returns {Promise<Object>} - { content, continuations, complete, stopReason }
+ */
+async function streamGeneratedDocument(event, status, { generate, draft = null, onText = () => {}, format = AppFormat.SINGLE_FILE }) {
+  const result = await streamWithContinuation(generate, {
+    draft,
+    isComplete: getCompletionCheck(format),
+    onText: (text) => {
+      onText(text);
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('generation-chunk', {
+          content: text,
+          done: false
+        });
+      }
+    },
+    onContinue: ({ round }) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('generation-status', {
+          status,
+          message: `The response was cut off, continuing it (round ${round})...`,
+          continuations: round
+        });
+      }
+    }
+  });
+  
+  if (result.continuations > 0) {
+    console.log(`Generated document needed ${result.continuations} continuation round(s)`);
+  }
+  
+  if (!result.complete) {
+    console.warn(`Generated document is still incomplete after ${result.continuations} continuation round(s)`);
+  }
+  
+  return result;
+}
+
+/**
+ * Validate a generated app and ask Claude to repair it until it passes or the rounds run out
+ * A repair is only kept if it leaves fewer problems than the version it replaces.
+ * @param {Object} event - IPC event
+ * @param {Object} claudeClient - Claude client
+ * @param {string} htmlContent - Generated HTML
+ * @param {string} status - Generation status to report progress under
+ * @param {Object} options - { signal, settings, repairRounds, format }
+ * @returns {Promise<Object>} - { content, validation: { valid, repairRounds, issues } }
+ */
+async function validateAndRepair(event, claudeClient, htmlContent, status, { signal, settings, repairRounds, format = AppFormat.SINGLE_FILE }) {
+  const sendStatus = (message) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('generation-status', { status, message });
+    }
+  };
+  
+  // A sandbox that fails to start shouldn't block saving; the static checks still apply
+  const runScripts = (html) => runInSandbox(html).catch((error) => {
+    console.warn('Could not run the generated app headlessly:', error.message);
+    return [];
+  });
+  
+  const validate = format === AppFormat.MULTI_FILE ? validateAppFiles : validateGeneratedApp;
+  
+  sendStatus('Checking the generated app...');
+  
+  let content = htmlContent;
+  let validation = await validate(content, { runScripts });
+  let rounds = 0;
+  
+  while (!validation.valid && rounds < repairRounds) {
+    rounds++;
+    sendStatus(`Found ${validation.issues.length} problem(s), fixing them (round ${rounds} of ${repairRounds})...`);
+    
+    const repaired = await streamWithContinuation((partial) => claudeClient.repairApp(content, validation.issues, {
+      signal,
+      settings,
+      format,
+      draft: partial
+    }), { isComplete: getCompletionCheck(format) });
+    const repairedValidation = await validate(repaired.content, { runScripts });
+    
+    if (repairedValidation.issues.length < validation.issues.length) {
+      content = repaired.content;
+      validation = repairedValidation;
+    }
+  }
+  
+  if (!validation.valid) {
+    console.warn(`Saving generated app with ${validation.issues.length} unresolved problem(s):\n${formatIssues(validation.issues)}`);
+    sendStatus(`Saving the app with ${validation.issues.length} unresolved problem(s)...`);
+  }
+  
+  return {
+    content,
+    validation: { valid: validation.valid, repairRounds: rounds, issues: validation.issues }
+  };
+}
+
+/**
+ * Handle canceling an in-flight mini app generation
+ * @param {Object} event - IPC event
+ * @param {Object} params - Parameters { conversationId, keepDraft }; keepDraft saves the partial HTML to resume later
+ * @returns {Promise<Object>} - Result object with success flag
+ */
+async function handleCancelMiniAppGeneration(event, { conversationId, keepDraft = false } = {}) {
+  if (!generations.cancel(getGenerationKey(event, conversationId), { keepDraft })) {
+    return {
+      success: false,
+      error: 'No generation in progress'
+    };
+  }
+  
+  return { success: true };
+}
+
 /**
  * Handle listing mini apps
  * @returns {Promise<Object>} - Result object with apps list
@@ -357,7 +571,7 @@ async function handleOpenMiniApp(event, { appId, filePath, name }) {
  * @param {Object} params - Parameters for updating the mini app
  * @returns {Promise<Object>} - Result object with success flag
  */
-async function handleUpdateMiniApp(event, { appId, prompt }) {
+async function handleUpdateMiniApp(event, { appId, prompt, generationSettings = null, repairRounds = DEFAULT_REPAIR_ROUNDS }) {
   try {
     const claudeClient = await apiHandlers.getClaudeClient();
     if (!claudeClient) {
@@ -375,21 +589,24 @@ async function handleUpdateMiniApp(event, { appId, prompt }) {
       });
     }
     
-    const response = await claudeClient.generateApp(prompt, appId);
-    let htmlContent = '';
+    const settings = resolveGenerationSettings(store.get('settings.generation'), generationSettings);
     
-    // Stream the response
-    for await (const streamEvent of response) {
-      if (streamEvent.type === 'content_block_delta' && streamEvent.delta.type === 'text_delta') {
-        htmlContent += streamEvent.delta.text || '';
-        if (!event.sender.isDestroyed()) {
-          event.sender.send('generation-chunk', {
-            content: streamEvent.delta.text || '',
-            done: false
-          });
-        }
-      }
-    }
+    // Updates keep the format the app was generated in
+    const format = await claudeClient.getAppFormat(appId);
+    
+    // Stream the response, continuing it if it gets cut off
+    const result = await streamGeneratedDocument(event, GenerationStatus.UPDATING, {
+      format,
+      generate: (partial) => claudeClient.generateApp(prompt, appId, { draft: partial, settings, format })
+    });
+    
+    // Check the app before it's saved, and have Claude fix what fails
+    const checked = await validateAndRepair(event, claudeClient, result.content, GenerationStatus.UPDATING, {
+      settings,
+      repairRounds,
+      format
+    });
+    const htmlContent = checked.content;
     
     // Signal completion
     if (!event.sender.isDestroyed()) {
@@ -402,14 +619,15 @@ async function handleUpdateMiniApp(event, { appId, prompt }) {
     const updatedApp = await claudeClient.updateGeneratedApp(
       appId,
       prompt,
-      htmlContent
+      htmlContent,
+      { format, generation: settings, continuations: result.continuations, validation: checked.validation }
     );
     
     // Update the window if it's open
     const updateResult = await miniAppManager.updateMiniApp(
       appId,
       htmlContent,
-      updatedApp.filePath
+      format === AppFormat.MULTI_FILE ? path.dirname(updatedApp.filePath) : updatedApp.filePath
     );
     
     if (!updateResult.success) {
@@ -422,7 +640,10 @@ async function handleUpdateMiniApp(event, { appId, prompt }) {
     return { 
       success: true,
       appId,
-      filePath: updatedApp.filePath
+      filePath: updatedApp.filePath,
+      continuations: result.continuations,
+      complete: result.complete,
+      validation: checked.validation
     };
   } catch (error) {
     if (!event.sender.isDestroyed()) {
@@ -733,6 +954,9 @@ export function registerHandlers() {
   // Generate mini app
   ipcMain.handle('generate-mini-app', handleGenerateMiniApp);
   
+  // Cancel an in-flight generation
+  ipcMain.handle('cancel-mini-app-generation', handleCancelMiniAppGeneration);
+  
   // Generate title and description
   ipcMain.handle('generate-title-and-description', handleGenerateTitleAndDescription);
   
@@ -1,5 +1,6 @@
 import { BrowserWindow } from 'electron';
 import path from 'path';
+import fs from 'fs/promises';
 import * as windowManager from './windowManager/windowManager.js';
 import * as fileOperations from './utils/fileOperations.js';
 import { setActiveMiniApp, clearActiveMiniApp } from './utils/activeAppState.js';
@@ -12,11 +13,25 @@ import { setActiveMiniApp, clearActiveMiniApp } from './utils/activeAppState.js'
 // Track all mini app windows
 const miniAppWindows = new Map();
 
+/**
+ * Find the HTML file to load for an app path
+ * Multi-file apps are given as their folder, which is loaded from its index.html.
+ * @param {string} filePath - Path to the HTML file or the app folder
+ * @returns {Promise<Object>} - { entryPath, isFolder }
+ */
+async function resolveEntryFile(filePath) {
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (stats?.isDirectory()) {
+    return { entryPath: path.join(filePath, 'index.html'), isFolder: true };
+  }
+  return { entryPath: filePath, isFolder: false };
+}
+
 /**
  * Create a mini app window
  * @param {string} appName - Name of the mini app
  * @param {string} htmlContent - HTML content of the mini app
- * @param {string} filePath - Path to the HTML file (optional)
+ * @param {string} filePath - Path to the HTML file, or the app folder for multi-file apps (optional)
  * @param {string} conversationId - Conversation ID for the mini app
  * @returns {Promise<Object>} - Result object with success flag, filePath, and windowId
  */
@@ -26,6 +41,7 @@ export async function createMiniAppWindow(appName, htmlContent, filePath, conver
   try {
     // Create a temporary file for the HTML content if no filePath is provided
     let tempFilePath = filePath;
+    const entry = filePath ? await resolveEntryFile(filePath) : null;
     if (!tempFilePath) {
       const tempResult = await fileOperations.createTempFile(htmlContent);
       if (!tempResult.success) {
@@ -35,6 +51,13 @@ export async function createMiniAppWindow(appName, htmlContent, filePath, conver
         };
       }
       tempFilePath = tempResult.filePath;
+    } else if (entry.isFolder) {
+      // Multi-file apps are already saved; load index.html so styles.css, app.js and assets/ resolve beside it
+      tempFilePath = entry.entryPath;
+      const readResult = await fileOperations.readFile(tempFilePath);
+      if (!readResult.success) {
+        return readResult;
+      }
     } else {
       // If filePath is provided, we don't need to write the content again
       // as it should have already been written by the claudeClient.saveGeneratedApp method
@@ -197,17 +220,20 @@ export async function openMiniApp(appId, filePath, name) {
  * Update an existing mini app
  * @param {string} appId - ID of the mini app
  * @param {string} htmlContent - New HTML content
- * @param {string} filePath - Path to the HTML file
+ * @param {string} filePath - Path to the HTML file, or the version folder for multi-file apps
  * @returns {Promise<Object>} - Result object with success flag and filePath
  */
 export async function updateMiniApp(appId, htmlContent, filePath) {
   console.log('Updating mini app:', { appId, filePath });
   
   try {
-    // Write the updated content to the file
-    const writeResult = await fileOperations.writeFile(filePath, htmlContent);
-    if (!writeResult.success) {
-      return writeResult;
+    // Multi-file versions are written by the claudeClient; single files are written here
+    const { entryPath, isFolder } = await resolveEntryFile(filePath);
+    if (!isFolder) {
+      const writeResult = await fileOperations.writeFile(entryPath, htmlContent);
+      if (!writeResult.success) {
+        return writeResult;
+      }
     }
     
     // If the window is open, update it
@@ -215,11 +241,12 @@ export async function updateMiniApp(appId, htmlContent, filePath) {
       const appWindow = miniAppWindows.get(appId);
       if (!appWindow.window.isDestroyed()) {
         // Update the window content
-        appWindow.window.loadFile(filePath);
+        appWindow.window.loadFile(entryPath);
+        appWindow.filePath = entryPath;
       }
     }
     
-    return { success: true, filePath };
+    return { success: true, filePath: entryPath };
   } catch (error) {
     console.error('Error updating mini app:', error);
     return {
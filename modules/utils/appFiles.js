@@ -0,0 +1,187 @@
+/**
+ * Mini app file utilities
+ * Parses and writes apps generated as a set of files (index.html, styles.css, app.js, assets/)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const AppFormat = {
+  SINGLE_FILE: 'single-file',
+  MULTI_FILE: 'multi-file'
+};
+
+export const ENTRY_FILE = 'index.html';
+export const END_MARKER = '=== END ===';
+
+const CORE_FILES = [ENTRY_FILE, 'styles.css', 'app.js'];
+
+// Assets are written as text, so only text formats are allowed
+const ASSET_EXTENSIONS = ['.svg', '.json', '.txt', '.csv', '.md', '.css', '.js'];
+
+const FILE_MARKER_PATTERN = /^=== FILE: (.+?) ===[ \t]*$/gm;
+const END_MARKER_PATTERN = /(?:^|\n)=== END ===\s*$/;
+
+/**
+ * Build the marker line that starts a file
+ * @param {string} filePath - Path within the app folder
+ * @returns {string} Marker line
+ */
+export function fileMarker(filePath) {
+  return `=== FILE: ${filePath} ===`;
+}
+
+/**
+ * Check a generated file path
+ * @param {string} filePath - Path within the app folder
+ * @returns {string|null} Problem with the path, or null if it can be written
+ */
+export function validateFilePath(filePath) {
+  if (CORE_FILES.includes(filePath)) return null;
+
+  const extension = path.posix.extname(filePath).toLowerCase();
+  if (/^assets\/(?:[\w-]+\/)*[\w-][\w.-]*$/.test(filePath) && ASSET_EXTENSIONS.includes(extension)) {
+    // The app logo lives in assets/ too
+    if (path.posix.basename(filePath).startsWith('logo.')) {
+      return `"${filePath}" is reserved for the app logo`;
+    }
+    return null;
+  }
+
+  return `"${filePath}" is not an allowed file; use ${CORE_FILES.join(', ')} or text assets (${ASSET_EXTENSIONS.join(', ')}) under assets/`;
+}
+
+/**
+ * Check whether a generated file set has reached its end marker
+ * @param {string} text - Generated text
+ * @returns {boolean} True if the response ends with the end marker
+ */
+export function isFileSetComplete(text) {
+  return END_MARKER_PATTERN.test(text);
+}
+
+/**
+ * Parse a generated file set
+ * @param {string} text - Generated text with file markers
+ * @returns {Object} { files: [{ path, content }], complete, errors }
+ */
+export function parseAppFiles(text) {
+  const complete = isFileSetComplete(text);
+  const body = complete ? text.replace(END_MARKER_PATTERN, '') : text;
+  const markers = Array.from(body.matchAll(FILE_MARKER_PATTERN));
+  const files = [];
+  const errors = [];
+
+  markers.forEach((marker, index) => {
+    const filePath = marker[1].trim();
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : body.length;
+    const content = body.slice(start, end).replace(/^\r?\n/, '').trimEnd();
+
+    const problem = validateFilePath(filePath);
+    if (problem) {
+      errors.push(problem);
+    } else if (files.some(file => file.path === filePath)) {
+      errors.push(`"${filePath}" appears more than once`);
+    } else {
+      files.push({ path: filePath, content: `${content}\n` });
+    }
+  });
+
+  if (!files.some(file => file.path === ENTRY_FILE)) {
+    errors.push(`The app has no ${ENTRY_FILE}`);
+  }
+
+  return { files, complete, errors };
+}
+
+/**
+ * Write a file set back in the generation format
+ * @param {Array<Object>} files - [{ path, content }]
+ * @returns {string} Text with file markers and the end marker
+ */
+export function serializeAppFiles(files) {
+  return files
+    .map(file => `${fileMarker(file.path)}\n${file.content.trimEnd()}\n`)
+    .join('') + `${END_MARKER}\n`;
+}
+
+/**
+ * Combine a file set into one HTML document
+ * Inlines styles.css and app.js where index.html references them, so the app can be checked as a single page.
+ * @param {Array<Object>} files - [{ path, content }]
+ * @returns {string} HTML document
+ */
+export function inlineAppFiles(files) {
+  const contentOf = filePath => files.find(file => file.path === filePath)?.content;
+  const styles = contentOf('styles.css');
+  const script = contentOf('app.js');
+
+  let html = contentOf(ENTRY_FILE) || '';
+
+  if (styles !== undefined) {
+    html = html.replace(/<link\b[^>]*\bhref=["']?(?:\.\/)?styles\.css["']?[^>]*>/i, () => `<style>\n${styles}</style>`);
+  }
+
+  if (script !== undefined) {
+    html = html.replace(/<script\b([^>]*?)\s*\bsrc=["']?(?:\.\/)?app\.js["']?([^>]*)>\s*<\/script>/i,
+      (match, before, after) => `<script${before}${after}>\n${script}</script>`);
+  }
+
+  return html;
+}
+
+/**
+ * Write generated app content into a folder
+ * @param {string} directory - Folder for this version of the app
+ * @param {string} content - Generated HTML, or a file set for multi-file apps
+ * @param {string} format - AppFormat value
+ * @returns {Promise<Object>} { filePath: entry file, files: paths written }
+ */
+export async function writeAppContent(directory, content, format = AppFormat.SINGLE_FILE) {
+  await fs.mkdir(directory, { recursive: true });
+
+  if (format !== AppFormat.MULTI_FILE) {
+    const filePath = path.join(directory, ENTRY_FILE);
+    await fs.writeFile(filePath, content);
+    return { filePath, files: [ENTRY_FILE] };
+  }
+
+  const { files, errors } = parseAppFiles(content);
+  if (!files.some(file => file.path === ENTRY_FILE)) {
+    throw new Error(`Generated files could not be saved: ${errors.join('; ')}`);
+  }
+
+  for (const file of files) {
+    const filePath = path.join(directory, ...file.path.split('/'));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.content);
+  }
+
+  return {
+    filePath: path.join(directory, ENTRY_FILE),
+    files: files.map(file => file.path)
+  };
+}
+
+/**
+ * Read a saved version back in the form it was generated in
+ * @param {string} directory - App folder
+ * @param {Object} version - Version entry from metadata
+ * @returns {Promise<string>} HTML, or a file set for multi-file versions
+ */
+export async function readAppContent(directory, version) {
+  const entryPath = path.join(directory, version.filePath);
+
+  if (version.format !== AppFormat.MULTI_FILE) {
+    return fs.readFile(entryPath, 'utf-8');
+  }
+
+  const versionDirectory = path.dirname(entryPath);
+  const files = [];
+  for (const filePath of version.files || [ENTRY_FILE]) {
+    files.push({ path: filePath, content: await fs.readFile(path.join(versionDirectory, ...filePath.split('/')), 'utf-8') });
+  }
+
+  return serializeAppFiles(files);
+}
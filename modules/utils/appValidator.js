@@ -0,0 +1,460 @@
+/**
+ * Generated app validator
+ * Checks generated mini app HTML against the rules in the generation system prompt
+ */
+
+import vm from 'vm';
+import { parseAppFiles, inlineAppFiles, ENTRY_FILE, END_MARKER } from './appFiles.js';
+
+// Height of the drag region the system prompt asks for
+export const DRAG_REGION_HEIGHT = 38;
+
+// Repair requests allowed before an app is saved with its remaining issues
+export const DEFAULT_REPAIR_ROUNDS = 2;
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Attributes that make the page load something
+const RESOURCE_ATTRIBUTES = ['src', 'href', 'xlink:href', 'srcset', 'poster', 'data', 'action', 'formaction', 'background'];
+
+const JAVASCRIPT_TYPES = new Set(['', 'text/javascript', 'application/javascript', 'module']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const EXTERNAL_URL_PATTERN = /^\s*(?:(?:https?|wss?|ftp):)?\/\//i;
+const CSS_URL_PATTERN = /(?:url\(\s*['"]?|@import\s+['"])((?:(?:https?):)?\/\/[^'")\s]+)/gi;
+const SCRIPT_REQUEST_PATTERNS = [
+  /\b(?:fetch|WebSocket|EventSource|sendBeacon|importScripts|import)\s*\(\s*['"`]((?:(?:https?|wss?):)?\/\/[^'"`\s]*)/g,
+  /\.open\s*\(\s*['"`]\w+['"`]\s*,\s*['"`]((?:https?:)?\/\/[^'"`\s]*)/g
+];
+
+/**
+ * Count the line an offset falls on
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} 1-based line number
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Parse a tag's attribute string
+ * @param {string} source - Attribute text
+ * @returns {Object} Lowercased attribute names to values
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parse HTML into a flat element list
+ * A small tolerant tokenizer; enough to find structure, styles and scripts in generated apps.
+ * @param {string} html - HTML document
+ * @returns {Object} { doctype, closed, elements, scripts, styles }
+ */
+export function parseHtml(html) {
+  const root = { tagName: '#document', children: [] };
+  const stack = [root];
+  const elements = [];
+  const scripts = [];
+  const styles = [];
+  let doctype = false;
+
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TAG_PATTERN.exec(html)) !== null) {
+    const [source, closing, rawName, attributeSource = '', selfClosing] = match;
+
+    if (!rawName) {
+      if (/^<!doctype\s+html/i.test(source)) doctype = true;
+      continue;
+    }
+
+    const tagName = rawName.toLowerCase();
+
+    if (closing) {
+      const index = stack.findLastIndex(element => element.tagName === tagName);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const element = {
+      tagName,
+      attributes: parseAttributes(attributeSource),
+      parent,
+      children: [],
+      line: lineAt(html, match.index)
+    };
+    parent.children.push(element);
+    elements.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tagName)) {
+      const contentStart = TAG_PATTERN.lastIndex;
+      const end = html.slice(contentStart).search(new RegExp(`</${tagName}\\s*>`, 'i'));
+      const contentEnd = end === -1 ? html.length : contentStart + end;
+      const content = html.slice(contentStart, contentEnd);
+
+      if (tagName === 'script') {
+        scripts.push({ attributes: element.attributes, content, line: element.line });
+      } else if (tagName === 'style') {
+        styles.push(content);
+      }
+
+      // Skip past the closing tag without opening the element
+      TAG_PATTERN.lastIndex = end === -1 ? html.length : html.indexOf('>', contentEnd) + 1;
+      continue;
+    }
+
+    if (!selfClosing && !VOID_ELEMENTS.has(tagName)) {
+      stack.push(element);
+    }
+  }
+
+  return {
+    doctype,
+    closed: /<\/html>\s*$/i.test(html),
+    elements,
+    scripts,
+    styles
+  };
+}
+
+/**
+ * Parse CSS text into rules
+ * Nested at-rule blocks are flattened; only plain selector rules are kept.
+ * @param {string} css - Stylesheet text
+ * @returns {Array<Object>} [{ selectors, declarations }]
+ */
+export function parseCssRules(css) {
+  const rules = [];
+  const source = css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/@(?:import|charset|namespace)[^;]*;/gi, '');
+
+  for (const match of source.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const selectorText = match[1].trim();
+    if (selectorText.startsWith('@')) continue;
+
+    rules.push({
+      selectors: selectorText.split(',').map(selector => selector.trim()).filter(Boolean),
+      declarations: parseDeclarations(match[2])
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Parse CSS declarations
+ * @param {string} text - Declaration block or style attribute
+ * @returns {Object} Lowercased property names to values
+ */
+function parseDeclarations(text) {
+  const declarations = {};
+  for (const declaration of text.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+    if (property) declarations[property] = value;
+  }
+  return declarations;
+}
+
+/**
+ * Check whether a selector's last compound selector could match an element
+ * @param {string} selector - CSS selector
+ * @param {Object} element - Parsed element
+ * @returns {boolean} True if the element matches
+ */
+function selectorMatches(selector, element) {
+  const compound = selector.split(/[\s>+~]+/).pop().replace(/::?[\w-]+(\([^)]*\))?/g, '');
+  const parts = compound.match(/\*|[#.]?[\w-]+/g);
+  if (!parts) return false;
+
+  const classes = (element.attributes.class || '').split(/\s+/);
+  return parts.every(part => {
+    if (part === '*') return true;
+    if (part.startsWith('#')) return element.attributes.id === part.slice(1);
+    if (part.startsWith('.')) return classes.includes(part.slice(1));
+    return element.tagName === part.toLowerCase();
+  });
+}
+
+/**
+ * Collect the declarations that apply to an element, inline style last
+ * @param {Object} element - Parsed element
+ * @param {Array<Object>} rules - Parsed CSS rules
+ * @returns {Object} Property names to values
+ */
+function computedDeclarations(element, rules) {
+  const declarations = {};
+  for (const rule of rules) {
+    if (rule.selectors.some(selector => selectorMatches(selector, element))) {
+      Object.assign(declarations, rule.declarations);
+    }
+  }
+  return Object.assign(declarations, parseDeclarations(element.attributes.style || ''));
+}
+
+/**
+ * Convert a CSS length to pixels
+ * @param {string} value - CSS length
+ * @returns {number|null} Pixels, or null if the length can't be worked out statically
+ */
+function toPixels(value) {
+  const match = /^(-?\d*\.?\d+)(px|rem|em)?$/i.exec((value || '').trim());
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  if (!match[2]) return amount === 0 ? 0 : null;
+  return match[2].toLowerCase() === 'px' ? amount : amount * 16;
+}
+
+/**
+ * Get the top padding or margin from declarations
+ * @param {Object} declarations - Property names to values
+ * @returns {number} Largest top offset in pixels
+ */
+function topOffset(declarations) {
+  const shorthand = property => declarations[property]?.split(/\s+/)[0];
+  return Math.max(
+    0,
+    ...[
+      declarations['padding-top'],
+      shorthand('padding'),
+      declarations['margin-top'],
+      shorthand('margin')
+    ].map(toPixels).filter(value => value !== null)
+  );
+}
+
+/**
+ * Check the draggable title bar region and the padding that clears it
+ * @param {Object} document - Parsed document
+ * @param {Array<Object>} rules - Parsed CSS rules
+ * @returns {Array<Object>} Issues
+ */
+function checkDragRegion(document, rules) {
+  const issues = [];
+  const body = document.elements.find(element => element.tagName === 'body');
+  if (!body) return issues;
+
+  const content = body.children.filter(element => !['script', 'style', 'noscript', 'template'].includes(element.tagName));
+  const dragRegion = content[0];
+  const dragStyle = dragRegion ? computedDeclarations(dragRegion, rules) : {};
+
+  if (!dragRegion || dragStyle['-webkit-app-region'] !== 'drag') {
+    issues.push({
+      rule: 'drag-region',
+      message: 'The first element in <body> must be the fixed draggable region with -webkit-app-region: drag',
+      line: dragRegion?.line
+    });
+  } else {
+    const height = toPixels(dragStyle.height);
+    if (height !== null && height < DRAG_REGION_HEIGHT) {
+      issues.push({
+        rule: 'drag-region',
+        message: `The draggable region is ${height}px tall; it must be at least ${DRAG_REGION_HEIGHT}px`,
+        line: dragRegion.line
+      });
+    }
+  }
+
+  // The padding can sit on <body> or on the container after the drag region
+  const padded = [body, content[dragRegion && dragStyle['-webkit-app-region'] === 'drag' ? 1 : 0]]
+    .filter(Boolean)
+    .some(element => topOffset(computedDeclarations(element, rules)) >= DRAG_REGION_HEIGHT);
+
+  if (!padded) {
+    issues.push({
+      rule: 'top-padding',
+      message: `<body> needs at least ${DRAG_REGION_HEIGHT}px of top padding so content clears the draggable region`,
+      line: body.line
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Find references that would load something over the network
+ * @param {Object} document - Parsed document
+ * @returns {Array<Object>} Issues
+ */
+function checkExternalReferences(document) {
+  const issues = [];
+  const seen = new Set();
+  const report = (url, where, line) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+    issues.push({ rule: 'external-reference', message: `External reference to ${url} (${where}); apps must not load anything from the network`, line });
+  };
+
+  for (const element of document.elements) {
+    for (const attribute of RESOURCE_ATTRIBUTES) {
+      const value = element.attributes[attribute];
+      if (value === undefined) continue;
+      // Plain links navigate rather than load resources
+      if (attribute === 'href' && ['a', 'area'].includes(element.tagName)) continue;
+
+      const urls = attribute === 'srcset'
+        ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [value.trim()];
+
+      for (const url of urls) {
+        if (EXTERNAL_URL_PATTERN.test(url)) {
+          report(url, `<${element.tagName} ${attribute}>`, element.line);
+        }
+      }
+    }
+
+    for (const match of (element.attributes.style || '').matchAll(CSS_URL_PATTERN)) {
+      report(match[1], `style on <${element.tagName}>`, element.line);
+    }
+  }
+
+  for (const css of document.styles) {
+    for (const match of css.matchAll(CSS_URL_PATTERN)) {
+      report(match[1], '<style>');
+    }
+  }
+
+  for (const script of document.scripts) {
+    for (const pattern of SCRIPT_REQUEST_PATTERNS) {
+      for (const match of script.content.matchAll(pattern)) {
+        report(match[1], 'inline script', script.line + lineAt(script.content, match.index) - 1);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Get the inline scripts the page would run
+ * @param {Object} document - Parsed document
+ * @returns {Array<Object>} Scripts without a src, of a JavaScript type
+ */
+function inlineScripts(document) {
+  return document.scripts.filter(script =>
+    script.attributes.src === undefined &&
+    JAVASCRIPT_TYPES.has((script.attributes.type || '').trim().toLowerCase())
+  );
+}
+
+/**
+ * Compile inline scripts to catch syntax errors
+ * Module scripts are left to the runtime check since they can't compile as classic scripts.
+ * @param {Object} document - Parsed document
+ * @returns {Array<Object>} Issues
+ */
+function checkScriptSyntax(document) {
+  const issues = [];
+
+  for (const script of inlineScripts(document)) {
+    if ((script.attributes.type || '').trim().toLowerCase() === 'module') continue;
+
+    try {
+      // The script starts on the line of its opening tag
+      new vm.Script(script.content, { filename: 'inline-script', lineOffset: script.line - 1 });
+    } catch (error) {
+      const line = Number(/inline-script:(\d+)/.exec(error.stack)?.[1]) || script.line;
+      issues.push({ rule: 'script-syntax', message: `${error.name}: ${error.message}`, line });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a generated app
+ * @param {string} html - Generated HTML document
+ * @param {Object} options - Options
+ * @param {Function} options.runScripts - async (html) => [{ message, line }]; runs the page headlessly
+ *   and reports uncaught errors. The runtime check is skipped without it.
+ * @returns {Promise<Object>} { valid, issues: [{ rule, message, line }] }
+ */
+export async function validateGeneratedApp(html, options = {}) {
+  const document = parseHtml(html);
+  const rules = document.styles.flatMap(parseCssRules);
+  const issues = [];
+
+  if (!document.doctype) {
+    issues.push({ rule: 'document', message: 'The document must start with <!DOCTYPE html>' });
+  }
+  if (!document.closed) {
+    issues.push({ rule: 'document', message: 'The document must end with a closing </html> tag' });
+  }
+  if (!document.elements.some(element => element.tagName === 'body')) {
+    issues.push({ rule: 'document', message: 'The document has no <body>' });
+  }
+
+  issues.push(...checkDragRegion(document, rules));
+  issues.push(...checkExternalReferences(document));
+
+  const syntaxIssues = checkScriptSyntax(document);
+  issues.push(...syntaxIssues);
+
+  // Running scripts that don't parse would only repeat the syntax errors
+  if (options.runScripts && syntaxIssues.length === 0 && inlineScripts(document).length > 0) {
+    const errors = await options.runScripts(html);
+    for (const error of errors) {
+      issues.push({ rule: 'script-runtime', message: error.message, line: error.line });
+    }
+  }
+
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Validate a generated multi-file app
+ * The files are combined into one page for the HTML checks; line numbers are dropped
+ * since they would point into the combined page rather than a file.
+ * @param {string} text - Generated file set
+ * @param {Object} options - Same options as validateGeneratedApp
+ * @returns {Promise<Object>} { valid, issues: [{ rule, message }] }
+ */
+export async function validateAppFiles(text, options = {}) {
+  const { files, complete, errors } = parseAppFiles(text);
+  const issues = errors.map(message => ({ rule: 'files', message }));
+
+  if (!complete) {
+    issues.push({ rule: 'files', message: `The response must end with the "${END_MARKER}" line` });
+  }
+
+  if (files.some(file => file.path === ENTRY_FILE)) {
+    const page = await validateGeneratedApp(inlineAppFiles(files), options);
+    issues.push(...page.issues.map(({ rule, message }) => ({ rule, message })));
+  }
+
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Describe validation issues for a repair request
+ * @param {Array<Object>} issues - Issues from validateGeneratedApp
+ * @returns {string} One issue per line
+ */
+export function formatIssues(issues) {
+  return issues
+    .map(issue => `- [${issue.rule}] ${issue.message}${issue.line ? ` (line ${issue.line})` : ''}`)
+    .join('\n');
+}
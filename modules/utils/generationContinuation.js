@@ -0,0 +1,75 @@
+/**
+ * Generation continuation utilities
+ * Streams a generated document and keeps asking for more when the response is cut off
+ */
+
+// Continuation requests allowed after the first response
+export const DEFAULT_MAX_CONTINUATIONS = 5;
+
+/**
+ * Check whether generated HTML reaches the end of the document
+ * @param {string} html - Generated HTML
+ * @returns {boolean} True if the document ends with a closing </html> tag
+ */
+export function isDocumentComplete(html) {
+  return /<\/html>\s*$/i.test(html);
+}
+
+/**
+ * Stream a document, continuing it until it is complete
+ * Each continuation prefills the document so far, so the model picks up where it stopped.
+ * @param {Function} generate - (draft) => Promise<Stream>; draft is null for a fresh start
+ * @param {Object} options - Options
+ * @param {string} options.draft - Partial document to continue from, if any
+ * @param {Function} options.onText - Called with each text delta
+ * @param {Function} options.onContinue - Called with { round, stopReason } before each continuation request
+ * @param {number} options.maxContinuations - Continuation requests allowed
+ * @param {Function} options.isComplete - (content) => boolean; defaults to isDocumentComplete
+ * @returns {Promise<Object>} { content, continuations, complete, stopReason }
+ */
+export async function streamWithContinuation(generate, options = {}) {
+  const {
+    draft = null,
+    onText = () => {},
+    onContinue = () => {},
+    maxContinuations = DEFAULT_MAX_CONTINUATIONS,
+    isComplete = isDocumentComplete
+  } = options;
+
+  // The API rejects a prefill that ends in whitespace
+  let content = draft ? draft.trimEnd() : '';
+  let continuations = 0;
+  let stream = await generate(content || null);
+
+  while (true) {
+    let received = '';
+    let stopReason = null;
+
+    for await (const streamEvent of stream) {
+      if (streamEvent.type === 'content_block_delta' && streamEvent.delta.type === 'text_delta') {
+        const text = streamEvent.delta.text || '';
+        received += text;
+        onText(text);
+      } else if (streamEvent.type === 'message_delta' && streamEvent.delta?.stop_reason) {
+        stopReason = streamEvent.delta.stop_reason;
+      }
+    }
+
+    content += received;
+
+    const truncated = stopReason === 'max_tokens' || !isComplete(content);
+    if (!truncated) {
+      return { content, continuations, complete: true, stopReason };
+    }
+
+    // Give up when out of rounds, or when the model has nothing more to add
+    if (continuations >= maxContinuations || received.trim() === '') {
+      return { content, continuations, complete: false, stopReason };
+    }
+
+    continuations++;
+    content = content.trimEnd();
+    onContinue({ round: continuations, stopReason });
+    stream = await generate(content);
+  }
+}
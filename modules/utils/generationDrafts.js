@@ -0,0 +1,123 @@
+/**
+ * Generation cancel and draft utilities
+ * Tracks in-flight generations so they can be canceled, and keeps the partial
+ * HTML of a canceled generation as a draft the next generation resumes from
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { GenerationStatus, IpcResponseStatus } from '../ipc/ipcTypes.js';
+
+// Partial HTML kept when a generation is canceled, next to index.html
+export const DRAFT_FILE = 'draft.html';
+
+/**
+ * In-flight generations by generation key, one at a time per key
+ */
+export class GenerationTracker {
+  constructor() {
+    // generation key -> { controller: AbortController, keepDraft }
+    this.generations = new Map();
+  }
+
+  /**
+   * Start tracking a generation
+   * @param {string} key - Generation key
+   * @returns {Object|null} Generation { controller, keepDraft }, or null if one is already running for the key
+   */
+  start(key) {
+    if (this.generations.has(key)) {
+      return null;
+    }
+
+    const generation = { controller: new AbortController(), keepDraft: false };
+    this.generations.set(key, generation);
+    return generation;
+  }
+
+  /**
+   * Cancel a running generation
+   * @param {string} key - Generation key
+   * @param {Object} options - { keepDraft } saves the partial HTML to resume later
+   * @returns {boolean} Whether a generation was running
+   */
+  cancel(key, { keepDraft = false } = {}) {
+    const generation = this.generations.get(key);
+    if (!generation) {
+      return false;
+    }
+
+    generation.keepDraft = keepDraft;
+    generation.controller.abort();
+    return true;
+  }
+
+  /**
+   * Stop tracking a generation that finished, failed or was canceled
+   * @param {string} key - Generation key
+   */
+  finish(key) {
+    this.generations.delete(key);
+  }
+}
+
+/**
+ * Report a canceled generation and keep its partial HTML if asked to
+ * @param {Object} event - IPC event
+ * @param {Object} generation - Generation entry { controller, keepDraft }
+ * @param {string} folderPath - App folder, if one was created
+ * @param {string} htmlContent - HTML received before the cancel
+ * @returns {Promise<Object>} - Result object with canceled flag
+ */
+export async function finishCanceledGeneration(event, generation, folderPath, htmlContent) {
+  let draftSaved = false;
+
+  if (generation.keepDraft && folderPath && htmlContent.trim()) {
+    try {
+      await fs.writeFile(path.join(folderPath, DRAFT_FILE), htmlContent);
+      draftSaved = true;
+    } catch (error) {
+      console.error('Error saving generation draft:', error);
+    }
+  }
+
+  if (!event.sender.isDestroyed()) {
+    event.sender.send('generation-status', {
+      status: GenerationStatus.CANCELED,
+      message: draftSaved ? 'Generation canceled. The partial app was kept as a draft.' : 'Generation canceled.',
+      draftSaved
+    });
+  }
+
+  return {
+    success: false,
+    status: IpcResponseStatus.CANCELED,
+    canceled: true,
+    draftSaved
+  };
+}
+
+/**
+ * Read the draft a canceled generation left in an app folder
+ * @param {string} folderPath - App folder
+ * @returns {Promise<string|null>} - Partial HTML, or null without a draft
+ */
+export async function readGenerationDraft(folderPath) {
+  try {
+    return await fs.readFile(path.join(folderPath, DRAFT_FILE), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove the draft once the app it belongs to has been saved
+ * @param {string} folderPath - App folder
+ * @returns {Promise<void>}
+ */
+export async function removeGenerationDraft(folderPath) {
+  await fs.rm(path.join(folderPath, DRAFT_FILE), { force: true });
+}
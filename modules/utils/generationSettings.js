@@ -0,0 +1,137 @@
+/**
+ * Generation settings utilities
+ * Known Claude models and validation of the model, token and sampling settings used to generate apps
+ */
+
+/**
+ * Models that can generate apps
+ * maxOutputTokens is the most a model can return in one response.
+ */
+export const KNOWN_MODELS = [
+  { id: 'claude-sonnet-4-20250514', name: 'Claude Sonnet 4', maxOutputTokens: 64000, supportsThinking: true },
+  { id: 'claude-opus-4-20250514', name: 'Claude Opus 4', maxOutputTokens: 32000, supportsThinking: true },
+  { id: 'claude-3-7-sonnet-20250219', name: 'Claude Sonnet 3.7', maxOutputTokens: 64000, supportsThinking: true },
+  { id: 'claude-3-5-sonnet-20241022', name: 'Claude Sonnet 3.5', maxOutputTokens: 8192, supportsThinking: false },
+  { id: 'claude-3-5-haiku-20241022', name: 'Claude Haiku 3.5', maxOutputTokens: 8192, supportsThinking: false }
+];
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  model: 'claude-sonnet-4-20250514',
+  maxTokens: 16000,
+  temperature: 1,
+  thinkingBudget: 0 // 0 turns extended thinking off
+};
+
+// Smallest thinking budget the API accepts
+export const MIN_THINKING_BUDGET = 1024;
+
+const SETTING_KEYS = Object.keys(DEFAULT_GENERATION_SETTINGS);
+
+/**
+ * Look up a known model
+ * @param {string} modelId - Model id
+ * @returns {Object|null} Model info, or null if the model is unknown
+ */
+export function getModel(modelId) {
+  return KNOWN_MODELS.find(model => model.id === modelId) || null;
+}
+
+/**
+ * Check generation settings
+ * @param {Object} settings - { model, maxTokens, temperature, thinkingBudget }
+ * @returns {Array<string>} Problems found; empty when the settings are valid
+ */
+export function validateGenerationSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object') {
+    return ['Generation settings must be an object'];
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      errors.push(`Unknown generation setting "${key}"`);
+    }
+  }
+
+  const model = getModel(settings.model);
+  if (!model) {
+    errors.push(`Unknown model "${settings.model}"`);
+  }
+
+  const { maxTokens, temperature, thinkingBudget } = settings;
+
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    errors.push('"maxTokens" must be a positive whole number');
+  } else if (model && maxTokens > model.maxOutputTokens) {
+    errors.push(`"maxTokens" can be at most ${model.maxOutputTokens} for ${model.name}`);
+  }
+
+  if (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= 1)) {
+    errors.push('"temperature" must be a number from 0 to 1');
+  }
+
+  if (!Number.isInteger(thinkingBudget) || thinkingBudget < 0) {
+    errors.push('"thinkingBudget" must be 0 or a positive whole number');
+  } else if (thinkingBudget > 0) {
+    if (model && !model.supportsThinking) {
+      errors.push(`${model.name} does not support extended thinking`);
+    }
+    if (thinkingBudget < MIN_THINKING_BUDGET) {
+      errors.push(`"thinkingBudget" must be at least ${MIN_THINKING_BUDGET}`);
+    }
+    if (Number.isInteger(maxTokens) && thinkingBudget >= maxTokens) {
+      errors.push('"thinkingBudget" must be less than "maxTokens"');
+    }
+    if (temperature !== 1) {
+      errors.push('"temperature" must be 1 when extended thinking is on');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge settings over the defaults and check the result
+ * Later layers win, so pass stored defaults before per-app choices.
+ * @param {...Object} layers - Partial settings; null and undefined values are skipped
+ * @returns {Object} Complete, valid settings
+ * @throws {Error} If the merged settings are invalid
+ */
+export function resolveGenerationSettings(...layers) {
+  const settings = { ...DEFAULT_GENERATION_SETTINGS };
+
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined && value !== null) {
+        settings[key] = value;
+      }
+    }
+  }
+
+  const errors = validateGenerationSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(`Invalid generation settings: ${errors.join('; ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Turn settings into Messages API request parameters
+ * @param {Object} settings - Resolved settings
+ * @returns {Object} { model, max_tokens, temperature, thinking? }
+ */
+export function toMessageParams(settings) {
+  const params = {
+    model: settings.model,
+    max_tokens: settings.maxTokens,
+    temperature: settings.temperature
+  };
+
+  if (settings.thinkingBudget > 0) {
+    params.thinking = { type: 'enabled', budget_tokens: settings.thinkingBudget };
+  }
+
+  return params;
+}
@@ -0,0 +1,98 @@
+/**
+ * Script sandbox
+ * Loads a generated app in a hidden, offline window and reports uncaught script errors
+ */
+
+import { BrowserWindow, session } from 'electron';
+import { pathToFileURL } from 'url';
+import * as fileOperations from './fileOperations.js';
+
+// One in-memory session for all runs, so nothing is shared with real app windows
+const SANDBOX_PARTITION = 'app-validator';
+
+// Pages of the runs in progress, the only file URLs the sandbox may load
+const sandboxPages = new Set();
+
+let sandboxSession = null;
+
+/**
+ * Get the sandbox session, blocking network requests the first time it is used
+ * @returns {Electron.Session} Sandbox session
+ */
+function getSandboxSession() {
+  if (!sandboxSession) {
+    sandboxSession = session.fromPartition(SANDBOX_PARTITION);
+    sandboxSession.webRequest.onBeforeRequest((details, callback) => {
+      callback({ cancel: !(sandboxPages.has(details.url) || /^(data|blob|about):/.test(details.url)) });
+    });
+  }
+  return sandboxSession;
+}
+
+/**
+ * Run a page's scripts headlessly
+ * Network requests are blocked; errors thrown while the page loads and settles are collected.
+ * @param {string} html - HTML document
+ * @param {Object} options - { timeout: ms allowed to load, settleTime: ms to wait after load for startup code }
+ * @returns {Promise<Array<Object>>} Uncaught errors [{ message, line }]
+ */
+export async function runInSandbox(html, options = {}) {
+  const { timeout = 5000, settleTime = 500 } = options;
+
+  const tempResult = await fileOperations.createTempFile(html);
+  if (!tempResult.success) {
+    throw new Error(tempResult.error);
+  }
+
+  const pageUrl = pathToFileURL(tempResult.filePath).href;
+  sandboxPages.add(pageUrl);
+
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      session: getSandboxSession(),
+      sandbox: true,
+      contextIsolation: true,
+      nodeIntegration: false,
+      backgroundThrottling: false
+    }
+  });
+
+  const errors = [];
+  win.webContents.on('console-message', (event, level, message, line) => {
+    // Level 3 is error; only uncaught exceptions and rejections, not the app's own logging
+    if (level === 3 && message.startsWith('Uncaught')) {
+      errors.push({ message, line });
+    }
+  });
+  win.webContents.on('render-process-gone', (event, details) => {
+    errors.push({ message: `The page crashed while loading (${details.reason})` });
+  });
+
+  let timer;
+  try {
+    await Promise.race([
+      win.loadURL(pageUrl).then(() => new Promise(resolve => setTimeout(resolve, settleTime))),
+      new Promise(resolve => {
+        timer = setTimeout(() => {
+          errors.push({ message: `The page did not finish loading within ${timeout}ms; check for blocking or endless loops` });
+          resolve();
+        }, timeout);
+      })
+    ]);
+  } catch (error) {
+    errors.push({ message: `The page failed to load: ${error.message}` });
+  } finally {
+    clearTimeout(timer);
+    win.destroy();
+    sandboxPages.delete(pageUrl);
+    await fileOperations.deleteFile(tempResult.filePath);
+
+    // Don't let one app's storage carry over into the next run
+    if (sandboxPages.size === 0) {
+      await sandboxSession.clearStorageData().catch(error => console.error('Error clearing sandbox storage:', error));
+    }
+  }
+
+  return errors;
+}
@@ -141,6 +141,15 @@ const basicAPI = {
     }
   },
 
+  cancelMiniAppGeneration: async (params) => {
+    try {
+      return await ipcRenderer.invoke('cancel-mini-app-generation', params);
+    } catch (error) {
+      console.error('Error canceling mini app generation:', error);
+      throw error;
+    }
+  },
+
   // Event listeners
   onAppUpdated: (callback) => {
     ipcRenderer.on('app-updated', () => callback());
@@ -199,6 +208,24 @@ const basicAPI = {
     }
   },
 
+  getGenerationSettings: async () => {
+    try {
+      return await ipcRenderer.invoke('get-generation-settings');
+    } catch (error) {
+      console.error('Error getting generation settings:', error);
+      throw error;
+    }
+  },
+
+  saveGenerationSettings: async (settings) => {
+    try {
+      return await ipcRenderer.invoke('save-generation-settings', settings);
+    } catch (error) {
+      console.error('Error saving generation settings:', error);
+      throw error;
+    }
+  },
+
   // Additional methods needed by app creation
   generateTitleAndDescription: async (params) => {
     try {
@@ -245,6 +272,184 @@ const basicAPI = {
     }
   },
 
+  checkCredentialExpiry: async () => {
+    try {
+      return await ipcRenderer.invoke('check-credential-expiry');
+    } catch (error) {
+      console.error('Error checking credential expiry:', error);
+      throw error;
+    }
+  },
+
+  rotateCredential: async (params) => {
+    try {
+      return await ipcRenderer.invoke('rotate-credential', params);
+    } catch (error) {
+      console.error('Error rotating credential:', error);
+      throw error;
+    }
+  },
+
+  listOAuthProviders: async () => {
+    try {
+      return await ipcRenderer.invoke('list-oauth-providers');
+    } catch (error) {
+      console.error('Error listing OAuth providers:', error);
+      throw error;
+    }
+  },
+
+  authorizeOAuthCredential: async (params) => {
+    try {
+      return await ipcRenderer.invoke('authorize-oauth-credential', params);
+    } catch (error) {
+      console.error('Error signing in with OAuth:', error);
+      throw error;
+    }
+  },
+
+  cancelOAuthAuthorization: async (params) => {
+    try {
+      return await ipcRenderer.invoke('cancel-oauth-authorization', params);
+    } catch (error) {
+      console.error('Error cancelling OAuth sign-in:', error);
+      throw error;
+    }
+  },
+
+  exportCredentials: async (params) => {
+    try {
+      return await ipcRenderer.invoke('export-credentials', params);
+    } catch (error) {
+      console.error('Error exporting credentials:', error);
+      throw error;
+    }
+  },
+
+  previewCredentialImport: async (params) => {
+    try {
+      return await ipcRenderer.invoke('preview-credential-import', params);
+    } catch (error) {
+      console.error('Error previewing credential import:', error);
+      throw error;
+    }
+  },
+
+  importCredentials: async (params) => {
+    try {
+      return await ipcRenderer.invoke('import-credentials', params);
+    } catch (error) {
+      console.error('Error importing credentials:', error);
+      throw error;
+    }
+  },
+
+  listCredentialGrants: async () => {
+    try {
+      return await ipcRenderer.invoke('list-credential-grants');
+    } catch (error) {
+      console.error('Error listing credential grants:', error);
+      throw error;
+    }
+  },
+
+  revokeCredentialGrant: async (params) => {
+    try {
+      return await ipcRenderer.invoke('revoke-credential-grant', params);
+    } catch (error) {
+      console.error('Error revoking credential grant:', error);
+      throw error;
+    }
+  },
+
+  queryAuditLog: async (filter = {}) => {
+    try {
+      return await ipcRenderer.invoke('query-audit-log', filter);
+    } catch (error) {
+      console.error('Error querying audit log:', error);
+      throw error;
+    }
+  },
+
+  verifyAuditLog: async () => {
+    try {
+      return await ipcRenderer.invoke('verify-audit-log');
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      throw error;
+    }
+  },
+
+  getSecurityStatus: async () => {
+    try {
+      return await ipcRenderer.invoke('get-security-status');
+    } catch (error) {
+      console.error('Error getting security status:', error);
+      throw error;
+    }
+  },
+
+  unlockCredentials: async (password) => {
+    try {
+      return await ipcRenderer.invoke('unlock-credentials', password);
+    } catch (error) {
+      console.error('Error unlocking credentials:', error);
+      throw error;
+    }
+  },
+
+  lockCredentials: async () => {
+    try {
+      return await ipcRenderer.invoke('lock-credentials');
+    } catch (error) {
+      console.error('Error locking credentials:', error);
+      throw error;
+    }
+  },
+
+  setMasterPassword: async (params) => {
+    try {
+      return await ipcRenderer.invoke('set-master-password', params);
+    } catch (error) {
+      console.error('Error setting master password:', error);
+      throw error;
+    }
+  },
+
+  disableMasterPassword: async (password) => {
+    try {
+      return await ipcRenderer.invoke('disable-master-password', password);
+    } catch (error) {
+      console.error('Error disabling master password:', error);
+      throw error;
+    }
+  },
+
+  listProviderDefinitions: async () => {
+    try {
+      return await ipcRenderer.invoke('list-provider-definitions');
+    } catch (error) {
+      console.error('Error listing provider definitions:', error);
+      throw error;
+    }
+  },
+
+  onCredentialExpiry: (callback) => {
+    ipcRenderer.on('credential-expiry', (_event, status) => callback(status));
+  },
+
+  onCredentialsLockChanged: (callback) => {
+    ipcRenderer.on('credentials-lock-changed', (_event, status) => callback(status));
+  },
+
+  onProviderDefinitionsChanged: (callback) => {
+    ipcRenderer.on('provider-definitions-changed', (_event, result) => callback(result));
+  },
+
+  onOAuthUserCode: (callback) => {
+    ipcRenderer.on('oauth-user-code', (_event, prompt) => callback(prompt));
+  },
+
   // Distribution management
   getInstalledApps: async (filter = {}) => {
     try {
@@ -279,7 +484,8 @@ basicAPI.cleanupAllListeners = () => {
   // Basic cleanup - remove all listeners
   const channels = [
     'app-updated', 'refresh-app-list', 'generation-status', 'generation-chunk', 
-    'title-description-chunk', 'logo-generation-progress'
+    'title-description-chunk', 'logo-generation-progress', 'credential-expiry',
+    'credentials-lock-changed', 'provider-definitions-changed', 'oauth-user-code'
   ];
   channels.forEach(channel => {
     ipcRenderer.removeAllListeners(channel);
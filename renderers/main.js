@@ -1,5 +1,6 @@
 // Import components
 import '../src/app-manager/components/app-list.js';
+import '../src/app-manager/components/credential-expiry-banner.js';
 import { importCommandPalette } from '../src/app-importer/ui/ImportCommandPalette.js';
 import { hasActiveMiniApp, getActiveMiniApp } from '../modules/utils/activeAppState.js';
 
@@ -10,6 +11,7 @@ const apiSettingsButton = document.getElementById('api-settings-button');
 const refreshAppsButton = document.getElementById('refresh-apps-button');
 const openAppDirectoryButton = document.getElementById('open-app-directory-button');
 const appList = document.getElementById('app-list');
+const credentialExpiryBanner = document.getElementById('credential-expiry-banner');
 
 // New menu elements
 const menuCreateApp = document.getElementById('menu-create-app');
@@ -350,6 +352,25 @@ window.electronAPI.onRefreshAppList(() => {
   loadMiniApps();
 });
 
+// Show expiring credentials; the main process re-sends them whenever this window loads
+window.electronAPI.onCredentialExpiry((status) => {
+  credentialExpiryBanner?.applyReminder(status);
+});
+
+// Rotate a credential from the expiry banner
+if (credentialExpiryBanner) {
+  HTMLElement.prototype.addEventListener.call(credentialExpiryBanner, 'credential-rotate', async (event) => {
+    const { name, value } = event.detail;
+
+    try {
+      const result = await window.electronAPI.rotateCredential({ name, value });
+      credentialExpiryBanner.showRotationResult(name, result);
+    } catch (error) {
+      credentialExpiryBanner.showRotationResult(name, { success: false, error: error.message });
+    }
+  });
+}
+
 // Command Palette Setup - Now using the self-contained import command palette
 function setupCommandPalette() {
   // The import command palette is automatically initialized with default import commands
@@ -116,6 +116,8 @@ class AppCreationController extends HTMLElement {
       logoPath: null,
       folderPath: null,
       conversationId: null,
+      generationSettings: null,
+      format: 'single-file',
       selectedCredentials: {
         claude: null,
         openai: null
@@ -215,12 +217,14 @@ class AppCreationController extends HTMLElement {
     this.shadowRoot.querySelector('#step-three').addEventListener('step-three-next', async (e) => {
       this.appData.logoGenerated = e.detail.logoGenerated;
       this.appData.logoPath = e.detail.logoPath;
+      this.appData.generationSettings = e.detail.generationSettings;
+      this.appData.format = e.detail.format;
       await this.moveToStep(4);
     });
     
     // Step Four events - removed back button listener since there's no back button
     this.shadowRoot.querySelector('#step-four').addEventListener('generate-app', async (e) => {
-      await this.checkClaudeCredentialsAndGenerateApp();
+      await this.checkClaudeCredentialsAndGenerateApp({ resume: e.detail.resume });
     });
     
     this.shadowRoot.querySelector('#step-four').addEventListener('generation-complete', (e) => {
@@ -443,7 +447,7 @@ class AppCreationController extends HTMLElement {
     }
   }
   
-  async checkClaudeCredentialsAndGenerateApp() {
+  async checkClaudeCredentialsAndGenerateApp(options = {}) {
     const stepFour = this.shadowRoot.querySelector('#step-four');
     
     // Since Step 0 ensures credentials are selected and valid, just proceed with generation
@@ -456,22 +460,30 @@ class AppCreationController extends HTMLElement {
     stepFour.hideCredentialMissingUI();
     
     // Proceed with app generation
-    await this.generateApp();
+    await this.generateApp(options);
   }
   
   
-  async generateApp() {
+  async generateApp({ resume = false } = {}) {
     try {
       // Call the app generation API with pre-created folder info
       // The streaming will be handled by step four component
-      const result = await window.electronAPI.generateApp({
+      const result = await window.electronAPI.generateMiniApp({
         prompt: this.appData.userInput,
         appName: this.appData.title,
         folderPath: this.appData.folderPath,
         conversationId: this.appData.conversationId,
-        logoPath: this.appData.logoPath
+        logoPath: this.appData.logoPath,
+        generationSettings: this.appData.generationSettings,
+        format: this.appData.format,
+        resumeDraft: resume
       });
       
+      // Step four shows the canceled state and offers to resume
+      if (result.canceled) {
+        return;
+      }
+      
       if (!result.success) {
         throw new Error(result.error || 'Failed to generate app');
       }
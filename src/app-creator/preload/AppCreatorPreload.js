@@ -42,6 +42,15 @@ export class AppCreatorPreload {
         }
       },
 
+      cancelMiniAppGeneration: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('cancel-mini-app-generation', params);
+        } catch (error) {
+          console.error('Error canceling mini app generation:', error);
+          throw error;
+        }
+      },
+
       updateMiniApp: async (params) => {
         try {
           return await this.ipcRenderer.invoke('update-mini-app', params);
@@ -128,6 +137,24 @@ export class AppCreatorPreload {
           console.error('Error clearing default credentials:', error);
           throw error;
         }
+      },
+
+      getGenerationSettings: async () => {
+        try {
+          return await this.ipcRenderer.invoke('get-generation-settings');
+        } catch (error) {
+          console.error('Error getting generation settings:', error);
+          throw error;
+        }
+      },
+
+      saveGenerationSettings: async (settings) => {
+        try {
+          return await this.ipcRenderer.invoke('save-generation-settings', settings);
+        } catch (error) {
+          console.error('Error saving generation settings:', error);
+          throw error;
+        }
       }
     };
   }
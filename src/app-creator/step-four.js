@@ -124,6 +124,14 @@ class AppCreationStepFour extends HTMLElement {
           color: var(--error-color);
         }
         
+        .generation-status.canceled {
+          color: var(--text-secondary);
+        }
+        
+        .generation-header .cancel-button {
+          margin-left: auto;
+        }
+        
         .spinner {
           display: inline-block;
           width: 16px;
@@ -302,6 +310,7 @@ class AppCreationStepFour extends HTMLElement {
           <div class="generation-header">
             <div class="spinner hidden" id="spinner"></div>
             <div class="generation-status" id="generation-status">Starting generation...</div>
+            <button id="cancel-button" class="secondary cancel-button" style="display: none;">Cancel</button>
           </div>
           
           <div class="code-viewer" id="code-viewer">
@@ -325,13 +334,16 @@ class AppCreationStepFour extends HTMLElement {
         </div>
         
         <div class="button-container hidden">
+          <button id="resume-button" class="secondary" style="display: none;">Resume Draft</button>
           <button id="generate-button" style="display: none;">Retry</button>
         </div>
       </div>
     `;
     
     // Set up event listeners - only for generate button, no back button
-    this.shadowRoot.querySelector('#generate-button').addEventListener('click', this.handleGenerate.bind(this));
+    this.shadowRoot.querySelector('#generate-button').addEventListener('click', () => this.handleGenerate());
+    this.shadowRoot.querySelector('#resume-button').addEventListener('click', () => this.handleGenerate({ resume: true }));
+    this.shadowRoot.querySelector('#cancel-button').addEventListener('click', this.handleCancel.bind(this));
     this.shadowRoot.querySelector('#retry-generation-btn').addEventListener('click', this.handleRetryGeneration.bind(this));
     this.shadowRoot.querySelector('#setup-claude-btn').addEventListener('click', this.handleSetupCredentials.bind(this));
     
@@ -376,6 +388,14 @@ class AppCreationStepFour extends HTMLElement {
     return this.shadowRoot.querySelector('#generate-button');
   }
   
+  get resumeButton() {
+    return this.shadowRoot.querySelector('#resume-button');
+  }
+  
+  get cancelButton() {
+    return this.shadowRoot.querySelector('#cancel-button');
+  }
+  
   get generationStats() {
     return this.shadowRoot.querySelector('#generation-stats');
   }
@@ -396,7 +416,7 @@ class AppCreationStepFour extends HTMLElement {
   }
   
   // Event handlers
-  async handleGenerate() {
+  async handleGenerate({ resume = false } = {}) {
     if (this._isGenerating) return;
     
     this.startGeneration();
@@ -409,11 +429,32 @@ class AppCreationStepFour extends HTMLElement {
         title: this._appTitle,
         description: this._appDescription,
         logoGenerated: this._logoGenerated,
-        logoPath: this._logoPath
+        logoPath: this._logoPath,
+        resume
       }
     }));
   }
   
+  async handleCancel() {
+    this.cancelButton.disabled = true;
+    this.generationStatus.textContent = 'Canceling...';
+    
+    try {
+      // Keep what was generated so far; the user can resume it or start over
+      const result = await window.electronAPI.cancelMiniAppGeneration({
+        conversationId: this._appId,
+        keepDraft: true
+      });
+      
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to cancel generation');
+      }
+    } catch (error) {
+      console.error('Failed to cancel generation:', error);
+      this.cancelButton.disabled = false;
+    }
+  }
+  
   handleGenerationChunk(chunk) {
     if (chunk.done) {
       this.completeGeneration();
@@ -443,6 +484,8 @@ class AppCreationStepFour extends HTMLElement {
       this.completeGeneration();
     } else if (status.status === 'error') {
       this.setErrorState(status.message);
+    } else if (status.status === 'canceled') {
+      this.setCanceledState(status.message, status.draftSaved);
     }
   }
   
@@ -479,6 +522,7 @@ class AppCreationStepFour extends HTMLElement {
     this.setGeneratingState('Starting generation...');
     this.generateButton.disabled = true;
     this.generateButton.textContent = 'Generating...';
+    this.resumeButton.style.display = 'none';
     
     // Clear code viewer and show empty state
     this.codeViewer.innerHTML = '';
@@ -492,6 +536,8 @@ class AppCreationStepFour extends HTMLElement {
     this.generationStatus.textContent = message;
     this.generationStatus.className = 'generation-status generating';
     this.spinner.classList.remove('hidden');
+    this.cancelButton.style.display = 'block';
+    this.cancelButton.disabled = false;
   }
   
   completeGeneration() {
@@ -501,6 +547,7 @@ class AppCreationStepFour extends HTMLElement {
     this.generationStatus.textContent = 'Generation complete! Opening your app...';
     this.generationStatus.className = 'generation-status complete';
     this.spinner.classList.add('hidden');
+    this.cancelButton.style.display = 'none';
     
     // Stop stats timer
     this.stopStatsTimer();
@@ -526,6 +573,7 @@ class AppCreationStepFour extends HTMLElement {
     this.generationStatus.textContent = `Error: ${message}`;
     this.generationStatus.className = 'generation-status error';
     this.spinner.classList.add('hidden');
+    this.cancelButton.style.display = 'none';
     
     // Show retry button for errors
     this.shadowRoot.querySelector('.button-container').classList.remove('hidden');
@@ -540,6 +588,24 @@ class AppCreationStepFour extends HTMLElement {
     this.stopStatsTimer();
   }
   
+  setCanceledState(message, draftSaved = false) {
+    this._isGenerating = false;
+    
+    this.generationStatus.textContent = message;
+    this.generationStatus.className = 'generation-status canceled';
+    this.spinner.classList.add('hidden');
+    this.cancelButton.style.display = 'none';
+    
+    // Offer to pick up from the draft, or to generate from scratch
+    this.shadowRoot.querySelector('.button-container').classList.remove('hidden');
+    this.resumeButton.style.display = draftSaved ? 'block' : 'none';
+    this.generateButton.style.display = 'block';
+    this.generateButton.disabled = false;
+    this.generateButton.textContent = 'Start Over';
+    
+    this.stopStatsTimer();
+  }
+  
   updateCodeViewer() {
     // Simple syntax highlighting for HTML
     let highlightedCode = this._generatedCode
@@ -588,6 +654,8 @@ class AppCreationStepFour extends HTMLElement {
     this.generateButton.style.display = 'none';
     this.generateButton.disabled = false;
     this.generateButton.textContent = 'Start Generation';
+    this.resumeButton.style.display = 'none';
+    this.cancelButton.style.display = 'none';
     this.generateButton.className = '';
     this._autoStarted = false;
   }
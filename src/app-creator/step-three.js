@@ -220,6 +220,46 @@ class AppCreationStepThree extends HTMLElement {
           margin: 0 0 var(--spacing-sm) 0;
           color: var(--warning-text);
         }
+        
+        .generation-settings {
+          border: 1px solid var(--border-color);
+          border-radius: var(--border-radius);
+          padding: var(--spacing-sm) var(--spacing-md);
+          font-size: 14px;
+        }
+        
+        .generation-settings summary {
+          cursor: pointer;
+          color: var(--text-secondary);
+        }
+        
+        .settings-grid {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: var(--spacing-sm) var(--spacing-md);
+          margin-top: var(--spacing-md);
+        }
+        
+        .settings-grid label {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+          color: var(--text-secondary);
+        }
+        
+        .settings-grid select,
+        .settings-grid input {
+          padding: 6px 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 4px;
+          font-size: 14px;
+        }
+        
+        .settings-grid .remember {
+          flex-direction: row;
+          align-items: center;
+          grid-column: 1 / -1;
+        }
       </style>
       <div>
         <h2>Generate App Logo</h2>
@@ -249,6 +289,39 @@ class AppCreationStepThree extends HTMLElement {
           </div>
         </div>
         
+        <details class="generation-settings" id="generation-settings">
+          <summary>Generation settings</summary>
+          <div class="settings-grid">
+            <label>
+              Model
+              <select id="model-select"></select>
+            </label>
+            <label>
+              Output
+              <select id="format-select">
+                <option value="single-file">Single HTML file</option>
+                <option value="multi-file">Separate files (HTML, CSS, JS)</option>
+              </select>
+            </label>
+            <label>
+              Max output tokens
+              <input type="number" id="max-tokens-input" min="1" step="1000">
+            </label>
+            <label>
+              Temperature
+              <input type="number" id="temperature-input" min="0" max="1" step="0.1">
+            </label>
+            <label>
+              Thinking budget (0 = off)
+              <input type="number" id="thinking-budget-input" min="0" step="1024">
+            </label>
+            <label class="remember">
+              <input type="checkbox" id="remember-settings">
+              Use these settings for new apps
+            </label>
+          </div>
+        </details>
+        
         <div class="button-container">
           <button id="back-button" class="secondary">Back</button>
           <button id="skip-step-button" class="secondary" style="display: none;">Skip This Step</button>
@@ -262,6 +335,7 @@ class AppCreationStepThree extends HTMLElement {
     this.shadowRoot.querySelector('#back-button').addEventListener('click', this.handleBack.bind(this));
     this.shadowRoot.querySelector('#skip-step-button').addEventListener('click', this.handleSkipStep.bind(this));
     this.shadowRoot.querySelector('#next-button').addEventListener('click', this.handleNext.bind(this));
+    this.shadowRoot.querySelector('#model-select').addEventListener('change', this.updateModelLimits.bind(this));
     
     // Initialize state
     this._appTitle = '';
@@ -269,6 +343,7 @@ class AppCreationStepThree extends HTMLElement {
     this._logoGenerated = false;
     this._logoPath = null;
     this._appFolderPath = null;
+    this._models = [];
   }
   
   // Getters
@@ -296,6 +371,22 @@ class AppCreationStepThree extends HTMLElement {
     return this.shadowRoot.querySelector('#openai-warning');
   }
   
+  get modelSelect() {
+    return this.shadowRoot.querySelector('#model-select');
+  }
+  
+  get maxTokensInput() {
+    return this.shadowRoot.querySelector('#max-tokens-input');
+  }
+  
+  get temperatureInput() {
+    return this.shadowRoot.querySelector('#temperature-input');
+  }
+  
+  get thinkingBudgetInput() {
+    return this.shadowRoot.querySelector('#thinking-budget-input');
+  }
+  
   // Event handlers
   async handleGenerateLogo() {
     this.setLogoGenerating();
@@ -361,13 +452,28 @@ class AppCreationStepThree extends HTMLElement {
     // Hide the button container
     this.shadowRoot.querySelector('.button-container').classList.add('hidden');
     
+    const generationSettings = this.getGenerationSettings();
+    
+    if (this.shadowRoot.querySelector('#remember-settings').checked) {
+      try {
+        const result = await window.electronAPI.saveGenerationSettings(generationSettings);
+        if (!result.success) {
+          console.warn('Generation settings not saved:', result.error);
+        }
+      } catch (error) {
+        console.warn('Could not save generation settings:', error);
+      }
+    }
+    
     // Dispatch event to notify parent to move to step 4
     this.dispatchEvent(new CustomEvent('step-three-next', {
       bubbles: true,
       composed: true,
       detail: { 
         logoGenerated: this._logoGenerated,
-        logoPath: this._logoPath
+        logoPath: this._logoPath,
+        generationSettings,
+        format: this.shadowRoot.querySelector('#format-select').value
       }
     }));
   }
@@ -389,6 +495,58 @@ class AppCreationStepThree extends HTMLElement {
     this._appFolderPath = folderPath;
     this.appTitle.textContent = title;
     this.appDescription.textContent = description;
+    
+    // Load once so going back and forth keeps the user's choices
+    if (this._models.length === 0) {
+      this.loadGenerationSettings();
+    }
+  }
+  
+  async loadGenerationSettings() {
+    try {
+      const result = await window.electronAPI.getGenerationSettings();
+      if (!result.success) return;
+      
+      this._models = result.models;
+      this.modelSelect.replaceChildren(...result.models.map(model => new Option(model.name, model.id)));
+      
+      this.modelSelect.value = result.settings.model;
+      this.maxTokensInput.value = result.settings.maxTokens;
+      this.temperatureInput.value = result.settings.temperature;
+      this.thinkingBudgetInput.value = result.settings.thinkingBudget;
+      this.updateModelLimits();
+    } catch (error) {
+      console.warn('Could not load generation settings:', error);
+    }
+  }
+  
+  updateModelLimits() {
+    const model = this._models.find(entry => entry.id === this.modelSelect.value);
+    if (!model) return;
+    
+    this.maxTokensInput.max = model.maxOutputTokens;
+    if (Number(this.maxTokensInput.value) > model.maxOutputTokens) {
+      this.maxTokensInput.value = model.maxOutputTokens;
+    }
+    
+    this.thinkingBudgetInput.disabled = !model.supportsThinking;
+    if (!model.supportsThinking) {
+      this.thinkingBudgetInput.value = 0;
+    }
+  }
+  
+  getGenerationSettings() {
+    // Settings are checked in the main process before generation starts
+    if (this._models.length === 0) {
+      return null;
+    }
+    
+    return {
+      model: this.modelSelect.value,
+      maxTokens: Number(this.maxTokensInput.value),
+      temperature: Number(this.temperatureInput.value),
+      thinkingBudget: Number(this.thinkingBudgetInput.value)
+    };
   }
   
   async checkOpenAIAvailability() {
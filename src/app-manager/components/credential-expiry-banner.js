@@ -0,0 +1,282 @@
+import { BaseComponent } from '../shared/base-component.js';
+import { applyExpiryEvent, describeExpiry } from '../../credentials/expiryReminders.js';
+
+/**
+ * CredentialExpiryBanner component - Warns about expiring credentials in the main window
+ *
+ * Shows one row per expired or expiring credential. "Rotate" opens an inline
+ * form for the replacement value; submitting it emits 'credential-rotate'
+ * with { name, value } and the host reports back with showRotationResult().
+ *
+ * @extends BaseComponent
+ */
+export class CredentialExpiryBanner extends BaseComponent {
+  constructor() {
+    super();
+
+    /** @type {Map<string, Object>} */
+    this._reminders = new Map();
+
+    /** @type {string|null} Credential whose rotation form is open */
+    this._rotating = null;
+
+    /** @type {string} */
+    this._error = '';
+
+    /** @type {boolean} */
+    this._pending = false;
+  }
+
+  /**
+   * Initialize component - called once when component is first created
+   */
+  initialize() {
+    this._render();
+  }
+
+  /**
+   * Called when component is connected to DOM
+   */
+  onConnected() {
+    this.addEventListener(this.shadowRoot, 'click', (event) => this._handleClick(event));
+    this.addEventListener(this.shadowRoot, 'submit', (event) => this._handleSubmit(event));
+  }
+
+  /**
+   * Apply an expiry event from the main process
+   * @param {Object} event - Expiry event { type, name, state, expiresAt, daysRemaining }
+   */
+  applyReminder(event) {
+    this._reminders = applyExpiryEvent(this._reminders, event);
+
+    if (this._rotating && !this._reminders.has(this._rotating)) {
+      this._rotating = null;
+    }
+
+    this._render();
+  }
+
+  /**
+   * Report the outcome of a rotation started from this banner
+   * @param {string} name - Credential name
+   * @param {Object} result - IPC response { success, error }
+   */
+  showRotationResult(name, result) {
+    this._pending = false;
+
+    if (result.success) {
+      this.applyReminder({ type: 'rotated', name });
+      return;
+    }
+
+    if (this._rotating === name) {
+      this._error = result.error || 'The new value could not be saved';
+      this._render();
+      this.$('#rotation-value')?.focus();
+    }
+  }
+
+  /**
+   * Handle clicks on the banner's buttons
+   * @private
+   * @param {Event} event - Click event
+   */
+  _handleClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'rotate') {
+      this._rotating = button.dataset.name;
+      this._error = '';
+      this._render();
+      this.$('#rotation-value')?.focus();
+    } else if (button.dataset.action === 'cancel') {
+      this._rotating = null;
+      this._error = '';
+      this._render();
+    }
+  }
+
+  /**
+   * Handle submitting a replacement value
+   * @private
+   * @param {Event} event - Submit event
+   */
+  _handleSubmit(event) {
+    event.preventDefault();
+
+    const value = this.$('#rotation-value')?.value;
+    if (!value || !this._rotating || this._pending) return;
+
+    this._pending = true;
+    this._error = '';
+    this._render();
+    this.emit('credential-rotate', { name: this._rotating, value });
+  }
+
+  /**
+   * Render the banner, or nothing when no credential needs attention
+   * @private
+   */
+  _render() {
+    this.hidden = this._reminders.size === 0;
+    this.render(this._getTemplate(), this._getStyles());
+  }
+
+  /**
+   * Get component HTML template
+   * @private
+   * @returns {string} HTML template
+   */
+  _getTemplate() {
+    const rows = Array.from(this._reminders.values(), (reminder) => `
+      <li class="reminder ${reminder.state}">
+        <span class="reminder-text">
+          <strong>${escapeHtml(reminder.name)}</strong> ${describeExpiry(reminder)}
+        </span>
+        ${this._rotating === reminder.name ? this._getRotationForm(reminder) : `
+          <button type="button" data-action="rotate" data-name="${escapeHtml(reminder.name)}">Rotate</button>
+        `}
+      </li>
+    `).join('');
+
+    return `
+      <section class="banner" role="alert" aria-label="Expiring credentials">
+        <ul>${rows}</ul>
+      </section>
+    `;
+  }
+
+  /**
+   * Get the inline rotation form for a credential
+   * @private
+   * @param {Object} reminder - Reminder being rotated
+   * @returns {string} HTML template
+   */
+  _getRotationForm(reminder) {
+    return `
+      <form class="rotation-form">
+        <p>Paste the new value for ${escapeHtml(reminder.name)}. It is tested before it replaces the current one.</p>
+        <input type="password" id="rotation-value" placeholder="New value" autocomplete="off" ${this._pending ? 'disabled' : ''} />
+        <div class="rotation-error" role="status">${escapeHtml(this._error)}</div>
+        <div class="rotation-actions">
+          <button type="button" data-action="cancel" ${this._pending ? 'disabled' : ''}>Cancel</button>
+          <button type="submit" class="primary" ${this._pending ? 'disabled' : ''}>${this._pending ? 'Testing…' : 'Test and replace'}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  /**
+   * Get component styles
+   * @private
+   * @returns {string} CSS styles
+   */
+  _getStyles() {
+    return `
+      :host {
+        display: block;
+        margin-bottom: 20px;
+      }
+
+      :host([hidden]) {
+        display: none;
+      }
+
+      .banner {
+        border: 1px solid #f59e0b;
+        background: #fffbeb;
+        border-radius: 8px;
+        padding: 8px 16px;
+        font-size: 14px;
+        color: #78350f;
+      }
+
+      ul {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .reminder {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 8px 0;
+      }
+
+      .reminder + .reminder {
+        border-top: 1px solid #fde68a;
+      }
+
+      .reminder.expired {
+        color: #991b1b;
+      }
+
+      .rotation-form {
+        flex-basis: 100%;
+      }
+
+      .rotation-form p {
+        margin: 0 0 8px 0;
+      }
+
+      input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 8px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-family: monospace;
+      }
+
+      .rotation-error {
+        min-height: 18px;
+        margin-top: 4px;
+        font-size: 13px;
+        color: #b91c1c;
+      }
+
+      .rotation-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+      }
+
+      button {
+        padding: 6px 12px;
+        border-radius: 6px;
+        border: 1px solid #d1d5db;
+        background: white;
+        cursor: pointer;
+        font-size: 13px;
+      }
+
+      button.primary {
+        background: #3b82f6;
+        border-color: #3b82f6;
+        color: white;
+      }
+
+      button:disabled {
+        opacity: 0.6;
+        cursor: not-allowed;
+      }
+    `;
+  }
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+customElements.define('credential-expiry-banner', CredentialExpiryBanner);
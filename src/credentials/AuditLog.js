@@ -0,0 +1,456 @@
+/**
+ * Audit Log - Append-only, hash-chained persistence for security audit entries
+ * Each entry stores the HMAC of the one before it, so editing, removing or
+ * reordering entries breaks the chain and is caught by verify(). The HMAC key
+ * lives outside the log (SecurityManager keeps it in the OS keychain), so the
+ * chain can't be recomputed after an edit.
+ *
+ * The ends of the chain are kept in a signed anchor file next to the log:
+ * the hash the oldest retained entry must follow (moved forward when old
+ * files are pruned) and the hash of the newest entry. Deleting the oldest
+ * files or truncating the newest one no longer leaves a valid chain.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+export class AuditLog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      filePath: path.join(os.homedir(), '.lahat', 'security', 'audit.log'),
+      maxFileSize: 5 * 1024 * 1024, // 5MB
+      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+      maxFiles: 10, // Rotated files to keep
+      recentLimit: 10000, // Entries returned by load()
+      anchorPath: null, // defaults to <log name>.anchor.json next to the log
+      getKey: null, // async () => secret that keys the chain's HMAC; required
+      ...options
+    };
+
+    if (!this.options.anchorPath) {
+      const { dir, name } = path.parse(this.options.filePath);
+      this.options.anchorPath = path.join(dir, `${name}.anchor.json`);
+    }
+
+    this.key = null;
+    this.anchorError = null; // Set when the anchor is missing or altered; it is then left as found
+    this.chainStart = GENESIS_HASH; // prevHash of the oldest retained entry
+    this.lastHash = GENESIS_HASH;
+    this.currentSize = 0;
+    this.currentStartedAt = null;
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the chain state from disk
+   * Safe to call more than once; append() waits for it.
+   * @returns {Promise<Array<Object>>} Most recent entries, oldest first
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._loadState();
+
+      // Allow a later retry if loading failed
+      this.loadPromise.catch(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    return await this.loadPromise;
+  }
+
+  /**
+   * Append an entry to the log
+   * Appends are queued so the chain is always extended in order.
+   * @param {Object} entry - Audit entry
+   * @returns {Promise<Object>} Stored record including prevHash and hash
+   */
+  append(entry) {
+    const write = async () => {
+      await this.load();
+
+      const record = this._createRecord(entry, this.lastHash);
+      const line = JSON.stringify(record) + '\n';
+
+      await this._rotateIfNeeded(Buffer.byteLength(line), record.timestamp);
+      await fs.mkdir(path.dirname(this.options.filePath), { recursive: true });
+      await fs.appendFile(this.options.filePath, line, { mode: 0o600 });
+
+      this.lastHash = record.hash;
+      if (!this.anchorError) {
+        await this._writeAnchor();
+      }
+      this.currentSize += Buffer.byteLength(line);
+      this.currentStartedAt = this.currentStartedAt || record.timestamp;
+
+      return record;
+    };
+
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(error => {
+      this.emit('audit:error', { operation: 'append', error });
+    });
+
+    return result;
+  }
+
+  /**
+   * Wait for queued appends to reach the disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Query persisted entries, including rotated files
+   * @param {Object} filter - Filter options
+   * @param {string} filter.action - Only entries with this action
+   * @param {string} filter.appId - Only entries about this app
+   * @param {string|Date} filter.since - Only entries at or after this time
+   * @param {string|Date} filter.until - Only entries at or before this time
+   * @param {number} filter.limit - Only the most recent N matches
+   * @returns {Promise<Array<Object>>} Matching entries, oldest first
+   */
+  async query(filter = {}) {
+    await this.flush();
+
+    const since = filter.since ? new Date(filter.since) : null;
+    const until = filter.until ? new Date(filter.until) : null;
+    const matches = [];
+
+    for (const file of await this._getLogFiles()) {
+      for (const { record } of await this._readRecords(file)) {
+        if (!record) continue;
+        if (filter.action && record.action !== filter.action) continue;
+        if (filter.appId && record.appId !== filter.appId) continue;
+
+        const timestamp = new Date(record.timestamp);
+        if (since && timestamp < since) continue;
+        if (until && timestamp > until) continue;
+
+        matches.push(record);
+      }
+    }
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  /**
+   * Verify the hash chain across all retained log files
+   * The chain must start where the anchor says the oldest retained entry
+   * starts, and end at the anchor's head.
+   * @returns {Promise<Object>} Result { valid, entries, files, errors }
+   */
+  async verify() {
+    await this.load();
+    await this.flush();
+
+    const files = await this._getLogFiles();
+    const errors = [];
+    const anchorFile = path.basename(this.options.anchorPath);
+    let anchor = null;
+
+    try {
+      anchor = await this._readAnchor();
+    } catch (error) {
+      errors.push({ file: anchorFile, reason: error.message });
+    }
+
+    let previousHash = anchor ? anchor.start : null;
+    let last = null;
+    let entries = 0;
+
+    for (const file of files) {
+      for (const { line, record } of await this._readRecords(file)) {
+        const location = { file: path.basename(file), line };
+
+        if (!record || typeof record.hash !== 'string' || typeof record.prevHash !== 'string') {
+          errors.push({ ...location, reason: 'Malformed entry' });
+          previousHash = null;
+          continue;
+        }
+
+        entries++;
+
+        const { hash, ...contents } = record;
+        if (this._hash(contents) !== hash) {
+          errors.push({ ...location, reason: 'Entry contents do not match its hash' });
+        }
+
+        if (previousHash !== null && record.prevHash !== previousHash) {
+          errors.push({
+            ...location,
+            reason: entries === 1 ? 'Entries before this one are missing' : 'Entry does not follow the previous entry'
+          });
+        }
+
+        previousHash = hash;
+        last = { location, hash };
+      }
+    }
+
+    if (!anchor && entries > 0 && errors.every(error => error.file !== anchorFile)) {
+      errors.push({ file: anchorFile, reason: 'The log has no anchor' });
+    } else if (anchor && (last?.hash ?? GENESIS_HASH) !== anchor.head) {
+      errors.push(last
+        ? { ...last.location, reason: 'Entries after this one are missing' }
+        : { file: path.basename(this.options.filePath), reason: 'All entries are missing' });
+    }
+
+    const result = {
+      valid: errors.length === 0,
+      entries,
+      files: files.map(file => path.basename(file)),
+      errors,
+      verifiedAt: new Date().toISOString()
+    };
+
+    this.emit('audit:verified', result);
+    return result;
+  }
+
+  /**
+   * Read chain state and recent entries from disk
+   * @returns {Promise<Array<Object>>} Most recent entries
+   */
+  async _loadState() {
+    if (typeof this.options.getKey !== 'function') {
+      throw new Error('The audit log needs a getKey option to sign its entries');
+    }
+
+    this.key = await this.options.getKey();
+    if (!this.key) {
+      throw new Error('The audit log key is empty');
+    }
+
+    const files = await this._getLogFiles();
+    const recent = [];
+
+    // Walk back from the newest file until we have enough recent entries
+    for (let i = files.length - 1; i >= 0 && recent.length < this.options.recentLimit; i--) {
+      const records = (await this._readRecords(files[i]))
+        .map(({ record }) => record)
+        .filter(Boolean);
+
+      if (i === files.length - 1 && records.length > 0) {
+        this.lastHash = records[records.length - 1].hash || GENESIS_HASH;
+      }
+
+      recent.unshift(...records.slice(-(this.options.recentLimit - recent.length)));
+    }
+
+    // Continue from the anchor rather than the file, so entries removed from
+    // the end stay missing from the chain instead of being written over
+    let anchor = null;
+    try {
+      anchor = await this._readAnchor();
+      if (!anchor && recent.length > 0) {
+        throw new Error('The log has no anchor');
+      }
+    } catch (error) {
+      // Keep the evidence for verify() instead of signing a new anchor over it
+      this.anchorError = error.message;
+      this.emit('audit:error', { operation: 'load', error });
+    }
+
+    if (anchor) {
+      this.chainStart = anchor.start;
+      this.lastHash = anchor.head;
+    }
+
+    try {
+      const stats = await fs.stat(this.options.filePath);
+      const current = await this._readRecords(this.options.filePath);
+
+      this.currentSize = stats.size;
+      this.currentStartedAt = current.find(({ record }) => record)?.record.timestamp || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return recent;
+  }
+
+  /**
+   * Build the stored form of an entry
+   * @param {Object} entry - Audit entry
+   * @param {string} prevHash - Hash of the previous entry
+   * @returns {Object} Record with prevHash and hash
+   */
+  _createRecord(entry, prevHash) {
+    // Round-trip through JSON so the hash covers exactly what is written
+    const contents = JSON.parse(JSON.stringify({ ...entry, prevHash }, (key, value) =>
+      value instanceof Error ? value.message : value
+    ));
+
+    return { ...contents, hash: this._hash(contents) };
+  }
+
+  /**
+   * Hash a record's contents
+   * @param {Object} contents - Record without its hash
+   * @returns {string} HMAC-SHA256 hex digest
+   */
+  _hash(contents) {
+    return crypto.createHmac('sha256', this.key).update(JSON.stringify(contents)).digest('hex');
+  }
+
+  /**
+   * Read the signed ends of the chain
+   * @returns {Promise<Object|null>} Anchor { start, head }, or null if there is none yet
+   */
+  async _readAnchor() {
+    let anchor;
+    try {
+      anchor = JSON.parse(await fs.readFile(this.options.anchorPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error('The anchor is unreadable');
+    }
+
+    const { signature, ...contents } = anchor;
+    if (typeof contents.start !== 'string' || typeof contents.head !== 'string' || this._hash(contents) !== signature) {
+      throw new Error('The anchor does not match its signature');
+    }
+
+    return contents;
+  }
+
+  /**
+   * Record the current ends of the chain
+   * Written to a temporary file first so a crash never leaves half an anchor.
+   * @returns {Promise<void>}
+   */
+  async _writeAnchor() {
+    const contents = { start: this.chainStart, head: this.lastHash, updatedAt: new Date().toISOString() };
+    const tempPath = `${this.options.anchorPath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify({ ...contents, signature: this._hash(contents) }, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, this.options.anchorPath);
+  }
+
+  /**
+   * Start a new file when the current one is too large or too old
+   * @param {number} nextBytes - Size of the entry about to be written
+   * @param {string} timestamp - Timestamp of the entry about to be written
+   * @returns {Promise<void>}
+   */
+  async _rotateIfNeeded(nextBytes, timestamp) {
+    if (this.currentSize === 0) return;
+
+    const tooLarge = this.currentSize + nextBytes > this.options.maxFileSize;
+    const tooOld = this.currentStartedAt &&
+      new Date(timestamp) - new Date(this.currentStartedAt) > this.options.maxAge;
+
+    if (!tooLarge && !tooOld) return;
+
+    const { dir, name, ext } = path.parse(this.options.filePath);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    // A sequence number keeps rotations within the same millisecond apart and in order
+    let rotatedPath;
+    for (let sequence = 0; !rotatedPath || await this._fileExists(rotatedPath); sequence++) {
+      rotatedPath = path.join(dir, `${name}-${stamp}-${String(sequence).padStart(3, '0')}${ext}`);
+    }
+
+    await fs.rename(this.options.filePath, rotatedPath);
+    this.currentSize = 0;
+    this.currentStartedAt = null;
+
+    // The chain continues into the new file through lastHash
+    this.emit('audit:rotated', { rotatedPath, reason: tooLarge ? 'size' : 'age' });
+
+    // Every remaining file is a rotated one now; drop the oldest beyond the limit
+    const rotated = await this._getLogFiles();
+    const excess = rotated.length - this.options.maxFiles;
+
+    const pruned = rotated.slice(0, Math.max(0, excess));
+    if (pruned.length > 0) {
+      // The oldest retained entry must follow the last pruned one; append() signs this into the anchor
+      const records = await this._readRecords(pruned[pruned.length - 1]);
+      this.chainStart = records.filter(({ record }) => record).pop()?.record.hash || this.chainStart;
+    }
+
+    for (const file of pruned) {
+      await fs.rm(file, { force: true });
+      this.emit('audit:pruned', { filePath: file });
+    }
+  }
+
+  /**
+   * List log files, oldest first, with the current file last
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async _getLogFiles() {
+    const { dir, name, ext } = path.parse(this.options.filePath);
+    let names;
+
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Rotated names embed an ISO timestamp, so they sort chronologically
+    const rotated = names
+      .filter(file => file.startsWith(`${name}-`) && file.endsWith(ext))
+      .sort()
+      .map(file => path.join(dir, file));
+
+    if (names.includes(`${name}${ext}`)) {
+      rotated.push(this.options.filePath);
+    }
+
+    return rotated;
+  }
+
+  /**
+   * Read and parse the records in a log file
+   * @param {string} filePath - Log file
+   * @returns {Promise<Array<Object>>} Entries { line, record }; record is null if unparseable
+   */
+  async _readRecords(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n')
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter(({ text }) => text.trim())
+      .map(({ text, line }) => {
+        try {
+          return { line, record: JSON.parse(text) };
+        } catch {
+          return { line, record: null };
+        }
+      });
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} Whether the file exists
+   */
+  async _fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -5,6 +5,15 @@
 
 import keytar from 'keytar';
 import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { providerRegistry } from './providers/ProviderRegistry.js';
+import { SecureStorage } from './SecureStorage.js';
+
+const BACKUP_FORMAT = 'lahat-credential-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_ITERATIONS = 100000; // PBKDF2 iterations for backups that don't record their own
 
 export class CredentialManager extends EventEmitter {
   constructor(options = {}) {
@@ -13,11 +22,136 @@ export class CredentialManager extends EventEmitter {
     this.options = {
       serviceName: 'Lahat',
       encryptionKey: null, // Optional additional encryption layer
+      metadataPath: null, // defaults to ~/.lahat/credentials/<service>-metadata.json
+      expiryWarningDays: 7, // Flag credentials this many days before they expire
+      expiryCheckInterval: 60 * 60 * 1000, // 1 hour
+      keychain: null, // defaults to keytar (the OS keychain)
       ...options
     };
+
+    this.keychain = this.options.keychain || keytar;
+
+    if (!this.options.metadataPath) {
+      this.options.metadataPath = path.join(
+        os.homedir(), '.lahat', 'credentials', `${this.options.serviceName.toLowerCase()}-metadata.json`
+      );
+    }
     
     this.credentials = new Map(); // Cache for recently accessed credentials
     this.metadata = new Map(); // Store metadata about credentials
+    this.initializePromise = null;
+    this.saveQueue = Promise.resolve();
+    this.grants = new Map(); // appId -> credentials and providers the app may read
+    this.expiryStates = new Map(); // Last reported expiry state per credential
+    this.expiryTimer = null;
+    this.secureStorage = null; // Encrypts values before they reach the keychain
+    this.encryptionRequired = false;
+    this.oauthRefreshes = new Map(); // name -> in-flight token refresh
+  }
+
+  /**
+   * Set the storage used to encrypt credential values
+   * @param {SecureStorage} secureStorage - Secure storage instance
+   */
+  setSecureStorage(secureStorage) {
+    this.secureStorage = secureStorage;
+
+    // Decrypted values must not outlive the key that protects them
+    secureStorage.on('storage:locked', () => this.clearCache());
+  }
+
+  /**
+   * Require values written from now on to be encrypted with the secure storage
+   * Existing values keep their encryption until reencryptValues() rewrites them.
+   * @param {boolean} required - Whether encryption is required
+   */
+  setEncryptionRequired(required) {
+    this.encryptionRequired = Boolean(required);
+  }
+
+  /**
+   * Load persisted metadata and reconcile it with the keychain
+   * Safe to call more than once; public methods call it on first use.
+   * @returns {Promise<Object>} Reconciliation result
+   */
+  async initialize() {
+    if (!this.initializePromise) {
+      this.initializePromise = (async () => {
+        const found = await this._loadMetadata();
+        return await this.reconcile({ migrate: !found });
+      })();
+
+      // Allow a later retry if loading failed
+      this.initializePromise.catch(() => {
+        this.initializePromise = null;
+      });
+    }
+
+    return await this.initializePromise;
+  }
+
+  /**
+   * Reconcile metadata with keychain entries changed outside Lahat
+   * Entries added directly to the keychain get fresh metadata, and metadata
+   * for entries that disappeared from the keychain is dropped.
+   *
+   * Without a metadata file (the first run, or the first since metadata was
+   * kept on disk) every entry is Lahat's own, so `migrate` gives them
+   * metadata without flagging them as discovered externally.
+   * @param {Object} options - { migrate }
+   * @returns {Promise<Object>} Names of added, migrated and removed credentials
+   */
+  async reconcile({ migrate = false } = {}) {
+    try {
+      const entries = await this.keychain.findCredentials(this.options.serviceName);
+      const accounts = new Set(entries.map(entry => entry.account));
+      const added = [];
+      const migrated = [];
+      const removed = [];
+
+      for (const name of accounts) {
+        if (!this.metadata.has(name)) {
+          const now = new Date().toISOString();
+          this.metadata.set(name, {
+            name,
+            created: now,
+            lastAccessed: null,
+            lastModified: now,
+            description: '',
+            tags: [],
+            expiresAt: null,
+            ...(migrate ? {} : { discoveredExternally: true })
+          });
+
+          if (migrate) {
+            migrated.push(name);
+          } else {
+            added.push(name);
+            this.emit('credential:discovered', { name });
+          }
+        }
+      }
+
+      for (const name of [...this.metadata.keys()]) {
+        if (!accounts.has(name)) {
+          this.metadata.delete(name);
+          this.credentials.delete(name);
+          removed.push(name);
+          this.emit('credential:removed_externally', { name });
+        }
+      }
+
+      if (added.length > 0 || migrated.length > 0 || removed.length > 0) {
+        await this._persistMetadata();
+      }
+
+      const result = { added, migrated, removed };
+      this.emit('credentials:reconciled', result);
+      return result;
+    } catch (error) {
+      this.emit('credential:error', { operation: 'reconcile', error });
+      throw new Error(`Failed to reconcile credentials: ${error.message}`);
+    }
   }
 
   /**
@@ -40,22 +174,29 @@ export class CredentialManager extends EventEmitter {
       // Validate credential name format
       this._validateCredentialName(name);
 
-      // Store in OS keychain
-      await keytar.setPassword(this.options.serviceName, name, value);
+      await this.initialize();
+
+      // Store in OS keychain, encrypted first when a master password is set
+      const encrypted = this.encryptionRequired;
+      const storedValue = encrypted ? await this._encryptValue(name, value) : value;
+      await this.keychain.setPassword(this.options.serviceName, name, storedValue);
 
-      // Store metadata separately
+      // Store metadata separately, keeping history of an existing credential
+      const existing = this.metadata.get(name);
       const credentialMetadata = {
         name,
-        created: new Date().toISOString(),
-        lastAccessed: null,
+        created: existing?.created || new Date().toISOString(),
+        lastAccessed: existing?.lastAccessed || null,
         lastModified: new Date().toISOString(),
         description: metadata.description || '',
         tags: metadata.tags || [],
         expiresAt: metadata.expiresAt || null,
-        ...metadata
+        ...metadata,
+        encrypted
       };
 
       this.metadata.set(name, credentialMetadata);
+      await this._persistMetadata();
 
       // Update cache
       this.credentials.set(name, value);
@@ -81,21 +222,47 @@ export class CredentialManager extends EventEmitter {
         throw new Error('Credential name must be a non-empty string');
       }
 
+      await this.initialize();
+
+      // Apps only get the credentials the user granted them
+      if ('appId' in options && !(options.appId && this.isAccessGranted(options.appId, name))) {
+        this.emit('credential:access_denied', { name, appId: options.appId });
+        throw new Error(`App '${options.appId}' has not been granted access to this credential`);
+      }
+
+      // Expired secrets stay in the keychain but are only handed out on request
+      const expiry = this.getExpiryStatus(name);
+      if (expiry.state === 'expired' && !options.allowExpired) {
+        this.emit('credential:access_blocked', { name, expiresAt: expiry.expiresAt });
+        throw new Error(`Credential expired on ${expiry.expiresAt}; rotate it or pass allowExpired to use it anyway`);
+      }
+
+      let value;
+
       // Check cache first if enabled
       if (options.useCache !== false && this.credentials.has(name)) {
+        value = this.credentials.get(name);
         this._updateLastAccessed(name);
-        return this.credentials.get(name);
-      }
+      } else {
+        // Retrieve from OS keychain
+        value = await this.keychain.getPassword(this.options.serviceName, name);
 
-      // Retrieve from OS keychain
-      const value = await keytar.getPassword(this.options.serviceName, name);
+        if (value && this.metadata.get(name)?.encrypted) {
+          value = await this._decryptValue(name, value);
+        }
 
-      if (value) {
-        // Update cache and metadata
-        this.credentials.set(name, value);
-        this._updateLastAccessed(name);
-        
-        this.emit('credential:accessed', { name, timestamp: new Date().toISOString() });
+        if (value) {
+          // Update cache and metadata
+          this.credentials.set(name, value);
+          this._updateLastAccessed(name);
+          
+          this.emit('credential:accessed', { name, timestamp: new Date().toISOString() });
+        }
+      }
+
+      // OAuth access tokens are renewed before they are handed out
+      if (value && this.metadata.get(name)?.authType === 'oauth' && options.refresh !== false) {
+        value = await this._refreshOAuthTokens(name, value);
       }
 
       return value;
@@ -112,7 +279,7 @@ export class CredentialManager extends EventEmitter {
    */
   async hasCredential(name) {
     try {
-      const value = await keytar.getPassword(this.options.serviceName, name);
+      const value = await this.keychain.getPassword(this.options.serviceName, name);
       return value !== null;
     } catch (error) {
       return false;
@@ -130,13 +297,17 @@ export class CredentialManager extends EventEmitter {
         throw new Error('Credential name must be a non-empty string');
       }
 
+      await this.initialize();
+
       // Delete from OS keychain
-      const deleted = await keytar.deletePassword(this.options.serviceName, name);
+      const deleted = await this.keychain.deletePassword(this.options.serviceName, name);
 
       if (deleted) {
         // Remove from cache and metadata
         this.credentials.delete(name);
         this.metadata.delete(name);
+        this.expiryStates.delete(name);
+        await this._persistMetadata();
 
         this.emit('credential:deleted', { name });
       }
@@ -155,7 +326,9 @@ export class CredentialManager extends EventEmitter {
    */
   async listCredentials(options = {}) {
     try {
-      const credentials = await keytar.findCredentials(this.options.serviceName);
+      await this.initialize();
+
+      const credentials = await this.keychain.findCredentials(this.options.serviceName);
       let names = credentials.map(cred => cred.account);
 
       // Apply filters
@@ -195,6 +368,8 @@ export class CredentialManager extends EventEmitter {
    */
   async updateCredentialMetadata(name, metadata) {
     try {
+      await this.initialize();
+
       const existing = this.metadata.get(name);
       if (!existing) {
         throw new Error(`Credential '${name}' not found`);
@@ -207,6 +382,7 @@ export class CredentialManager extends EventEmitter {
       };
 
       this.metadata.set(name, updated);
+      await this._persistMetadata();
       this.emit('credential:metadata:updated', { name, metadata: updated });
 
       return true;
@@ -253,6 +429,460 @@ export class CredentialManager extends EventEmitter {
     }
   }
 
+  /**
+   * Get the credentials an app manifest asks for
+   * Entries in `manifest.credentials` are credential names, or objects
+   * naming a credential (`{ name }`) or a whole provider (`{ provider }`).
+   * @param {Object} manifest - App manifest
+   * @returns {Object} Requested access { credentials, providers }
+   */
+  getRequestedAccess(manifest = {}) {
+    const credentials = new Set();
+    const providers = new Set();
+
+    for (const entry of manifest.credentials || []) {
+      if (typeof entry === 'string') {
+        credentials.add(entry);
+      } else if (entry?.name) {
+        credentials.add(entry.name);
+      } else if (entry?.provider) {
+        providers.add(entry.provider);
+      }
+    }
+
+    return { credentials: [...credentials], providers: [...providers] };
+  }
+
+  /**
+   * Get the part of a request an app has not been granted yet
+   * @param {string} appId - App ID
+   * @param {Object} access - Requested access { credentials, providers }
+   * @returns {Object} Ungranted access { credentials, providers }
+   */
+  getMissingAccess(appId, access = {}) {
+    const grant = this.grants.get(appId);
+
+    return {
+      credentials: (access.credentials || []).filter(name => !grant?.credentials.includes(name)),
+      providers: (access.providers || []).filter(provider => !grant?.providers.includes(provider))
+    };
+  }
+
+  /**
+   * Check whether an app may read a credential
+   * @param {string} appId - App ID
+   * @param {string} name - Credential name
+   * @returns {boolean} Whether access was granted
+   */
+  isAccessGranted(appId, name) {
+    const grant = this.grants.get(appId);
+    if (!grant) return false;
+
+    if (grant.credentials.includes(name)) return true;
+
+    const provider = this.metadata.get(name)?.provider;
+    return Boolean(provider) && grant.providers.includes(provider);
+  }
+
+  /**
+   * Grant an app access to credentials
+   * @param {string} appId - App ID
+   * @param {Object} access - Access to grant { credentials, providers }
+   * @param {Object} details - Optional details such as appName
+   * @returns {Promise<Object>} Updated grant
+   */
+  async grantCredentialAccess(appId, access = {}, details = {}) {
+    if (!appId || typeof appId !== 'string') {
+      throw new Error('App ID must be a non-empty string');
+    }
+
+    await this.initialize();
+
+    const existing = this.grants.get(appId);
+    const now = new Date().toISOString();
+    const grant = {
+      appId,
+      appName: details.appName || existing?.appName || appId,
+      credentials: [...new Set([...(existing?.credentials || []), ...(access.credentials || [])])],
+      providers: [...new Set([...(existing?.providers || []), ...(access.providers || [])])],
+      grantedAt: existing?.grantedAt || now,
+      updatedAt: now
+    };
+
+    this.grants.set(appId, grant);
+    await this._persistMetadata();
+
+    this.emit('credential:granted', {
+      appId,
+      credentials: access.credentials || [],
+      providers: access.providers || []
+    });
+
+    return grant;
+  }
+
+  /**
+   * Revoke an app's access to credentials
+   * @param {string} appId - App ID
+   * @param {Object} access - Access to revoke { credentials, providers }; revokes everything if omitted
+   * @returns {Promise<boolean>} Whether anything was revoked
+   */
+  async revokeCredentialAccess(appId, access = null) {
+    await this.initialize();
+
+    const grant = this.grants.get(appId);
+    if (!grant) {
+      return false;
+    }
+
+    const revoked = access
+      ? {
+          credentials: grant.credentials.filter(name => access.credentials?.includes(name)),
+          providers: grant.providers.filter(provider => access.providers?.includes(provider))
+        }
+      : { credentials: grant.credentials, providers: grant.providers };
+
+    grant.credentials = grant.credentials.filter(name => !revoked.credentials.includes(name));
+    grant.providers = grant.providers.filter(provider => !revoked.providers.includes(provider));
+    grant.updatedAt = new Date().toISOString();
+
+    if (grant.credentials.length === 0 && grant.providers.length === 0) {
+      this.grants.delete(appId);
+    }
+
+    await this._persistMetadata();
+
+    this.emit('credential:revoked', { appId, ...revoked });
+    return true;
+  }
+
+  /**
+   * Get credential grants
+   * @param {string} appId - Only return this app's grant
+   * @returns {Array<Object>} Grants
+   */
+  getCredentialGrants(appId = null) {
+    if (appId) {
+      const grant = this.grants.get(appId);
+      return grant ? [{ ...grant }] : [];
+    }
+
+    return Array.from(this.grants.values(), grant => ({ ...grant }));
+  }
+
+  /**
+   * Get the expiry state of a credential
+   * @param {string} name - Credential name
+   * @param {Date} now - Reference time
+   * @returns {Object} Expiry status { name, state, expiresAt, daysRemaining }
+   */
+  getExpiryStatus(name, now = new Date()) {
+    const expiresAt = this.metadata.get(name)?.expiresAt;
+    if (!expiresAt) {
+      return { name, state: 'none', expiresAt: null, daysRemaining: null };
+    }
+
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime())) {
+      return { name, state: 'none', expiresAt: null, daysRemaining: null };
+    }
+
+    const remaining = expiry.getTime() - now.getTime();
+    const daysRemaining = Math.ceil(remaining / (24 * 60 * 60 * 1000));
+    let state = 'valid';
+
+    if (remaining <= 0) {
+      state = 'expired';
+    } else if (remaining <= this.options.expiryWarningDays * 24 * 60 * 60 * 1000) {
+      state = 'expiring';
+    }
+
+    return { name, state, expiresAt: expiry.toISOString(), daysRemaining };
+  }
+
+  /**
+   * Get credentials that are expired or about to expire
+   * @returns {Array<Object>} Expiry statuses, soonest first
+   */
+  getExpiringCredentials() {
+    const now = new Date();
+
+    return Array.from(this.metadata.keys())
+      .map(name => this.getExpiryStatus(name, now))
+      .filter(status => status.state === 'expired' || status.state === 'expiring')
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+  }
+
+  /**
+   * Check all credentials for expiry and report changes
+   * Emits 'credential:expired' or 'credential:expiring' once per state change
+   * so listeners can show a reminder without repeating it every check.
+   * @returns {Promise<Object>} Expired and expiring credential statuses
+   */
+  async checkExpiry() {
+    await this.initialize();
+
+    const now = new Date();
+    const expired = [];
+    const expiring = [];
+
+    for (const name of this.metadata.keys()) {
+      const status = this.getExpiryStatus(name, now);
+      const previous = this.expiryStates.get(name);
+
+      if (status.state === 'expired') {
+        expired.push(status);
+      } else if (status.state === 'expiring') {
+        expiring.push(status);
+      }
+
+      if (status.state === previous) continue;
+      this.expiryStates.set(name, status.state);
+
+      if (status.state === 'expired') {
+        this.emit('credential:expired', status);
+      } else if (status.state === 'expiring') {
+        this.emit('credential:expiring', status);
+      }
+    }
+
+    const result = { expired, expiring, checkedAt: now.toISOString() };
+    this.emit('credentials:expiry_checked', result);
+    return result;
+  }
+
+  /**
+   * Periodically check credentials for expiry
+   * @returns {Promise<Object>} Result of the first check
+   */
+  async startExpiryMonitor() {
+    this.stopExpiryMonitor();
+
+    this.expiryTimer = setInterval(() => {
+      this.checkExpiry().catch(error => {
+        this.emit('credential:error', { operation: 'checkExpiry', error });
+      });
+    }, this.options.expiryCheckInterval);
+
+    // Don't keep the process alive just to check expiry
+    this.expiryTimer.unref?.();
+
+    return await this.checkExpiry();
+  }
+
+  /**
+   * Stop periodic expiry checks
+   */
+  stopExpiryMonitor() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+
+  /**
+   * Replace a credential with a new value after testing it
+   * The new value is tested with the credential's provider first, so a bad
+   * key never replaces a working one.
+   * @param {string} name - Credential name
+   * @param {string} newValue - Replacement credential value
+   * @param {Object} options - Rotation options
+   * @param {string|BaseProvider} options.provider - Provider (or provider ID) used to test the value; defaults to the credential's `provider` metadata
+   * @param {string} options.field - Provider field the value belongs to; defaults to the provider's first field
+   * @param {Function} options.testFunction - Custom test used instead of a provider
+   * @param {string} options.expiresAt - Expiry of the new value; defaults to `rotationDays` from now when set
+   * @returns {Promise<Object>} Rotation result
+   */
+  async rotateCredential(name, newValue, options = {}) {
+    await this.initialize();
+
+    const existing = this.metadata.get(name);
+    if (!existing) {
+      throw new Error(`Credential '${name}' not found`);
+    }
+
+    if (!newValue || typeof newValue !== 'string') {
+      throw new Error('Credential value must be a non-empty string');
+    }
+
+    this.emit('credential:rotation:started', { name });
+
+    let test;
+    try {
+      test = await this._testRotationValue(existing, newValue, options);
+    } catch (error) {
+      test = { success: false, message: error.message };
+    }
+
+    if (!test.success) {
+      this.emit('credential:rotation:failed', { name, reason: test.message });
+      throw new Error(`Rotation of '${name}' aborted, the new value failed its test: ${test.message}`);
+    }
+
+    const rotatedAt = new Date().toISOString();
+    let expiresAt = options.expiresAt || null;
+    if (!expiresAt && existing.rotationDays) {
+      expiresAt = new Date(Date.now() + existing.rotationDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // Keep descriptive metadata; setCredential manages the timestamps
+    const { created, lastAccessed, lastModified, discoveredExternally, ...kept } = existing;
+
+    await this.setCredential(name, newValue, {
+      ...kept,
+      expiresAt,
+      lastRotated: rotatedAt
+    });
+
+    this.expiryStates.delete(name);
+
+    const result = { name, rotatedAt, expiresAt, test };
+    this.emit('credential:rotated', { name, rotatedAt, expiresAt });
+    return result;
+  }
+
+  /**
+   * Sign in with an OAuth provider and store the resulting tokens
+   * The stored value is the token set as JSON; getCredential() refreshes the
+   * access token in it when it is about to expire.
+   * @param {string} name - Credential name
+   * @param {string} providerId - ID of a registered OAuthProvider
+   * @param {Object} options - Sign-in options
+   * @param {string} options.flow - 'pkce' (browser with loopback redirect) or 'device'
+   * @param {Function} options.openUrl - Opens the authorization URL (PKCE flow)
+   * @param {Function} options.onUserCode - Shows the user code (device flow)
+   * @param {AbortSignal} options.signal - Cancels the sign-in
+   * @param {Object} options.metadata - Metadata stored with the credential
+   * @returns {Promise<Object>} Result { name, provider, flow, expiresAt, scope }
+   */
+  async authorizeOAuthCredential(name, providerId, options = {}) {
+    const { flow = 'pkce', metadata = {}, ...flowOptions } = options;
+    const provider = providerRegistry.getProvider(providerId);
+
+    if (typeof provider?.refreshTokens !== 'function') {
+      throw new Error(`Provider "${providerId}" is not a registered OAuth provider`);
+    }
+
+    this._validateCredentialName(name);
+    this.emit('credential:authorization:started', { name, provider: providerId, flow });
+
+    let tokens;
+    try {
+      if (flow === 'device') {
+        tokens = await provider.authorizeWithDeviceCode(flowOptions);
+      } else if (flow === 'pkce') {
+        tokens = await provider.authorizeWithPkce(flowOptions);
+      } else {
+        throw new Error(`Unknown OAuth flow: ${flow}`);
+      }
+    } catch (error) {
+      this.emit('credential:authorization:failed', { name, provider: providerId, flow, reason: error.message });
+      throw new Error(`Sign-in for '${name}' failed: ${error.message}`);
+    }
+
+    await this.setCredential(name, JSON.stringify(tokens), {
+      ...metadata,
+      provider: providerId,
+      authType: 'oauth'
+    });
+
+    const result = { name, provider: providerId, flow, expiresAt: tokens.expiresAt, scope: tokens.scope };
+    this.emit('credential:authorized', result);
+    return result;
+  }
+
+  /**
+   * Read every stored credential value, decrypting encrypted ones
+   * Unlike getCredential() this is not counted as access.
+   * @returns {Promise<Map<string, string>>} Credential name -> value
+   */
+  async readAllValues() {
+    await this.initialize();
+
+    const values = new Map();
+    for (const [name, metadata] of this.metadata) {
+      const stored = await this.keychain.getPassword(this.options.serviceName, name);
+      if (!stored) continue;
+
+      values.set(name, metadata.encrypted ? await this._decryptValue(name, stored) : stored);
+    }
+
+    return values;
+  }
+
+  /**
+   * Read every stored value as it is in the keychain, without decrypting it
+   * Taken before a rewrite so credentials can be put back exactly as they were.
+   * @returns {Promise<Map<string, Object>>} Credential name -> { stored, encrypted }
+   */
+  async snapshotStoredValues() {
+    await this.initialize();
+
+    const snapshot = new Map();
+    for (const [name, metadata] of this.metadata) {
+      const stored = await this.keychain.getPassword(this.options.serviceName, name);
+      if (stored) {
+        snapshot.set(name, { stored, encrypted: Boolean(metadata.encrypted) });
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Put back values taken with snapshotStoredValues()
+   * @param {Map<string, Object>} snapshot - Credential name -> { stored, encrypted }
+   * @returns {Promise<void>}
+   */
+  async restoreStoredValues(snapshot) {
+    try {
+      for (const [name, { stored, encrypted }] of snapshot) {
+        await this.keychain.setPassword(this.options.serviceName, name, stored);
+
+        const metadata = this.metadata.get(name);
+        if (metadata) {
+          metadata.encrypted = encrypted;
+        }
+      }
+    } finally {
+      this.clearCache();
+      await this._persistMetadata();
+    }
+
+    this.emit('credentials:restored', { count: snapshot.size });
+  }
+
+  /**
+   * Store values again under the current encryption setting
+   * Metadata other than the `encrypted` flag is left untouched.
+   * @param {Map<string, string>} values - Credential name -> value, as returned by readAllValues()
+   * @returns {Promise<number>} Number of credentials rewritten
+   */
+  async reencryptValues(values) {
+    await this.initialize();
+
+    const encrypted = this.encryptionRequired;
+    let count = 0;
+
+    try {
+      for (const [name, value] of values) {
+        const metadata = this.metadata.get(name);
+        if (!metadata) continue;
+
+        const storedValue = encrypted ? await this._encryptValue(name, value) : value;
+        await this.keychain.setPassword(this.options.serviceName, name, storedValue);
+        metadata.encrypted = encrypted;
+        count++;
+      }
+    } finally {
+      // Record whatever was rewritten, even if a later credential failed
+      await this._persistMetadata();
+    }
+
+    this.emit('credentials:reencrypted', { count, encrypted });
+    return count;
+  }
+
   /**
    * Migrate credentials from old storage format
    * @param {Object} oldCredentials - Old credentials object
@@ -317,6 +947,192 @@ export class CredentialManager extends EventEmitter {
     };
   }
 
+  /**
+   * Check that a passphrase can be used to encrypt a backup
+   * Callers can check it before asking where to save the backup.
+   * @param {string} passphrase - Backup passphrase
+   */
+  validateBackupPassphrase(passphrase) {
+    if (!passphrase || typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('Backup passphrase must be at least 8 characters');
+    }
+  }
+
+  /**
+   * Export credentials, including their values, to a passphrase-encrypted file
+   * @param {string} filePath - Backup file to write
+   * @param {string} passphrase - Passphrase the backup is encrypted with
+   * @param {Object} options - Export options
+   * @param {Array<string>} options.names - Credentials to include (defaults to all)
+   * @returns {Promise<Object>} Export result { filePath, count, names }
+   */
+  async exportCredentials(filePath, passphrase, options = {}) {
+    try {
+      this.validateBackupPassphrase(passphrase);
+
+      const names = options.names || await this.listCredentials();
+      const credentials = [];
+
+      for (const name of names) {
+        // Expired credentials are still worth carrying over so they can be rotated
+        const value = await this.getCredential(name, { allowExpired: true, useCache: false });
+        if (!value) {
+          throw new Error(`Credential '${name}' not found`);
+        }
+
+        credentials.push({ name, value, metadata: this.getCredentialMetadata(name) || {} });
+      }
+
+      const storage = new SecureStorage({ iterations: BACKUP_ITERATIONS });
+      await storage.initialize(passphrase);
+
+      let payload;
+      try {
+        payload = await storage.encrypt(JSON.stringify({ credentials }), BACKUP_FORMAT);
+      } finally {
+        storage.lock();
+      }
+
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        service: this.options.serviceName,
+        createdAt: new Date().toISOString(),
+        encryption: {
+          algorithm: storage.options.algorithm,
+          keyDerivation: storage.options.keyDerivation,
+          iterations: storage.options.iterations,
+          salt: storage.getKeySalt()
+        },
+        payload
+      };
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(backup, null, 2), { mode: 0o600 });
+
+      const result = { filePath, count: credentials.length, names: credentials.map(cred => cred.name) };
+      this.emit('credentials:exported', result);
+      return result;
+    } catch (error) {
+      this.emit('credential:error', { operation: 'export', error });
+      throw new Error(`Failed to export credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Preview the contents of a credential backup without restoring anything
+   * @param {string} filePath - Backup file
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @returns {Promise<Object>} Backup details and per-credential entries, without values
+   */
+  async previewImport(filePath, passphrase) {
+    await this.initialize();
+
+    const { backup, credentials } = await this._readBackup(filePath, passphrase);
+
+    return {
+      service: backup.service,
+      createdAt: backup.createdAt,
+      credentials: credentials.map(({ name, metadata }) => ({
+        name,
+        provider: metadata.provider || null,
+        description: metadata.description || '',
+        tags: metadata.tags || [],
+        expiresAt: metadata.expiresAt || null,
+        conflict: this.metadata.has(name)
+      }))
+    };
+  }
+
+  /**
+   * Restore credentials from a passphrase-encrypted backup
+   * Each credential with a known provider is tested before it is stored.
+   * @param {string} filePath - Backup file
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @param {Object} options - Import options
+   * @param {Array<string>} options.names - Credentials to restore (defaults to all)
+   * @param {string} options.onConflict - 'skip', 'overwrite' or 'rename' for names that already exist
+   * @param {Object} options.conflicts - Per-name conflict strategy overriding onConflict
+   * @param {boolean} options.validate - Test credentials with their provider before storing
+   * @param {boolean} options.keepInvalid - Store credentials even if their test fails
+   * @returns {Promise<Object>} Import results per credential
+   */
+  async importCredentials(filePath, passphrase, options = {}) {
+    const {
+      names = null,
+      onConflict = 'skip',
+      conflicts = {},
+      validate = true,
+      keepInvalid = false
+    } = options;
+
+    await this.initialize();
+
+    const { credentials } = await this._readBackup(filePath, passphrase);
+    const selected = names ? credentials.filter(cred => names.includes(cred.name)) : credentials;
+    const results = [];
+
+    for (const { name, value, metadata } of selected) {
+      const result = { name, importedAs: null, status: 'skipped', validation: null };
+      results.push(result);
+
+      try {
+        let targetName = name;
+
+        if (this.metadata.has(name)) {
+          const strategy = conflicts[name] || onConflict;
+
+          if (strategy === 'skip') {
+            result.reason = 'A credential with this name already exists';
+            continue;
+          } else if (strategy === 'rename') {
+            targetName = this._getAvailableName(name);
+          } else if (strategy !== 'overwrite') {
+            throw new Error(`Unknown conflict strategy: ${strategy}`);
+          }
+        }
+
+        if (validate && metadata.provider) {
+          const provider = providerRegistry.getProvider(metadata.provider);
+          result.validation = provider
+            ? await providerRegistry.testCredentials(metadata.provider, this._toProviderCredentials(provider, value))
+            : { success: false, message: `Provider "${metadata.provider}" not found` };
+
+          if (!result.validation.success && !keepInvalid) {
+            result.status = 'invalid';
+            result.reason = result.validation.message;
+            continue;
+          }
+        }
+
+        // Keep descriptive metadata; setCredential manages the timestamps
+        const { name: _name, created, lastAccessed, lastModified, discoveredExternally, ...kept } = metadata;
+
+        await this.setCredential(targetName, value, {
+          ...kept,
+          importedAt: new Date().toISOString()
+        });
+
+        result.importedAs = targetName;
+        result.status = 'imported';
+      } catch (error) {
+        result.status = 'failed';
+        result.reason = error.message;
+      }
+    }
+
+    const summary = {
+      imported: results.filter(result => result.status === 'imported').length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      invalid: results.filter(result => result.status === 'invalid').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      results
+    };
+
+    this.emit('credentials:imported', summary);
+    return summary;
+  }
+
   /**
    * Clear all cached credentials
    */
@@ -340,7 +1156,7 @@ export class CredentialManager extends EventEmitter {
 
     const now = new Date();
     const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
-    const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const warningCutoff = new Date(now.getTime() + this.options.expiryWarningDays * 24 * 60 * 60 * 1000);
 
     for (const [name, metadata] of this.metadata) {
       // Recently accessed
@@ -356,7 +1172,7 @@ export class CredentialManager extends EventEmitter {
       // Expiring soon
       if (metadata.expiresAt) {
         const expiresAt = new Date(metadata.expiresAt);
-        if (expiresAt <= oneWeekFromNow) {
+        if (expiresAt <= warningCutoff) {
           stats.expiringSoon++;
         }
       }
@@ -396,7 +1212,270 @@ export class CredentialManager extends EventEmitter {
     if (metadata) {
       metadata.lastAccessed = new Date().toISOString();
       this.metadata.set(name, metadata);
+
+      // Reads shouldn't wait on disk or fail because of it
+      this._persistMetadata().catch(() => {});
+    }
+  }
+
+  /**
+   * Refresh a stored OAuth token set if its access token is about to expire
+   * Concurrent reads share one refresh, since many servers invalidate a
+   * refresh token once it has been used.
+   * @param {string} name - Credential name
+   * @param {string} value - Stored token set as JSON
+   * @returns {Promise<string>} Current token set as JSON
+   */
+  async _refreshOAuthTokens(name, value) {
+    const metadata = this.metadata.get(name);
+    const provider = providerRegistry.getProvider(metadata.provider);
+
+    // Without its provider, or a refresh token, the tokens are handed out as stored
+    if (typeof provider?.refreshTokens !== 'function') return value;
+
+    let tokens;
+    try {
+      tokens = JSON.parse(value);
+    } catch {
+      return value;
+    }
+
+    if (!tokens.refreshToken || !provider.needsRefresh(tokens)) return value;
+
+    if (!this.oauthRefreshes.has(name)) {
+      const refresh = (async () => {
+        try {
+          const refreshed = await provider.refreshTokens(tokens);
+          const serialized = JSON.stringify(refreshed);
+
+          // Keep descriptive metadata; setCredential manages the timestamps
+          const { created, lastAccessed, lastModified, discoveredExternally, ...kept } = this.metadata.get(name) || metadata;
+          await this.setCredential(name, serialized, kept);
+
+          this.emit('credential:refreshed', { name, expiresAt: refreshed.expiresAt });
+          return serialized;
+        } catch (error) {
+          this.emit('credential:refresh_failed', { name, reason: error.message });
+          throw new Error(`OAuth token refresh failed: ${error.message}`);
+        } finally {
+          this.oauthRefreshes.delete(name);
+        }
+      })();
+
+      this.oauthRefreshes.set(name, refresh);
+    }
+
+    return await this.oauthRefreshes.get(name);
+  }
+
+  /**
+   * Encrypt a value for the keychain
+   * The credential name is bound in as additional data, so a value can't be
+   * swapped into another credential's entry.
+   * @param {string} name - Credential name
+   * @param {string} value - Plaintext value
+   * @returns {Promise<string>} Encrypted value
+   */
+  async _encryptValue(name, value) {
+    if (!this.secureStorage?.isStorageUnlocked()) {
+      throw new Error('Credential storage is locked; unlock it with the master password');
+    }
+
+    return await this.secureStorage.encrypt(value, name);
+  }
+
+  /**
+   * Decrypt a value read from the keychain
+   * @param {string} name - Credential name
+   * @param {string} value - Encrypted value
+   * @returns {Promise<string>} Plaintext value
+   */
+  async _decryptValue(name, value) {
+    if (!this.secureStorage?.isStorageUnlocked()) {
+      throw new Error('Credential storage is locked; unlock it with the master password');
+    }
+
+    return await this.secureStorage.decrypt(value, name);
+  }
+
+  /**
+   * Test a replacement value before rotating it in
+   * @param {Object} metadata - Current credential metadata
+   * @param {string} value - Replacement value
+   * @param {Object} options - Rotation options
+   * @returns {Promise<Object>} Test result { success, message }
+   */
+  async _testRotationValue(metadata, value, options) {
+    if (options.testFunction) {
+      const result = await options.testFunction(value);
+      return typeof result === 'object' && result !== null && 'success' in result
+        ? result
+        : { success: result !== false, message: 'Custom test passed' };
+    }
+
+    let provider = options.provider || metadata.provider;
+    if (typeof provider === 'string') {
+      provider = providerRegistry.getProvider(provider);
+    }
+
+    if (!provider) {
+      throw new Error('No provider or test function to validate the new value');
+    }
+
+    return await provider.testCredentials(this._toProviderCredentials(provider, value, options.field));
+  }
+
+  /**
+   * Convert a stored credential value into the fields a provider expects
+   * @param {BaseProvider} provider - Credential provider
+   * @param {string} value - Stored credential value
+   * @param {string} field - Field a single value belongs to (defaults to the provider's first field)
+   * @returns {Object} Provider credentials
+   */
+  _toProviderCredentials(provider, value, field = null) {
+    // Multi-field providers store their fields as a JSON object
+    let credentials;
+    try {
+      credentials = JSON.parse(value);
+    } catch {
+      credentials = null;
+    }
+
+    if (!credentials || typeof credentials !== 'object') {
+      credentials = { [field || provider.getFields()[0]?.name || 'value']: value };
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Read and decrypt a credential backup
+   * @param {string} filePath - Backup file
+   * @param {string} passphrase - Backup passphrase
+   * @returns {Promise<Object>} Backup header and decrypted credentials
+   */
+  async _readBackup(filePath, passphrase) {
+    let backup;
+    try {
+      backup = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read credential backup: ${error.message}`);
+    }
+
+    if (backup.format !== BACKUP_FORMAT || !backup.payload) {
+      throw new Error('File is not a Lahat credential backup');
+    }
+
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error(`Credential backup version ${backup.version} is not supported`);
+    }
+
+    const { iterations = BACKUP_ITERATIONS, salt } = backup.encryption || {};
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > 10 * BACKUP_ITERATIONS) {
+      throw new Error('Credential backup has an invalid key derivation setting');
+    }
+    if (typeof salt !== 'string' || !/^[0-9a-f]+$/i.test(salt)) {
+      throw new Error('Credential backup is missing its key salt');
+    }
+
+    const storage = new SecureStorage({ iterations });
+    await storage.initialize(passphrase, salt);
+
+    let contents;
+    try {
+      contents = JSON.parse(await storage.decrypt(backup.payload, BACKUP_FORMAT));
+    } catch (error) {
+      throw new Error('Could not decrypt credential backup; check the passphrase');
+    } finally {
+      storage.lock();
+    }
+
+    const credentials = (contents.credentials || []).filter(cred => cred?.name && cred.value);
+    for (const cred of credentials) {
+      this._validateCredentialName(cred.name);
+      cred.metadata = cred.metadata || {};
+    }
+
+    return { backup, credentials };
+  }
+
+  /**
+   * Find an unused name for an imported credential
+   * @param {string} name - Conflicting credential name
+   * @returns {string} Available name
+   */
+  _getAvailableName(name) {
+    let candidate = `${name}.imported`;
+    for (let i = 2; this.metadata.has(candidate); i++) {
+      candidate = `${name}.imported-${i}`;
+    }
+
+    this._validateCredentialName(candidate);
+    return candidate;
+  }
+
+  /**
+   * Load persisted metadata from disk
+   * @returns {Promise<boolean>} Whether there was a metadata file
+   */
+  async _loadMetadata() {
+    let stored;
+
+    try {
+      stored = JSON.parse(await fs.readFile(this.options.metadataPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new Error(`Failed to load credential metadata: ${error.message}`);
+    }
+
+    for (const metadata of stored.credentials || []) {
+      if (metadata?.name) {
+        this.metadata.set(metadata.name, metadata);
+      }
     }
+
+    for (const grant of stored.grants || []) {
+      if (grant?.appId) {
+        this.grants.set(grant.appId, {
+          ...grant,
+          credentials: grant.credentials || [],
+          providers: grant.providers || []
+        });
+      }
+    }
+
+    this.emit('metadata:loaded', { count: this.metadata.size });
+    return true;
+  }
+
+  /**
+   * Write metadata to disk
+   * Writes are queued so they never interleave, and each one replaces the
+   * file atomically. Secrets are never part of the metadata.
+   * @returns {Promise<void>}
+   */
+  _persistMetadata() {
+    const write = async () => {
+      const { metadataPath } = this.options;
+      const tempPath = `${metadataPath}.${process.pid}.tmp`;
+      const data = {
+        service: this.options.serviceName,
+        savedAt: new Date().toISOString(),
+        credentials: Array.from(this.metadata.values()),
+        grants: Array.from(this.grants.values())
+      };
+
+      await fs.mkdir(path.dirname(metadataPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, metadataPath);
+    };
+
+    this.saveQueue = this.saveQueue.then(write, write).catch(error => {
+      this.emit('credential:error', { operation: 'persist', error });
+      throw new Error(`Failed to save credential metadata: ${error.message}`);
+    });
+
+    return this.saveQueue;
   }
 
   /**
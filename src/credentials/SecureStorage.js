@@ -1,6 +1,13 @@
 /**
  * Secure Storage - Additional encryption layer for sensitive data
  * Provides optional encryption on top of OS keychain storage
+ *
+ * initialize() runs PBKDF2 once to turn the password and a key salt into the
+ * master key; the password itself is not kept. Each encrypted value gets its
+ * own key from the master key and a random per-value salt through HKDF, which
+ * is cheap, so encrypting many values doesn't repeat the PBKDF2 work. Callers
+ * persist getKeySalt() next to the data and pass it back to initialize() to
+ * read the data again, on this machine or another.
  */
 
 import crypto from 'crypto';
@@ -21,22 +28,28 @@ export class SecureStorage extends EventEmitter {
     };
     
     this.masterKey = null;
+    this.keySalt = null; // Salt the master key was derived with
     this.isUnlocked = false;
   }
 
   /**
    * Initialize secure storage with master password
    * @param {string} masterPassword - Master password for encryption
+   * @param {string} keySalt - Hex salt from getKeySalt() to read existing data; a new one is generated if omitted
    * @returns {Promise<boolean>} Success status
    */
-  async initialize(masterPassword) {
+  async initialize(masterPassword, keySalt = null) {
     try {
       if (!masterPassword || typeof masterPassword !== 'string') {
         throw new Error('Master password is required');
       }
 
-      // Derive master key from password
-      this.masterKey = await this._deriveMasterKey(masterPassword);
+      const salt = keySalt ? Buffer.from(keySalt, 'hex') : crypto.randomBytes(this.options.saltLength);
+      const masterKey = await this._deriveMasterKey(masterPassword, salt);
+
+      this.secureWipe(this.masterKey);
+      this.masterKey = masterKey;
+      this.keySalt = salt.toString('hex');
       this.isUnlocked = true;
 
       this.emit('storage:unlocked');
@@ -51,6 +64,7 @@ export class SecureStorage extends EventEmitter {
    * Lock the secure storage
    */
   lock() {
+    this.secureWipe(this.masterKey);
     this.masterKey = null;
     this.isUnlocked = false;
     this.emit('storage:locked');
@@ -64,6 +78,15 @@ export class SecureStorage extends EventEmitter {
     return this.isUnlocked && this.masterKey !== null;
   }
 
+  /**
+   * Get the salt the master key was derived with
+   * It isn't secret; store it with the encrypted data.
+   * @returns {string|null} Hex salt, or null before initialize()
+   */
+  getKeySalt() {
+    return this.keySalt;
+  }
+
   /**
    * Encrypt data
    * @param {string} plaintext - Data to encrypt
@@ -81,7 +104,10 @@ export class SecureStorage extends EventEmitter {
       const salt = crypto.randomBytes(this.options.saltLength);
 
       // Create cipher
-      const cipher = crypto.createCipher(this.options.algorithm, this.masterKey);
+      const key = this._getValueKey(salt);
+      const cipher = crypto.createCipheriv(this.options.algorithm, key, iv, {
+        authTagLength: this.options.tagLength
+      });
       cipher.setAAD(Buffer.from(additionalData, 'utf8'));
 
       // Encrypt data
@@ -130,7 +156,10 @@ export class SecureStorage extends EventEmitter {
       const encrypted = buffer.subarray(this.options.saltLength + this.options.ivLength + this.options.tagLength);
 
       // Create decipher
-      const decipher = crypto.createDecipher(this.options.algorithm, this.masterKey);
+      const key = this._getValueKey(salt);
+      const decipher = crypto.createDecipheriv(this.options.algorithm, key, iv, {
+        authTagLength: this.options.tagLength
+      });
       decipher.setAAD(Buffer.from(additionalData, 'utf8'));
       decipher.setAuthTag(tag);
 
@@ -226,6 +255,15 @@ export class SecureStorage extends EventEmitter {
     });
   }
 
+  /**
+   * Get the key for one encrypted value
+   * @param {Buffer} salt - Salt stored with the encrypted value
+   * @returns {Buffer} 256-bit key
+   */
+  _getValueKey(salt) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.masterKey, salt, 'lahat-secure-storage', 32));
+  }
+
   /**
    * Generate key pair for asymmetric encryption
    * @returns {Object} Key pair with public and private keys
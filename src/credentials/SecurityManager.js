@@ -4,8 +4,20 @@
  */
 
 import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
 import { CredentialManager } from './CredentialManager.js';
 import { SecureStorage } from './SecureStorage.js';
+import { AuditLog } from './AuditLog.js';
+
+// Encrypted with the master password so it can be checked without touching credentials
+const VERIFIER_TEXT = 'lahat-master-password';
+const VERIFIER_CONTEXT = 'lahat-master-password-verifier';
+
+// Keychain account holding the key that signs the audit log
+const AUDIT_KEY_ACCOUNT = 'audit-log-key';
 
 export class SecurityManager extends EventEmitter {
   constructor(options = {}) {
@@ -15,38 +27,83 @@ export class SecurityManager extends EventEmitter {
       serviceName: 'Lahat',
       encryptionEnabled: true,
       auditEnabled: true,
-      sessionTimeout: 30 * 60 * 1000, // 30 minutes
+      sessionTimeout: 30 * 60 * 1000, // 30 minutes without activity
+      masterPasswordPath: null, // defaults to ~/.lahat/security/master-password.json
+      minMasterPasswordLength: 8,
+      auditLogPath: null, // defaults to ~/.lahat/security/audit.log
+      auditMaxFileSize: 5 * 1024 * 1024, // 5MB
+      auditMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+      auditMaxFiles: 10,
+      credentialOptions: {}, // passed to the CredentialManager, e.g. metadataPath or keychain
       ...options
     };
     
     this.credentialManager = new CredentialManager({
+      ...this.options.credentialOptions,
       serviceName: this.options.serviceName
     });
     
     this.secureStorage = new SecureStorage();
+    this.credentialManager.setSecureStorage(this.secureStorage);
+    this.masterPasswordConfig = null; // Set when a master password is required
     this.sessionStartTime = null;
+    this.lastActivityTime = null;
+    this.idleTimer = null;
     this.auditLog = [];
+    this.auditHistoryRestored = false;
+    this.auditStore = new AuditLog({
+      ...(this.options.auditLogPath && { filePath: this.options.auditLogPath }),
+      maxFileSize: this.options.auditMaxFileSize,
+      maxAge: this.options.auditMaxAge,
+      maxFiles: this.options.auditMaxFiles,
+      getKey: () => this._getAuditKey()
+    });
     this.securityPolicies = new Map();
     
+    if (!this.options.masterPasswordPath) {
+      this.options.masterPasswordPath = path.join(os.homedir(), '.lahat', 'security', 'master-password.json');
+    }
+    
     this._initializeEventHandlers();
   }
 
   /**
    * Initialize the security manager
+   * When a master password is required the session stays locked until
+   * unlock() is called, unless the password is passed here.
    * @param {string} masterPassword - Optional master password for additional encryption
    * @returns {Promise<boolean>} Success status
    */
   async initialize(masterPassword = null) {
     try {
-      this.sessionStartTime = Date.now();
+      await this._loadMasterPasswordConfig();
+      
+      // Restore audit history from earlier sessions ahead of anything logged since startup
+      if (this.options.auditEnabled && !this.auditHistoryRestored) {
+        const history = await this.auditStore.load();
+        this.auditLog = [...history, ...this.auditLog].slice(-10000);
+        this.auditHistoryRestored = true;
+      }
+      
+      // Load persisted credential metadata and sync it with the keychain
+      await this.credentialManager.initialize();
       
-      // Initialize secure storage if master password provided
-      if (masterPassword && this.options.encryptionEnabled) {
-        await this.secureStorage.initialize(masterPassword);
+      if (this.isMasterPasswordEnabled()) {
+        if (masterPassword) {
+          await this.unlock(masterPassword);
+        }
+      } else {
+        this._startSession();
+        
+        // Initialize secure storage if master password provided
+        if (masterPassword && this.options.encryptionEnabled) {
+          await this.secureStorage.initialize(masterPassword);
+        }
       }
       
       this._auditLog('security:initialized', { 
         encryptionEnabled: this.options.encryptionEnabled,
+        masterPasswordRequired: this.isMasterPasswordEnabled(),
         timestamp: new Date().toISOString()
       });
       
@@ -75,14 +132,8 @@ export class SecurityManager extends EventEmitter {
         this._checkSession();
         this._auditLog('credential:set', { name, timestamp: new Date().toISOString() });
         
-        // Optionally encrypt value before storing
-        let finalValue = value;
-        if (this.options.encryptionEnabled && this.secureStorage.isStorageUnlocked()) {
-          finalValue = await this.secureStorage.encrypt(value, name);
-          metadata.encrypted = true;
-        }
-        
-        return await this.credentialManager.setCredential(name, finalValue, metadata);
+        // The credential manager encrypts the value when a master password is set
+        return await this.credentialManager.setCredential(name, value, metadata);
       },
 
       /**
@@ -93,20 +144,14 @@ export class SecurityManager extends EventEmitter {
        */
       get: async (name, options = {}) => {
         this._checkSession();
-        this._auditLog('credential:get', { name, timestamp: new Date().toISOString() });
-        
-        const value = await this.credentialManager.getCredential(name, options);
-        
-        if (value) {
-          const metadata = this.credentialManager.getCredentialMetadata(name);
-          
-          // Decrypt if needed
-          if (metadata && metadata.encrypted && this.secureStorage.isStorageUnlocked()) {
-            return await this.secureStorage.decrypt(value, name);
-          }
+
+        if ('appId' in options && !this.isActionAllowed('credential:get', { appId: options.appId, name })) {
+          throw new Error(`App '${options.appId}' is not allowed to read credential '${name}'`);
         }
+
+        this._auditLog('credential:get', { name, appId: options.appId, timestamp: new Date().toISOString() });
         
-        return value;
+        return await this.credentialManager.getCredential(name, options);
       },
 
       /**
@@ -171,6 +216,154 @@ export class SecurityManager extends EventEmitter {
     };
   }
 
+  /**
+   * Check whether a master password is required to read credentials
+   * @returns {boolean} Whether master password mode is on
+   */
+  isMasterPasswordEnabled() {
+    return this.masterPasswordConfig !== null;
+  }
+
+  /**
+   * Unlock credential storage with the master password
+   * @param {string} password - Master password
+   * @returns {Promise<boolean>} Success status
+   */
+  async unlock(password) {
+    if (!this.isMasterPasswordEnabled()) {
+      throw new Error('No master password has been set');
+    }
+
+    if (!(await this._verifyMasterPassword(password))) {
+      this._auditLog('security:unlock:failed', { timestamp: new Date().toISOString() });
+      throw new Error('Incorrect master password');
+    }
+
+    await this.secureStorage.initialize(password, this.masterPasswordConfig.keySalt);
+    this._startSession();
+
+    this._auditLog('security:unlocked', { timestamp: new Date().toISOString() });
+    this.emit('security:unlocked');
+    return true;
+  }
+
+  /**
+   * Require a master password and encrypt every stored credential with it
+   * @param {string} password - New master password
+   * @returns {Promise<Object>} Result { enabled, reencrypted }
+   */
+  async enableMasterPassword(password) {
+    if (this.isMasterPasswordEnabled()) {
+      throw new Error('A master password is already set; change it instead');
+    }
+
+    this._validateMasterPassword(password);
+    this._checkSession();
+
+    const values = await this.credentialManager.readAllValues();
+    await this.secureStorage.initialize(password);
+
+    // Saved before rewriting: values not rewritten yet are still readable
+    // since each one records whether it is encrypted
+    const now = new Date().toISOString();
+    await this._saveMasterPasswordConfig({
+      verifier: await this.secureStorage.encrypt(VERIFIER_TEXT, VERIFIER_CONTEXT),
+      keySalt: this.secureStorage.getKeySalt(),
+      createdAt: now,
+      changedAt: now
+    });
+
+    const reencrypted = await this.credentialManager.reencryptValues(values);
+    this._startSession();
+
+    this._auditLog('security:master_password:enabled', { reencrypted });
+    this.emit('security:master_password:changed', { enabled: true });
+    return { enabled: true, reencrypted };
+  }
+
+  /**
+   * Change the master password, re-encrypting every stored credential
+   * All values are decrypted before anything is rewritten, so a value that
+   * can't be read aborts the change without touching the others. If a
+   * rewrite or saving the new verifier fails, the entries are put back as
+   * they were, so the current password keeps working.
+   * @param {string} currentPassword - Current master password
+   * @param {string} newPassword - New master password
+   * @returns {Promise<Object>} Result { enabled, reencrypted }
+   */
+  async changeMasterPassword(currentPassword, newPassword) {
+    if (!this.isMasterPasswordEnabled()) {
+      throw new Error('No master password has been set');
+    }
+
+    this._validateMasterPassword(newPassword);
+
+    if (!(await this._verifyMasterPassword(currentPassword))) {
+      this._auditLog('security:master_password:change_failed', { reason: 'Incorrect master password' });
+      throw new Error('Incorrect master password');
+    }
+
+    const currentKeySalt = this.masterPasswordConfig.keySalt;
+    await this.secureStorage.initialize(currentPassword, currentKeySalt);
+    const values = await this.credentialManager.readAllValues();
+    const snapshot = await this.credentialManager.snapshotStoredValues();
+
+    await this.secureStorage.initialize(newPassword);
+    let reencrypted;
+    try {
+      reencrypted = await this.credentialManager.reencryptValues(values);
+
+      await this._saveMasterPasswordConfig({
+        ...this.masterPasswordConfig,
+        verifier: await this.secureStorage.encrypt(VERIFIER_TEXT, VERIFIER_CONTEXT),
+        keySalt: this.secureStorage.getKeySalt(),
+        changedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      await this.credentialManager.restoreStoredValues(snapshot);
+      await this.secureStorage.initialize(currentPassword, currentKeySalt);
+
+      this._auditLog('security:master_password:change_failed', { reason: error.message });
+      throw new Error(`Failed to change master password: ${error.message}`);
+    }
+    this._startSession();
+
+    this._auditLog('security:master_password:changed', { reencrypted });
+    this.emit('security:master_password:changed', { enabled: true });
+    return { enabled: true, reencrypted };
+  }
+
+  /**
+   * Stop requiring a master password and store credentials without the extra encryption
+   * @param {string} password - Current master password
+   * @returns {Promise<Object>} Result { enabled, reencrypted }
+   */
+  async disableMasterPassword(password) {
+    if (!this.isMasterPasswordEnabled()) {
+      throw new Error('No master password has been set');
+    }
+
+    if (!(await this._verifyMasterPassword(password))) {
+      this._auditLog('security:master_password:disable_failed', { reason: 'Incorrect master password' });
+      throw new Error('Incorrect master password');
+    }
+
+    await this.secureStorage.initialize(password, this.masterPasswordConfig.keySalt);
+    const values = await this.credentialManager.readAllValues();
+
+    this.credentialManager.setEncryptionRequired(false);
+    const reencrypted = await this.credentialManager.reencryptValues(values);
+
+    await fs.rm(this.options.masterPasswordPath, { force: true });
+    this.masterPasswordConfig = null;
+    this.secureStorage.lock();
+    this._startSession();
+
+    this._auditLog('security:master_password:disabled', { reencrypted });
+    this.emit('security:master_password:changed', { enabled: false });
+    return { enabled: false, reencrypted };
+  }
+
   /**
    * Get encryption utilities
    * @returns {Object} Encryption utilities
@@ -265,6 +458,14 @@ export class SecurityManager extends EventEmitter {
    * @returns {boolean} Whether action is allowed
    */
   isActionAllowed(action, context = {}) {
+    // Apps may only touch credentials they were granted; an app without an id gets nothing
+    if (action.startsWith('credential:') && 'appId' in context) {
+      if (!context.appId || !this.credentialManager.isAccessGranted(context.appId, context.name)) {
+        this._auditLog('credential:access_denied', { requestedAction: action, appId: context.appId, name: context.name });
+        return false;
+      }
+    }
+
     // Check each relevant policy
     for (const [name, policy] of this.securityPolicies) {
       if (policy.actions && policy.actions.includes(action)) {
@@ -278,6 +479,83 @@ export class SecurityManager extends EventEmitter {
     return true;
   }
 
+  /**
+   * Ask the user to approve the credentials an app manifest requests
+   * Only access that hasn't been granted before is put to the user, so an
+   * app is approved once rather than on every launch.
+   * @param {string} appId - App ID
+   * @param {Object} manifest - App manifest declaring `credentials`
+   * @param {Function} approve - Async prompt receiving { appId, appName, credentials, providers }; resolves true, false, or the subset to grant
+   * @returns {Promise<Object>} Result { granted, access }
+   */
+  async requestAppCredentials(appId, manifest, approve) {
+    const requested = this.credentialManager.getRequestedAccess(manifest);
+    const missing = this.credentialManager.getMissingAccess(appId, requested);
+
+    if (missing.credentials.length === 0 && missing.providers.length === 0) {
+      return { granted: true, access: requested };
+    }
+
+    const appName = manifest?.app?.name || manifest?.name || appId;
+    this._auditLog('credential:grant:requested', { appId, ...missing });
+
+    const decision = await approve({ appId, appName, ...missing });
+    if (!decision) {
+      this._auditLog('credential:grant:denied', { appId, ...missing });
+      return { granted: false, access: null };
+    }
+
+    const access = decision === true ? missing : {
+      credentials: (decision.credentials || []).filter(name => missing.credentials.includes(name)),
+      providers: (decision.providers || []).filter(provider => missing.providers.includes(provider))
+    };
+
+    await this.credentialManager.grantCredentialAccess(appId, access, { appName });
+
+    const remaining = this.credentialManager.getMissingAccess(appId, requested);
+    return {
+      granted: remaining.credentials.length === 0 && remaining.providers.length === 0,
+      access
+    };
+  }
+
+  /**
+   * Read a credential on behalf of an app
+   * Every read made for an app goes through here, so it is always checked
+   * against the app's grant and denied when there is none.
+   * @param {string} appId - App making the request
+   * @param {string} name - Credential name
+   * @param {Object} options - Retrieval options
+   * @returns {Promise<string|null>} Credential value
+   */
+  async getAppCredential(appId, name, options = {}) {
+    if (!appId || typeof appId !== 'string') {
+      this._auditLog('credential:access_denied', { requestedAction: 'credential:get', name, reason: 'Missing app ID' });
+      throw new Error('An app ID is required to read credentials');
+    }
+
+    return await this.getCredentials().get(name, { ...options, appId });
+  }
+
+  /**
+   * Revoke an app's credential access
+   * @param {string} appId - App ID
+   * @param {Object} access - Access to revoke { credentials, providers }; revokes everything if omitted
+   * @returns {Promise<boolean>} Whether anything was revoked
+   */
+  async revokeAppCredentials(appId, access = null) {
+    return await this.credentialManager.revokeCredentialAccess(appId, access);
+  }
+
+  /**
+   * Get credential grants
+   * @param {string} appId - Only return this app's grant
+   * @returns {Array<Object>} Grants
+   */
+  getAppCredentialGrants(appId = null) {
+    return this.credentialManager.getCredentialGrants(appId);
+  }
+
   /**
    * Get security audit log
    * @param {Object} filter - Filter options
@@ -291,10 +569,19 @@ export class SecurityManager extends EventEmitter {
       logs = logs.filter(log => new Date(log.timestamp) >= since);
     }
     
+    if (filter.until) {
+      const until = new Date(filter.until);
+      logs = logs.filter(log => new Date(log.timestamp) <= until);
+    }
+    
     if (filter.action) {
       logs = logs.filter(log => log.action === filter.action);
     }
     
+    if (filter.appId) {
+      logs = logs.filter(log => log.appId === filter.appId);
+    }
+    
     if (filter.limit) {
       logs = logs.slice(-filter.limit);
     }
@@ -303,7 +590,31 @@ export class SecurityManager extends EventEmitter {
   }
 
   /**
-   * Clear audit log
+   * Query the persisted audit log, including history from earlier sessions
+   * @param {Object} filter - Filter options { action, appId, since, until, limit }
+   * @returns {Promise<Array>} Audit log entries
+   */
+  async queryAuditLog(filter = {}) {
+    return await this.auditStore.query(filter);
+  }
+
+  /**
+   * Verify that the persisted audit log has not been altered
+   * @returns {Promise<Object>} Verification result { valid, entries, files, errors }
+   */
+  async verifyAuditLog() {
+    const result = await this.auditStore.verify();
+
+    if (!result.valid) {
+      this.emit('audit:tampered', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Clear the in-memory audit log
+   * The persisted log is append-only and is never cleared.
    */
   clearAuditLog() {
     this.auditLog = [];
@@ -319,6 +630,9 @@ export class SecurityManager extends EventEmitter {
       initialized: this.sessionStartTime !== null,
       sessionActive: this._isSessionActive(),
       sessionUptime: this.sessionStartTime ? Date.now() - this.sessionStartTime : 0,
+      idleTimeout: this.options.sessionTimeout,
+      masterPasswordEnabled: this.isMasterPasswordEnabled(),
+      locked: this.isMasterPasswordEnabled() && !this._isSessionActive(),
       encryptionEnabled: this.options.encryptionEnabled,
       encryptionUnlocked: this.secureStorage.isStorageUnlocked(),
       auditEnabled: this.options.auditEnabled,
@@ -330,14 +644,23 @@ export class SecurityManager extends EventEmitter {
 
   /**
    * Lock the security manager
+   * Without a master password only cached values are dropped; the session
+   * stays open since there would be no way to unlock it.
+   * @param {string} reason - Why the session was locked ('manual' or 'idle')
    */
-  lock() {
+  lock(reason = 'manual') {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    
     this.secureStorage.lock();
     this.credentialManager.clearCache();
-    this.sessionStartTime = null;
+    if (this.isMasterPasswordEnabled()) {
+      this.sessionStartTime = null;
+      this.lastActivityTime = null;
+    }
     
-    this._auditLog('security:locked', { timestamp: new Date().toISOString() });
-    this.emit('security:locked');
+    this._auditLog('security:locked', { reason, timestamp: new Date().toISOString() });
+    this.emit('security:locked', { reason });
   }
 
   /**
@@ -347,18 +670,156 @@ export class SecurityManager extends EventEmitter {
   _isSessionActive() {
     if (!this.sessionStartTime) return false;
     
-    const sessionAge = Date.now() - this.sessionStartTime;
-    return sessionAge < this.options.sessionTimeout;
+    // Without a master password there is nothing to unlock with, so the session doesn't idle out
+    if (!this.isMasterPasswordEnabled()) return true;
+    
+    if (!this.secureStorage.isStorageUnlocked()) {
+      return false;
+    }
+    
+    const idleTime = Date.now() - this.lastActivityTime;
+    return idleTime < this.options.sessionTimeout;
   }
 
   /**
    * Check session validity and throw if expired
+   * A valid check counts as activity and postpones the idle lock.
    */
   _checkSession() {
     if (!this._isSessionActive()) {
-      this.lock();
-      throw new Error('Security session has expired');
+      if (this.sessionStartTime) {
+        this.lock('idle');
+      }
+      
+      throw new Error(this.isMasterPasswordEnabled()
+        ? 'Credential storage is locked; unlock it with the master password'
+        : 'Security session has expired');
     }
+    
+    this._recordActivity();
+  }
+
+  /**
+   * Start a new session
+   */
+  _startSession() {
+    this.sessionStartTime = Date.now();
+    this._recordActivity();
+  }
+
+  /**
+   * Record session activity and restart the idle timer
+   * The idle lock is only armed while a master password is set.
+   */
+  _recordActivity() {
+    if (!this.sessionStartTime) return;
+    
+    this.lastActivityTime = Date.now();
+    
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (!this.isMasterPasswordEnabled()) return;
+    
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.sessionStartTime) {
+        this.lock('idle');
+      }
+    }, this.options.sessionTimeout);
+    
+    // Don't keep the process alive just to lock it
+    this.idleTimer.unref?.();
+  }
+
+  /**
+   * Validate a new master password
+   * @param {string} password - Master password
+   */
+  _validateMasterPassword(password) {
+    if (!password || typeof password !== 'string') {
+      throw new Error('Master password is required');
+    }
+    
+    if (password.length < this.options.minMasterPasswordLength) {
+      throw new Error(`Master password must be at least ${this.options.minMasterPasswordLength} characters`);
+    }
+  }
+
+  /**
+   * Check a password against the stored verifier
+   * Uses a separate storage so a wrong password never replaces the current key.
+   * @param {string} password - Password to check
+   * @returns {Promise<boolean>} Whether the password is correct
+   */
+  async _verifyMasterPassword(password) {
+    if (!password || typeof password !== 'string') {
+      return false;
+    }
+    
+    const storage = new SecureStorage(this.secureStorage.options);
+    await storage.initialize(password, this.masterPasswordConfig.keySalt);
+    
+    try {
+      return await storage.decrypt(this.masterPasswordConfig.verifier, VERIFIER_CONTEXT) === VERIFIER_TEXT;
+    } catch {
+      return false;
+    } finally {
+      storage.lock();
+    }
+  }
+
+  /**
+   * Load the master password settings from disk
+   * @returns {Promise<void>}
+   */
+  async _loadMasterPasswordConfig() {
+    try {
+      const config = JSON.parse(await fs.readFile(this.options.masterPasswordPath, 'utf8'));
+      this.masterPasswordConfig = config?.verifier ? config : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load master password settings: ${error.message}`);
+      }
+      this.masterPasswordConfig = null;
+    }
+    
+    this.credentialManager.setEncryptionRequired(this.isMasterPasswordEnabled());
+  }
+
+  /**
+   * Save the master password settings to disk
+   * @param {Object} config - Settings { verifier, keySalt, createdAt, changedAt }
+   * @returns {Promise<void>}
+   */
+  async _saveMasterPasswordConfig(config) {
+    const filePath = this.options.masterPasswordPath;
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+    
+    this.masterPasswordConfig = config;
+    this.credentialManager.setEncryptionRequired(true);
+  }
+
+  /**
+   * Get the key that signs the audit log, creating it on first use
+   * It lives in the keychain under its own service, so it isn't listed as a
+   * credential and can't be read by anyone who can only write the log files.
+   * @returns {Promise<string>} Hex-encoded key
+   */
+  async _getAuditKey() {
+    const keychain = this.credentialManager.keychain;
+    const service = `${this.options.serviceName}.audit`;
+
+    let key = await keychain.getPassword(service, AUDIT_KEY_ACCOUNT);
+    if (!key) {
+      key = crypto.randomBytes(32).toString('hex');
+      await keychain.setPassword(service, AUDIT_KEY_ACCOUNT, key);
+    }
+
+    return key;
   }
 
   /**
@@ -383,6 +844,10 @@ export class SecurityManager extends EventEmitter {
       this.auditLog.splice(0, this.auditLog.length - 10000);
     }
     
+    this.auditStore.append(entry).catch(() => {
+      // Reported through the store's 'audit:error' event
+    });
+    
     this.emit('audit:entry', entry);
   }
 
@@ -392,10 +857,12 @@ export class SecurityManager extends EventEmitter {
   _initializeEventHandlers() {
     // Forward credential manager events
     this.credentialManager.on('credential:set', (data) => {
+      this._recordActivity();
       this.emit('credential:set', data);
     });
     
     this.credentialManager.on('credential:accessed', (data) => {
+      this._recordActivity();
       this.emit('credential:accessed', data);
     });
     
@@ -403,6 +870,22 @@ export class SecurityManager extends EventEmitter {
       this.emit('credential:deleted', data);
     });
     
+    // Grant changes and denied reads are audited however they were made
+    this.credentialManager.on('credential:granted', (data) => {
+      this._auditLog('credential:granted', data);
+      this.emit('credential:granted', data);
+    });
+
+    this.credentialManager.on('credential:revoked', (data) => {
+      this._auditLog('credential:revoked', data);
+      this.emit('credential:revoked', data);
+    });
+
+    this.credentialManager.on('credential:access_denied', (data) => {
+      this._auditLog('credential:access_denied', data);
+      this.emit('credential:access_denied', data);
+    });
+    
     this.credentialManager.on('credential:error', (data) => {
       this._auditLog('credential:error', data);
       this.emit('credential:error', data);
@@ -421,5 +904,14 @@ export class SecurityManager extends EventEmitter {
       this._auditLog('storage:error', data);
       this.emit('storage:error', data);
     });
+    
+    // Audit persistence failures can't be audited themselves, only reported
+    this.auditStore.on('audit:error', (data) => {
+      this.emit('audit:error', data);
+    });
+    
+    this.auditStore.on('audit:rotated', (data) => {
+      this.emit('audit:rotated', data);
+    });
   }
 }
\ No newline at end of file
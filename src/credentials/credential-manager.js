@@ -2,15 +2,48 @@
 // Redesigned with grid-based tile layout using dynamic provider system
 
 import { providerRegistry } from './providers/ProviderRegistry.js';
+import { DefinedProvider } from './providers/defined/DefinedProvider.js';
 
 // Dynamic provider configurations from our provider system
 let PROVIDERS = {};
 
+// IDs of the user-defined providers registered in this window
+const definedProviderIds = new Set();
+
+// Register user-defined providers from the definitions the main process loaded
+async function loadProviderDefinitions(result = null) {
+  try {
+    result = result || await window.electronAPI.listProviderDefinitions?.();
+  } catch (error) {
+    console.error('Failed to load provider definitions:', error);
+    return;
+  }
+
+  if (!result?.definitions) return;
+
+  for (const providerId of definedProviderIds) {
+    providerRegistry.unregisterProvider(providerId);
+  }
+  definedProviderIds.clear();
+
+  for (const definition of result.definitions) {
+    try {
+      providerRegistry.registerProvider(new DefinedProvider(definition));
+      definedProviderIds.add(definition.id);
+    } catch (error) {
+      console.warn('Skipped provider definition:', error.message);
+    }
+  }
+}
+
 // Load providers from our provider registry
-async function loadProviders() {
+async function loadProviders(definitions = null) {
+  await loadProviderDefinitions(definitions);
+
   const allProviders = providerRegistry.getAllProviders();
   
-  PROVIDERS = {};
+  // Build the new set before swapping it in so components never see a partial list
+  const providers = {};
   
   for (const provider of allProviders) {
     const branding = provider.getBranding();
@@ -20,7 +53,7 @@ async function loadProviders() {
     // Map our provider fields to the UI format
     const primaryField = fields.find(f => f.name === 'apiKey') || fields[0];
     
-    PROVIDERS[provider.getId()] = {
+    providers[provider.getId()] = {
       id: provider.getId(),
       name: provider.getDisplayName(),
       description: uiConfig.description || 'API credentials',
@@ -28,13 +61,20 @@ async function loadProviders() {
       bgColor: branding.primaryColor,
       textColor: branding.textColor,
       placeholder: primaryField?.placeholder || 'Enter credentials...',
-      icon: await getProviderIcon(provider.getId()),
+      icon: branding.iconUrl ? renderIconImage(branding.iconUrl) : branding.iconSvg || await getProviderIcon(provider.getId()),
       fields: fields,
       branding: branding,
       uiConfig: uiConfig,
       provider: provider
     };
   }
+  
+  PROVIDERS = providers;
+}
+
+// User-defined icons are shown as images so their markup never becomes part of the page
+function renderIconImage(url) {
+  return `<img src="${url}" width="24" height="24" alt="">`;
 }
 
 // Provider icons - load from provider directories  
@@ -90,7 +130,7 @@ async function getProviderIcon(providerId) {
 }
 
 // Initialize providers when the module loads
-loadProviders();
+const providersLoaded = loadProviders();
 
 // IPC Bridge for communicating with main process
 class CredentialIPC {
@@ -143,6 +183,46 @@ class CredentialIPC {
       return { success: false, error: error.message };
     }
   }
+
+  static async loadGrants() {
+    try {
+      const result = await window.electronAPI.listCredentialGrants();
+      return result.success ? result.grants : [];
+    } catch (error) {
+      console.error('Failed to load credential grants:', error);
+      return [];
+    }
+  }
+
+  static async revokeGrant(appId) {
+    try {
+      const result = await window.electronAPI.revokeCredentialGrant({ appId });
+      return result;
+    } catch (error) {
+      console.error('Failed to revoke credential grant:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getSecurityStatus() {
+    try {
+      const result = await window.electronAPI.getSecurityStatus();
+      return result.success ? result : null;
+    } catch (error) {
+      console.error('Failed to get security status:', error);
+      return null;
+    }
+  }
+
+  static async unlock(password) {
+    try {
+      const result = await window.electronAPI.unlockCredentials(password);
+      return result;
+    } catch (error) {
+      console.error('Failed to unlock credentials:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Credential Tile Component
@@ -167,7 +247,8 @@ class CredentialTile extends HTMLElement {
     if (!this.credential) return;
 
     // Map credential type to provider
-    const providerId = this.credential.type === 'openai' ? 'openai' : 
+    const providerId = PROVIDERS[this.credential.type] ? this.credential.type :
+                     this.credential.type === 'openai' ? 'openai' : 
                      this.credential.type === 'anthropic' ? 'anthropic' :
                      this.credential.type === 'aws' ? 'aws' :
                      this.credential.name?.toLowerCase().includes('openai') ? 'openai' :
@@ -622,6 +703,12 @@ class AddCredentialModal extends HTMLElement {
           cursor: not-allowed;
         }
 
+        .field-help {
+          margin-top: 6px;
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+
         .provider-info {
           background: var(--bg-secondary);
           border-radius: var(--radius-sm);
@@ -639,11 +726,7 @@ class AddCredentialModal extends HTMLElement {
           <div class="form-group">
             <label class="label">Provider</label>
             <select class="select" id="provider-select">
-              <option value="">Choose a provider...</option>
-              <option value="openai">OpenAI</option>
-              <option value="anthropic">Anthropic</option>
-              <option value="aws">AWS</option>
-              <option value="custom">Custom</option>
+              ${this.renderProviderOptions()}
             </select>
             <div class="provider-info" id="provider-info" style="display: none;">
               Select a provider to see instructions for obtaining an API key.
@@ -655,9 +738,8 @@ class AddCredentialModal extends HTMLElement {
             <input type="text" class="input" id="name-input" placeholder="e.g., OpenAI Production" />
           </div>
 
-          <div class="form-group">
-            <label class="label">API Key</label>
-            <input type="password" class="input" id="key-input" placeholder="Enter your API key..." />
+          <div id="fields-container">
+            ${this.renderFields()}
           </div>
 
           <div class="modal-actions">
@@ -675,14 +757,14 @@ class AddCredentialModal extends HTMLElement {
     const overlay = this.querySelector('#modal-overlay');
     const providerSelect = this.querySelector('#provider-select');
     const nameInput = this.querySelector('#name-input');
-    const keyInput = this.querySelector('#key-input');
+    const fieldsContainer = this.querySelector('#fields-container');
     const cancelBtn = this.querySelector('#cancel-btn');
     const saveBtn = this.querySelector('#save-btn');
-    const providerInfo = this.querySelector('#provider-info');
 
     // Provider selection
     providerSelect?.addEventListener('change', (e) => {
       this.selectedProvider = e.target.value;
+      this.updateFields();
       this.updateProviderInfo();
       
       // Auto-fill name if empty
@@ -696,9 +778,12 @@ class AddCredentialModal extends HTMLElement {
       this.updateSaveButton();
     });
 
-    // Input validation
-    [nameInput, keyInput].forEach(input => {
-      input?.addEventListener('input', () => {
+    // Input validation; provider fields are replaced when the provider changes
+    [nameInput, fieldsContainer].forEach(element => {
+      element?.addEventListener('input', () => {
+        this.updateSaveButton();
+      });
+      element?.addEventListener('change', () => {
         this.updateSaveButton();
       });
     });
@@ -721,8 +806,8 @@ class AddCredentialModal extends HTMLElement {
     });
 
     // Enter key to save
-    [nameInput, keyInput].forEach(input => {
-      input?.addEventListener('keydown', (e) => {
+    [nameInput, fieldsContainer].forEach(element => {
+      element?.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !saveBtn.disabled) {
           this.saveCredential();
         }
@@ -741,26 +826,107 @@ class AddCredentialModal extends HTMLElement {
       openai: 'Get your API key from platform.openai.com → API keys. Keep it secure!',
       anthropic: 'Get your API key from console.anthropic.com → API Keys. Keep it secure!',
       aws: 'Get your access key from AWS IAM → Users → Security credentials. Keep it secure!',
+      'amazon-s3': 'Get your access key from AWS IAM → Users → Security credentials. Keep it secure!',
       custom: 'Enter your custom API key. Make sure to keep it secure!'
     };
 
-    providerInfo.textContent = infoText[this.selectedProvider] || '';
+    providerInfo.textContent = infoText[this.selectedProvider] || PROVIDERS[this.selectedProvider]?.description || '';
     providerInfo.style.display = 'block';
   }
 
+  renderProviderOptions() {
+    const options = Object.values(PROVIDERS).map(provider =>
+      `<option value="${this.escapeHtml(provider.id)}">${this.escapeHtml(provider.name)}</option>`
+    );
+
+    return `<option value="">Choose a provider...</option>${options.join('')}`;
+  }
+
+  // Fields of the selected provider, or a plain API key field until one is chosen
+  getFields() {
+    return PROVIDERS[this.selectedProvider]?.fields || [
+      { name: 'apiKey', type: 'password', label: 'API Key', placeholder: 'Enter your API key...', required: true }
+    ];
+  }
+
+  renderFields() {
+    return this.getFields().map(field => {
+      const id = this.escapeHtml(`field-${field.name}`);
+      const attributes = `id="${id}" data-field="${this.escapeHtml(field.name)}"`;
+
+      const input = field.type === 'select'
+        ? `<select class="select" ${attributes}>
+            <option value="">Choose...</option>
+            ${(field.options || []).map(option =>
+              `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`
+            ).join('')}
+          </select>`
+        : `<input type="${['password', 'url', 'email'].includes(field.type) ? field.type : 'text'}" class="input" ${attributes}
+            placeholder="${this.escapeHtml(field.placeholder || '')}" />`;
+
+      return `
+        <div class="form-group">
+          <label class="label" for="${id}">${this.escapeHtml(field.label)}</label>
+          ${input}
+          ${field.helpText ? `<div class="field-help">${this.escapeHtml(field.helpText)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  updateFields() {
+    const container = this.querySelector('#fields-container');
+    if (container) {
+      container.innerHTML = this.renderFields();
+    }
+  }
+
+  getFieldValues() {
+    const values = {};
+    this.querySelectorAll('[data-field]').forEach(input => {
+      values[input.dataset.field] = input.value.trim();
+    });
+    return values;
+  }
+
+  // Rebuild the provider list after user-defined providers change
+  refreshProviders() {
+    const providerSelect = this.querySelector('#provider-select');
+    if (!providerSelect) return;
+
+    providerSelect.innerHTML = this.renderProviderOptions();
+
+    if (this.selectedProvider && PROVIDERS[this.selectedProvider]) {
+      providerSelect.value = this.selectedProvider;
+      return;
+    }
+
+    // The selected provider's definition was removed
+    this.selectedProvider = null;
+    this.updateFields();
+    this.updateProviderInfo();
+    this.updateSaveButton();
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   updateSaveButton() {
     const nameInput = this.querySelector('#name-input');
-    const keyInput = this.querySelector('#key-input');
     const saveBtn = this.querySelector('#save-btn');
     
-    if (!nameInput || !keyInput || !saveBtn) {
+    if (!nameInput || !saveBtn) {
       console.warn('Form elements not found during validation');
       return;
     }
     
+    const values = this.getFieldValues();
     const hasProvider = !!this.selectedProvider;
     const hasName = !!nameInput.value.trim();
-    const hasKey = !!keyInput.value.trim();
+    const hasKey = this.getFields().every(field => !field.required || !!values[field.name]);
     
     const isValid = hasProvider && hasName && hasKey;
     saveBtn.disabled = !isValid;
@@ -773,7 +939,19 @@ class AddCredentialModal extends HTMLElement {
 
   async saveCredential() {
     const nameInput = this.querySelector('#name-input');
-    const keyInput = this.querySelector('#key-input');
+    const provider = PROVIDERS[this.selectedProvider];
+    const fields = this.getFields();
+    const values = this.getFieldValues();
+
+    // Apply the provider's field rules before anything is stored
+    const validation = provider.provider.validateCredentials(values);
+    if (!validation.isValid) {
+      this.dispatchEvent(new CustomEvent('show-toast', {
+        detail: { message: validation.errors.join(', '), type: 'error' },
+        bubbles: true
+      }));
+      return;
+    }
     
     // Map provider types to the naming convention expected by app creation flow
     const getCredentialName = (providerType) => {
@@ -786,6 +964,7 @@ class AddCredentialModal extends HTMLElement {
         'anthropic': 'claude',
         'openai': 'openai',
         'aws': 'aws',
+        'amazon-s3': 'aws',
         'custom': 'custom'
       };
       
@@ -798,8 +977,9 @@ class AddCredentialModal extends HTMLElement {
       name: getCredentialName(this.selectedProvider), // Use standardized naming
       displayName: nameInput.value.trim(), // Keep user-friendly name for display
       type: this.selectedProvider,
-      description: PROVIDERS[this.selectedProvider].description,
-      value: keyInput.value.trim(),
+      description: provider.description,
+      // Multi-field providers store their fields as a JSON object
+      value: fields.length === 1 ? values[fields[0].name] : JSON.stringify(values),
       createdAt: new Date().toISOString(),
       lastUsed: null
     };
@@ -831,8 +1011,8 @@ class AddCredentialModal extends HTMLElement {
     // Reset form
     this.querySelector('#provider-select').value = '';
     this.querySelector('#name-input').value = '';
-    this.querySelector('#key-input').value = '';
     this.selectedProvider = null;
+    this.updateFields();
     this.updateProviderInfo();
     
     // Use setTimeout to ensure DOM is ready for validation
@@ -997,6 +1177,161 @@ class ConfirmationModal extends HTMLElement {
   }
 }
 
+// Unlock Modal Component
+class UnlockModal extends HTMLElement {
+  connectedCallback() {
+    this.render();
+  }
+
+  render() {
+    this.innerHTML = `
+      <style>
+        .modal-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: none;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal-overlay.show {
+          display: flex;
+        }
+
+        .modal {
+          background: var(--bg-card);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+          max-width: 400px;
+          width: 90%;
+          box-shadow: var(--shadow-lg);
+          border: 1px solid var(--border-color);
+        }
+
+        .modal-title {
+          margin: 0 0 12px 0;
+          font-size: 16px;
+          font-weight: 600;
+          color: var(--text-primary);
+        }
+
+        .modal-text {
+          color: var(--text-secondary);
+          margin-bottom: 16px;
+        }
+
+        .input {
+          width: 100%;
+          padding: 12px 16px;
+          border: 1px solid var(--border-color);
+          border-radius: 8px;
+          background: var(--bg-primary);
+          color: var(--text-primary);
+          font-family: monospace;
+          font-size: 14px;
+          box-sizing: border-box;
+        }
+
+        .input:focus {
+          outline: none;
+          border-color: var(--primary-500);
+        }
+
+        .unlock-error {
+          min-height: 20px;
+          margin-top: 8px;
+          font-size: 13px;
+          color: var(--error-500);
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: 16px;
+        }
+
+        .btn {
+          padding: 8px 16px;
+          border-radius: var(--radius-sm);
+          border: none;
+          cursor: pointer;
+          font-size: 14px;
+          font-weight: 500;
+          background: var(--primary-500);
+          color: white;
+        }
+
+        .btn:disabled {
+          background: var(--text-muted);
+          cursor: not-allowed;
+        }
+      </style>
+
+      <div class="modal-overlay" id="modal-overlay">
+        <form class="modal" id="unlock-form">
+          <h3 class="modal-title">Credentials are locked</h3>
+          <p class="modal-text">Enter your master password to unlock your credentials.</p>
+          <input type="password" class="input" id="password-input" placeholder="Master password" autocomplete="current-password" />
+          <div class="unlock-error" id="unlock-error"></div>
+          <div class="modal-actions">
+            <button type="submit" class="btn" id="unlock-btn">Unlock</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const form = this.querySelector('#unlock-form');
+    const passwordInput = this.querySelector('#password-input');
+    const unlockBtn = this.querySelector('#unlock-btn');
+    const errorText = this.querySelector('#unlock-error');
+
+    // No cancel or backdrop close: nothing can be read until the storage is unlocked
+    form?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!passwordInput.value) return;
+
+      unlockBtn.disabled = true;
+      errorText.textContent = '';
+
+      const result = await CredentialIPC.unlock(passwordInput.value);
+      unlockBtn.disabled = false;
+
+      if (result.success) {
+        this.hide();
+        this.dispatchEvent(new CustomEvent('credentials-unlocked', { bubbles: true }));
+      } else {
+        errorText.textContent = result.error || 'Failed to unlock credentials';
+        passwordInput.select();
+      }
+    });
+  }
+
+  show() {
+    const overlay = this.querySelector('#modal-overlay');
+    const passwordInput = this.querySelector('#password-input');
+
+    this.querySelector('#unlock-error').textContent = '';
+    passwordInput.value = '';
+    overlay?.classList.add('show');
+    passwordInput.focus();
+  }
+
+  hide() {
+    const overlay = this.querySelector('#modal-overlay');
+    overlay?.classList.remove('show');
+    this.querySelector('#password-input').value = '';
+  }
+}
+
 // Toast Component
 class ToastContainer extends HTMLElement {
   connectedCallback() {
@@ -1058,13 +1393,34 @@ class CredentialManager extends HTMLElement {
     super();
     this.credentials = [];
     this.filteredCredentials = [];
+    this.grants = [];
     this.searchQuery = '';
   }
 
   async connectedCallback() {
+    await providersLoaded;
     this.render();
     this.setupEventListeners();
     await this.loadCredentials();
+    await this.loadGrants();
+    await this.checkLock();
+  }
+
+  async checkLock(status = null) {
+    status = status || await CredentialIPC.getSecurityStatus();
+
+    if (status?.masterPasswordEnabled && status.locked) {
+      this.querySelector('#unlock-modal')?.show();
+    }
+  }
+
+  async loadGrants() {
+    this.grants = await CredentialIPC.loadGrants();
+
+    const container = this.querySelector('#grants-section');
+    if (container) {
+      container.innerHTML = this.renderGrants();
+    }
   }
 
   async loadCredentials() {
@@ -1166,6 +1522,44 @@ class CredentialManager extends HTMLElement {
           margin: 0;
           line-height: 1.5;
         }
+
+        .grants-title {
+          font-size: 16px;
+          font-weight: 500;
+          color: var(--text-secondary);
+          margin: 0 0 12px 0;
+        }
+
+        .grant-row {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 16px;
+          padding: 12px 16px;
+          margin-bottom: 8px;
+          border: 1px solid var(--border-color);
+          border-radius: 12px;
+          background: var(--bg-card);
+        }
+
+        .grant-app {
+          font-weight: 500;
+          color: var(--text-primary);
+        }
+
+        .grant-access {
+          font-size: 13px;
+          color: var(--text-muted);
+        }
+
+        .grant-revoke {
+          padding: 6px 12px;
+          border: 1px solid var(--border-color);
+          border-radius: 8px;
+          background: transparent;
+          color: var(--text-secondary);
+          cursor: pointer;
+        }
       </style>
 
       <div class="container">
@@ -1186,10 +1580,15 @@ class CredentialManager extends HTMLElement {
         <div class="credentials-grid" id="credentials-grid">
           ${this.renderCredentials()}
         </div>
+
+        <div id="grants-section">
+          ${this.renderGrants()}
+        </div>
       </div>
 
       <add-credential-modal id="add-modal"></add-credential-modal>
       <confirmation-modal id="confirmation-modal"></confirmation-modal>
+      <unlock-modal id="unlock-modal"></unlock-modal>
       <toast-container id="toast-container"></toast-container>
     `;
   }
@@ -1223,6 +1622,37 @@ class CredentialManager extends HTMLElement {
     return `<add-credential-tile></add-credential-tile>${tiles}`;
   }
 
+  renderGrants() {
+    if (this.grants.length === 0) {
+      return '';
+    }
+
+    const rows = this.grants.map(grant => {
+      const access = [
+        ...grant.credentials,
+        ...grant.providers.map(provider => `any ${provider} credential`)
+      ].join(', ');
+
+      return `
+        <div class="grant-row">
+          <div>
+            <div class="grant-app">${this.escapeHtml(grant.appName)}</div>
+            <div class="grant-access">${this.escapeHtml(access)}</div>
+          </div>
+          <button class="grant-revoke" data-revoke-app="${this.escapeHtml(grant.appId)}">Revoke</button>
+        </div>
+      `;
+    }).join('');
+
+    return `<h3 class="grants-title">App access</h3>${rows}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   setupEventListeners() {
     const searchInput = this.querySelector('#search-input');
     const addModal = this.querySelector('#add-modal');
@@ -1267,6 +1697,39 @@ class CredentialManager extends HTMLElement {
       }
     });
 
+    // Revoke an app's credential access
+    this.querySelector('#grants-section')?.addEventListener('click', async (e) => {
+      const appId = e.target.closest('[data-revoke-app]')?.dataset.revokeApp;
+      if (!appId) return;
+
+      const result = await CredentialIPC.revokeGrant(appId);
+      if (result.success) {
+        await this.loadGrants();
+        this.showToast('Credential access revoked', 'success');
+      } else {
+        this.showToast('Failed to revoke access: ' + result.error, 'error');
+      }
+    });
+
+    // Master password unlock
+    this.addEventListener('credentials-unlocked', async () => {
+      await this.loadCredentials();
+      await this.loadGrants();
+      this.showToast('Credentials unlocked', 'success');
+    });
+
+    // Prompt again when the storage locks, e.g. after the idle timeout
+    window.electronAPI.onCredentialsLockChanged?.((status) => {
+      this.checkLock(status);
+    });
+
+    // Pick up provider definitions added, edited or removed in the providers folder
+    window.electronAPI.onProviderDefinitionsChanged?.(async (result) => {
+      await loadProviders(result);
+      addModal?.refreshProviders();
+      this.refreshCredentialsList();
+    });
+
     // Toast messages
     this.addEventListener('show-toast', (e) => {
       this.showToast(e.detail.message, e.detail.type);
@@ -1291,5 +1754,6 @@ customElements.define('credential-tile', CredentialTile);
 customElements.define('add-credential-tile', AddCredentialTile);
 customElements.define('add-credential-modal', AddCredentialModal);
 customElements.define('confirmation-modal', ConfirmationModal);
+customElements.define('unlock-modal', UnlockModal);
 customElements.define('toast-container', ToastContainer);
 customElements.define('credential-manager', CredentialManager);
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Credential expiry reminders
+ * Keeps the list of credentials the main window warns about, built from the
+ * 'credential-expiry' events the main process sends.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Apply a credential expiry event to the current reminders
+ * @param {Map<string, Object>} reminders - Reminders by credential name
+ * @param {Object} event - Expiry event { type, name, state, expiresAt, daysRemaining }
+ * @returns {Map<string, Object>} Updated reminders, soonest expiry first
+ */
+export function applyExpiryEvent(reminders, event) {
+  const next = new Map(reminders);
+
+  if (event.type === 'expired' || event.type === 'expiring') {
+    next.set(event.name, {
+      name: event.name,
+      state: event.type,
+      expiresAt: event.expiresAt,
+      daysRemaining: event.daysRemaining
+    });
+  } else {
+    // Rotated credentials are reported again by the next check if they still expire soon
+    next.delete(event.name);
+  }
+
+  return new Map([...next].sort(([, a], [, b]) => new Date(a.expiresAt) - new Date(b.expiresAt)));
+}
+
+/**
+ * Describe when a credential expires
+ * @param {Object} reminder - Reminder { state, expiresAt }
+ * @param {Date} now - Reference time
+ * @returns {string} Description such as "expires in 3 days"
+ */
+export function describeExpiry(reminder, now = new Date()) {
+  const expiresAt = new Date(reminder.expiresAt);
+
+  if (reminder.state === 'expired' || expiresAt <= now) {
+    return `expired on ${expiresAt.toLocaleDateString()}`;
+  }
+
+  const days = Math.ceil((expiresAt - now) / DAY);
+  if (days <= 1) {
+    return 'expires within a day';
+  }
+
+  return `expires in ${days} days`;
+}
+
+/**
+ * Turn expiry statuses into the events the main window expects
+ * Expiry events are only emitted when a credential's state changes, so a
+ * window that loads later is sent the current statuses instead.
+ * @param {Array<Object>} statuses - Statuses from CredentialManager.getExpiringCredentials()
+ * @returns {Array<Object>} Expiry events
+ */
+export function toExpiryEvents(statuses) {
+  return statuses.map(status => ({ type: status.state, ...status }));
+}
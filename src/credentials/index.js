@@ -6,12 +6,17 @@
 export { CredentialManager } from './CredentialManager.js';
 export { SecureStorage } from './SecureStorage.js';
 export { SecurityManager } from './SecurityManager.js';
+export { AuditLog } from './AuditLog.js';
 
 // Provider system exports
 export { BaseProvider } from './providers/BaseProvider.js';
 export { AnthropicProvider } from './providers/anthropic/AnthropicProvider.js';
 export { OpenAIProvider } from './providers/openai/OpenAIProvider.js';
 export { AmazonS3Provider } from './providers/amazon-s3/AmazonS3Provider.js';
+export { HttpApiProvider } from './providers/http/HttpApiProvider.js';
+export { OAuthProvider, registerOAuthProviders } from './providers/oauth/OAuthProvider.js';
+export { DefinedProvider } from './providers/defined/DefinedProvider.js';
+export { ProviderDefinitionLoader } from './providers/defined/ProviderDefinitionLoader.js';
 export { ProviderRegistry, providerRegistry } from './providers/ProviderRegistry.js';
 
 // Create default security manager instance
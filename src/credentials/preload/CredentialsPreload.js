@@ -60,6 +60,168 @@ export class CredentialsPreload {
         }
       },
 
+      checkCredentialExpiry: async () => {
+        try {
+          return await this.ipcRenderer.invoke('check-credential-expiry');
+        } catch (error) {
+          console.error('Error checking credential expiry:', error);
+          throw error;
+        }
+      },
+
+      rotateCredential: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('rotate-credential', params);
+        } catch (error) {
+          console.error('Error rotating credential:', error);
+          throw error;
+        }
+      },
+
+      listOAuthProviders: async () => {
+        try {
+          return await this.ipcRenderer.invoke('list-oauth-providers');
+        } catch (error) {
+          console.error('Error listing OAuth providers:', error);
+          throw error;
+        }
+      },
+
+      authorizeOAuthCredential: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('authorize-oauth-credential', params);
+        } catch (error) {
+          console.error('Error signing in with OAuth:', error);
+          throw error;
+        }
+      },
+
+      cancelOAuthAuthorization: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('cancel-oauth-authorization', params);
+        } catch (error) {
+          console.error('Error cancelling OAuth sign-in:', error);
+          throw error;
+        }
+      },
+
+      exportCredentials: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('export-credentials', params);
+        } catch (error) {
+          console.error('Error exporting credentials:', error);
+          throw error;
+        }
+      },
+
+      previewCredentialImport: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('preview-credential-import', params);
+        } catch (error) {
+          console.error('Error previewing credential import:', error);
+          throw error;
+        }
+      },
+
+      importCredentials: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('import-credentials', params);
+        } catch (error) {
+          console.error('Error importing credentials:', error);
+          throw error;
+        }
+      },
+
+      listCredentialGrants: async () => {
+        try {
+          return await this.ipcRenderer.invoke('list-credential-grants');
+        } catch (error) {
+          console.error('Error listing credential grants:', error);
+          throw error;
+        }
+      },
+
+      revokeCredentialGrant: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('revoke-credential-grant', params);
+        } catch (error) {
+          console.error('Error revoking credential grant:', error);
+          throw error;
+        }
+      },
+
+      queryAuditLog: async (filter = {}) => {
+        try {
+          return await this.ipcRenderer.invoke('query-audit-log', filter);
+        } catch (error) {
+          console.error('Error querying audit log:', error);
+          throw error;
+        }
+      },
+
+      verifyAuditLog: async () => {
+        try {
+          return await this.ipcRenderer.invoke('verify-audit-log');
+        } catch (error) {
+          console.error('Error verifying audit log:', error);
+          throw error;
+        }
+      },
+
+      getSecurityStatus: async () => {
+        try {
+          return await this.ipcRenderer.invoke('get-security-status');
+        } catch (error) {
+          console.error('Error getting security status:', error);
+          throw error;
+        }
+      },
+
+      unlockCredentials: async (password) => {
+        try {
+          return await this.ipcRenderer.invoke('unlock-credentials', password);
+        } catch (error) {
+          console.error('Error unlocking credentials:', error);
+          throw error;
+        }
+      },
+
+      lockCredentials: async () => {
+        try {
+          return await this.ipcRenderer.invoke('lock-credentials');
+        } catch (error) {
+          console.error('Error locking credentials:', error);
+          throw error;
+        }
+      },
+
+      setMasterPassword: async (params) => {
+        try {
+          return await this.ipcRenderer.invoke('set-master-password', params);
+        } catch (error) {
+          console.error('Error setting master password:', error);
+          throw error;
+        }
+      },
+
+      disableMasterPassword: async (password) => {
+        try {
+          return await this.ipcRenderer.invoke('disable-master-password', password);
+        } catch (error) {
+          console.error('Error disabling master password:', error);
+          throw error;
+        }
+      },
+
+      listProviderDefinitions: async () => {
+        try {
+          return await this.ipcRenderer.invoke('list-provider-definitions');
+        } catch (error) {
+          console.error('Error listing provider definitions:', error);
+          throw error;
+        }
+      },
+
       // Legacy API key management (for backward compatibility)
       setApiKey: async (apiKey) => {
         try {
@@ -117,6 +279,25 @@ export class CredentialsPreload {
       // Listen for API key updates
       onApiKeyUpdated: (callback) => {
         this.ipcRenderer.on('api-key-updated', () => callback());
+      },
+
+      // Listen for credential expiry reminders
+      onCredentialExpiry: (callback) => {
+        this.ipcRenderer.on('credential-expiry', (_event, status) => callback(status));
+      },
+
+      onCredentialsLockChanged: (callback) => {
+        this.ipcRenderer.on('credentials-lock-changed', (_event, status) => callback(status));
+      },
+
+      // Listen for changes to user-defined provider definitions
+      onProviderDefinitionsChanged: (callback) => {
+        this.ipcRenderer.on('provider-definitions-changed', (_event, result) => callback(result));
+      },
+
+      // Listen for device codes to show during OAuth sign-in
+      onOAuthUserCode: (callback) => {
+        this.ipcRenderer.on('oauth-user-code', (_event, prompt) => callback(prompt));
       }
     };
   }
@@ -129,6 +310,10 @@ export class CredentialsPreload {
     return {
       removeCredentialListeners: () => {
         this.ipcRenderer.removeAllListeners('api-key-updated');
+        this.ipcRenderer.removeAllListeners('credential-expiry');
+        this.ipcRenderer.removeAllListeners('credentials-lock-changed');
+        this.ipcRenderer.removeAllListeners('provider-definitions-changed');
+        this.ipcRenderer.removeAllListeners('oauth-user-code');
       }
     };
   }
@@ -6,7 +6,16 @@
 import { AnthropicProvider } from './anthropic/AnthropicProvider.js';
 import { OpenAIProvider } from './openai/OpenAIProvider.js';
 import { AmazonS3Provider } from './amazon-s3/AmazonS3Provider.js';
+import { HttpApiProvider } from './http/HttpApiProvider.js';
 
+/**
+ * Registry of credential providers by ID
+ *
+ * This registry is also loaded in the credential manager window, so it can't
+ * import OAuthProvider, which needs Node's http and crypto. OAuth providers
+ * are registered in the main process from the `oauthProviders` store entry
+ * with registerOAuthProviders().
+ */
 export class ProviderRegistry {
   constructor() {
     this.providers = new Map();
@@ -21,6 +30,22 @@ export class ProviderRegistry {
     this.registerProvider(new AnthropicProvider());
     this.registerProvider(new OpenAIProvider());
     this.registerProvider(new AmazonS3Provider());
+    
+    // Generic providers for services without a dedicated provider class
+    this.registerHttpProvider({
+      id: 'http-bearer',
+      name: 'HTTP Bearer Token',
+      displayName: 'HTTP API (Bearer Token)',
+      description: 'Any REST service that accepts a bearer token'
+    });
+    this.registerHttpProvider({
+      id: 'http-api-key',
+      name: 'HTTP API Key',
+      displayName: 'HTTP API (API Key Header)',
+      description: 'Any REST service that accepts an API key header',
+      headerName: 'X-API-Key',
+      authScheme: ''
+    });
   }
   
   /**
@@ -31,6 +56,26 @@ export class ProviderRegistry {
     this.providers.set(provider.getId(), provider);
   }
   
+  /**
+   * Remove a provider
+   * @param {string} providerId - Provider identifier
+   * @returns {boolean} True if a provider was removed
+   */
+  unregisterProvider(providerId) {
+    return this.providers.delete(providerId);
+  }
+  
+  /**
+   * Register a generic HTTP provider from configuration
+   * @param {Object} config - HttpApiProvider configuration (base URL, header name, auth scheme, test endpoint, ...)
+   * @returns {HttpApiProvider} Registered provider
+   */
+  registerHttpProvider(config) {
+    const provider = new HttpApiProvider(config);
+    this.registerProvider(provider);
+    return provider;
+  }
+  
   /**
    * Get a provider by ID
    * @param {string} providerId - Provider identifier
@@ -0,0 +1,433 @@
+/**
+ * Defined provider implementation
+ * Builds a credential provider from a JSON/YAML definition file instead of a subclass
+ */
+
+import { BaseProvider } from '../BaseProvider.js';
+
+const TOP_LEVEL_KEYS = ['id', 'name', 'displayName', 'description', 'category', 'website', 'helpUrl', 'branding', 'fields', 'text', 'test'];
+const BRANDING_KEYS = ['iconSvg', 'primaryColor', 'secondaryColor', 'textColor'];
+const FIELD_KEYS = ['name', 'type', 'label', 'placeholder', 'helpText', 'required', 'minLength', 'maxLength', 'pattern', 'patternMessage'];
+const FIELD_TYPES = ['password', 'text', 'url', 'email'];
+const TEST_KEYS = ['method', 'url', 'headers', 'body', 'expectedStatus', 'timeout'];
+const TEST_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_ICON_LENGTH = 20 * 1024;
+
+// Matches {{fieldName}} placeholders in a test request template
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+export class DefinedProvider extends BaseProvider {
+  /**
+   * @param {Object} definition - Provider definition as read from the definition file
+   */
+  constructor(definition) {
+    const errors = DefinedProvider.validateDefinition(definition);
+    if (errors.length > 0) {
+      const id = typeof definition?.id === 'string' ? ` "${definition.id}"` : '';
+      throw new Error(`Provider definition${id} is invalid: ${errors.join('; ')}`);
+    }
+
+    super({
+      name: definition.displayName,
+      category: 'api',
+      ...definition,
+      fields: definition.fields.map(field => ({
+        type: 'password',
+        required: true,
+        ...field,
+        pattern: field.pattern ? new RegExp(field.pattern) : undefined
+      }))
+    });
+
+    this.definition = definition;
+  }
+
+  /**
+   * Check a provider definition against the definition schema
+   * @param {Object} definition - Parsed definition
+   * @returns {Array<string>} Error messages; empty when the definition is valid
+   */
+  static validateDefinition(definition) {
+    if (!isPlainObject(definition)) {
+      return ['Definition must be an object'];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(definition)) {
+      if (!TOP_LEVEL_KEYS.includes(key)) {
+        errors.push(`Unknown property "${key}"`);
+      }
+    }
+
+    if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+      errors.push('"id" must be lowercase letters, digits and dashes');
+    }
+
+    if (!isNonEmptyString(definition.displayName)) {
+      errors.push('"displayName" is required');
+    }
+
+    for (const key of ['name', 'description', 'category']) {
+      if (definition[key] !== undefined && !isNonEmptyString(definition[key])) {
+        errors.push(`"${key}" must be a non-empty string`);
+      }
+    }
+
+    for (const key of ['website', 'helpUrl']) {
+      if (definition[key] !== undefined && !isHttpUrl(definition[key])) {
+        errors.push(`"${key}" must be an http or https URL`);
+      }
+    }
+
+    if (definition.text !== undefined && !isStringMap(definition.text)) {
+      errors.push('"text" must map names to strings');
+    }
+
+    if (definition.branding !== undefined) {
+      errors.push(...DefinedProvider._validateBranding(definition.branding));
+    }
+
+    const fieldNames = [];
+    if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+      errors.push('"fields" must list at least one field');
+    } else {
+      definition.fields.forEach((field, index) => {
+        errors.push(...DefinedProvider._validateField(field, index, fieldNames));
+        if (isPlainObject(field) && typeof field.name === 'string') {
+          fieldNames.push(field.name);
+        }
+      });
+    }
+
+    if (definition.test !== undefined) {
+      errors.push(...DefinedProvider._validateTest(definition.test, fieldNames));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check the branding section of a definition
+   * @param {Object} branding - Branding settings
+   * @returns {Array<string>} Error messages
+   */
+  static _validateBranding(branding) {
+    if (!isPlainObject(branding)) {
+      return ['"branding" must be an object'];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(branding)) {
+      if (!BRANDING_KEYS.includes(key)) {
+        errors.push(`Unknown branding property "${key}"`);
+      }
+    }
+
+    for (const key of ['primaryColor', 'secondaryColor', 'textColor']) {
+      if (branding[key] !== undefined && !/^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(branding[key])) {
+        errors.push(`"branding.${key}" must be a hex color such as #1A2B3C`);
+      }
+    }
+
+    // Only the shape is checked; getBranding() hands the icon out as an image, which can't run script
+    if (branding.iconSvg !== undefined) {
+      const icon = typeof branding.iconSvg === 'string' ? branding.iconSvg.trim() : '';
+      if (!/^<svg[\s>]/i.test(icon) || !/<\/svg>$/i.test(icon) || icon.length > MAX_ICON_LENGTH) {
+        errors.push(`"branding.iconSvg" must be an <svg> element of at most ${MAX_ICON_LENGTH / 1024}KB`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check one field definition
+   * @param {Object} field - Field definition
+   * @param {number} index - Position in the field list
+   * @param {Array<string>} previousNames - Names of the fields before it
+   * @returns {Array<string>} Error messages
+   */
+  static _validateField(field, index, previousNames) {
+    const where = `fields[${index}]`;
+
+    if (!isPlainObject(field)) {
+      return [`"${where}" must be an object`];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(field)) {
+      if (!FIELD_KEYS.includes(key)) {
+        errors.push(`Unknown property "${where}.${key}"`);
+      }
+    }
+
+    if (typeof field.name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(field.name)) {
+      errors.push(`"${where}.name" must start with a letter and contain only letters, digits and underscores`);
+    } else if (previousNames.includes(field.name)) {
+      errors.push(`Field "${field.name}" is defined more than once`);
+    }
+
+    if (!isNonEmptyString(field.label)) {
+      errors.push(`"${where}.label" is required`);
+    }
+
+    if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+      errors.push(`"${where}.type" must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      errors.push(`"${where}.required" must be true or false`);
+    }
+
+    for (const key of ['minLength', 'maxLength']) {
+      if (field[key] !== undefined && !(Number.isInteger(field[key]) && field[key] >= 0)) {
+        errors.push(`"${where}.${key}" must be a whole number`);
+      }
+    }
+
+    if (Number.isInteger(field.minLength) && Number.isInteger(field.maxLength) && field.minLength > field.maxLength) {
+      errors.push(`"${where}.minLength" is greater than its maxLength`);
+    }
+
+    for (const key of ['placeholder', 'helpText', 'patternMessage']) {
+      if (field[key] !== undefined && typeof field[key] !== 'string') {
+        errors.push(`"${where}.${key}" must be a string`);
+      }
+    }
+
+    if (field.pattern !== undefined) {
+      try {
+        if (typeof field.pattern !== 'string') throw new Error();
+        new RegExp(field.pattern);
+      } catch {
+        errors.push(`"${where}.pattern" must be a valid regular expression`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check the test request template
+   * @param {Object} test - Test request template
+   * @param {Array<string>} fieldNames - Fields the template may refer to
+   * @returns {Array<string>} Error messages
+   */
+  static _validateTest(test, fieldNames) {
+    if (!isPlainObject(test)) {
+      return ['"test" must be an object'];
+    }
+
+    const errors = [];
+
+    for (const key of Object.keys(test)) {
+      if (!TEST_KEYS.includes(key)) {
+        errors.push(`Unknown property "test.${key}"`);
+      }
+    }
+
+    // A URL may start with a field, e.g. "{{baseUrl}}/me"
+    if (typeof test.url !== 'string' || !(isHttpUrl(test.url.replace(PLACEHOLDER, 'x')) || /^\{\{/.test(test.url))) {
+      errors.push('"test.url" must be an http or https URL');
+    }
+
+    if (test.method !== undefined && !TEST_METHODS.includes(test.method)) {
+      errors.push(`"test.method" must be one of ${TEST_METHODS.join(', ')}`);
+    }
+
+    if (test.headers !== undefined) {
+      if (!isStringMap(test.headers)) {
+        errors.push('"test.headers" must map header names to strings');
+      } else {
+        for (const name of Object.keys(test.headers)) {
+          if (!/^[A-Za-z0-9-]+$/.test(name)) {
+            errors.push(`"test.headers" has an invalid header name "${name}"`);
+          }
+        }
+      }
+    }
+
+    if (test.body !== undefined && typeof test.body !== 'string' && !isPlainObject(test.body) && !Array.isArray(test.body)) {
+      errors.push('"test.body" must be a string or a JSON object');
+    }
+
+    if (test.expectedStatus !== undefined) {
+      const statuses = [].concat(test.expectedStatus);
+      if (statuses.length === 0 || !statuses.every(status => Number.isInteger(status) && status >= 100 && status <= 599)) {
+        errors.push('"test.expectedStatus" must be an HTTP status code or a list of them');
+      }
+    }
+
+    if (test.timeout !== undefined && !(typeof test.timeout === 'number' && test.timeout > 0)) {
+      errors.push('"test.timeout" must be a positive number of milliseconds');
+    }
+
+    const template = JSON.stringify([test.url, test.headers, test.body]) || '';
+    for (const [, name] of template.matchAll(PLACEHOLDER)) {
+      if (!fieldNames.includes(name)) {
+        errors.push(`"test" refers to unknown field "{{${name}}}"`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get provider branding, including the definition's icon
+   * Definition files can be shared, so the icon is given as a data URL for an
+   * <img> rather than as markup: an SVG shown as an image can't run script.
+   * @returns {Object} Branding configuration with `iconUrl`
+   */
+  getBranding() {
+    const icon = this.config.branding?.iconSvg;
+
+    return {
+      ...super.getBranding(),
+      iconUrl: icon ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(icon.trim())}` : undefined
+    };
+  }
+
+  /**
+   * Fill in the test request template with credential values
+   * @param {Object} credentials - Field values
+   * @returns {Object|null} Request { url, method, headers, body }, or null without a test template
+   */
+  buildTestRequest(credentials) {
+    const { test } = this.definition;
+    if (!test) return null;
+
+    const fill = (template) =>
+      template.replace(PLACEHOLDER, (match, name) => String(credentials[name] ?? '').trim());
+
+    // The URL may start with a field, so only the values after it are encoded
+    const url = test.url.replace(PLACEHOLDER, (match, name, offset) => {
+      const value = String(credentials[name] ?? '').trim();
+      return offset === 0 ? value.replace(/\/$/, '') : encodeURIComponent(value);
+    });
+
+    const headers = {};
+    for (const [name, value] of Object.entries(test.headers || {})) {
+      headers[name] = fill(value);
+    }
+
+    let body;
+    if (typeof test.body === 'string') {
+      body = fill(test.body);
+    } else if (test.body !== undefined) {
+      // Fill string values in place so credentials are JSON-escaped
+      body = JSON.stringify(test.body, (key, value) => typeof value === 'string' ? fill(value) : value);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    return {
+      url,
+      method: test.method || 'GET',
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Test credentials with the definition's test request
+   * @param {Object} credentials - Field values
+   * @returns {Promise<Object>} Test result
+   */
+  async testCredentials(credentials) {
+    const validation = this.validateCredentials(credentials);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        message: validation.errors.join(', ')
+      };
+    }
+
+    const request = this.buildTestRequest(credentials);
+    if (!request) {
+      return {
+        success: true,
+        message: 'Credentials format is valid; no test request is defined'
+      };
+    }
+
+    if (!isHttpUrl(request.url)) {
+      return {
+        success: false,
+        message: `Test URL is not an http or https URL: ${request.url}`
+      };
+    }
+
+    const expected = [].concat(this.definition.test.expectedStatus ?? 200);
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: AbortSignal.timeout(this.definition.test.timeout || 10000)
+      });
+
+      if (expected.includes(response.status)) {
+        return {
+          success: true,
+          message: `${this.getDisplayName()} credentials are working!`
+        };
+      }
+
+      return {
+        success: false,
+        message: `API test failed: expected status ${expected.join(' or ')}, got ${response.status} ${response.statusText}`.trim()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Connection failed: ${error.message}`
+      };
+    }
+  }
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check for a string with content
+ * @param {any} value - Value to check
+ * @returns {boolean} True for non-empty strings
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check for an object whose values are all strings
+ * @param {any} value - Value to check
+ * @returns {boolean} True for string maps
+ */
+function isStringMap(value) {
+  return isPlainObject(value) && Object.values(value).every(entry => typeof entry === 'string');
+}
+
+/**
+ * Check for an absolute http(s) URL
+ * @param {any} value - Value to check
+ * @returns {boolean} True for http and https URLs
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
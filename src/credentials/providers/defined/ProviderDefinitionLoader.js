@@ -0,0 +1,243 @@
+/**
+ * Provider Definition Loader
+ * Registers credential providers defined in JSON/YAML files and reloads them when the folder changes
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { watch } from 'chokidar';
+import yaml from 'js-yaml';
+import { DefinedProvider } from './DefinedProvider.js';
+import { providerRegistry } from '../ProviderRegistry.js';
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+export class ProviderDefinitionLoader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      directory: path.join(os.homedir(), '.lahat', 'providers'),
+      registry: providerRegistry,
+      watch: true,
+      reloadDelay: 100, // debounce for definition file changes
+      ...options
+    };
+
+    this.definitions = new Map(); // providerId -> { definition, filePath }
+    this.errors = []; // [{ filePath, errors }]
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.loading = Promise.resolve();
+    this.isRunning = false;
+  }
+
+  /**
+   * Load the definitions folder and start watching it
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    await this.reload();
+
+    if (this.options.watch) {
+      await this._watchDirectory();
+    }
+  }
+
+  /**
+   * Stop watching the definitions folder
+   * Registered providers stay available until the loader is started again.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Re-read every definition file and update the registry
+   * Loads run one at a time so a burst of file changes settles on the latest state.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    this.loading = this.loading
+      .then(() => this._applyDefinitions())
+      .catch(error => {
+        this.emit('provider:definition:error', { filePath: this.options.directory, errors: [error.message] });
+      });
+
+    return this.loading;
+  }
+
+  /**
+   * Get the loaded definitions
+   * @returns {Array<Object>} Definitions, as plain data that can cross IPC
+   */
+  getDefinitions() {
+    return Array.from(this.definitions.values(), entry => entry.definition);
+  }
+
+  /**
+   * Get the definition files that could not be loaded
+   * @returns {Array<Object>} [{ filePath, errors }]
+   */
+  getErrors() {
+    return this.errors.map(entry => ({ ...entry, errors: [...entry.errors] }));
+  }
+
+  /**
+   * Read the definitions folder and swap the result into the registry
+   * @returns {Promise<void>}
+   */
+  async _applyDefinitions() {
+    const { registry } = this.options;
+    const definitions = new Map();
+    const errors = [];
+
+    for (const filePath of await this._listDefinitionFiles()) {
+      let definition;
+      try {
+        definition = await this._readDefinitionFile(filePath);
+      } catch (error) {
+        errors.push({ filePath, errors: [error.message] });
+        continue;
+      }
+
+      const problems = DefinedProvider.validateDefinition(definition);
+      const id = definition?.id;
+
+      if (problems.length === 0) {
+        if (definitions.has(id)) {
+          problems.push(`Provider "${id}" is already defined in ${path.basename(definitions.get(id).filePath)}`);
+        } else if (registry.hasProvider(id) && !this.definitions.has(id)) {
+          problems.push(`Provider "${id}" is built in and can't be redefined`);
+        }
+      }
+
+      if (problems.length > 0) {
+        errors.push({ filePath, errors: problems });
+        continue;
+      }
+
+      definitions.set(id, { definition, filePath });
+    }
+
+    // Drop providers whose file was removed or no longer validates
+    for (const id of this.definitions.keys()) {
+      if (!definitions.has(id)) {
+        registry.unregisterProvider(id);
+      }
+    }
+
+    for (const { definition } of definitions.values()) {
+      registry.registerProvider(new DefinedProvider(definition));
+    }
+
+    this.definitions = definitions;
+    this.errors = errors;
+
+    for (const error of errors) {
+      this.emit('provider:definition:error', error);
+    }
+
+    this.emit('providers:loaded', {
+      providers: Array.from(definitions.keys()),
+      errors: this.getErrors()
+    });
+  }
+
+  /**
+   * List definition files in the folder, in name order
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async _listDefinitionFiles() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.options.directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && this._isDefinitionFile(entry.name))
+      .map(entry => path.join(this.options.directory, entry.name))
+      .sort();
+  }
+
+  /**
+   * Parse one definition file
+   * @param {string} filePath - JSON or YAML file
+   * @returns {Promise<Object>} Parsed definition
+   */
+  async _readDefinitionFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    try {
+      return path.extname(filePath).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content, { schema: yaml.JSON_SCHEMA });
+    } catch (error) {
+      throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a file name looks like a provider definition
+   * @param {string} fileName - File name
+   * @returns {boolean} True for JSON and YAML files
+   */
+  _isDefinitionFile(fileName) {
+    return !fileName.startsWith('.') && DEFINITION_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+  }
+
+  /**
+   * Watch the definitions folder and reload when files change
+   * @returns {Promise<void>}
+   */
+  async _watchDirectory() {
+    await fs.mkdir(this.options.directory, { recursive: true });
+
+    this.watcher = watch(this.options.directory, {
+      ignoreInitial: true,
+      persistent: false,
+      depth: 0
+    });
+
+    this.watcher.on('all', (event, filePath) => {
+      if (!this._isDefinitionFile(path.basename(filePath))) return;
+
+      if (this.reloadTimer) {
+        clearTimeout(this.reloadTimer);
+      }
+
+      this.reloadTimer = setTimeout(() => {
+        this.reloadTimer = null;
+        this.emit('providers:changed', { event, filePath });
+        this.reload();
+      }, this.options.reloadDelay);
+    });
+
+    this.watcher.on('error', (error) => {
+      this.emit('provider:definition:error', { filePath: this.options.directory, errors: [error.message] });
+    });
+
+    await new Promise(resolve => this.watcher.once('ready', resolve));
+  }
+}
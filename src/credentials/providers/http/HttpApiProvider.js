@@ -0,0 +1,225 @@
+/**
+ * Generic HTTP provider implementation
+ * Handles API keys and bearer tokens for REST services configured at runtime
+ */
+
+import { BaseProvider } from '../BaseProvider.js';
+
+const KEY_ICON = `<svg width="24" height="24" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+  <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"/>
+</svg>`;
+
+export class HttpApiProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.id - Provider identifier
+   * @param {string} config.name - Provider name
+   * @param {string} config.displayName - Human-readable name
+   * @param {string} config.baseUrl - Service base URL; asked for with each credential when omitted
+   * @param {string} config.headerName - Header carrying the credential (default 'Authorization')
+   * @param {string} config.authScheme - Scheme prefixed to the credential, e.g. 'Bearer'; '' sends it as-is
+   * @param {string} config.testEndpoint - Path (relative to the base URL) or URL used to test credentials
+   * @param {string} config.testMethod - HTTP method for the test request (default 'GET')
+   * @param {number|Array<number>} config.expectedStatus - Status code(s) that mean the credential works (default 200)
+   * @param {number} config.timeout - Test request timeout in milliseconds (default 10000)
+   * @param {Object} config.keyField - Overrides for the credential field definition (label, placeholder, pattern, ...)
+   */
+  constructor(config) {
+    const settings = {
+      headerName: 'Authorization',
+      authScheme: 'Bearer',
+      testEndpoint: null,
+      testMethod: 'GET',
+      expectedStatus: 200,
+      timeout: 10000,
+      category: 'api',
+      ...config
+    };
+
+    super({
+      branding: {
+        iconSvg: KEY_ICON,
+        primaryColor: '#475569',
+        secondaryColor: '#334155',
+        textColor: '#FFFFFF'
+      },
+      description: `API credentials sent in the ${settings.headerName} header`,
+      ...settings,
+      fields: HttpApiProvider.buildFields(settings)
+    });
+
+    if (this.config.baseUrl) {
+      const error = HttpApiProvider.validateUrl(this.config.baseUrl);
+      if (error !== true) {
+        throw new Error(`Provider "${this.config.id}": ${error}`);
+      }
+    }
+
+    if (!/^[A-Za-z0-9-]+$/.test(this.config.headerName)) {
+      throw new Error(`Provider "${this.config.id}": invalid header name "${this.config.headerName}"`);
+    }
+  }
+
+  /**
+   * Build field definitions for a configuration
+   * The credential comes first so a plain stored value maps onto it.
+   * @param {Object} config - Provider configuration
+   * @returns {Array} Field definitions
+   */
+  static buildFields(config) {
+    const fields = [
+      {
+        name: 'apiKey',
+        type: 'password',
+        label: config.authScheme === 'Bearer' ? 'Token' : 'API Key',
+        placeholder: 'Enter your credential...',
+        required: true,
+        helpText: `Sent as the ${config.headerName} header`,
+        ...config.keyField
+      }
+    ];
+
+    // Without a fixed base URL each credential names its own service
+    if (!config.baseUrl) {
+      fields.push(
+        {
+          name: 'baseUrl',
+          type: 'url',
+          label: 'Base URL',
+          placeholder: 'https://api.example.com',
+          required: true,
+          customValidator: HttpApiProvider.validateUrl,
+          helpText: 'Root URL of the service'
+        },
+        {
+          name: 'testEndpoint',
+          type: 'text',
+          label: 'Test Endpoint (Optional)',
+          placeholder: '/health',
+          required: false,
+          helpText: 'Optional: path requested to check the credential'
+        }
+      );
+    }
+
+    return fields;
+  }
+
+  /**
+   * Validate an http(s) URL
+   * @param {string} value - URL to check
+   * @returns {true|string} True, or an error message
+   */
+  static validateUrl(value) {
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return true;
+      }
+    } catch {
+      // Fall through to the error message
+    }
+
+    return 'Base URL must be a valid http or https URL';
+  }
+
+  /**
+   * Get the headers that authenticate a request
+   * @param {Object} credentials - { apiKey }
+   * @returns {Object} Request headers
+   */
+  getAuthHeaders(credentials) {
+    const { headerName, authScheme } = this.config;
+    return {
+      [headerName]: authScheme ? `${authScheme} ${credentials.apiKey}` : credentials.apiKey
+    };
+  }
+
+  /**
+   * Resolve an endpoint against the service base URL
+   * @param {Object} credentials - { baseUrl? }
+   * @param {string} endpoint - Path or absolute URL
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(credentials, endpoint = '') {
+    const baseUrl = this.config.baseUrl || credentials.baseUrl;
+
+    // Keep the base URL's own path, e.g. https://host/api/v2 + /users
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    return new URL(endpoint.replace(/^\//, ''), base).toString();
+  }
+
+  /**
+   * Test HTTP API credentials
+   * @param {Object} credentials - { apiKey, baseUrl?, testEndpoint? }
+   * @returns {Promise<Object>} Test result
+   */
+  async testCredentials(credentials) {
+    const validation = this.validateCredentials(credentials);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        message: validation.errors.join(', ')
+      };
+    }
+
+    const endpoint = credentials.testEndpoint || this.config.testEndpoint;
+    if (!endpoint) {
+      return {
+        success: true,
+        message: 'Credentials format is valid; no test endpoint is configured'
+      };
+    }
+
+    const expected = [].concat(this.config.expectedStatus);
+
+    try {
+      const url = this.resolveUrl(credentials, endpoint);
+      const response = await fetch(url, {
+        method: this.config.testMethod,
+        headers: this.getAuthHeaders(credentials),
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+
+      if (expected.includes(response.status)) {
+        return {
+          success: true,
+          message: `${this.getDisplayName()} credentials are working!`
+        };
+      }
+
+      return {
+        success: false,
+        message: `API test failed: expected status ${expected.join(' or ')}, got ${response.status} ${response.statusText}`.trim()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Connection failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Transform credentials for secure storage
+   * @param {Object} credentials - Raw credentials
+   * @returns {Object} Transformed credentials
+   */
+  transformForStorage(credentials) {
+    const stored = {
+      apiKey: credentials.apiKey,
+      provider: this.getId(),
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.config.baseUrl) {
+      stored.baseUrl = credentials.baseUrl;
+
+      if (credentials.testEndpoint && credentials.testEndpoint.trim()) {
+        stored.testEndpoint = credentials.testEndpoint.trim();
+      }
+    }
+
+    return stored;
+  }
+}
@@ -0,0 +1,532 @@
+/**
+ * OAuth 2.0 provider implementation
+ * Obtains and refreshes tokens with the authorization code (PKCE) and device code flows
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { BaseProvider } from '../BaseProvider.js';
+
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+const CALLBACK_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Lahat</title></head>
+<body style="font-family: sans-serif; text-align: center; padding-top: 80px;">
+  <h2>__MESSAGE__</h2>
+  <p>You can close this window and return to Lahat.</p>
+</body></html>`;
+
+export class OAuthProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.id - Provider identifier
+   * @param {string} config.name - Provider name
+   * @param {string} config.displayName - Human-readable name
+   * @param {string} config.clientId - OAuth client ID
+   * @param {string} config.clientSecret - Optional client secret, for servers that require one
+   * @param {string} config.authorizationEndpoint - Authorization URL (PKCE flow)
+   * @param {string} config.tokenEndpoint - Token URL
+   * @param {string} config.deviceAuthorizationEndpoint - Device authorization URL (device code flow)
+   * @param {Array<string>} config.scopes - Scopes to request
+   * @param {string} config.redirectHost - Loopback host for the PKCE redirect (default '127.0.0.1')
+   * @param {number} config.redirectPort - Loopback port; 0 picks a free one (default 0)
+   * @param {string} config.redirectPath - Loopback callback path (default '/callback')
+   * @param {string} config.testEndpoint - Optional URL requested with the access token to test it
+   * @param {number} config.refreshSkew - Refresh this many milliseconds before the access token expires (default 60000)
+   * @param {number} config.timeout - Request timeout in milliseconds (default 10000)
+   */
+  constructor(config) {
+    super({
+      branding: {
+        primaryColor: '#475569',
+        secondaryColor: '#334155',
+        textColor: '#FFFFFF'
+      },
+      description: 'Tokens issued through OAuth 2.0 sign-in',
+      category: 'oauth',
+      scopes: [],
+      redirectHost: '127.0.0.1',
+      redirectPort: 0,
+      redirectPath: '/callback',
+      testEndpoint: null,
+      refreshSkew: 60 * 1000,
+      timeout: 10000,
+      ...config,
+      fields: [
+        {
+          name: 'accessToken',
+          type: 'password',
+          label: 'Access Token',
+          required: true,
+          helpText: 'Issued when you sign in'
+        },
+        {
+          name: 'refreshToken',
+          type: 'password',
+          label: 'Refresh Token (Optional)',
+          required: false,
+          helpText: 'Optional: used to renew the access token'
+        }
+      ]
+    });
+
+    const missing = ['clientId', 'tokenEndpoint'].filter(field => !this.config[field]);
+    if (missing.length > 0) {
+      throw new Error(`OAuth provider "${this.config.id}" is missing: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the sign-in flows this provider supports
+   * @returns {Array<string>} 'pkce' and/or 'device'
+   */
+  getFlows() {
+    return [
+      ...(this.config.authorizationEndpoint ? ['pkce'] : []),
+      ...(this.config.deviceAuthorizationEndpoint ? ['device'] : [])
+    ];
+  }
+
+  /**
+   * Create a PKCE code verifier and its S256 challenge
+   * @returns {Object} { verifier, challenge }
+   */
+  createPkcePair() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+  }
+
+  /**
+   * Build the authorization URL the user signs in at
+   * @param {Object} params - { redirectUri, state, codeChallenge }
+   * @returns {string} Authorization URL
+   */
+  getAuthorizationUrl({ redirectUri, state, codeChallenge }) {
+    const url = new URL(this.config.authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.config.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    if (this.config.scopes.length > 0) {
+      url.searchParams.set('scope', this.config.scopes.join(' '));
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Sign in with the authorization code flow, using PKCE and a loopback redirect
+   * @param {Object} options - Flow options
+   * @param {Function} options.openUrl - Opens the authorization URL in a browser
+   * @param {number} options.timeout - How long to wait for the user, in milliseconds (default 5 minutes)
+   * @param {AbortSignal} options.signal - Cancels the sign-in
+   * @returns {Promise<Object>} Tokens { accessToken, refreshToken, tokenType, scope, expiresAt }
+   */
+  async authorizeWithPkce(options = {}) {
+    const { openUrl, timeout = 5 * 60 * 1000, signal } = options;
+
+    if (!this.config.authorizationEndpoint) {
+      throw new Error(`OAuth provider "${this.getId()}" has no authorization endpoint`);
+    }
+
+    if (typeof openUrl !== 'function') {
+      throw new Error('An openUrl function is required to start sign-in');
+    }
+
+    const { verifier, challenge } = this.createPkcePair();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const callback = await this._listenForCallback(state, { timeout, signal });
+
+    try {
+      await openUrl(this.getAuthorizationUrl({
+        redirectUri: callback.redirectUri,
+        state,
+        codeChallenge: challenge
+      }));
+
+      const code = await callback.code;
+
+      return await this._requestTokens({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: callback.redirectUri,
+        code_verifier: verifier
+      });
+    } finally {
+      callback.close();
+    }
+  }
+
+  /**
+   * Start the device code flow
+   * @returns {Promise<Object>} { deviceCode, userCode, verificationUri, verificationUriComplete, expiresAt, interval }
+   */
+  async startDeviceAuthorization() {
+    if (!this.config.deviceAuthorizationEndpoint) {
+      throw new Error(`OAuth provider "${this.getId()}" has no device authorization endpoint`);
+    }
+
+    const body = await this._post(this.config.deviceAuthorizationEndpoint, {
+      client_id: this.config.clientId,
+      ...(this.config.scopes.length > 0 && { scope: this.config.scopes.join(' ') })
+    });
+
+    return {
+      deviceCode: body.device_code,
+      userCode: body.user_code,
+      verificationUri: body.verification_uri,
+      verificationUriComplete: body.verification_uri_complete || null,
+      expiresAt: new Date(Date.now() + (body.expires_in || 600) * 1000).toISOString(),
+      interval: body.interval ?? 5
+    };
+  }
+
+  /**
+   * Poll the token endpoint until the user approves or denies a device code
+   * @param {Object} device - Result of startDeviceAuthorization()
+   * @param {Object} options - Polling options
+   * @param {AbortSignal} options.signal - Cancels polling
+   * @returns {Promise<Object>} Tokens
+   */
+  async pollDeviceAuthorization(device, options = {}) {
+    const { signal } = options;
+    let interval = device.interval;
+
+    while (Date.now() < new Date(device.expiresAt).getTime()) {
+      await this._sleep(interval * 1000, signal);
+
+      try {
+        return await this._requestTokens({
+          grant_type: DEVICE_CODE_GRANT,
+          device_code: device.deviceCode
+        });
+      } catch (error) {
+        if (error.code === 'authorization_pending') continue;
+
+        // The server asks for polling to back off by 5 seconds
+        if (error.code === 'slow_down') {
+          interval += 5;
+          continue;
+        }
+
+        if (error.code === 'access_denied') {
+          throw new Error('Sign-in was denied');
+        }
+
+        throw error;
+      }
+    }
+
+    throw new Error('Device code expired before sign-in completed');
+  }
+
+  /**
+   * Sign in with the device code flow
+   * @param {Object} options - Flow options
+   * @param {Function} options.onUserCode - Receives { userCode, verificationUri, verificationUriComplete, expiresAt } to show the user
+   * @param {AbortSignal} options.signal - Cancels the sign-in
+   * @returns {Promise<Object>} Tokens
+   */
+  async authorizeWithDeviceCode(options = {}) {
+    const { onUserCode, signal } = options;
+
+    if (typeof onUserCode !== 'function') {
+      throw new Error('An onUserCode function is required to show the device code');
+    }
+
+    const device = await this.startDeviceAuthorization();
+    const { deviceCode, interval, ...prompt } = device;
+    await onUserCode(prompt);
+
+    return await this.pollDeviceAuthorization(device, { signal });
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   * @param {Object} tokens - Current tokens
+   * @returns {Promise<Object>} New tokens; the refresh token is kept if the server doesn't issue a new one
+   */
+  async refreshTokens(tokens) {
+    if (!tokens?.refreshToken) {
+      throw new Error('No refresh token is available');
+    }
+
+    const refreshed = await this._requestTokens({
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refreshToken
+    });
+
+    return {
+      ...refreshed,
+      refreshToken: refreshed.refreshToken || tokens.refreshToken,
+      scope: refreshed.scope || tokens.scope || null
+    };
+  }
+
+  /**
+   * Check whether an access token is expired or about to expire
+   * @param {Object} tokens - Tokens with expiresAt
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the token should be refreshed
+   */
+  needsRefresh(tokens, now = Date.now()) {
+    if (!tokens?.expiresAt) return false;
+    return new Date(tokens.expiresAt).getTime() - this.config.refreshSkew <= now;
+  }
+
+  /**
+   * Test OAuth credentials
+   * @param {Object} credentials - { accessToken, refreshToken?, expiresAt? }
+   * @returns {Promise<Object>} Test result
+   */
+  async testCredentials(credentials) {
+    const validation = this.validateCredentials(credentials);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        message: validation.errors.join(', ')
+      };
+    }
+
+    // Testing never refreshes: servers that rotate refresh tokens would
+    // invalidate the one being tested
+    if (this.needsRefresh(credentials)) {
+      return credentials.refreshToken
+        ? { success: true, message: 'Access token has expired and will be refreshed when next used' }
+        : { success: false, message: 'Access token has expired and there is no refresh token' };
+    }
+
+    if (!this.config.testEndpoint) {
+      return {
+        success: true,
+        message: 'Tokens are valid; no test endpoint is configured'
+      };
+    }
+
+    try {
+      const response = await fetch(this.config.testEndpoint, {
+        headers: { 'Authorization': `${credentials.tokenType || 'Bearer'} ${credentials.accessToken}` },
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+
+      return response.ok
+        ? { success: true, message: `${this.getDisplayName()} sign-in is working!` }
+        : { success: false, message: `API test failed: ${response.status} ${response.statusText}`.trim() };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Connection failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Transform credentials for secure storage
+   * @param {Object} credentials - Raw credentials
+   * @returns {Object} Transformed credentials
+   */
+  transformForStorage(credentials) {
+    return {
+      accessToken: credentials.accessToken,
+      refreshToken: credentials.refreshToken || null,
+      tokenType: credentials.tokenType || 'Bearer',
+      scope: credentials.scope || null,
+      expiresAt: credentials.expiresAt || null,
+      provider: this.getId(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Start a loopback server that receives the authorization code
+   * @param {string} state - Expected state parameter
+   * @param {Object} options - { timeout, signal }
+   * @returns {Promise<Object>} { redirectUri, code (Promise<string>), close }
+   */
+  async _listenForCallback(state, { timeout, signal }) {
+    const { redirectHost, redirectPort, redirectPath } = this.config;
+    let settle;
+
+    const code = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    // Only awaited once the browser has been opened
+    code.catch(() => {});
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+
+      if (url.pathname !== redirectPath) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const params = url.searchParams;
+      let message = 'Signed in successfully';
+
+      if (params.get('state') !== state) {
+        message = 'Sign-in failed';
+        settle.reject(new Error('Authorization response did not match the request'));
+      } else if (params.get('error')) {
+        message = 'Sign-in failed';
+        settle.reject(new Error(`Authorization failed: ${params.get('error_description') || params.get('error')}`));
+      } else if (!params.get('code')) {
+        message = 'Sign-in failed';
+        settle.reject(new Error('Authorization response had no code'));
+      } else {
+        settle.resolve(params.get('code'));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(CALLBACK_PAGE.replace('__MESSAGE__', message));
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(redirectPort, redirectHost, resolve);
+    });
+
+    const timer = setTimeout(() => {
+      settle.reject(new Error('Timed out waiting for sign-in'));
+    }, timeout);
+
+    const onAbort = () => settle.reject(new Error('Sign-in was cancelled'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+
+    return {
+      redirectUri: `http://${redirectHost}:${server.address().port}${redirectPath}`,
+      code,
+      close: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        server.closeAllConnections?.();
+        server.close();
+      }
+    };
+  }
+
+  /**
+   * Request tokens from the token endpoint
+   * @param {Object} params - Grant parameters
+   * @returns {Promise<Object>} Tokens
+   */
+  async _requestTokens(params) {
+    const body = await this._post(this.config.tokenEndpoint, {
+      ...params,
+      client_id: this.config.clientId,
+      ...(this.config.clientSecret && { client_secret: this.config.clientSecret })
+    });
+
+    if (!body.access_token) {
+      throw new Error('Token response had no access token');
+    }
+
+    return {
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || null,
+      tokenType: body.token_type || 'Bearer',
+      scope: body.scope || null,
+      expiresAt: body.expires_in ? new Date(Date.now() + body.expires_in * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * POST a form to an OAuth endpoint
+   * OAuth errors are thrown with their error code in `error.code`.
+   * @param {string} url - Endpoint URL
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async _post(url, params) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(this.config.timeout)
+    });
+
+    let body = {};
+    try {
+      body = await response.json();
+    } catch {
+      // Some servers send an empty or non-JSON body on errors
+    }
+
+    if (!response.ok || body.error) {
+      const error = new Error(body.error_description || body.error || `Request failed: ${response.status} ${response.statusText}`.trim());
+      error.code = body.error || null;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Wait between polls
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} signal - Cancels the wait
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Sign-in was cancelled'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Sign-in was cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+/**
+ * Register OAuth providers from their configurations
+ * Main process only. A configuration that is invalid, or whose ID belongs to
+ * a provider that isn't an OAuth provider, is skipped and reported.
+ * @param {Array<Object>} configs - OAuthProvider configurations
+ * @param {ProviderRegistry} registry - Registry to add the providers to
+ * @returns {Object} Result { registered, errors: [{ id, error }] }
+ */
+export function registerOAuthProviders(configs, registry) {
+  const registered = [];
+  const errors = [];
+
+  for (const config of configs || []) {
+    const id = config?.id;
+
+    try {
+      const existing = registry.getProvider(id);
+      if (existing && !(existing instanceof OAuthProvider)) {
+        throw new Error(`Provider "${id}" already exists and is not an OAuth provider`);
+      }
+
+      registry.registerProvider(new OAuthProvider({
+        name: config.displayName,
+        ...config
+      }));
+      registered.push(id);
+    } catch (error) {
+      errors.push({ id: id ?? null, error: error.message });
+    }
+  }
+
+  return { registered, errors };
+}
@@ -23,6 +23,7 @@ export class DevRuntime extends EventEmitter {
     this.devSessions = new Map();
     this.debugSessions = new Map();
     this.mockRegistry = new Map();
+    this.projectSessionId = null; // session whose app is the open MCP project
     this.isStarted = false;
   }
 
@@ -125,6 +126,12 @@ export class DevRuntime extends EventEmitter {
     
     this.devSessions.set(sessionId, session);
     
+    // The app being developed is the open project, so its .mcp.json servers apply
+    if (this.runtime.mcpManager) {
+      await this.runtime.mcpManager.setProjectPath(appPath);
+      this.projectSessionId = sessionId;
+    }
+    
     this.emit('dev-session:started', { sessionId, appPath });
     return sessionId;
   }
@@ -150,6 +157,12 @@ export class DevRuntime extends EventEmitter {
       }
       
       this.devSessions.delete(sessionId);
+      
+      if (this.projectSessionId === sessionId) {
+        this.projectSessionId = null;
+        await this.runtime.mcpManager.setProjectPath(null);
+      }
+      
       this.emit('dev-session:stopped', { sessionId });
       
       return true;
@@ -4,6 +4,7 @@
  */
 
 import fs from 'fs/promises';
+import { existsSync, readFileSync, statSync } from 'fs';
 import path from 'path';
 import extract from 'extract-zip';
 import { EventEmitter } from 'events';
@@ -57,6 +58,108 @@ export class AppInstaller extends EventEmitter {
     return installPath;
   }
 
+  /**
+   * Replace an installed app with the contents of a package
+   *
+   * The package is extracted into a staging directory next to the current
+   * install and only swapped in once extraction succeeded, so a broken
+   * package never leaves the app half-updated.
+   * @param {string} appId - Installed app ID
+   * @param {string} packagePath - Path to .lahat package file
+   * @param {Object} options - Update options
+   * @returns {Promise<Object>} Updated app info
+   */
+  async updateApp(appId, packagePath, options = {}) {
+    const appInfo = this.getAppInfo(appId);
+    if (!appInfo) {
+      throw new Error(`App ${appId} is not installed`);
+    }
+
+    const stagingPath = path.join(this.options.installDir, `.${appId}.staging`);
+    const previousPath = path.join(this.options.installDir, `.${appId}.previous`);
+
+    await fs.rm(stagingPath, { recursive: true, force: true });
+
+    try {
+      await extract(packagePath, { dir: stagingPath });
+      await fs.rm(path.join(stagingPath, '.lahat-metadata.json'), { force: true });
+    } catch (error) {
+      await fs.rm(stagingPath, { recursive: true, force: true });
+      throw new Error(`Failed to stage update for ${appId}: ${error.message}`);
+    }
+
+    // Swap the staged version in, putting the old one back if that fails
+    await fs.rm(previousPath, { recursive: true, force: true });
+    await fs.rename(appInfo.installPath, previousPath);
+    try {
+      await fs.rename(stagingPath, appInfo.installPath);
+    } catch (error) {
+      await fs.rename(previousPath, appInfo.installPath);
+      throw error;
+    }
+    await fs.rm(previousPath, { recursive: true, force: true });
+
+    const updatedInfo = this.getAppInfo(appId);
+    return {
+      appId,
+      installPath: updatedInfo.installPath,
+      version: updatedInfo.manifest.app.version,
+      previousVersion: appInfo.manifest.app.version
+    };
+  }
+
+  /**
+   * Get information about an installed app
+   * @param {string} appId - Installed app ID
+   * @returns {Object|null} App info, or null if not installed
+   */
+  getAppInfo(appId) {
+    if (!appId || appId !== path.basename(appId) || appId.startsWith('.')) {
+      return null;
+    }
+
+    const installPath = path.join(this.options.installDir, appId);
+    if (!existsSync(installPath)) {
+      return null;
+    }
+
+    return {
+      id: appId,
+      installPath,
+      manifest: this._readManifest(installPath, appId),
+      installedAt: statSync(installPath).mtime.toISOString()
+    };
+  }
+
+  /**
+   * Read an installed app's manifest, falling back to package.json
+   * @param {string} installPath - App install path
+   * @param {string} appId - App ID
+   * @returns {Object} Manifest with an app section
+   */
+  _readManifest(installPath, appId) {
+    try {
+      return JSON.parse(readFileSync(path.join(installPath, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      // Not packaged by LahatPackager
+    }
+
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(readFileSync(path.join(installPath, 'package.json'), 'utf8'));
+    } catch (error) {
+      // Fall back to defaults below
+    }
+
+    return {
+      app: {
+        name: packageJson.name || appId,
+        version: packageJson.version || '1.0.0',
+        description: packageJson.description || ''
+      }
+    };
+  }
+
   /**
    * Uninstall an app
    * @param {string} appName - Name of app to uninstall
@@ -80,8 +183,9 @@ export class AppInstaller extends EventEmitter {
   async listInstalledApps() {
     try {
       const entries = await fs.readdir(this.options.installDir, { withFileTypes: true });
+      // Dot directories hold staging areas and backups, not apps
       return entries
-        .filter(entry => entry.isDirectory())
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
         .map(entry => entry.name);
     } catch (error) {
       return [];
@@ -140,6 +140,11 @@ export class AppValidator {
       result.isValid = false;
     }
 
+    if (config.credentials && !Array.isArray(config.credentials)) {
+      result.errors.push('Credentials must be an array');
+      result.isValid = false;
+    }
+
     if (config.mcpRequirements && !Array.isArray(config.mcpRequirements)) {
       result.errors.push('MCP requirements must be an array');
       result.isValid = false;
@@ -15,6 +15,10 @@ export class ProjectManager extends EventEmitter {
       autoCleanup: true,
       cleanupThreshold: 30, // days
       maxApps: 100,
+      healthCheckDuration: 5000, // how long an updated app must stay up
+      healthCheck: null, // async (appId, processInfo) => boolean probe of a running app, e.g. that its window loaded
+      backupDir: null, // defaults to <installDir>/.lahat-backups
+      maxBackups: 3, // previous versions kept per app
       ...options
     };
     
@@ -89,9 +93,19 @@ export class ProjectManager extends EventEmitter {
 
   /**
    * Update app to newer version
+   *
+   * The current version is backed up before the new one is staged. The new
+   * version must then start and stay up for the health check duration, and
+   * pass the health check probe when there is one; otherwise the backup is
+   * restored. Passing `healthCheck: false` skips the check (reported as
+   * `healthChecked: false`).
    * @param {string} appId - App ID to update
    * @param {string} packagePath - Path to new package
    * @param {Object} options - Update options
+   * @param {boolean|Function} options.healthCheck - false to skip the check, or an
+   *   async (appId, processInfo) => boolean probe used instead of the manager's
+   * @param {number} options.healthCheckDuration - Override the health check duration
+   * @param {boolean} options.restartAfterUpdate - Restart the app if it was running
    * @returns {Promise<Object>} Update result
    */
   async updateApp(appId, packagePath, options = {}) {
@@ -99,26 +113,135 @@ export class ProjectManager extends EventEmitter {
       throw new Error('App installer not available');
     }
 
+    if (!this.getApp(appId)) {
+      throw new Error(`App ${appId} not found`);
+    }
+
     // Stop app if running
     const wasRunning = this.runningApps.has(appId);
     if (wasRunning) {
       await this.stopApp(appId);
     }
 
-    const result = await this.installer.updateApp(appId, packagePath, options);
+    const restart = wasRunning && options.restartAfterUpdate !== false;
+    const backup = await this._createUpdateBackup(appId);
+
+    let result;
+    try {
+      result = await this.installer.updateApp(appId, packagePath, options);
+    } catch (error) {
+      // Staging failed, so the previous version is still installed
+      await this._removeBackup(backup);
+      if (restart) {
+        await this._restartAfterUpdate(appId);
+      }
+      throw error;
+    }
+
+    const healthChecked = options.healthCheck !== false;
+    const probe = typeof options.healthCheck === 'function' ? options.healthCheck : this.options.healthCheck;
+
+    if (healthChecked) {
+      const health = await this._checkAppHealth(appId, probe, options);
+
+      if (!health.healthy) {
+        // Stop the failed version before its files are replaced
+        await this.stopApp(appId);
+        await this._restoreBackup(appId, backup);
+        if (restart) {
+          await this._restartAfterUpdate(appId);
+        }
+
+        this.emit('app:rolled_back', {
+          appId,
+          fromVersion: result.version,
+          toVersion: backup.version,
+          reason: health.reason,
+          automatic: true
+        });
+        throw new Error(`Update of ${appId} failed its health check and was rolled back: ${health.reason}`);
+      }
+
+      // The health check leaves the app running
+      if (!restart) {
+        await this.stopApp(appId);
+      }
+    } else if (restart) {
+      await this._restartAfterUpdate(appId);
+    }
+
+    const updateResult = {
+      ...result,
+      previousVersion: backup.version,
+      backupPath: backup.backupPath,
+      healthChecked
+    };
+
+    this.emit('app:updated', updateResult);
     
-    // Restart app if it was running
-    if (wasRunning && options.restartAfterUpdate !== false) {
+    return updateResult;
+  }
+
+  /**
+   * Roll an app back to the version installed before its last update
+   * @param {string} appId - App ID
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollbackApp(appId) {
+    const appInfo = this.getApp(appId);
+    if (!appInfo) {
+      throw new Error(`App ${appId} not found`);
+    }
+
+    const [backup] = await this.getBackups(appId);
+    if (!backup) {
+      throw new Error(`No previous version of ${appId} to roll back to`);
+    }
+
+    const wasRunning = this.runningApps.has(appId);
+    await this._restoreBackup(appId, backup);
+
+    if (wasRunning) {
+      await this.startApp(appId);
+    }
+
+    const rollbackResult = {
+      appId,
+      fromVersion: appInfo.manifest.app.version,
+      toVersion: backup.version,
+      automatic: false
+    };
+
+    this.emit('app:rolled_back', rollbackResult);
+
+    return rollbackResult;
+  }
+
+  /**
+   * Get backups of previous versions of an app, newest first
+   * @param {string} appId - App ID
+   * @returns {Promise<Array<Object>>} Backup info
+   */
+  async getBackups(appId) {
+    const backupDir = this._getBackupDir(appId);
+    let entries;
+
+    try {
+      entries = await fs.readdir(backupDir);
+    } catch (error) {
+      return [];
+    }
+
+    const backups = [];
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
       try {
-        await this.startApp(appId);
+        backups.push(JSON.parse(await fs.readFile(path.join(backupDir, entry), 'utf8')));
       } catch (error) {
-        console.warn(`Failed to restart app ${appId} after update:`, error);
+        console.warn(`Ignoring unreadable backup record ${entry}:`, error);
       }
     }
-    
-    this.emit('app:updated', result);
-    
-    return result;
+
+    return backups.sort((a, b) => b.backupTime.localeCompare(a.backupTime));
   }
 
   /**
@@ -488,6 +611,124 @@ export class ProjectManager extends EventEmitter {
     this.emit('all_apps:stopped');
   }
 
+  /**
+   * Start an updated app, watch that it stays up, then probe it if there is a probe
+   * @param {string} appId - App ID
+   * @param {Function|null} probe - async (appId, processInfo) => boolean
+   * @param {Object} options - Update options
+   * @returns {Promise<Object>} Health check outcome
+   */
+  async _checkAppHealth(appId, probe, options = {}) {
+    const duration = options.healthCheckDuration ?? this.options.healthCheckDuration;
+
+    let processInfo;
+    try {
+      processInfo = await this.startApp(appId);
+    } catch (error) {
+      return { healthy: false, reason: `App failed to start: ${error.message}` };
+    }
+
+    const exited = await new Promise(resolve => {
+      const onStopped = (data) => {
+        if (data.appId === appId) finish(true);
+      };
+      const timer = setTimeout(() => finish(false), duration);
+      const finish = (result) => {
+        clearTimeout(timer);
+        this.off('app:stopped', onStopped);
+        resolve(result);
+      };
+
+      this.on('app:stopped', onStopped);
+      this.emit('app:health_check:started', { appId, duration });
+    });
+
+    let health = { healthy: true, reason: null };
+
+    if (exited) {
+      health = { healthy: false, reason: `App exited within ${duration}ms of starting` };
+    } else if (probe) {
+      try {
+        if (!await probe(appId, processInfo)) {
+          health = { healthy: false, reason: 'Health check failed' };
+        }
+      } catch (error) {
+        health = { healthy: false, reason: `Health check failed: ${error.message}` };
+      }
+    }
+
+    this.emit('app:health_check:completed', { appId, ...health });
+    return health;
+  }
+
+  /**
+   * Back up the installed version before updating it
+   * @param {string} appId - App ID
+   * @returns {Promise<Object>} Backup info
+   */
+  async _createUpdateBackup(appId) {
+    const appInfo = this.getApp(appId);
+    const backupPath = path.join(this._getBackupDir(appId), `${appInfo.manifest.app.version}-${Date.now()}`);
+
+    const backupInfo = await this.backupApp(appId, backupPath);
+    await fs.writeFile(`${backupPath}.json`, JSON.stringify(backupInfo, null, 2));
+
+    // Drop the oldest backups beyond the limit
+    const backups = await this.getBackups(appId);
+    for (const backup of backups.slice(this.options.maxBackups)) {
+      await this._removeBackup(backup);
+    }
+
+    return backupInfo;
+  }
+
+  /**
+   * Put a backed up version back in place and discard the backup
+   * @param {string} appId - App ID
+   * @param {Object} backup - Backup info
+   * @returns {Promise<void>}
+   */
+  async _restoreBackup(appId, backup) {
+    if (!await this.restoreApp(appId, backup.backupPath)) {
+      throw new Error(`Failed to restore ${appId} from ${backup.backupPath}`);
+    }
+
+    await this._removeBackup(backup);
+  }
+
+  /**
+   * Delete a backup and its record
+   * @param {Object} backup - Backup info
+   * @returns {Promise<void>}
+   */
+  async _removeBackup(backup) {
+    await fs.rm(backup.backupPath, { recursive: true, force: true });
+    await fs.rm(`${backup.backupPath}.json`, { force: true });
+  }
+
+  /**
+   * Start an app again after updating it, without failing the update
+   * @param {string} appId - App ID
+   * @returns {Promise<void>}
+   */
+  async _restartAfterUpdate(appId) {
+    try {
+      await this.startApp(appId);
+    } catch (error) {
+      console.warn(`Failed to restart app ${appId} after update:`, error);
+    }
+  }
+
+  /**
+   * Get the directory holding backups of an app
+   * @param {string} appId - App ID
+   * @returns {string} Backup directory
+   */
+  _getBackupDir(appId) {
+    const backupDir = this.options.backupDir || path.join(this.installer.options.installDir, '.lahat-backups');
+    return path.join(backupDir, appId);
+  }
+
   /**
    * Schedule automatic cleanup
    */
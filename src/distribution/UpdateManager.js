@@ -5,8 +5,16 @@
 
 import { EventEmitter } from 'events';
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import http from 'http';
+import https from 'https';
 import path from 'path';
+import os from 'os';
 import crypto from 'crypto';
+import { LahatPackager } from './LahatPackager.js';
 
 export class UpdateManager extends EventEmitter {
   constructor(options = {}) {
@@ -18,6 +26,14 @@ export class UpdateManager extends EventEmitter {
       updateSource: 'registry', // 'registry', 'p2p', 'manual'
       maxConcurrentUpdates: 3,
       retryAttempts: 3,
+      feedUrl: null, // JSON update feed, as a file path or http(s)/file URL
+      downloadDir: path.join(os.tmpdir(), 'lahat-updates'),
+      requestTimeout: 30000,
+      maxRedirects: 5,
+      requireSignature: true,
+      trustedPublishers: {}, // publisher ID -> PEM public key
+      keyringPath: null, // JSON keyring of trusted publishers
+      quarantineDir: null, // defaults to <downloadDir>/quarantine
       ...options
     };
     
@@ -26,6 +42,15 @@ export class UpdateManager extends EventEmitter {
     this.updateHistory = new Map();
     this.updateTimer = null;
     this.projectManager = null;
+    this.packager = new LahatPackager();
+    this.feed = null;
+    this.feedLoadedAt = null;
+    this.trustedPublishers = new Map();
+    this.keyringLoaded = false;
+
+    for (const [publisherId, publicKey] of Object.entries(this.options.trustedPublishers)) {
+      this.trustedPublishers.set(publisherId, this._createKeyringEntry(publisherId, publicKey));
+    }
   }
 
   /**
@@ -36,6 +61,135 @@ export class UpdateManager extends EventEmitter {
     this.projectManager = projectManager;
   }
 
+  /**
+   * Set packager used to verify package signatures
+   * @param {LahatPackager} packager - Packager instance
+   */
+  setPackager(packager) {
+    this.packager = packager;
+  }
+
+  /**
+   * Load trusted publishers from the keyring file
+   *
+   * The keyring is a JSON document of the form:
+   * { "publishers": [{ "id": "lahat-internal", "name": "...", "publicKey": "<PEM>" }] }
+   * @returns {Promise<Array>} Trusted publishers
+   */
+  async loadKeyring() {
+    const { keyringPath } = this.options;
+
+    if (keyringPath) {
+      let keyring = { publishers: [] };
+      try {
+        keyring = JSON.parse(await fs.readFile(keyringPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to load publisher keyring: ${error.message}`);
+        }
+      }
+
+      for (const publisher of keyring.publishers || []) {
+        this.trustedPublishers.set(publisher.id, this._createKeyringEntry(publisher.id, publisher.publicKey, publisher));
+      }
+    }
+
+    this.keyringLoaded = true;
+    return this.getTrustedPublishers();
+  }
+
+  /**
+   * Trust a publisher's signing key
+   * @param {string} publisherId - Publisher ID used in the update feed
+   * @param {string} publicKey - PEM encoded public key
+   * @param {Object} details - Extra details such as a display name
+   * @returns {Promise<Object>} Keyring entry
+   */
+  async addTrustedPublisher(publisherId, publicKey, details = {}) {
+    if (!this.keyringLoaded) {
+      await this.loadKeyring();
+    }
+
+    const entry = this._createKeyringEntry(publisherId, publicKey, details);
+    this.trustedPublishers.set(publisherId, entry);
+    await this._saveKeyring();
+
+    this.emit('keyring:publisher-added', { publisherId });
+    return entry;
+  }
+
+  /**
+   * Stop trusting a publisher
+   * @param {string} publisherId - Publisher ID
+   * @returns {Promise<boolean>} Whether the publisher was trusted
+   */
+  async removeTrustedPublisher(publisherId) {
+    if (!this.keyringLoaded) {
+      await this.loadKeyring();
+    }
+
+    if (!this.trustedPublishers.delete(publisherId)) {
+      return false;
+    }
+
+    await this._saveKeyring();
+
+    this.emit('keyring:publisher-removed', { publisherId });
+    return true;
+  }
+
+  /**
+   * Get trusted publishers
+   * @returns {Array<Object>} Keyring entries
+   */
+  getTrustedPublishers() {
+    return Array.from(this.trustedPublishers.values());
+  }
+
+  /**
+   * Load the update feed
+   *
+   * The feed is a JSON index of the form:
+   * {
+   *   "apps": [{
+   *     "id": "my-app",
+   *     "publisher": "lahat-internal",
+   *     "versions": [{
+   *       "version": "1.2.0",
+   *       "url": "packages/my-app-1.2.0.lahat",
+   *       "checksum": "<sha256 hex>",
+   *       "signature": "<base64>",
+   *       "size": 12345,
+   *       "releaseNotes": "...",
+   *       "critical": false
+   *     }]
+   *   }]
+   * }
+   *
+   * Relative download URLs are resolved against the feed location. A release
+   * may name its own publisher, otherwise the app's publisher signs it.
+   * @returns {Promise<Object>} Parsed feed with apps keyed by ID
+   */
+  async loadFeed() {
+    const { feedUrl } = this.options;
+    if (!feedUrl) {
+      throw new Error('No update feed configured');
+    }
+
+    try {
+      const feedLocation = this._toURL(feedUrl);
+      const content = await this._readFeed(feedLocation);
+      this.feed = this._parseFeed(JSON.parse(content), feedLocation);
+      this.feedLoadedAt = Date.now();
+
+      this.emit('feed:loaded', { feedUrl, apps: this.feed.apps.size });
+      return this.feed;
+    } catch (error) {
+      this.emit('feed:failed', { feedUrl, error: error.message });
+      throw new Error(`Failed to load update feed: ${error.message}`);
+    }
+  }
+
   /**
    * Start the update manager
    * @returns {Promise<void>}
@@ -71,8 +225,17 @@ export class UpdateManager extends EventEmitter {
     this.emit('update_manager:stopped');
   }
 
+  /**
+   * Check whether an update feed is configured
+   * @returns {boolean} Whether updates can be checked
+   */
+  hasFeed() {
+    return Boolean(this.options.feedUrl);
+  }
+
   /**
    * Check for updates for all installed apps
+   * Without an update feed there is nothing to check against, so no updates are reported.
    * @returns {Promise<Array>} Available updates
    */
   async checkForUpdates() {
@@ -80,7 +243,13 @@ export class UpdateManager extends EventEmitter {
       throw new Error('Project manager not available');
     }
 
-    const apps = this.projectManager.getApps();
+    if (!this.hasFeed()) {
+      return [];
+    }
+
+    const apps = await this.projectManager.getApps();
+    await this.loadFeed();
+
     const availableUpdates = [];
 
     for (const app of apps) {
@@ -109,7 +278,7 @@ export class UpdateManager extends EventEmitter {
   /**
    * Check for updates for a specific app
    * @param {string} appId - App ID to check
-   * @returns {Promise<Object|null>} Update information or null
+   * @returns {Promise<Object|null>} Update information, or null when up to date or no feed is configured
    */
   async checkAppForUpdates(appId) {
     if (!this.projectManager) {
@@ -121,6 +290,11 @@ export class UpdateManager extends EventEmitter {
       throw new Error(`App ${appId} not found`);
     }
 
+    if (!this.hasFeed()) {
+      return null;
+    }
+
+    await this.loadFeed();
     return await this._checkAppForUpdates(app);
   }
 
@@ -171,6 +345,7 @@ export class UpdateManager extends EventEmitter {
     if (this.activeUpdates.has(appId)) {
       const updateInfo = this.activeUpdates.get(appId);
       updateInfo.cancelled = true;
+      updateInfo.controller.abort();
       this.activeUpdates.delete(appId);
       this.emit('update:cancelled', { appId, reason: 'user_cancelled' });
       return true;
@@ -191,12 +366,15 @@ export class UpdateManager extends EventEmitter {
       throw new Error(`Update already in progress for app ${appId}`);
     }
 
+    let verification = null;
+
     try {
       this.activeUpdates.set(appId, {
         startTime: Date.now(),
         updateInfo,
         options,
-        cancelled: false
+        cancelled: false,
+        controller: new AbortController()
       });
 
       this.emit('update:started', { appId, updateInfo });
@@ -204,14 +382,18 @@ export class UpdateManager extends EventEmitter {
       // Download update package
       const packagePath = await this._downloadUpdate(appId, updateInfo);
 
-      // Verify package integrity
-      await this._verifyUpdatePackage(packagePath, updateInfo);
+      // Verify package integrity, refusing anything that doesn't check out
+      verification = await this._verifyUpdatePackage(packagePath, updateInfo);
+      if (!verification.verified) {
+        verification.quarantinePath = await this._quarantinePackage(appId, packagePath, updateInfo, verification.reason);
+        throw new Error(`Update for ${appId} failed verification: ${verification.reason}`);
+      }
 
       // Apply the update
       const result = await this.projectManager.updateApp(appId, packagePath, options);
 
       // Record update history
-      this._recordUpdateHistory(appId, updateInfo, result);
+      this._recordUpdateHistory(appId, updateInfo, { success: true, result, verification });
 
       // Clean up downloaded package
       await this._cleanupUpdatePackage(packagePath);
@@ -222,11 +404,62 @@ export class UpdateManager extends EventEmitter {
       return result;
     } catch (error) {
       this.activeUpdates.delete(appId);
+      this._recordUpdateHistory(appId, updateInfo, { success: false, error: error.message, verification });
       this.emit('update:failed', { appId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Update an app from a package file instead of the feed
+   *
+   * The package gets the same checks as a downloaded one: it must carry a
+   * signature from a trusted publisher (unless `requireSignature` is off) and
+   * match the checksum when one is given. A refused package is left where it
+   * is rather than quarantined, since it is the user's file.
+   * @param {string} appId - App ID to update
+   * @param {string} packagePath - Path to the .lahat package
+   * @param {Object} options - Update options, plus the package's signature, publisher and checksum
+   * @returns {Promise<Object>} Update result
+   */
+  async updateAppFromPackage(appId, packagePath, options = {}) {
+    const { signature = null, publisher = null, checksum = null, ...updateOptions } = options;
+
+    if (!this.projectManager) {
+      throw new Error('Project manager not available');
+    }
+
+    const app = this.projectManager.getApp(appId);
+    if (!app) {
+      throw new Error(`App ${appId} not found`);
+    }
+
+    if (this.activeUpdates.has(appId)) {
+      throw new Error(`Update already in progress for app ${appId}`);
+    }
+
+    const updateInfo = {
+      appId,
+      currentVersion: this._getInstalledVersion(app),
+      checksum: checksum || await this._hashFile(packagePath),
+      signature,
+      publisher,
+      source: 'manual'
+    };
+
+    const verification = await this._verifyUpdatePackage(packagePath, updateInfo);
+    if (!verification.verified) {
+      const error = `Package for ${appId} failed verification: ${verification.reason}`;
+      this._recordUpdateHistory(appId, updateInfo, { success: false, error, verification });
+      throw new Error(error);
+    }
+
+    const result = await this.projectManager.updateApp(appId, packagePath, updateOptions);
+    this._recordUpdateHistory(appId, updateInfo, { success: true, result, verification });
+
+    return result;
+  }
+
   /**
    * Get update status for an app
    * @param {string} appId - App ID
@@ -293,7 +526,9 @@ export class UpdateManager extends EventEmitter {
       totalUpdatesProcessed: Array.from(this.updateHistory.values())
         .reduce((sum, history) => sum + history.length, 0),
       autoUpdateEnabled: this.options.autoUpdate,
-      lastCheckTime: this.lastCheckTime || null
+      lastCheckTime: this.lastCheckTime || null,
+      feedUrl: this.options.feedUrl,
+      feedLoadedAt: this.feedLoadedAt
     };
   }
 
@@ -328,25 +563,23 @@ export class UpdateManager extends EventEmitter {
    */
   async _checkAppForUpdates(app) {
     try {
-      // Mock update check - in real implementation this would:
-      // - Check registry/repository for newer versions
-      // - Compare semantic versions
-      // - Get download information
+      const currentVersion = this._getInstalledVersion(app);
+      const release = await this._getLatestVersion(app);
       
-      const currentVersion = app.manifest.app.version;
-      const availableVersion = await this._getLatestVersion(app);
-      
-      if (availableVersion && this._isNewerVersion(availableVersion, currentVersion)) {
+      if (release && this._isNewerVersion(release.version, currentVersion)) {
         return {
           appId: app.id,
-          appName: app.manifest.app.name,
+          appName: app.manifest?.app?.name || app.name || app.id,
           currentVersion,
-          availableVersion,
-          updateSize: Math.floor(Math.random() * 10 * 1024 * 1024), // Mock size
-          releaseNotes: `Update to version ${availableVersion}`,
-          downloadUrl: `https://updates.example.com/${app.id}/${availableVersion}.lahat`,
-          checksum: crypto.createHash('sha256').update(availableVersion).digest('hex'),
-          critical: false,
+          availableVersion: release.version,
+          updateSize: release.size ?? null,
+          releaseNotes: release.releaseNotes || `Update to version ${release.version}`,
+          downloadUrl: release.url,
+          checksum: release.checksum,
+          signature: release.signature || null,
+          publisher: release.publisher,
+          critical: Boolean(release.critical),
+          publishedAt: release.publishedAt || null,
           checkedAt: Date.now()
         };
       }
@@ -358,22 +591,26 @@ export class UpdateManager extends EventEmitter {
   }
 
   /**
-   * Get latest version for an app
+   * Get latest release of an app from the update feed
    * @param {Object} app - App information
-   * @returns {Promise<string|null>} Latest version or null
+   * @returns {Promise<Object|null>} Latest release or null
    */
   async _getLatestVersion(app) {
-    // Mock implementation - in reality this would query a registry
-    const currentVersion = app.manifest.app.version;
-    const versionParts = currentVersion.split('.').map(Number);
-    
-    // Randomly decide if there's an update (for demo purposes)
-    if (Math.random() > 0.7) { // 30% chance of update
-      versionParts[2]++; // Increment patch version
-      return versionParts.join('.');
+    if (!this.feed) {
+      await this.loadFeed();
     }
-    
-    return null;
+
+    const entry = this.feed.apps.get(app.id);
+    return entry ? entry.versions[0] : null;
+  }
+
+  /**
+   * Get the installed version of an app
+   * @param {Object} app - App information
+   * @returns {string} Installed version
+   */
+  _getInstalledVersion(app) {
+    return app.manifest?.app?.version || app.version;
   }
 
   /**
@@ -398,6 +635,205 @@ export class UpdateManager extends EventEmitter {
     return false;
   }
 
+  /**
+   * Compare two versions for sorting, newest first
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Sort order
+   */
+  _compareVersionsDescending(a, b) {
+    if (this._isNewerVersion(a, b)) return -1;
+    if (this._isNewerVersion(b, a)) return 1;
+    return 0;
+  }
+
+  /**
+   * Validate a feed document and index it by app ID
+   * @param {Object} data - Raw feed JSON
+   * @param {URL} feedLocation - Where the feed was loaded from
+   * @returns {Object} Parsed feed
+   */
+  _parseFeed(data, feedLocation) {
+    if (!data || !Array.isArray(data.apps)) {
+      throw new Error('Feed must contain an apps array');
+    }
+
+    const apps = new Map();
+
+    for (const entry of data.apps) {
+      if (!entry?.id || !Array.isArray(entry.versions)) {
+        throw new Error(`Feed entry ${entry?.id || '(unnamed)'} must have an id and a versions array`);
+      }
+
+      const versions = entry.versions.map(release => {
+        if (!release?.version || !release.url || !release.checksum) {
+          throw new Error(`Release of ${entry.id} must have a version, url and checksum`);
+        }
+
+        return {
+          ...release,
+          url: new URL(release.url, feedLocation).href,
+          publisher: release.publisher || entry.publisher || null
+        };
+      });
+
+      versions.sort((a, b) => this._compareVersionsDescending(a.version, b.version));
+      apps.set(entry.id, { ...entry, versions });
+    }
+
+    return {
+      ...data,
+      url: feedLocation.href,
+      apps
+    };
+  }
+
+  /**
+   * Read the feed document
+   * @param {URL} feedLocation - Feed location
+   * @returns {Promise<string>} Feed contents
+   */
+  async _readFeed(feedLocation) {
+    if (feedLocation.protocol === 'file:') {
+      return await fs.readFile(fileURLToPath(feedLocation), 'utf8');
+    }
+
+    const response = await this._request(feedLocation);
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+    }
+
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Convert a file path or URL string into a URL
+   * @param {string} location - File path or URL
+   * @returns {URL} URL
+   */
+  _toURL(location) {
+    if (/^(https?|file):\/\//i.test(location)) {
+      return new URL(location);
+    }
+    return pathToFileURL(path.resolve(location));
+  }
+
+  /**
+   * Issue a GET request, following redirects
+   * @param {URL} url - Request URL
+   * @param {Object} headers - Request headers
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Abort signal
+   * @param {number} options.redirects - Redirects followed so far
+   * @returns {Promise<http.IncomingMessage>} Response
+   */
+  _request(url, headers = {}, { signal, redirects = 0 } = {}) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return Promise.reject(new Error(`Unsupported URL protocol: ${url.protocol}`));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, { headers, signal }, (response) => {
+        const { statusCode, headers: responseHeaders } = response;
+
+        if ([301, 302, 303, 307, 308].includes(statusCode) && responseHeaders.location) {
+          response.resume();
+
+          if (redirects >= this.options.maxRedirects) {
+            reject(new Error(`Too many redirects for ${url.href}`));
+            return;
+          }
+
+          const location = new URL(responseHeaders.location, url);
+          this._request(location, headers, { signal, redirects: redirects + 1 }).then(resolve, reject);
+          return;
+        }
+
+        resolve(response);
+      });
+
+      request.on('error', reject);
+      request.setTimeout(this.options.requestTimeout, () => {
+        request.destroy(new Error(`Request to ${url.href} timed out`));
+      });
+    });
+  }
+
+  /**
+   * Open a download stream, resuming from an offset when possible
+   * @param {string} downloadUrl - Package URL
+   * @param {number} offset - Bytes already downloaded
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<Object>} Stream, the offset it starts at and the total size
+   */
+  async _openDownload(downloadUrl, offset, signal) {
+    const url = new URL(downloadUrl);
+
+    if (url.protocol === 'file:') {
+      const filePath = fileURLToPath(url);
+      const { size } = await fs.stat(filePath);
+      const start = offset <= size ? offset : 0;
+
+      return {
+        stream: createReadStream(filePath, { start }),
+        offset: start,
+        totalBytes: size
+      };
+    }
+
+    const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+    const response = await this._request(url, headers, { signal });
+    const contentLength = Number(response.headers['content-length']);
+
+    if (response.statusCode === 206) {
+      const total = Number(response.headers['content-range']?.split('/')[1]);
+      return {
+        stream: response,
+        offset,
+        totalBytes: Number.isFinite(total) ? total : offset + contentLength
+      };
+    }
+
+    if (response.statusCode === 416 && offset > 0) {
+      // Partial file no longer matches the remote package, start over
+      response.resume();
+      return await this._openDownload(downloadUrl, 0, signal);
+    }
+
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+    }
+
+    // Server ignored the range request, so the whole package is coming
+    return {
+      stream: response,
+      offset: 0,
+      totalBytes: Number.isFinite(contentLength) ? contentLength : null
+    };
+  }
+
+  /**
+   * Get the size of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<number>} Size in bytes, 0 if missing
+   */
+  async _getFileSize(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
   /**
    * Process update queue
    */
@@ -439,6 +875,10 @@ export class UpdateManager extends EventEmitter {
 
   /**
    * Download update package
+   *
+   * Data is written to a `.part` file next to the final package. An
+   * interrupted or cancelled download keeps it, and the next attempt
+   * resumes from where it stopped.
    * @param {string} appId - App ID
    * @param {Object} updateInfo - Update information
    * @returns {Promise<string>} Downloaded package path
@@ -446,20 +886,47 @@ export class UpdateManager extends EventEmitter {
   async _downloadUpdate(appId, updateInfo) {
     this.emit('download:started', { appId, updateInfo });
 
-    // Mock download - in reality this would download from updateInfo.downloadUrl
-    const tempDir = '/tmp/lahat-updates';
-    await fs.mkdir(tempDir, { recursive: true });
-    
-    const packagePath = path.join(tempDir, `${appId}-${updateInfo.availableVersion}.lahat`);
-    
-    // Simulate download progress
-    for (let i = 0; i <= 100; i += 10) {
-      this.emit('download:progress', { appId, progress: i });
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+    await fs.mkdir(this.options.downloadDir, { recursive: true });
+
+    const packagePath = path.join(this.options.downloadDir, `${appId}-${updateInfo.availableVersion}.lahat`);
+    const partialPath = `${packagePath}.part`;
+    const signal = this.activeUpdates.get(appId)?.controller.signal;
 
-    // Create mock package file
-    await fs.writeFile(packagePath, 'mock package content');
+    try {
+      const existingBytes = await this._getFileSize(partialPath);
+      const { stream, offset, totalBytes } = await this._openDownload(updateInfo.downloadUrl, existingBytes, signal);
+
+      if (offset > 0) {
+        this.emit('download:resumed', { appId, offset, totalBytes });
+      }
+
+      let receivedBytes = offset;
+      const progress = new Transform({
+        transform: (chunk, encoding, callback) => {
+          receivedBytes += chunk.length;
+          this.emit('download:progress', {
+            appId,
+            receivedBytes,
+            totalBytes,
+            progress: totalBytes ? Math.floor((receivedBytes / totalBytes) * 100) : null
+          });
+          callback(null, chunk);
+        }
+      });
+
+      const file = createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' });
+      await pipeline(stream, progress, file, { signal });
+
+      if (totalBytes !== null && receivedBytes !== totalBytes) {
+        throw new Error(`Download incomplete: received ${receivedBytes} of ${totalBytes} bytes`);
+      }
+
+      await fs.rename(partialPath, packagePath);
+    } catch (error) {
+      const message = signal?.aborted ? `Download cancelled for app ${appId}` : error.message;
+      this.emit('download:failed', { appId, error: message });
+      throw new Error(message);
+    }
 
     this.emit('download:completed', { appId, packagePath });
     
@@ -468,35 +935,163 @@ export class UpdateManager extends EventEmitter {
 
   /**
    * Verify update package integrity
+   *
+   * The package must match the feed's SHA-256 checksum and, unless
+   * `requireSignature` is off, carry a valid signature from a trusted
+   * publisher.
    * @param {string} packagePath - Package path
    * @param {Object} updateInfo - Update information
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Verification outcome
    */
   async _verifyUpdatePackage(packagePath, updateInfo) {
+    const verification = {
+      verified: false,
+      checksum: 'failed',
+      signature: 'skipped',
+      publisher: updateInfo.publisher || null,
+      reason: null,
+      verifiedAt: Date.now()
+    };
+
     try {
-      // In reality, this would verify checksums, signatures, etc.
-      const content = await fs.readFile(packagePath);
-      const actualChecksum = crypto.createHash('sha256').update(content).digest('hex');
-      
-      // For demo, we'll skip actual verification
-      // if (actualChecksum !== updateInfo.checksum) {
-      //   throw new Error('Package checksum verification failed');
-      // }
+      const actualChecksum = await this._hashFile(packagePath);
 
-      this.emit('verification:completed', { packagePath });
+      if (!updateInfo.checksum) {
+        verification.reason = 'Update has no checksum';
+      } else if (actualChecksum !== updateInfo.checksum.toLowerCase()) {
+        verification.reason = `Checksum mismatch: expected ${updateInfo.checksum}, got ${actualChecksum}`;
+      } else {
+        verification.checksum = 'passed';
+        verification.reason = await this._verifyPublisherSignature(packagePath, updateInfo, verification);
+      }
     } catch (error) {
-      this.emit('verification:failed', { packagePath, error: error.message });
-      throw error;
+      verification.reason = error.message;
+    }
+
+    verification.verified = verification.reason === null;
+
+    if (verification.verified) {
+      this.emit('verification:completed', { packagePath, verification });
+    } else {
+      this.emit('verification:failed', { packagePath, error: verification.reason, verification });
+    }
+
+    return verification;
+  }
+
+  /**
+   * Check a package signature against the trusted-publisher keyring
+   * @param {string} packagePath - Package path
+   * @param {Object} updateInfo - Update information
+   * @param {Object} verification - Verification outcome to fill in
+   * @returns {Promise<string|null>} Failure reason, or null if acceptable
+   */
+  async _verifyPublisherSignature(packagePath, updateInfo, verification) {
+    const { signature, publisher } = updateInfo;
+
+    if (!signature) {
+      if (!this.options.requireSignature) {
+        return null;
+      }
+      verification.signature = 'missing';
+      return 'Update is not signed';
     }
+
+    if (!this.keyringLoaded) {
+      await this.loadKeyring();
+    }
+
+    const trusted = publisher ? this.trustedPublishers.get(publisher) : null;
+    if (!trusted) {
+      verification.signature = 'untrusted';
+      return `Publisher ${publisher || '(none)'} is not trusted`;
+    }
+
+    const valid = await this.packager.verifyPackageSignature(packagePath, signature, trusted.publicKey);
+    if (!valid) {
+      verification.signature = 'failed';
+      return `Signature verification failed for publisher ${publisher}`;
+    }
+
+    verification.signature = 'passed';
+    return null;
+  }
+
+  /**
+   * Move a package that failed verification into quarantine
+   * @param {string} appId - App ID
+   * @param {string} packagePath - Package path
+   * @param {Object} updateInfo - Update information
+   * @param {string} reason - Why the package was refused
+   * @returns {Promise<string>} Quarantined package path
+   */
+  async _quarantinePackage(appId, packagePath, updateInfo, reason) {
+    const quarantineDir = this.options.quarantineDir || path.join(this.options.downloadDir, 'quarantine');
+    await fs.mkdir(quarantineDir, { recursive: true });
+
+    const quarantinePath = path.join(quarantineDir, `${appId}-${updateInfo.availableVersion}-${Date.now()}.lahat`);
+    await fs.rename(packagePath, quarantinePath);
+
+    // Keep the context next to the package for whoever investigates it
+    await fs.writeFile(`${quarantinePath}.json`, JSON.stringify({
+      appId,
+      version: updateInfo.availableVersion,
+      downloadUrl: updateInfo.downloadUrl,
+      checksum: updateInfo.checksum,
+      publisher: updateInfo.publisher || null,
+      reason,
+      quarantinedAt: new Date().toISOString()
+    }, null, 2));
+
+    this.emit('update:quarantined', { appId, quarantinePath, reason });
+    return quarantinePath;
+  }
+
+  /**
+   * Create a keyring entry, validating the public key
+   * @param {string} publisherId - Publisher ID
+   * @param {string} publicKey - PEM encoded public key
+   * @param {Object} details - Extra details
+   * @returns {Object} Keyring entry
+   */
+  _createKeyringEntry(publisherId, publicKey, details = {}) {
+    try {
+      crypto.createPublicKey(publicKey);
+    } catch (error) {
+      throw new Error(`Invalid public key for publisher ${publisherId}: ${error.message}`);
+    }
+
+    return {
+      id: publisherId,
+      name: details.name || publisherId,
+      publicKey,
+      addedAt: details.addedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Persist the keyring when it is backed by a file
+   * @returns {Promise<void>}
+   */
+  async _saveKeyring() {
+    const { keyringPath } = this.options;
+    if (!keyringPath) return;
+
+    await fs.mkdir(path.dirname(keyringPath), { recursive: true });
+    await fs.writeFile(keyringPath, JSON.stringify({ publishers: this.getTrustedPublishers() }, null, 2));
   }
 
   /**
    * Record update history
    * @param {string} appId - App ID
    * @param {Object} updateInfo - Update information
-   * @param {Object} result - Update result
+   * @param {Object} outcome - Update outcome
+   * @param {boolean} outcome.success - Whether the update was applied
+   * @param {Object} outcome.result - Update result
+   * @param {string} outcome.error - Failure message
+   * @param {Object} outcome.verification - Package verification outcome
    */
-  _recordUpdateHistory(appId, updateInfo, result) {
+  _recordUpdateHistory(appId, updateInfo, { success, result = null, error = null, verification = null }) {
     if (!this.updateHistory.has(appId)) {
       this.updateHistory.set(appId, []);
     }
@@ -506,9 +1101,11 @@ export class UpdateManager extends EventEmitter {
       fromVersion: updateInfo.currentVersion,
       toVersion: updateInfo.availableVersion,
       updatedAt: Date.now(),
-      success: true,
+      success,
       updateSize: updateInfo.updateSize,
-      result
+      result,
+      error,
+      verification
     });
 
     // Keep only last 10 updates
@@ -517,6 +1114,16 @@ export class UpdateManager extends EventEmitter {
     }
   }
 
+  /**
+   * Compute the SHA-256 checksum of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} Hex checksum
+   */
+  async _hashFile(filePath) {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
   /**
    * Clean up downloaded update package
    * @param {string} packagePath - Package path
@@ -21,6 +21,9 @@ export class DistributionManager {
     this.options = {
       autoCleanup: true,
       autoUpdates: false,
+      updateFeed: null,
+      updateKeyring: null,
+      healthCheck: null, // probe for updated apps; see ProjectManager.updateApp
       maxConcurrentOperations: 3,
       ...options
     };
@@ -28,12 +31,16 @@ export class DistributionManager {
     // Initialize components
     this.packager = new LahatPackager();
     this.installer = new AppInstaller();
-    this.projectManager = new ProjectManager();
-    this.updateManager = new UpdateManager();
+    this.projectManager = new ProjectManager({ healthCheck: this.options.healthCheck });
+    this.updateManager = new UpdateManager({
+      feedUrl: this.options.updateFeed,
+      keyringPath: this.options.updateKeyring
+    });
     
     // Set up dependencies
     this.projectManager.setDependencies(this.installer, this.packager);
     this.updateManager.setProjectManager(this.projectManager);
+    this.updateManager.setPackager(this.packager);
     
     this.isStarted = false;
     
@@ -156,7 +163,7 @@ export class DistributionManager {
    * Update an app
    * @param {string} appId - App ID to update
    * @param {string} packagePath - Path to new package (optional)
-   * @param {Object} options - Update options
+   * @param {Object} options - Update options; a package also needs its signature and publisher
    * @returns {Promise<Object>} Update result
    */
   async updateApp(appId, packagePath = null, options = {}) {
@@ -165,8 +172,8 @@ export class DistributionManager {
     }
     
     if (packagePath) {
-      // Manual update with specific package
-      return await this.projectManager.updateApp(appId, packagePath, options);
+      // Manual update with specific package, verified like a downloaded one
+      return await this.updateManager.updateAppFromPackage(appId, packagePath, options);
     } else {
       // Automatic update - check for updates first
       const updateInfo = await this.updateManager.checkAppForUpdates(appId);
@@ -178,6 +185,19 @@ export class DistributionManager {
     }
   }
 
+  /**
+   * Roll an app back to the version installed before its last update
+   * @param {string} appId - App ID to roll back
+   * @returns {Promise<Object>} Rollback result
+   */
+  async rollbackApp(appId) {
+    if (!this.isStarted) {
+      throw new Error('Distribution manager not started');
+    }
+    
+    return await this.projectManager.rollbackApp(appId);
+  }
+
   /**
    * Get all apps
    * @param {Object} filter - Filter options
@@ -60,6 +60,15 @@ export class DistributionPreload {
         }
       },
 
+      rollbackApp: async (appId) => {
+        try {
+          return await this.ipcRenderer.invoke('rollback-app', appId);
+        } catch (error) {
+          console.error('Error rolling back app:', error);
+          throw error;
+        }
+      },
+
       // App packaging
       packageApp: async (projectPath, outputPath, options = {}) => {
         try {
@@ -4,9 +4,16 @@
  */
 
 import { EventEmitter } from 'events';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { 
+  isInitializeRequest,
   CallToolRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
@@ -27,12 +34,35 @@ export class LahatMCPServer extends EventEmitter {
       name: 'lahat-platform',
       version: '3.0.0',
       description: 'Lahat Mini App Platform MCP Server',
-      transport: 'stdio', // 'stdio' | 'sse' | 'websocket'
+      transport: 'stdio', // 'stdio' | 'http'
+      host: '127.0.0.1', // HTTP transport only listens on loopback
+      port: 8765,
+      path: '/mcp',
+      authToken: null, // defaults to the per-install token stored at tokenPath
+      tokenPath: path.join(os.homedir(), '.lahat', 'mcp-server-token'),
+      maxBodySize: 4 * 1024 * 1024, // 4MB
       ...options
     };
     
     // Create MCP server using official SDK
-    this.server = new Server(
+    this.server = this._createServer();
+    
+    this.capabilities = this._initializeCapabilities();
+    this.transport = null;
+    this.httpServer = null;
+    this.sessions = new Map(); // sessionId -> { server, transport }
+    this.authToken = null;
+    this.runtimeListeners = [];
+    this.isRunning = false;
+  }
+
+  /**
+   * Create an SDK server with the Lahat handlers installed
+   * HTTP clients each get their own server, since an SDK server drives a single transport
+   * @returns {Server} MCP server
+   */
+  _createServer() {
+    const server = new Server(
       {
         name: this.options.name,
         version: this.options.version,
@@ -42,16 +72,14 @@ export class LahatMCPServer extends EventEmitter {
         capabilities: {
           tools: {},
           resources: {},
-          prompts: {}
+          prompts: {},
+          logging: {}
         }
       }
     );
     
-    this.capabilities = this._initializeCapabilities();
-    this.transport = null;
-    this.isRunning = false;
-    
-    this._setupMCPHandlers();
+    this._setupMCPHandlers(server);
+    return server;
   }
 
   /**
@@ -74,14 +102,15 @@ export class LahatMCPServer extends EventEmitter {
       switch (this.options.transport) {
         case 'stdio':
           this.transport = new StdioServerTransport();
+          await this.server.connect(this.transport);
+          break;
+        case 'http':
+          await this._startHTTPServer();
           break;
         default:
           throw new Error(`Unsupported transport: ${this.options.transport}`);
       }
       
-      // Connect server to transport
-      await this.server.connect(this.transport);
-      
       this.isRunning = true;
       this.emit('started', {
         name: this.options.name,
@@ -101,6 +130,10 @@ export class LahatMCPServer extends EventEmitter {
    */
   async stop() {
     try {
+      if (this.httpServer) {
+        await this._stopHTTPServer();
+      }
+      
       if (this.server) {
         await this.server.close();
       }
@@ -115,45 +148,323 @@ export class LahatMCPServer extends EventEmitter {
     }
   }
 
+  /**
+   * Get the URL HTTP clients connect to
+   * @returns {string|null} Endpoint URL, or null unless serving over HTTP
+   */
+  getEndpoint() {
+    const address = this.httpServer?.address();
+    if (!address) return null;
+    
+    return `http://${this.options.host}:${address.port}${this.options.path}`;
+  }
+
+  /**
+   * Send a logging notification to every connected HTTP client
+   * @param {string} level - Log level (debug, info, warning, error, ...)
+   * @param {any} data - Notification payload
+   * @returns {Promise<void>}
+   */
+  async broadcastNotification(level, data) {
+    const sessions = Array.from(this.sessions.values());
+    
+    await Promise.all(sessions.map(async ({ server }) => {
+      try {
+        await server.sendLoggingMessage({ level, logger: this.options.name, data });
+      } catch (error) {
+        this.emit('notification:error', { error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Start serving streamable HTTP on the loopback interface
+   * @returns {Promise<void>}
+   */
+  async _startHTTPServer() {
+    if (!this._isLoopbackHost(this.options.host)) {
+      throw new Error(`HTTP transport must bind to a loopback address, got ${this.options.host}`);
+    }
+    
+    this.authToken = this.options.authToken || await this._loadAuthToken();
+    
+    const httpServer = http.createServer((req, res) => {
+      this._handleHTTPRequest(req, res).catch(error => {
+        this.emit('http:error', { error: error.message });
+        if (!res.headersSent) {
+          this._sendHTTPError(res, 500, -32603, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+    
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(this.options.port, this.options.host, () => {
+        httpServer.off('error', reject);
+        resolve();
+      });
+    });
+    
+    this.httpServer = httpServer;
+    
+    // Push app lifecycle changes to clients over their SSE streams
+    if (typeof this.runtime?.on === 'function') {
+      for (const event of ['app:started', 'app:stopped']) {
+        const listener = ({ appId }) => this.broadcastNotification('info', { event, appId });
+        this.runtime.on(event, listener);
+        this.runtimeListeners.push({ event, listener });
+      }
+    }
+  }
+
+  /**
+   * Close every HTTP session and the listening socket
+   * @returns {Promise<void>}
+   */
+  async _stopHTTPServer() {
+    for (const { event, listener } of this.runtimeListeners) {
+      this.runtime.off(event, listener);
+    }
+    this.runtimeListeners = [];
+    
+    const sessions = Array.from(this.sessions.values());
+    this.sessions.clear();
+    
+    for (const { server } of sessions) {
+      await server.close();
+    }
+    
+    const httpServer = this.httpServer;
+    this.httpServer = null;
+    
+    await new Promise(resolve => {
+      httpServer.close(() => resolve());
+      // SSE streams are long-lived; don't let them hold shutdown open
+      httpServer.closeAllConnections();
+    });
+  }
+
+  /**
+   * Route an HTTP request to its MCP session
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handleHTTPRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.options.path) {
+      this._sendHTTPError(res, 404, -32601, 'Not found');
+      return;
+    }
+    
+    // Reject pages that reach us through DNS rebinding
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!this._isLoopbackHost(hostname)) {
+      this._sendHTTPError(res, 403, -32600, 'Forbidden host');
+      return;
+    }
+    
+    if (!this._isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this._sendHTTPError(res, 401, -32600, 'Unauthorized');
+      return;
+    }
+    
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        this._sendHTTPError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+    
+    // Only an initialize request may open a new session
+    if (req.method !== 'POST') {
+      this._sendHTTPError(res, 400, -32600, 'Missing Mcp-Session-Id header');
+      return;
+    }
+    
+    let body;
+    try {
+      body = await this._readJSONBody(req);
+    } catch (error) {
+      this._sendHTTPError(res, 400, -32700, error.message);
+      return;
+    }
+    
+    if (!isInitializeRequest(body)) {
+      this._sendHTTPError(res, 400, -32600, 'Missing Mcp-Session-Id header');
+      return;
+    }
+    
+    const transport = await this._createSession();
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Create a transport and server for a new HTTP client
+   * @returns {Promise<StreamableHTTPServerTransport>} Session transport
+   */
+  async _createSession() {
+    const server = this._createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        this.sessions.set(sessionId, { server, transport });
+        this.emit('session:opened', { sessionId });
+      }
+    });
+    
+    transport.onclose = () => {
+      const sessionId = transport.sessionId;
+      if (sessionId && this.sessions.delete(sessionId)) {
+        this.emit('session:closed', { sessionId });
+      }
+    };
+    
+    await server.connect(transport);
+    return transport;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<any>} Parsed body
+   */
+  async _readJSONBody(req) {
+    const chunks = [];
+    let size = 0;
+    
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.options.maxBodySize) {
+        throw new Error('Request body too large');
+      }
+      chunks.push(chunk);
+    }
+    
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC error as an HTTP response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   */
+  _sendHTTPError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  /**
+   * Check the request carries the install's bearer token
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} Whether the request is authorized
+   */
+  _isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    
+    const provided = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.authToken);
+    
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Read the per-install bearer token, generating it on first use
+   * @returns {Promise<string>} Bearer token
+   */
+  async _loadAuthToken() {
+    const { tokenPath } = this.options;
+    
+    try {
+      const token = (await fs.readFile(tokenPath, 'utf8')).trim();
+      if (token) return token;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const token = randomBytes(32).toString('hex');
+    await fs.mkdir(path.dirname(tokenPath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(tokenPath, token + '\n', { mode: 0o600 });
+    
+    return token;
+  }
+
+  /**
+   * Check whether a host name refers to the loopback interface
+   * @param {string} host - Host name or address
+   * @returns {boolean} Whether the host is loopback
+   */
+  _isLoopbackHost(host) {
+    return ['localhost', '127.0.0.1', '::1', '[::1]'].includes(host);
+  }
+
   /**
    * Setup MCP protocol handlers
+   * @param {Server} server - SDK server to install the handlers on
    */
-  _setupMCPHandlers() {
+  _setupMCPHandlers(server) {
     // Handle tool listing
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: this._getAvailableTools()
       };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
-      return await this._executeTool(name, args || {});
+      
+      // Tool failures are reported in the result so the client's model can see them
+      try {
+        const result = await this._executeTool(name, args || {});
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+        };
+      } catch (error) {
+        return {
+          content: [{ type: 'text', text: error.message }],
+          isError: true
+        };
+      }
     });
 
     // Handle resource listing
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return {
         resources: this._getAvailableResources()
       };
     });
 
     // Handle resource reading
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params;
       return await this._readResource(uri);
     });
 
     // Handle prompt listing
-    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
       return {
         prompts: this._getAvailablePrompts()
       };
     });
 
     // Handle prompt execution
-    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
       return await this._executePrompt(name, args || {});
     });
@@ -399,13 +710,15 @@ export class LahatMCPServer extends EventEmitter {
   async _readResource(uri) {
     try {
       // Parse lahat:// URIs manually since they're custom
-      const path = uri.replace('lahat://', '/');
+      const resourcePath = uri.replace('lahat://', '/');
       
-      switch (path) {
+      switch (resourcePath) {
         case '/apps/list':
           return {
             contents: [
               {
+                uri,
+                mimeType: 'application/json',
                 type: 'text',
                 text: JSON.stringify(await this.capabilities.appLauncher.listApps(), null, 2)
               }
@@ -416,7 +729,9 @@ export class LahatMCPServer extends EventEmitter {
           return {
             contents: [
               {
-                type: 'text', 
+                uri,
+                mimeType: 'application/json',
+                type: 'text',
                 text: JSON.stringify(await this.capabilities.projectOperations.listProjects(), null, 2)
               }
             ]
@@ -426,6 +741,8 @@ export class LahatMCPServer extends EventEmitter {
           return {
             contents: [
               {
+                uri,
+                mimeType: 'application/json',
                 type: 'text',
                 text: JSON.stringify(await this.capabilities.projectOperations.listMCPServers(), null, 2)
               }
@@ -436,6 +753,8 @@ export class LahatMCPServer extends EventEmitter {
           return {
             contents: [
               {
+                uri,
+                mimeType: 'application/json',
                 type: 'text',
                 text: JSON.stringify({
                   isRunning: this.isRunning,
@@ -545,6 +864,8 @@ Provide step-by-step debugging instructions and code fixes.`;
       name: this.options.name,
       version: this.options.version,
       transport: this.options.transport,
+      endpoint: this.getEndpoint(),
+      sessions: this.sessions.size,
       capabilities: Object.keys(this.capabilities),
       toolCount: this._getAvailableTools().length,
       resourceCount: this._getAvailableResources().length,
@@ -4,8 +4,23 @@
  */
 
 import { EventEmitter } from 'events';
+import http from 'http';
 import os from 'os';
+import { createHash } from 'crypto';
+import multicastDns from 'multicast-dns';
 
+// DNS-SD names for the Lahat service
+const SERVICE_TYPE = '_lahat._tcp.local';
+const SERVICE_ENUMERATION = '_services._dns-sd._udp.local';
+
+/**
+ * Advertises a Lahat MCP server over mDNS and a local HTTP discovery endpoint
+ *
+ * The MCP HTTP transport only listens on loopback, as does the HTTP discovery
+ * endpoint by default, so the port in the mDNS SRV record is only reachable
+ * from the advertising machine. Other machines can use the announcement to see which
+ * Lahat instances are on the network, not to connect to them.
+ */
 export class ServiceAdvertiser extends EventEmitter {
   constructor(mcpServer, options = {}) {
     super();
@@ -15,13 +30,22 @@ export class ServiceAdvertiser extends EventEmitter {
       enableMDNS: true,
       enableHTTPDiscovery: true,
       discoveryPort: 8766,
+      discoveryHost: '127.0.0.1',
       advertiseInterval: 30000, // 30 seconds
+      instanceName: null, // defaults to "<server name> on <hostname>"
+      mdnsPort: 5353,
+      mdnsAddress: '224.0.0.251',
+      mdnsInterface: null, // all interfaces
+      mdnsTTL: 120, // seconds
       ...options
     };
     
     this.isAdvertising = false;
     this.advertiseTimer = null;
     this.discoveryInfo = null;
+    this.httpServer = null;
+    this.mdns = null;
+    this.peers = new Map(); // instance name -> peer
   }
 
   /**
@@ -58,6 +82,10 @@ export class ServiceAdvertiser extends EventEmitter {
    * Stop advertising services
    */
   async stop() {
+    if (!this.isAdvertising) {
+      return;
+    }
+
     try {
       if (this.advertiseTimer) {
         clearInterval(this.advertiseTimer);
@@ -107,6 +135,7 @@ export class ServiceAdvertiser extends EventEmitter {
       server: {
         host: this.mcpServer.options.host,
         port: this.mcpServer.options.port,
+        endpoint: this.mcpServer.getEndpoint?.() || null,
         protocol: 'mcp'
       },
       network: {
@@ -119,7 +148,7 @@ export class ServiceAdvertiser extends EventEmitter {
       discovery: {
         mdns: this.options.enableMDNS,
         http: this.options.enableHTTPDiscovery,
-        discoveryPort: this.options.discoveryPort,
+        discoveryPort: this.httpServer?.address()?.port ?? this.options.discoveryPort,
         lastAdvertised: new Date().toISOString()
       }
     };
@@ -131,18 +160,17 @@ export class ServiceAdvertiser extends EventEmitter {
    */
   async _startMDNSAdvertising() {
     try {
-      // In a real implementation, this would use a library like multicast-dns
-      console.log('📡 mDNS advertising would start here');
+      this.mdns = await this._createMDNSSocket();
+      this.mdns.on('query', (query) => this._handleMDNSQuery(query));
+      this.mdns.on('response', (response) => this._handleMDNSResponse(response));
       
-      // Mock mDNS advertising
+      await this._announceMDNS();
+      
+      const txt = this._getTXTData();
       this.emit('mdns:advertising', {
-        serviceName: `${this.discoveryInfo.service.name}._lahat._tcp.local`,
-        port: this.mcpServer.options.port,
-        txt: {
-          version: this.discoveryInfo.service.version,
-          type: this.discoveryInfo.service.type,
-          capabilities: JSON.stringify(this.discoveryInfo.capabilities)
-        }
+        serviceName: this._getInstanceFQDN(),
+        port: this._getServicePort(),
+        txt
       });
     } catch (error) {
       console.warn('Failed to start mDNS advertising:', error.message);
@@ -156,31 +184,313 @@ export class ServiceAdvertiser extends EventEmitter {
    */
   async _stopMDNSAdvertising() {
     try {
-      console.log('📡 mDNS advertising would stop here');
+      const mdns = this.mdns;
+      if (!mdns) return;
+      
+      this.mdns = null;
+      
+      // Goodbye packets: the same records with a TTL of zero
+      await new Promise(resolve => {
+        mdns.respond({ answers: this._getMDNSRecords(0) }, () => resolve());
+      });
+      await new Promise(resolve => mdns.destroy(() => resolve()));
+      
+      this.peers.clear();
       this.emit('mdns:stopped');
     } catch (error) {
       console.warn('Failed to stop mDNS advertising:', error.message);
     }
   }
 
+  /**
+   * Browse the network for other Lahat instances
+   * @param {Object} options - Browse options
+   * @param {number} options.timeout - How long to collect answers, in milliseconds
+   * @returns {Promise<Array<Object>>} Peers that answered
+   */
+  async browse(options = {}) {
+    const { timeout = 1000 } = options;
+    
+    // Browsing works without advertising, through a short-lived socket
+    const mdns = this.mdns || await this._createMDNSSocket();
+    const onResponse = (response) => this._handleMDNSResponse(response);
+    if (mdns !== this.mdns) {
+      mdns.on('response', onResponse);
+    }
+    
+    try {
+      await new Promise((resolve, reject) => {
+        mdns.query({ questions: [{ name: SERVICE_TYPE, type: 'PTR' }] }, (error) => {
+          if (error) reject(error); else resolve();
+        });
+      });
+      
+      await new Promise(resolve => setTimeout(resolve, timeout));
+    } finally {
+      if (mdns !== this.mdns) {
+        await new Promise(resolve => mdns.destroy(() => resolve()));
+      }
+    }
+    
+    return this.getPeers();
+  }
+
+  /**
+   * Get Lahat instances seen on the network
+   * @returns {Array<Object>} Known peers
+   */
+  getPeers() {
+    return Array.from(this.peers.values());
+  }
+
+  /**
+   * Open a multicast DNS socket
+   * @returns {Promise<Object>} multicast-dns instance
+   * @private
+   */
+  async _createMDNSSocket() {
+    const mdns = multicastDns({
+      port: this.options.mdnsPort,
+      ip: this.options.mdnsAddress,
+      interface: this.options.mdnsInterface || undefined,
+      loopback: true,
+      reuseAddr: true
+    });
+    
+    await new Promise((resolve, reject) => {
+      const onError = (error) => {
+        mdns.destroy();
+        reject(error);
+      };
+      
+      mdns.once('error', onError);
+      mdns.once('ready', () => {
+        mdns.off('error', onError);
+        resolve();
+      });
+    });
+    
+    mdns.on('error', (error) => this.emit('mdns:error', error));
+    mdns.on('warning', (error) => this.emit('mdns:error', error));
+    
+    return mdns;
+  }
+
+  /**
+   * Send an unsolicited announcement of our records
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _announceMDNS() {
+    if (!this.mdns) return;
+    
+    await new Promise((resolve, reject) => {
+      this.mdns.respond({ answers: this._getMDNSRecords(this.options.mdnsTTL) }, (error) => {
+        if (error) reject(error); else resolve();
+      });
+    });
+  }
+
+  /**
+   * Answer queries for our service, instance or host
+   * @param {Object} query - Decoded mDNS query packet
+   * @private
+   */
+  _handleMDNSQuery(query) {
+    const records = this._getMDNSRecords(this.options.mdnsTTL);
+    
+    const answers = records.filter(record => query.questions.some(question =>
+      question.name.toLowerCase() === record.name.toLowerCase() &&
+      (question.type === record.type || question.type === 'ANY')
+    ));
+    if (answers.length === 0) return;
+    
+    const additionals = records.filter(record => !answers.includes(record));
+    this.mdns?.respond({ answers, additionals });
+  }
+
+  /**
+   * Track peers from announcements, answers and goodbye packets
+   * @param {Object} response - Decoded mDNS response packet
+   * @private
+   */
+  _handleMDNSResponse(response) {
+    const records = [...(response.answers || []), ...(response.additionals || [])];
+    const ownInstance = this._getInstanceFQDN().toLowerCase();
+    
+    for (const pointer of records) {
+      if (pointer.type !== 'PTR' || pointer.name.toLowerCase() !== SERVICE_TYPE) continue;
+      
+      const instance = pointer.data;
+      const key = instance.toLowerCase();
+      if (key === ownInstance) continue;
+      
+      if (pointer.ttl === 0) {
+        const peer = this.peers.get(key);
+        if (peer && this.peers.delete(key)) {
+          this.emit('peer:removed', peer);
+        }
+        continue;
+      }
+      
+      const srv = records.find(record => record.type === 'SRV' && record.name.toLowerCase() === key);
+      if (!srv) continue;
+      
+      const txtRecord = records.find(record => record.type === 'TXT' && record.name.toLowerCase() === key);
+      const addresses = records
+        .filter(record => record.type === 'A' && record.name.toLowerCase() === srv.data.target.toLowerCase())
+        .map(record => record.data);
+      
+      const isNew = !this.peers.has(key);
+      const peer = {
+        name: instance.slice(0, -(SERVICE_TYPE.length + 1)),
+        fqdn: instance,
+        host: srv.data.target,
+        port: srv.data.port,
+        addresses,
+        txt: this._parseTXTData(txtRecord?.data),
+        lastSeen: new Date().toISOString()
+      };
+      
+      this.peers.set(key, peer);
+      this.emit(isNew ? 'peer:discovered' : 'peer:updated', peer);
+    }
+  }
+
+  /**
+   * Build the DNS-SD records describing this instance
+   * @param {number} ttl - Record TTL in seconds (0 for goodbye)
+   * @returns {Array<Object>} DNS records
+   * @private
+   */
+  _getMDNSRecords(ttl) {
+    const instance = this._getInstanceFQDN();
+    const target = `${this._toDNSLabel(os.hostname())}.local`;
+    const addresses = this.discoveryInfo?.network?.addresses || [];
+    const txt = Object.entries(this._getTXTData()).map(([key, value]) => `${key}=${value}`);
+    
+    return [
+      { name: SERVICE_ENUMERATION, type: 'PTR', ttl, data: SERVICE_TYPE },
+      { name: SERVICE_TYPE, type: 'PTR', ttl, data: instance },
+      // The port is loopback only, see the class comment
+      { name: instance, type: 'SRV', ttl, flush: true, data: { port: this._getServicePort(), target, priority: 0, weight: 0 } },
+      { name: instance, type: 'TXT', ttl, flush: true, data: txt },
+      ...addresses.map(({ address }) => ({ name: target, type: 'A', ttl, flush: true, data: address }))
+    ];
+  }
+
+  /**
+   * Get the TXT record key/values
+   * @returns {Object} TXT data
+   * @private
+   */
+  _getTXTData() {
+    const capabilities = JSON.stringify(this.discoveryInfo?.capabilities || {});
+    
+    return {
+      version: this.discoveryInfo?.service?.version || this.mcpServer.options.version,
+      type: this.discoveryInfo?.service?.type || 'lahat-mcp-server',
+      capabilities: createHash('sha256').update(capabilities).digest('hex').slice(0, 16),
+      transport: this.mcpServer.options.transport
+    };
+  }
+
+  /**
+   * Parse TXT record strings into key/values
+   * @param {Array<Buffer|string>} data - TXT record data
+   * @returns {Object} TXT data
+   * @private
+   */
+  _parseTXTData(data = []) {
+    const txt = {};
+    
+    for (const entry of [].concat(data)) {
+      const text = entry.toString();
+      const separator = text.indexOf('=');
+      if (separator === -1) {
+        txt[text] = true;
+      } else {
+        txt[text.slice(0, separator)] = text.slice(separator + 1);
+      }
+    }
+    
+    return txt;
+  }
+
+  /**
+   * Get the fully qualified service instance name
+   * @returns {string} Instance name, e.g. "lahat-platform on host._lahat._tcp.local"
+   * @private
+   */
+  _getInstanceFQDN() {
+    const name = this.options.instanceName ||
+      `${this.mcpServer.options.name} on ${os.hostname()}`;
+    return `${this._toDNSLabel(name)}.${SERVICE_TYPE}`;
+  }
+
+  /**
+   * Get the port clients should connect to
+   * @returns {number} MCP server port
+   * @private
+   */
+  _getServicePort() {
+    const endpoint = this.mcpServer.getEndpoint?.();
+    return endpoint ? Number(new URL(endpoint).port) : this.mcpServer.options.port;
+  }
+
+  /**
+   * Make a string safe to use as a single DNS label
+   * @param {string} value - Raw value
+   * @returns {string} DNS label
+   * @private
+   */
+  _toDNSLabel(value) {
+    return value.replace(/\./g, '-').slice(0, 63);
+  }
+
   /**
    * Start HTTP discovery endpoint
    * @private
    */
   async _startHTTPDiscovery() {
     try {
-      // In a real implementation, this would start an HTTP server
-      console.log(`🌐 HTTP discovery would start on port ${this.options.discoveryPort}`);
+      const httpServer = http.createServer((req, res) => {
+        this._handleDiscoveryRequest(req, res).catch(error => {
+          this.emit('http:error', error);
+          if (!res.headersSent) {
+            this._sendDiscoveryResponse(req, res, 500, { error: 'Internal server error' });
+          } else {
+            res.end();
+          }
+        });
+      });
+      
+      await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(this.options.discoveryPort, this.options.discoveryHost, () => {
+          httpServer.off('error', reject);
+          resolve();
+        });
+      });
+      
+      this.httpServer = httpServer;
+      
+      // The OS picks the port when discoveryPort is 0
+      const baseUrl = this._getDiscoveryBaseUrl();
+      if (this.discoveryInfo) {
+        this.discoveryInfo.discovery.discoveryPort = httpServer.address().port;
+      }
       
-      // Mock HTTP discovery server
       this.emit('http:discovery-started', {
-        port: this.options.discoveryPort,
+        port: httpServer.address().port,
         endpoints: {
-          info: `http://localhost:${this.options.discoveryPort}/lahat/info`,
-          capabilities: `http://localhost:${this.options.discoveryPort}/lahat/capabilities`,
-          status: `http://localhost:${this.options.discoveryPort}/lahat/status`
+          info: `${baseUrl}/lahat/info`,
+          capabilities: `${baseUrl}/lahat/capabilities`,
+          status: `${baseUrl}/lahat/status`
         }
       });
+      
+      console.log(`🌐 HTTP discovery listening on ${baseUrl}`);
     } catch (error) {
       console.warn('Failed to start HTTP discovery:', error.message);
       this.emit('http:error', error);
@@ -193,13 +503,119 @@ export class ServiceAdvertiser extends EventEmitter {
    */
   async _stopHTTPDiscovery() {
     try {
-      console.log('🌐 HTTP discovery would stop here');
+      const httpServer = this.httpServer;
+      if (!httpServer) return;
+      
+      this.httpServer = null;
+      
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        // Keep-alive sockets would otherwise hold close() open
+        httpServer.closeAllConnections();
+      });
+      
       this.emit('http:discovery-stopped');
     } catch (error) {
       console.warn('Failed to stop HTTP discovery:', error.message);
     }
   }
 
+  /**
+   * Answer a request to the discovery endpoint
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @private
+   */
+  async _handleDiscoveryRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      this._sendDiscoveryResponse(req, res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    switch (pathname) {
+      case '/lahat/info':
+        this._sendDiscoveryResponse(req, res, 200, this.discoveryInfo || await this._generateDiscoveryInfo());
+        break;
+      
+      case '/lahat/capabilities':
+        this._sendDiscoveryResponse(req, res, 200, await this._getServerCapabilities());
+        break;
+      
+      case '/lahat/status':
+        this._sendDiscoveryResponse(req, res, 200, {
+          advertiser: this.getStatus(),
+          server: this.mcpServer.getStatus()
+        });
+        break;
+      
+      default:
+        this._sendDiscoveryResponse(req, res, 404, { error: `Unknown endpoint: ${pathname}` });
+    }
+  }
+
+  /**
+   * Send a JSON body, or 304 when the client's cached copy is current
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} data - Response body
+   * @private
+   */
+  _sendDiscoveryResponse(req, res, status, data) {
+    const body = JSON.stringify(data, null, 2);
+    
+    if (status === 200) {
+      const etag = `"${createHash('sha1').update(body).digest('base64url')}"`;
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', 'no-cache');
+      
+      if (this._matchesETag(req.headers['if-none-match'], etag)) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+    }
+    
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Check an If-None-Match header against the current ETag
+   * @param {string|undefined} header - If-None-Match header value
+   * @param {string} etag - Current ETag
+   * @returns {boolean} Whether the client's copy is current
+   * @private
+   */
+  _matchesETag(header, etag) {
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    
+    // Weak comparison, as RFC 9110 requires for If-None-Match
+    return header.split(',')
+      .map(candidate => candidate.trim().replace(/^W\//, ''))
+      .includes(etag);
+  }
+
+  /**
+   * Get the base URL of the discovery endpoint
+   * @returns {string|null} Base URL, or null when not serving
+   * @private
+   */
+  _getDiscoveryBaseUrl() {
+    const address = this.httpServer?.address();
+    if (!address) return null;
+    
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}`;
+  }
+
   /**
    * Perform periodic advertising
    * @private
@@ -211,6 +627,8 @@ export class ServiceAdvertiser extends EventEmitter {
         this.discoveryInfo.discovery.lastAdvertised = new Date().toISOString();
       }
       
+      this._announceMDNS().catch(error => this.emit('mdns:error', error));
+      
       this.emit('periodic:advertise', this.discoveryInfo);
     } catch (error) {
       this.emit('advertising:error', error);
@@ -299,9 +717,12 @@ export class ServiceAdvertiser extends EventEmitter {
         http: this.options.enableHTTPDiscovery
       },
       discoveryPort: this.options.discoveryPort,
+      discoveryUrl: this._getDiscoveryBaseUrl(),
       advertiseInterval: this.options.advertiseInterval,
       lastAdvertised: this.discoveryInfo?.discovery?.lastAdvertised,
-      networkAddresses: this.discoveryInfo?.network?.addresses?.length || 0
+      networkAddresses: this.discoveryInfo?.network?.addresses?.length || 0,
+      serviceName: this.mdns ? this._getInstanceFQDN() : null,
+      peers: this.peers.size
     };
   }
 }
\ No newline at end of file
@@ -58,8 +58,13 @@ export class CapabilityMatcher extends EventEmitter {
       }
 
       // Find all servers with the capability
-      const candidateServers = await this._getCandidateServers(capability);
-      
+      let candidateServers = await this._getCandidateServers(capability);
+
+      // Callers that address a server by name pin routing to it
+      if (requirements.serverId) {
+        candidateServers = candidateServers.filter(server => server.id === requirements.serverId);
+      }
+
       if (candidateServers.length === 0) {
         return [];
       }
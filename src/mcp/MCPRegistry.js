@@ -8,6 +8,9 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { watch } from 'chokidar';
+import { TcpTransport } from './transports/TcpTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
 
 export class MCPRegistry extends EventEmitter {
   constructor(options = {}) {
@@ -18,11 +21,22 @@ export class MCPRegistry extends EventEmitter {
       healthCheckInterval: 60000, // 1 minute
       timeout: 10000, // 10 seconds
       maxRetries: 3,
+      userConfigPath: path.join(os.homedir(), '.lahat', 'mcp.json'),
+      projectConfigPath: null, // set from the open project with setProjectPath()
+      watchConfig: true,
+      configReloadDelay: 100, // debounce for config file changes
+      scanPath: true,
+      pathDirs: null, // defaults to the entries of $PATH
       ...options
     };
     
     this.servers = new Map();
     this.capabilities = new Map();
+    this.configServers = new Map(); // serverId -> { configPath, fingerprint }
+    this.pathServers = new Set();
+    this.configWatcher = null;
+    this.configReloadTimer = null;
+    this.configLoad = Promise.resolve();
     this.discoveryTimer = null;
     this.healthCheckTimer = null;
     this.isRunning = false;
@@ -50,6 +64,11 @@ export class MCPRegistry extends EventEmitter {
     // Initial discovery
     await this._performDiscovery();
     
+    // Pick up config file edits without waiting for the next discovery pass
+    if (this.options.watchConfig) {
+      await this._watchConfigFiles();
+    }
+    
     this.emit('registry:started');
   }
 
@@ -72,6 +91,16 @@ export class MCPRegistry extends EventEmitter {
       this.healthCheckTimer = null;
     }
     
+    if (this.configReloadTimer) {
+      clearTimeout(this.configReloadTimer);
+      this.configReloadTimer = null;
+    }
+    
+    if (this.configWatcher) {
+      await this.configWatcher.close();
+      this.configWatcher = null;
+    }
+    
     // Disconnect from all servers
     for (const [serverId, server] of this.servers) {
       try {
@@ -86,6 +115,31 @@ export class MCPRegistry extends EventEmitter {
     this.emit('registry:stopped');
   }
 
+  /**
+   * Load project servers from the .mcp.json of the open project
+   * Replaces the servers of the previous project, if any.
+   * @param {string|null} projectPath - Project directory, or null when no project is open
+   * @returns {Promise<void>}
+   */
+  async setProjectPath(projectPath) {
+    const projectConfigPath = projectPath ? path.join(projectPath, '.mcp.json') : null;
+    if (projectConfigPath === this.options.projectConfigPath) return;
+    
+    this.options.projectConfigPath = projectConfigPath;
+    if (!this.isRunning) return;
+    
+    if (this.configWatcher) {
+      await this.configWatcher.close();
+      this.configWatcher = null;
+    }
+    
+    if (this.options.watchConfig) {
+      await this._watchConfigFiles();
+    }
+    
+    await this._loadConfigServers();
+  }
+
   /**
    * Register an MCP server manually
    * @param {Object} serverConfig - Server configuration
@@ -98,6 +152,12 @@ export class MCPRegistry extends EventEmitter {
       transport = 'stdio',
       command,
       args = [],
+      env = {},
+      cwd,
+      host,
+      port,
+      url,
+      reconnect,
       capabilities = [],
       metadata = {}
     } = serverConfig;
@@ -115,6 +175,12 @@ export class MCPRegistry extends EventEmitter {
       transport,
       command,
       args,
+      env,
+      cwd,
+      host,
+      port,
+      url,
+      reconnect,
       capabilities,
       metadata,
       status: 'registered',
@@ -327,17 +393,386 @@ export class MCPRegistry extends EventEmitter {
    * @returns {Promise<void>}
    */
   async _discoverSystemServers() {
-    // In a real implementation, this would scan for:
-    // - MCP servers in PATH
-    // - Configuration files
-    // - Registry entries
-    // - Docker containers
-    // etc.
-    
-    // For now, we'll just emit that system discovery was attempted
+    await this._loadConfigServers();
+    await this._discoverPathServers();
+    
     this.emit('discovery:system:attempted');
   }
 
+  /**
+   * Load servers from the user and project config files
+   * Calls are serialized so watcher reloads never interleave with discovery
+   * @returns {Promise<void>}
+   */
+  async _loadConfigServers() {
+    this.configLoad = this.configLoad
+      .then(() => this._applyConfigServers())
+      .catch(error => {
+        this.emit('config:error', { error: error.message });
+      });
+    
+    return this.configLoad;
+  }
+
+  /**
+   * Reconcile registered config servers with the config files on disk
+   * @returns {Promise<void>}
+   */
+  async _applyConfigServers() {
+    // Later sources win, so project servers override user servers of the same name
+    const sources = [
+      { source: 'user-config', configPath: this.options.userConfigPath },
+      { source: 'project-config', configPath: this.options.projectConfigPath }
+    ].filter(({ configPath }) => configPath);
+    
+    const desired = new Map();
+    
+    for (const { source, configPath } of sources) {
+      const entries = await this._readConfigFile(configPath);
+      
+      // Keep what we already have from a file that is mid-edit or broken
+      if (entries === null) {
+        for (const [serverId, entry] of this.configServers) {
+          if (entry.configPath === configPath) {
+            desired.set(serverId, entry.serverConfig);
+          }
+        }
+        continue;
+      }
+      
+      for (const [name, definition] of Object.entries(entries)) {
+        const errors = this._validateConfigEntry(name, definition);
+        if (errors.length > 0) {
+          this.emit('config:invalid', { configPath, server: name, errors });
+          continue;
+        }
+        
+        if (definition.disabled) continue;
+        
+        const serverConfig = this._toServerConfig(name, definition, source, configPath);
+        desired.set(this._generateServerId(name), serverConfig);
+      }
+    }
+    
+    // Drop servers that were removed or changed
+    for (const [serverId, entry] of Array.from(this.configServers)) {
+      const next = desired.get(serverId);
+      if (!next || JSON.stringify(next) !== entry.fingerprint) {
+        this.configServers.delete(serverId);
+        await this.unregisterServer(serverId);
+      }
+    }
+    
+    // Register servers that are new (or were just dropped because they changed)
+    for (const [serverId, serverConfig] of desired) {
+      if (this.configServers.has(serverId)) continue;
+      
+      // Config definitions take precedence over executables found on PATH
+      if (this.pathServers.has(serverId)) {
+        this.pathServers.delete(serverId);
+        await this.unregisterServer(serverId);
+      }
+      
+      if (this.servers.has(serverId)) {
+        this.emit('config:invalid', {
+          configPath: serverConfig.metadata.configPath,
+          server: serverConfig.name,
+          errors: [`A server named "${serverConfig.name}" is already registered`]
+        });
+        continue;
+      }
+      
+      this.configServers.set(serverId, {
+        configPath: serverConfig.metadata.configPath,
+        fingerprint: JSON.stringify(serverConfig),
+        serverConfig
+      });
+      await this.registerServer(serverConfig);
+    }
+    
+    this.emit('config:loaded', {
+      configPaths: sources.map(({ configPath }) => configPath),
+      servers: Array.from(this.configServers.keys())
+    });
+  }
+
+  /**
+   * Read the `mcpServers` map from a config file
+   * @param {string} configPath - Config file path
+   * @returns {Promise<Object|null>} Server definitions, or null if the file is unusable
+   */
+  async _readConfigFile(configPath) {
+    let content;
+    try {
+      content = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      this.emit('config:invalid', { configPath, server: null, errors: [error.message] });
+      return null;
+    }
+    
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      this.emit('config:invalid', { configPath, server: null, errors: [`Invalid JSON: ${error.message}`] });
+      return null;
+    }
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      this.emit('config:invalid', { configPath, server: null, errors: ['Config must be a JSON object'] });
+      return null;
+    }
+    
+    const servers = config.mcpServers ?? {};
+    if (typeof servers !== 'object' || Array.isArray(servers)) {
+      this.emit('config:invalid', { configPath, server: null, errors: ['"mcpServers" must be an object'] });
+      return null;
+    }
+    
+    return servers;
+  }
+
+  /**
+   * Validate a single server definition
+   * @param {string} name - Server name
+   * @param {Object} definition - Server definition
+   * @returns {Array<string>} Validation errors
+   */
+  _validateConfigEntry(name, definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Server definition must be an object'];
+    }
+    
+    const errors = [];
+    const transport = this._resolveConfigTransport(definition);
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    
+    switch (transport) {
+      case 'stdio':
+        if (typeof definition.command !== 'string' || !definition.command.trim()) {
+          errors.push('"command" is required for stdio servers');
+        }
+        if (definition.args !== undefined && !isStringArray(definition.args)) {
+          errors.push('"args" must be an array of strings');
+        }
+        if (definition.env !== undefined &&
+            (typeof definition.env !== 'object' || Array.isArray(definition.env) ||
+             !Object.values(definition.env).every(value => typeof value === 'string'))) {
+          errors.push('"env" must be an object of string values');
+        }
+        break;
+        
+      case 'tcp':
+        if (!Number.isInteger(definition.port) || definition.port < 1 || definition.port > 65535) {
+          errors.push('"port" must be an integer between 1 and 65535');
+        }
+        break;
+        
+      case 'websocket':
+        if (typeof definition.url !== 'string' || !/^wss?:\/\//.test(definition.url)) {
+          errors.push('"url" must be a ws:// or wss:// URL');
+        }
+        break;
+        
+      default:
+        errors.push(`Unsupported transport "${transport}" (expected stdio, tcp or websocket)`);
+    }
+    
+    if (definition.capabilities !== undefined && !isStringArray(definition.capabilities)) {
+      errors.push('"capabilities" must be an array of strings');
+    }
+    
+    if (!/[a-z0-9]/i.test(name)) {
+      errors.push('Server name must contain at least one letter or digit');
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Work out the transport of a server definition
+   * Accepts both `transport` and the `type` key used by other MCP clients
+   * @param {Object} definition - Server definition
+   * @returns {string} Transport name
+   */
+  _resolveConfigTransport(definition) {
+    const transport = definition.transport || definition.type;
+    if (transport) return transport;
+    
+    if (typeof definition.url === 'string') return 'websocket';
+    if (definition.port !== undefined) return 'tcp';
+    return 'stdio';
+  }
+
+  /**
+   * Convert a config definition into a registry server configuration
+   * @param {string} name - Server name
+   * @param {Object} definition - Server definition
+   * @param {string} source - Config source
+   * @param {string} configPath - Config file path
+   * @returns {Object} Server configuration
+   */
+  _toServerConfig(name, definition, source, configPath) {
+    const transport = this._resolveConfigTransport(definition);
+    const serverConfig = {
+      name,
+      type: 'external',
+      transport,
+      capabilities: definition.capabilities || [],
+      metadata: {
+        ...(definition.metadata || {}),
+        description: definition.description || `MCP server from ${path.basename(configPath)}`,
+        source,
+        configPath
+      }
+    };
+    
+    if (transport === 'stdio') {
+      serverConfig.command = definition.command;
+      serverConfig.args = definition.args || [];
+      serverConfig.env = definition.env || {};
+      if (definition.cwd) {
+        serverConfig.cwd = path.resolve(path.dirname(configPath), definition.cwd);
+      }
+    } else if (transport === 'tcp') {
+      serverConfig.host = definition.host || '127.0.0.1';
+      serverConfig.port = definition.port;
+    } else {
+      serverConfig.url = definition.url;
+    }
+    
+    if (definition.reconnect !== undefined) {
+      serverConfig.reconnect = definition.reconnect;
+    }
+    
+    return serverConfig;
+  }
+
+  /**
+   * Watch the config files and reload when they change
+   * @returns {Promise<void>}
+   */
+  async _watchConfigFiles() {
+    const configPaths = [this.options.userConfigPath, this.options.projectConfigPath].filter(Boolean);
+    if (configPaths.length === 0) return;
+    
+    this.configWatcher = watch(configPaths, {
+      ignoreInitial: true,
+      persistent: false
+    });
+    
+    this.configWatcher.on('all', (event, filePath) => {
+      if (this.configReloadTimer) {
+        clearTimeout(this.configReloadTimer);
+      }
+      
+      this.configReloadTimer = setTimeout(() => {
+        this.configReloadTimer = null;
+        this.emit('config:changed', { event, configPath: filePath });
+        this._loadConfigServers();
+      }, this.options.configReloadDelay);
+    });
+    
+    this.configWatcher.on('error', (error) => {
+      this.emit('config:error', { error: error.message });
+    });
+    
+    await new Promise(resolve => this.configWatcher.once('ready', resolve));
+  }
+
+  /**
+   * Discover MCP server executables (mcp-server-*) on the PATH
+   * @returns {Promise<void>}
+   */
+  async _discoverPathServers() {
+    if (!this.options.scanPath) return;
+    
+    const pathDirs = this.options.pathDirs ||
+      (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    const found = new Map();
+    
+    for (const dir of new Set(pathDirs)) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        continue; // Stale PATH entries are common
+      }
+      
+      for (const file of files) {
+        const name = this._getPathServerName(file);
+        if (!name) continue;
+        
+        const serverId = this._generateServerId(name);
+        const command = path.join(dir, file);
+        
+        // First match wins, mirroring how the shell resolves commands
+        if (found.has(serverId) || !(await this._isExecutable(command))) continue;
+        
+        found.set(serverId, { name, command });
+      }
+    }
+    
+    for (const serverId of Array.from(this.pathServers)) {
+      if (!found.has(serverId)) {
+        this.pathServers.delete(serverId);
+        await this.unregisterServer(serverId);
+      }
+    }
+    
+    for (const [serverId, { name, command }] of found) {
+      if (this.servers.has(serverId)) continue;
+      
+      this.pathServers.add(serverId);
+      await this.registerServer({
+        name,
+        type: 'system',
+        transport: 'stdio',
+        command,
+        capabilities: [],
+        metadata: {
+          description: `MCP server found on PATH at ${command}`,
+          source: 'path'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the server name for an executable on the PATH
+   * @param {string} file - File name
+   * @returns {string|null} Server name, or null if not an MCP server
+   */
+  _getPathServerName(file) {
+    const name = process.platform === 'win32'
+      ? file.replace(/\.(exe|cmd|bat)$/i, '')
+      : file;
+    
+    return /^mcp-server-[a-z0-9][a-z0-9._-]*$/i.test(name) ? name : null;
+  }
+
+  /**
+   * Check whether a file is an executable
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} Whether the file can be executed
+   */
+  async _isExecutable(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) return false;
+      
+      if (process.platform !== 'win32') {
+        await fs.access(filePath, fs.constants.X_OK);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Connect to discovered servers
    * @returns {Promise<void>}
@@ -450,8 +885,11 @@ export class MCPRegistry extends EventEmitter {
    * @returns {Promise<Object>} Connection object
    */
   async _createExternalConnection(server) {
-    // This would implement actual MCP protocol connection
-    // For now, return a mock connection
+    if (server.transport === 'tcp' || server.transport === 'websocket') {
+      return this._createNetworkConnection(server);
+    }
+
+    // Stdio servers are spawned and owned by ServerManager
     return {
       type: 'external',
       serverId: server.id,
@@ -466,6 +904,55 @@ export class MCPRegistry extends EventEmitter {
     };
   }
 
+  /**
+   * Connect to a locally hosted server over TCP or WebSocket
+   * @param {Object} server - Server configuration
+   * @returns {Promise<Object>} Connection object
+   */
+  async _createNetworkConnection(server) {
+    const options = {
+      requestTimeout: this.options.timeout,
+      ...(server.reconnect === false ? { reconnect: false } : server.reconnect)
+    };
+
+    const transport = server.transport === 'tcp'
+      ? new TcpTransport({ host: server.host, port: server.port, ...options })
+      : new WebSocketTransport({ url: server.url, ...options });
+
+    transport.on('error', (error) => {
+      this.emit('server:transport:error', { serverId: server.id, error: error.message });
+    });
+
+    transport.on('reconnecting', ({ attempt, delay }) => {
+      this.emit('server:reconnecting', { serverId: server.id, attempt, delay });
+    });
+
+    // Fires when reconnecting gave up
+    const onClose = ({ reason }) => {
+      server.connection = null;
+      server.status = 'disconnected';
+      server.healthStatus = 'unhealthy';
+      this.emit('server:disconnected', { serverId: server.id, reason });
+    };
+    transport.on('close', onClose);
+
+    await transport.connect();
+
+    return {
+      type: 'external',
+      serverId: server.id,
+      transport: server.transport,
+      rpcTransport: transport,
+      close: async () => {
+        transport.off('close', onClose);
+        await transport.close();
+      },
+      send: async (message) => {
+        return await transport.send(message);
+      }
+    };
+  }
+
   /**
    * Perform health checks on connected servers
    * @returns {Promise<void>}
@@ -5,6 +5,11 @@
 
 import { EventEmitter } from 'events';
 import { spawn } from 'child_process';
+import { StdioTransport } from './transports/StdioTransport.js';
+import { TcpTransport } from './transports/TcpTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
+import { JsonRpcErrorCode } from './transports/JsonRpcTransport.js';
+import { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from './protocols/StandardMCP.js';
 
 export class ServerManager extends EventEmitter {
   constructor(options = {}) {
@@ -15,6 +20,10 @@ export class ServerManager extends EventEmitter {
       shutdownTimeout: 10000, // 10 seconds
       restartDelay: 5000, // 5 seconds
       maxRestarts: 3,
+      requestTimeout: 30000, // 30 seconds
+      protocolVersion: LATEST_PROTOCOL_VERSION,
+      supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      clientInfo: { name: 'lahat', version: '3.0.0' },
       ...options
     };
     
@@ -41,7 +50,8 @@ export class ServerManager extends EventEmitter {
       transport = 'stdio'
     } = serverConfig;
 
-    if (!command) {
+    // Network servers may already be running; stdio servers must be spawned
+    if (!command && transport === 'stdio') {
       throw new Error('Server command is required');
     }
 
@@ -57,19 +67,24 @@ export class ServerManager extends EventEmitter {
         restartCount: 0,
         lastRestart: null,
         process: null,
-        transport: null
+        transport: null,
+        protocolVersion: null,
+        serverCapabilities: null,
+        serverInfo: null
       };
 
       this.serverStates.set(serverId, serverState);
 
       // Start the server process
-      const process = await this._startServerProcess(serverId, serverConfig);
-      serverState.process = process;
-      this.processes.set(serverId, process);
+      let serverProcess = null;
+      if (command) {
+        serverProcess = await this._startServerProcess(serverId, serverConfig);
+        serverState.process = serverProcess;
+        this.processes.set(serverId, serverProcess);
+      }
 
       // Set up transport communication
-      const transport = await this._setupTransport(serverId, serverConfig, process);
-      serverState.transport = transport;
+      serverState.transport = await this._setupTransport(serverId, serverConfig, serverProcess);
 
       // Wait for server to be ready
       await this._waitForServerReady(serverId);
@@ -80,6 +95,7 @@ export class ServerManager extends EventEmitter {
       return true;
     } catch (error) {
       this._updateServerState(serverId, { status: 'failed' });
+      await this._cleanupFailedStart(serverId);
       this.emit('server:start:failed', { serverId, error: error.message });
       throw error;
     }
@@ -274,32 +290,32 @@ export class ServerManager extends EventEmitter {
       }, this.options.startupTimeout);
 
       try {
-        const process = spawn(command, args, {
+        const serverProcess = spawn(command, args, {
           cwd,
           env: { ...process.env, ...env },
           stdio: ['pipe', 'pipe', 'pipe']
         });
 
         // Handle process events
-        process.on('spawn', () => {
+        serverProcess.on('spawn', () => {
           clearTimeout(timeout);
-          this.emit('server:process:spawned', { serverId, pid: process.pid });
-          resolve(process);
+          this.emit('server:process:spawned', { serverId, pid: serverProcess.pid });
+          resolve(serverProcess);
         });
 
-        process.on('error', (error) => {
+        serverProcess.on('error', (error) => {
           clearTimeout(timeout);
           this.emit('server:process:error', { serverId, error: error.message });
           reject(error);
         });
 
-        process.on('exit', (code, signal) => {
+        serverProcess.on('exit', (code, signal) => {
           this.emit('server:process:exited', { serverId, code, signal });
           this._handleProcessExit(serverId, code, signal);
         });
 
         // Set up stdio handling
-        this._setupProcessStdio(serverId, process);
+        this._setupProcessStdio(serverId, serverProcess);
 
       } catch (error) {
         clearTimeout(timeout);
@@ -318,6 +334,9 @@ export class ServerManager extends EventEmitter {
     const process = this.processes.get(serverId);
     if (!process) return;
 
+    // The server may already have exited on its own (e.g. on stdin EOF)
+    if (process.exitCode !== null || process.signalCode !== null) return;
+
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         if (!force) {
@@ -367,54 +386,117 @@ export class ServerManager extends EventEmitter {
    * Create stdio transport
    * @param {string} serverId - Server ID
    * @param {ChildProcess} process - Server process
-   * @returns {Object} Transport object
+   * @returns {StdioTransport} Transport object
    */
   _createStdioTransport(serverId, process) {
-    return {
-      type: 'stdio',
-      send: async (message) => {
-        return new Promise((resolve, reject) => {
-          const jsonMessage = JSON.stringify(message) + '\n';
-          
-          process.stdin.write(jsonMessage, (error) => {
-            if (error) {
-              reject(error);
-            } else {
-              // For now, return a mock response
-              // Real implementation would wait for actual response
-              resolve({ success: true, result: 'mock response' });
-            }
-          });
-        });
-      },
-      close: async () => {
-        if (process.stdin) {
-          process.stdin.end();
-        }
-      }
-    };
+    const transport = new StdioTransport(process, {
+      requestTimeout: this.options.requestTimeout
+    });
+
+    this._bindTransportEvents(serverId, transport);
+    return transport;
   }
 
   /**
    * Create TCP transport
    * @param {string} serverId - Server ID
    * @param {Object} serverConfig - Server configuration
-   * @returns {Promise<Object>} Transport object
+   * @returns {Promise<TcpTransport>} Transport object
    */
   async _createTcpTransport(serverId, serverConfig) {
-    // TCP transport implementation would go here
-    throw new Error('TCP transport not yet implemented');
+    const { host = '127.0.0.1', port } = serverConfig;
+
+    if (!port) {
+      throw new Error(`Server ${serverId} requires a port for the tcp transport`);
+    }
+
+    const transport = new TcpTransport({
+      host,
+      port,
+      ...this._getNetworkTransportOptions(serverConfig)
+    });
+
+    this._bindTransportEvents(serverId, transport);
+    await transport.connect();
+
+    return transport;
   }
 
   /**
    * Create WebSocket transport
    * @param {string} serverId - Server ID
    * @param {Object} serverConfig - Server configuration
-   * @returns {Promise<Object>} Transport object
+   * @returns {Promise<WebSocketTransport>} Transport object
    */
   async _createWebSocketTransport(serverId, serverConfig) {
-    // WebSocket transport implementation would go here
-    throw new Error('WebSocket transport not yet implemented');
+    const { url, protocols, headers } = serverConfig;
+
+    if (!url) {
+      throw new Error(`Server ${serverId} requires a url for the websocket transport`);
+    }
+
+    const transport = new WebSocketTransport({
+      url,
+      protocols,
+      headers,
+      ...this._getNetworkTransportOptions(serverConfig)
+    });
+
+    this._bindTransportEvents(serverId, transport);
+    await transport.connect();
+
+    return transport;
+  }
+
+  /**
+   * Build options shared by network transports
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Object} Transport options
+   */
+  _getNetworkTransportOptions(serverConfig) {
+    const { reconnect = {} } = serverConfig;
+
+    // `reconnect` is either false or an object of ReconnectingTransport options
+    return {
+      requestTimeout: this.options.requestTimeout,
+      ...(reconnect === false ? { reconnect: false } : reconnect)
+    };
+  }
+
+  /**
+   * Forward transport events as server events
+   * @param {string} serverId - Server ID
+   * @param {JsonRpcTransport} transport - Transport
+   */
+  _bindTransportEvents(serverId, transport) {
+    transport.on('notification', (notification) => {
+      this.emit('server:notification', { serverId, notification });
+    });
+
+    transport.on('error', (error) => {
+      this.emit('transport:error', { serverId, error: error.message });
+    });
+
+    transport.on('reconnecting', ({ attempt, delay }) => {
+      this.emit('server:reconnecting', { serverId, attempt, delay });
+    });
+
+    transport.on('reconnected', ({ attempts }) => {
+      this.emit('server:reconnected', { serverId, attempts });
+    });
+
+    // Stdio servers going away is handled by _handleProcessExit
+    if (transport.type === 'stdio') return;
+
+    transport.on('close', ({ reason }) => {
+      const serverState = this.serverStates.get(serverId);
+      if (!serverState || serverState.transport !== transport || serverState.status !== 'running') {
+        return;
+      }
+
+      this._updateServerState(serverId, { status: 'disconnected', transport: null });
+      this.emit('server:disconnected', { serverId, reason });
+    });
   }
 
   /**
@@ -431,16 +513,74 @@ export class ServerManager extends EventEmitter {
   }
 
   /**
-   * Wait for server to be ready
+   * Wait for server to be ready by performing the MCP initialize handshake
    * @param {string} serverId - Server ID
    * @returns {Promise<void>}
    */
   async _waitForServerReady(serverId) {
-    // In a real implementation, this would send an initialization message
-    // and wait for the server to respond that it's ready
-    
-    // For now, just wait a brief moment
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const serverState = this.serverStates.get(serverId);
+    const { transport, config } = serverState;
+    const timeout = config.startupTimeout || this.options.startupTimeout;
+
+    let response;
+    try {
+      response = await transport.send({
+        jsonrpc: '2.0',
+        method: 'initialize',
+        params: {
+          protocolVersion: this.options.protocolVersion,
+          capabilities: {},
+          clientInfo: this.options.clientInfo
+        }
+      }, { timeout });
+    } catch (error) {
+      if (error.code === JsonRpcErrorCode.REQUEST_TIMEOUT) {
+        throw new Error(`Server ${serverId} did not complete initialization within ${timeout}ms`);
+      }
+      throw new Error(`Server ${serverId} failed to initialize: ${error.message}`);
+    }
+
+    const {
+      protocolVersion,
+      capabilities = {},
+      serverInfo = null,
+      instructions = null
+    } = response.result || {};
+
+    if (!this.options.supportedProtocolVersions.includes(protocolVersion)) {
+      throw new Error(
+        `Server ${serverId} negotiated unsupported protocol version ${protocolVersion} ` +
+        `(supported: ${this.options.supportedProtocolVersions.join(', ')})`
+      );
+    }
+
+    await transport.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    this._updateServerState(serverId, {
+      protocolVersion,
+      serverCapabilities: capabilities,
+      serverInfo,
+      instructions
+    });
+
+    this.emit('server:initialized', { serverId, protocolVersion, capabilities, serverInfo });
+  }
+
+  /**
+   * Release the transport and process of a server that failed to start
+   * @param {string} serverId - Server ID
+   * @returns {Promise<void>}
+   */
+  async _cleanupFailedStart(serverId) {
+    try {
+      await this._closeTransport(serverId);
+      await this._stopServerProcess(serverId, true);
+    } catch (error) {
+      this.emit('server:cleanup:failed', { serverId, error: error.message });
+    } finally {
+      this.processes.delete(serverId);
+      this._updateServerState(serverId, { process: null, transport: null });
+    }
   }
 
   /**
@@ -268,15 +268,18 @@ export class ServerProxy extends EventEmitter {
    * @param {string} capability - Capability name
    * @param {Object} params - Parameters
    * @param {Object} options - Options
-   * @returns {Promise<any>} Server response
+   * @returns {Promise<any>} Result of the tool call
    */
   async _executeOnServer(requestId, server, capability, params, options) {
-    // Create MCP message
+    // Capabilities are invoked as MCP tools
     const message = {
       jsonrpc: '2.0',
       id: requestId,
-      method: `capability/${capability}`,
-      params
+      method: 'tools/call',
+      params: {
+        name: capability,
+        arguments: params
+      }
     };
 
     // Track the request
@@ -291,7 +294,8 @@ export class ServerProxy extends EventEmitter {
 
     try {
       // Send message with timeout and retry logic
-      return await this._sendMessageWithRetry(requestId, server.id, message, options);
+      const response = await this._sendMessageWithRetry(requestId, server.id, message, options);
+      return response.result;
     } catch (error) {
       this._recordFailure(server.id);
       throw error;
@@ -3,6 +3,10 @@
  * Exports all MCP-related functionality
  */
 
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import { MCPRegistry } from './MCPRegistry.js';
 import { ServerManager } from './ServerManager.js';
 import { CapabilityMatcher } from './CapabilityMatcher.js';
@@ -14,20 +18,33 @@ export { CapabilityMatcher } from './CapabilityMatcher.js';
 export { ServerProxy } from './ServerProxy.js';
 export { StandardMCP } from './protocols/StandardMCP.js';
 export { LahatMCP } from './protocols/LahatMCP.js';
+export { JsonRpcTransport, JsonRpcError, JsonRpcErrorCode } from './transports/JsonRpcTransport.js';
+export { StdioTransport } from './transports/StdioTransport.js';
+export { InMemoryTransport } from './transports/InMemoryTransport.js';
+export { TcpTransport } from './transports/TcpTransport.js';
+export { WebSocketTransport } from './transports/WebSocketTransport.js';
 
 /**
  * MCP Manager - Coordinated MCP functionality
+ *
+ * Stdio servers declared in config files run arbitrary commands, so they are
+ * only started once the user has approved that exact command. Approvals are
+ * kept in `approvalsPath`; a server whose command, arguments, environment or
+ * working directory change needs approving again.
  */
 export class MCPManager {
   constructor(options = {}) {
     this.options = {
       autoStart: true,
       discoveryEnabled: true,
+      registry: {}, // MCPRegistry options
+      approvalsPath: path.join(os.homedir(), '.lahat', 'mcp-approvals.json'),
+      requestApproval: null, // async ({ serverId, name, command, args, cwd, source, configPath }) => boolean
       ...options
     };
     
     // Initialize components
-    this.registry = new MCPRegistry();
+    this.registry = new MCPRegistry(this.options.registry);
     this.serverManager = new ServerManager();
     this.capabilityMatcher = new CapabilityMatcher(this.registry);
     this.serverProxy = new ServerProxy();
@@ -36,6 +53,9 @@ export class MCPManager {
     this.serverProxy.setDependencies(this.serverManager, this.capabilityMatcher);
     
     this.isStarted = false;
+    this.approvals = null; // serverId -> { fingerprint, approvedAt }, loaded on first use
+    this.approvalWrites = Promise.resolve();
+    this.pendingApprovals = new Map(); // serverId -> server awaiting approval
     
     this._setupEventHandlers();
   }
@@ -153,6 +173,67 @@ export class MCPManager {
     return await this.registry.unregisterServer(serverId);
   }
 
+  /**
+   * Use the servers in the .mcp.json of the open project
+   * @param {string|null} projectPath - Project directory, or null when no project is open
+   * @returns {Promise<void>}
+   */
+  async setProjectPath(projectPath) {
+    await this.registry.setProjectPath(projectPath);
+  }
+
+  /**
+   * Get the config servers that are waiting for the user's approval to start
+   * @returns {Array<Object>} Servers { serverId, name, command, args, cwd, source, configPath }
+   */
+  getPendingApprovals() {
+    return Array.from(this.pendingApprovals, ([serverId, server]) => this._describeForApproval(serverId, server));
+  }
+
+  /**
+   * Approve a config server's command and start it
+   * @param {string} serverId - Server ID
+   * @returns {Promise<void>}
+   */
+  async approveServer(serverId) {
+    const server = this.registry.getServer(serverId);
+    if (!server || !this._isConfigStdioServer(server)) {
+      throw new Error(`Server ${serverId} is not a configured stdio server`);
+    }
+    
+    await this._recordApproval(serverId, server);
+    this.pendingApprovals.delete(serverId);
+    
+    if (!this.serverManager.isServerRunning(serverId)) {
+      await this.serverManager.startServer(serverId, server);
+    }
+  }
+
+  /**
+   * Withdraw approval for a config server and stop it
+   * @param {string} serverId - Server ID
+   * @returns {Promise<boolean>} Whether the server had been approved
+   */
+  async revokeServerApproval(serverId) {
+    const approvals = await this._loadApprovals();
+    const existed = approvals.delete(serverId);
+    
+    if (existed) {
+      await this._saveApprovals();
+    }
+    
+    if (this.serverManager.isServerRunning(serverId)) {
+      await this.serverManager.stopServer(serverId);
+    }
+    
+    const server = this.registry.getServer(serverId);
+    if (server && this._isConfigStdioServer(server)) {
+      this.pendingApprovals.set(serverId, server);
+    }
+    
+    return existed;
+  }
+
   /**
    * Get all servers
    * @param {Object} filter - Filter options
@@ -240,6 +321,139 @@ export class MCPManager {
     }
   }
 
+  /**
+   * Check whether a server is a stdio server declared in a config file
+   * @param {Object} server - Registered server
+   * @returns {boolean} Whether starting it runs a configured command
+   */
+  _isConfigStdioServer(server) {
+    return ['user-config', 'project-config'].includes(server.metadata?.source) && server.transport === 'stdio';
+  }
+
+  /**
+   * Start a config server if its command is approved, asking the user first if needed
+   * @param {string} serverId - Server ID
+   * @param {Object} server - Registered server
+   * @returns {Promise<void>}
+   */
+  async _startConfiguredServer(serverId, server) {
+    let approved = await this._isApproved(serverId, server);
+    
+    if (!approved && this.options.requestApproval) {
+      approved = await this.options.requestApproval(this._describeForApproval(serverId, server));
+      
+      if (approved) {
+        await this._recordApproval(serverId, server);
+      }
+    }
+    
+    // The config may have changed while the user was deciding
+    if (this.registry.getServer(serverId) !== server) return;
+    
+    if (!approved) {
+      this.pendingApprovals.set(serverId, server);
+      console.log(`MCP server ${serverId} is waiting for approval to run: ${server.command}`);
+      return;
+    }
+    
+    await this.serverManager.startServer(serverId, server);
+  }
+
+  /**
+   * Describe a server for an approval prompt
+   * @param {string} serverId - Server ID
+   * @param {Object} server - Registered server
+   * @returns {Object} { serverId, name, command, args, cwd, source, configPath }
+   */
+  _describeForApproval(serverId, server) {
+    return {
+      serverId,
+      name: server.name,
+      command: server.command,
+      args: server.args,
+      cwd: server.cwd || null,
+      source: server.metadata.source,
+      configPath: server.metadata.configPath
+    };
+  }
+
+  /**
+   * Fingerprint what a config server would run
+   * @param {Object} server - Registered server
+   * @returns {string} SHA-256 of the command, arguments, environment and working directory
+   */
+  _getApprovalFingerprint(server) {
+    const { command, args, env, cwd } = server;
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ command, args, env, cwd: cwd || null }))
+      .digest('hex');
+  }
+
+  /**
+   * Check whether the user approved exactly this command
+   * @param {string} serverId - Server ID
+   * @param {Object} server - Registered server
+   * @returns {Promise<boolean>} Whether the server may be started
+   */
+  async _isApproved(serverId, server) {
+    const approvals = await this._loadApprovals();
+    return approvals.get(serverId)?.fingerprint === this._getApprovalFingerprint(server);
+  }
+
+  /**
+   * Remember that the user approved a server's command
+   * @param {string} serverId - Server ID
+   * @param {Object} server - Registered server
+   * @returns {Promise<void>}
+   */
+  async _recordApproval(serverId, server) {
+    const approvals = await this._loadApprovals();
+    approvals.set(serverId, {
+      fingerprint: this._getApprovalFingerprint(server),
+      approvedAt: new Date().toISOString()
+    });
+    
+    await this._saveApprovals();
+  }
+
+  /**
+   * Load approvals from disk the first time they are needed
+   * @returns {Promise<Map<string, Object>>} serverId -> { fingerprint, approvedAt }
+   */
+  async _loadApprovals() {
+    if (this.approvals) return this.approvals;
+    
+    let approved = {};
+    try {
+      approved = JSON.parse(await fs.readFile(this.options.approvalsPath, 'utf8')).approved || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to read MCP server approvals, every config server needs approving again:', error.message);
+      }
+    }
+    
+    this.approvals ??= new Map(Object.entries(approved));
+    return this.approvals;
+  }
+
+  /**
+   * Write approvals to disk, one write at a time
+   * @returns {Promise<void>}
+   */
+  async _saveApprovals() {
+    const content = JSON.stringify({ approved: Object.fromEntries(this.approvals) }, null, 2);
+    
+    this.approvalWrites = this.approvalWrites.catch(() => {}).then(async () => {
+      const filePath = this.options.approvalsPath;
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, content, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    });
+    
+    return this.approvalWrites;
+  }
+
   /**
    * Set up event handlers
    */
@@ -260,6 +474,28 @@ export class MCPManager {
     this.registry.on('server:disconnected', (data) => {
       console.log(`MCP server disconnected: ${data.serverId}`);
     });
+    
+    this.registry.on('config:invalid', (data) => {
+      console.warn(`Invalid MCP server config in ${data.configPath}:`, data.errors.join('; '));
+    });
+    
+    // Servers declared in config files are started, once approved, and stopped as the files change
+    this.registry.on('server:registered', ({ serverId, server }) => {
+      if (!this._isConfigStdioServer(server)) return;
+      
+      this._startConfiguredServer(serverId, server).catch(error => {
+        console.warn(`Failed to start configured server ${serverId}:`, error.message);
+      });
+    });
+    
+    this.registry.on('server:unregistered', ({ serverId }) => {
+      this.pendingApprovals.delete(serverId);
+      if (!this.serverManager.isServerRunning(serverId)) return;
+      
+      this.serverManager.stopServer(serverId).catch(error => {
+        console.warn(`Failed to stop configured server ${serverId}:`, error.message);
+      });
+    });
 
     // Server manager events
     this.serverManager.on('server:started', (data) => {
@@ -4,8 +4,14 @@
  */
 
 import { StandardMCP } from './StandardMCP.js';
+import { JsonRpcError, JsonRpcErrorCode } from '../transports/JsonRpcTransport.js';
 
 export class LahatMCP extends StandardMCP {
+  /**
+   * @param {Object} options - Protocol options, plus `appId` (the app this client acts for,
+   *   required to read credentials) and `security` (SecurityManager that answers credential
+   *   requests when there is no transport)
+   */
   constructor(options = {}) {
     super({
       version: '1.0.0-lahat',
@@ -215,17 +221,23 @@ export class LahatMCP extends StandardMCP {
 
   /**
    * Get credential from Lahat security system
+   * Reads are made as this client's app and only succeed for credentials granted to it.
    * @param {string} name - Credential name
    * @returns {Promise<string|null>} Credential value
    */
   async getCredential(name) {
     this._ensureInitialized();
     
+    if (!this.options.appId) {
+      throw new Error('An app ID is required to read credentials');
+    }
+    
     const message = {
       jsonrpc: '2.0',
       method: 'lahat/security/credential/get',
       params: {
-        name
+        name,
+        appId: this.options.appId
       }
     };
 
@@ -471,8 +483,8 @@ export class LahatMCP extends StandardMCP {
    * @returns {Promise<Object>} Response
    */
   async _sendMessage(message) {
-    // Handle Lahat-specific methods
-    if (message.method && message.method.startsWith('lahat/')) {
+    // Without a transport, Lahat-specific methods are answered locally
+    if (!this.transport && message.method && message.method.startsWith('lahat/')) {
       return this._sendLahatMessage(message);
     }
     
@@ -541,9 +553,16 @@ export class LahatMCP extends StandardMCP {
         };
         
       case 'lahat/security/credential/get':
+        // Only the security manager can check the app's grant; without one, access is denied
+        if (!this.options.security) {
+          throw new JsonRpcError(
+            JsonRpcErrorCode.INVALID_REQUEST,
+            `App '${params.appId}' has not been granted access to credential '${params.name}'`
+          );
+        }
         return {
           result: {
-            value: 'mock-credential-value'
+            value: await this.options.security.getAppCredential(params.appId, params.name)
           }
         };
         
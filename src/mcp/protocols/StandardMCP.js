@@ -4,13 +4,20 @@
  */
 
 import { EventEmitter } from 'events';
+import { JsonRpcError, JsonRpcErrorCode } from '../transports/JsonRpcTransport.js';
+
+/**
+ * MCP protocol revisions Lahat can speak, newest first
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
 
 export class StandardMCP extends EventEmitter {
   constructor(options = {}) {
     super();
     
     this.options = {
-      version: '1.0.0',
+      version: LATEST_PROTOCOL_VERSION,
       capabilities: {
         logging: true,
         sampling: true,
@@ -18,12 +25,70 @@ export class StandardMCP extends EventEmitter {
         resources: true,
         prompts: true
       },
+      requestTimeout: 30000, // 30 seconds
       ...options
     };
     
     this.initialized = false;
     this.clientInfo = null;
     this.serverInfo = null;
+    this.transport = null;
+    this.requestHandlers = new Map();
+
+    // Servers may ping the client at any time
+    this.requestHandlers.set('ping', async () => ({}));
+
+    if (this.options.transport) {
+      this.connect(this.options.transport);
+    }
+  }
+
+  /**
+   * Attach a transport used to exchange messages with the server
+   * @param {JsonRpcTransport} transport - Connected transport
+   */
+  connect(transport) {
+    if (this.transport) {
+      throw new Error('MCP protocol is already connected to a transport');
+    }
+
+    this.transport = transport;
+
+    transport.on('notification', (notification) => {
+      this.handleNotification(notification);
+    });
+
+    transport.on('close', ({ reason }) => {
+      // Ignore closes we initiated through close()
+      if (this.transport !== transport) return;
+
+      this.initialized = false;
+      this.transport = null;
+      this.emit('transport:closed', { reason });
+    });
+
+    transport.on('error', (error) => {
+      this.emit('transport:error', { error: error.message });
+    });
+
+    transport.setRequestHandler(async (request) => {
+      const handler = this.requestHandlers.get(request.method);
+      if (!handler) {
+        throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+      }
+      return await handler(request.params || {}, request);
+    });
+
+    this.emit('transport:connected', { type: transport.type });
+  }
+
+  /**
+   * Handle requests sent by the server (e.g. sampling/createMessage)
+   * @param {string} method - Request method
+   * @param {Function} handler - async (params, request) => result
+   */
+  setRequestHandler(method, handler) {
+    this.requestHandlers.set(method, handler);
   }
 
   /**
@@ -41,7 +106,7 @@ export class StandardMCP extends EventEmitter {
         method: 'initialize',
         params: {
           protocolVersion: this.options.version,
-          capabilities: this.options.capabilities,
+          capabilities: this._getClientCapabilities(),
           clientInfo: clientInfo
         }
       };
@@ -386,6 +451,13 @@ export class StandardMCP extends EventEmitter {
    * @returns {Promise<void>}
    */
   async close() {
+    const transport = this.transport;
+    this.transport = null;
+
+    if (transport) {
+      await transport.close();
+    }
+
     if (this.initialized) {
       this.initialized = false;
       this.clientInfo = null;
@@ -403,24 +475,48 @@ export class StandardMCP extends EventEmitter {
     }
   }
 
+  /**
+   * Ensure a transport is attached
+   */
+  _ensureTransport() {
+    if (!this.transport) {
+      throw new Error('MCP protocol has no transport. Call connect() first.');
+    }
+  }
+
+  /**
+   * Build client capabilities in the shape defined by the MCP specification
+   * @returns {Object} Client capabilities
+   */
+  _getClientCapabilities() {
+    const capabilities = {};
+
+    if (this.options.capabilities.sampling) {
+      capabilities.sampling = {};
+    }
+
+    if (this.options.capabilities.roots) {
+      capabilities.roots = { listChanged: true };
+    }
+
+    return capabilities;
+  }
+
   /**
    * Send initialization message
    * @param {Object} message - Initialization message
    * @returns {Promise<Object>} Response
    */
   async _sendInitializeMessage(message) {
-    // This would be implemented by the transport layer
-    // For now, return a mock response
-    return {
-      result: {
-        protocolVersion: this.options.version,
-        capabilities: this.options.capabilities,
-        serverInfo: {
-          name: 'Mock MCP Server',
-          version: '1.0.0'
-        }
-      }
-    };
+    const response = await this._sendMessage(message);
+
+    // Complete the handshake before any other request is issued
+    await this._sendNotification({
+      jsonrpc: '2.0',
+      method: 'notifications/initialized'
+    });
+
+    return response;
   }
 
   /**
@@ -429,71 +525,10 @@ export class StandardMCP extends EventEmitter {
    * @returns {Promise<Object>} Response
    */
   async _sendMessage(message) {
-    // This would be implemented by the transport layer
-    // For now, return a mock response based on method
-    const method = message.method;
-    
-    if (method === 'tools/list') {
-      return {
-        result: {
-          tools: [
-            {
-              name: 'example_tool',
-              description: 'An example tool',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  input: { type: 'string' }
-                }
-              }
-            }
-          ]
-        }
-      };
-    }
-
-    if (method === 'resources/list') {
-      return {
-        result: {
-          resources: [
-            {
-              uri: 'file:///example.txt',
-              name: 'Example File',
-              description: 'An example resource',
-              mimeType: 'text/plain'
-            }
-          ]
-        }
-      };
-    }
+    this._ensureTransport();
 
-    if (method === 'prompts/list') {
-      return {
-        result: {
-          prompts: [
-            {
-              name: 'example_prompt',
-              description: 'An example prompt',
-              arguments: [
-                {
-                  name: 'topic',
-                  description: 'The topic to discuss',
-                  required: true
-                }
-              ]
-            }
-          ]
-        }
-      };
-    }
-
-    // Default response
-    return {
-      result: {
-        success: true,
-        message: `Mock response for ${method}`
-      }
-    };
+    // JSON-RPC errors are raised as JsonRpcError by the transport
+    return await this.transport.send(message, { timeout: this.options.requestTimeout });
   }
 
   /**
@@ -502,8 +537,9 @@ export class StandardMCP extends EventEmitter {
    * @returns {Promise<void>}
    */
   async _sendNotification(notification) {
-    // This would be implemented by the transport layer
-    // For now, just emit an event
+    this._ensureTransport();
+
+    await this.transport.notify(notification);
     this.emit('notification:sent', notification);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,63 @@
+/**
+ * In-Memory Transport - Linked transport pair for in-process servers and tests
+ */
+
+import { JsonRpcTransport, JsonRpcError, JsonRpcErrorCode } from './JsonRpcTransport.js';
+
+export class InMemoryTransport extends JsonRpcTransport {
+  constructor(options = {}) {
+    super(options);
+
+    this.type = 'memory';
+    this.peer = null;
+  }
+
+  /**
+   * Create two transports connected to each other
+   * @param {Object} options - Options applied to both ends
+   * @returns {Array<InMemoryTransport>} [clientTransport, serverTransport]
+   */
+  static createPair(options = {}) {
+    const client = new InMemoryTransport(options);
+    const server = new InMemoryTransport(options);
+
+    client.peer = server;
+    server.peer = client;
+
+    return [client, server];
+  }
+
+  /**
+   * Deliver a message to the peer on a later tick
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _write(message) {
+    const peer = this.peer;
+    if (!peer || peer.isClosed) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, 'In-memory peer is not connected');
+    }
+
+    // Round-trip through JSON so both ends never share object references
+    const payload = JSON.stringify(message);
+    setImmediate(() => {
+      if (!peer.isClosed) {
+        peer._handlePayload(payload);
+      }
+    });
+  }
+
+  /**
+   * Close the peer along with this end
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    const peer = this.peer;
+    this.peer = null;
+
+    if (peer && !peer.isClosed) {
+      peer.peer = null;
+      peer._handleClose('Peer closed');
+    }
+  }
+}
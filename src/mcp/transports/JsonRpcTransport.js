@@ -0,0 +1,354 @@
+/**
+ * JSON-RPC Transport - Base class for MCP message transports
+ * Handles request-id correlation, timeouts and JSON-RPC error mapping
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Standard JSON-RPC 2.0 error codes plus the MCP request timeout code
+ */
+export const JsonRpcErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  CONNECTION_CLOSED: -32000,
+  REQUEST_TIMEOUT: -32001
+};
+
+/**
+ * Error raised when a JSON-RPC request fails
+ */
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {any} data - Additional error data
+   */
+  constructor(code, message, data = null) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+
+  /**
+   * Create an error from a JSON-RPC error object
+   * @param {Object} error - Error object from a response
+   * @param {string} method - Method of the failed request
+   * @returns {JsonRpcError} Mapped error
+   */
+  static fromResponse(error = {}, method = null) {
+    const code = typeof error.code === 'number' ? error.code : JsonRpcErrorCode.INTERNAL_ERROR;
+    const message = error.message || 'Unknown JSON-RPC error';
+    const mapped = new JsonRpcError(code, method ? `${method} failed: ${message}` : message, error.data ?? null);
+    mapped.method = method;
+    return mapped;
+  }
+
+  /**
+   * Convert to a JSON-RPC error object
+   * @returns {Object} Error object
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      data: this.data
+    };
+  }
+}
+
+export class JsonRpcTransport extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      requestTimeout: 30000, // 30 seconds
+      ...options
+    };
+
+    this.type = 'base';
+    this.pendingRequests = new Map();
+    this.requestHandler = null;
+    this.nextRequestId = 0;
+    this.lineBuffer = '';
+    this.isClosed = false;
+  }
+
+  /**
+   * Send a request and wait for the matching response
+   * @param {Object} message - JSON-RPC request (an id is assigned if missing)
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} JSON-RPC response message
+   */
+  async send(message, options = {}) {
+    if (this.isClosed) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, `${this.type} transport is closed`);
+    }
+
+    const id = message.id ?? ++this.nextRequestId;
+    const request = { ...message, jsonrpc: '2.0', id };
+    const timeout = options.timeout || this.options.requestTimeout;
+
+    if (this.pendingRequests.has(id)) {
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_REQUEST, `Request id ${id} is already in flight`);
+    }
+
+    const responsePromise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        this.emit('request:timeout', { id, method: request.method });
+
+        // Let the other side know it can stop working on the request
+        this.notify({
+          method: 'notifications/cancelled',
+          params: { requestId: id, reason: 'Request timed out' }
+        }).catch(() => {});
+
+        reject(new JsonRpcError(
+          JsonRpcErrorCode.REQUEST_TIMEOUT,
+          `Request ${request.method} (${id}) timed out after ${timeout}ms`
+        ));
+      }, timeout);
+
+      this.pendingRequests.set(id, { method: request.method, resolve, reject, timer });
+    });
+
+    try {
+      await this._write(request);
+    } catch (error) {
+      this._settlePending(id);
+      throw error;
+    }
+
+    return responsePromise;
+  }
+
+  /**
+   * Send a notification (no response expected)
+   * @param {Object} message - JSON-RPC notification
+   * @returns {Promise<void>}
+   */
+  async notify(message) {
+    if (this.isClosed) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, `${this.type} transport is closed`);
+    }
+
+    const { id, ...notification } = message;
+    await this._write({ ...notification, jsonrpc: '2.0' });
+  }
+
+  /**
+   * Set the handler for requests initiated by the other side
+   * @param {Function} handler - async (request) => result
+   */
+  setRequestHandler(handler) {
+    this.requestHandler = handler;
+  }
+
+  /**
+   * Get the number of requests awaiting a response
+   * @returns {number} Pending request count
+   */
+  getPendingCount() {
+    return this.pendingRequests.size;
+  }
+
+  /**
+   * Close the transport and fail any pending requests
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.isClosed) return;
+
+    try {
+      await this._close();
+    } finally {
+      this._handleClose('Transport closed');
+    }
+  }
+
+  /**
+   * Handle a decoded incoming message
+   * @param {Object} message - JSON-RPC message
+   */
+  _handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0') {
+      this._emitError(new JsonRpcError(JsonRpcErrorCode.INVALID_REQUEST, 'Received invalid JSON-RPC message'));
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.method === undefined) {
+      const pending = this._settlePending(message.id);
+      if (!pending) {
+        this.emit('response:unmatched', message);
+        return;
+      }
+
+      if (message.error) {
+        pending.reject(JsonRpcError.fromResponse(message.error, pending.method));
+      } else {
+        pending.resolve(message);
+      }
+      return;
+    }
+
+    // Request from the other side
+    if (message.id !== undefined && message.id !== null) {
+      this._handleRequest(message);
+      return;
+    }
+
+    this.emit('notification', message);
+  }
+
+  /**
+   * Handle a raw incoming payload
+   * @param {string} payload - Serialized JSON-RPC message
+   */
+  _handlePayload(payload) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      this._emitError(new JsonRpcError(JsonRpcErrorCode.PARSE_ERROR, `Failed to parse message: ${error.message}`));
+      return;
+    }
+
+    // Batches are flattened into individual messages
+    const messages = Array.isArray(message) ? message : [message];
+    for (const item of messages) {
+      this._handleMessage(item);
+    }
+  }
+
+  /**
+   * Dispatch a request to the request handler and reply
+   * @param {Object} request - JSON-RPC request
+   */
+  async _handleRequest(request) {
+    this.emit('request', request);
+
+    let response;
+    if (!this.requestHandler) {
+      response = {
+        jsonrpc: '2.0',
+        id: request.id,
+        error: { code: JsonRpcErrorCode.METHOD_NOT_FOUND, message: `Method not found: ${request.method}` }
+      };
+    } else {
+      try {
+        const result = await this.requestHandler(request);
+        response = { jsonrpc: '2.0', id: request.id, result: result ?? {} };
+      } catch (error) {
+        response = {
+          jsonrpc: '2.0',
+          id: request.id,
+          error: {
+            code: typeof error.code === 'number' ? error.code : JsonRpcErrorCode.INTERNAL_ERROR,
+            message: error.message,
+            data: error.data ?? null
+          }
+        };
+      }
+    }
+
+    if (this.isClosed) return;
+
+    try {
+      await this._write(response);
+    } catch (error) {
+      this._emitError(error);
+    }
+  }
+
+  /**
+   * Handle newline-delimited data from a stream
+   * @param {Buffer|string} chunk - Data chunk
+   */
+  _handleLineData(chunk) {
+    this.lineBuffer += chunk.toString();
+
+    let newlineIndex;
+    while ((newlineIndex = this.lineBuffer.indexOf('\n')) !== -1) {
+      const line = this.lineBuffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.lineBuffer = this.lineBuffer.slice(newlineIndex + 1);
+
+      if (line.trim()) {
+        this._handlePayload(line);
+      }
+    }
+  }
+
+  /**
+   * Handle the underlying connection going away
+   * @param {string} reason - Close reason
+   */
+  _handleClose(reason = 'Connection closed') {
+    if (this.isClosed) return;
+    this.isClosed = true;
+
+    this._rejectPending(reason);
+    this.emit('close', { reason });
+  }
+
+  /**
+   * Fail every request still awaiting a response
+   * @param {string} reason - Failure reason
+   */
+  _rejectPending(reason) {
+    for (const id of Array.from(this.pendingRequests.keys())) {
+      const pending = this._settlePending(id);
+      pending.reject(new JsonRpcError(
+        JsonRpcErrorCode.CONNECTION_CLOSED,
+        `Request ${pending.method} (${id}) failed: ${reason}`
+      ));
+    }
+  }
+
+  /**
+   * Emit a transport error without throwing when nobody is listening
+   * @param {Error} error - Transport error
+   */
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Remove a pending request and clear its timer
+   * @param {string|number} id - Request ID
+   * @returns {Object|null} Pending request entry
+   */
+  _settlePending(id) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return null;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+    return pending;
+  }
+
+  /**
+   * Write a message to the underlying connection
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _write(message) {
+    throw new Error(`${this.constructor.name} must implement _write()`);
+  }
+
+  /**
+   * Close the underlying connection
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    // Nothing to release by default
+  }
+}
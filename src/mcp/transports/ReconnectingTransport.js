@@ -0,0 +1,178 @@
+/**
+ * Reconnecting Transport - Base class for network transports
+ * Re-establishes dropped connections with exponential backoff
+ */
+
+import { JsonRpcTransport, JsonRpcError, JsonRpcErrorCode } from './JsonRpcTransport.js';
+
+export class ReconnectingTransport extends JsonRpcTransport {
+  constructor(options = {}) {
+    super({
+      connectTimeout: 10000, // 10 seconds
+      reconnect: true,
+      maxReconnectAttempts: 5,
+      reconnectDelay: 500, // doubled after every failed attempt
+      maxReconnectDelay: 30000, // 30 seconds
+      ...options
+    });
+
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Open the connection, retrying with backoff if the server is not up yet
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.isClosed) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, `${this.type} transport is closed`);
+    }
+
+    if (this.isConnected) return;
+
+    const maxAttempts = this.options.reconnect ? this.options.maxReconnectAttempts : 0;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this._getReconnectDelay(attempt)));
+      }
+
+      if (this.isClosed) break;
+
+      try {
+        await this._openConnection();
+        this.isConnected = true;
+        this.emit('connected', { attempts: attempt + 1 });
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw new JsonRpcError(
+      JsonRpcErrorCode.CONNECTION_CLOSED,
+      `Failed to connect ${this.type} transport: ${lastError?.message || 'transport closed'}`
+    );
+  }
+
+  /**
+   * Handle the connection dropping underneath us
+   * @param {string} reason - Disconnect reason
+   */
+  _handleDisconnect(reason) {
+    if (this.isClosed || !this.isConnected) return;
+
+    this.isConnected = false;
+    this.lineBuffer = '';
+
+    // Responses to in-flight requests will never arrive on a new connection
+    this._rejectPending(`Connection lost: ${reason}`);
+    this.emit('disconnected', { reason });
+
+    if (!this.options.reconnect) {
+      this._handleClose(reason);
+      return;
+    }
+
+    this._scheduleReconnect(reason);
+  }
+
+  /**
+   * Schedule the next reconnect attempt
+   * @param {string} reason - Why the previous connection or attempt failed
+   */
+  _scheduleReconnect(reason) {
+    if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+      this._handleClose(`Reconnect failed after ${this.reconnectAttempts} attempts: ${reason}`);
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this._getReconnectDelay(this.reconnectAttempts);
+
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay, reason });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.isClosed) return;
+
+      try {
+        await this._openConnection();
+        this.isConnected = true;
+
+        const attempts = this.reconnectAttempts;
+        this.reconnectAttempts = 0;
+        this.emit('reconnected', { attempts });
+      } catch (error) {
+        if (!this.isClosed) {
+          this._scheduleReconnect(error.message);
+        }
+      }
+    }, delay);
+  }
+
+  /**
+   * Get the backoff delay for an attempt
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  _getReconnectDelay(attempt) {
+    const delay = this.options.reconnectDelay * Math.pow(2, attempt - 1);
+    return Math.min(delay, this.options.maxReconnectDelay);
+  }
+
+  /**
+   * Write a message if the connection is up
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _write(message) {
+    if (!this.isConnected) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, `${this.type} transport is not connected`);
+    }
+
+    await this._writeFrame(message);
+  }
+
+  /**
+   * Stop reconnecting and tear down the connection
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    this.isConnected = false;
+    await this._destroyConnection();
+  }
+
+  /**
+   * Open the underlying connection
+   * @returns {Promise<void>} Resolves once the connection is usable
+   */
+  async _openConnection() {
+    throw new Error(`${this.constructor.name} must implement _openConnection()`);
+  }
+
+  /**
+   * Write a single message to the open connection
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _writeFrame(message) {
+    throw new Error(`${this.constructor.name} must implement _writeFrame()`);
+  }
+
+  /**
+   * Destroy the underlying connection
+   * @returns {Promise<void>}
+   */
+  async _destroyConnection() {
+    // Nothing to release by default
+  }
+}
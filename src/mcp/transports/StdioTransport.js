@@ -0,0 +1,69 @@
+/**
+ * Stdio Transport - Newline-delimited JSON-RPC over a child process' stdio
+ */
+
+import { JsonRpcTransport, JsonRpcError, JsonRpcErrorCode } from './JsonRpcTransport.js';
+
+export class StdioTransport extends JsonRpcTransport {
+  /**
+   * @param {ChildProcess} childProcess - Spawned server process (stdin/stdout piped)
+   * @param {Object} options - Transport options
+   */
+  constructor(childProcess, options = {}) {
+    super(options);
+
+    if (!childProcess || !childProcess.stdin || !childProcess.stdout) {
+      throw new Error('Stdio transport requires a process with piped stdin and stdout');
+    }
+
+    this.type = 'stdio';
+    this.process = childProcess;
+
+    this._onData = (chunk) => this._handleLineData(chunk);
+    this._onExit = (code, signal) => {
+      this._handleClose(`Process exited (code: ${code}, signal: ${signal})`);
+    };
+    this._onStdinError = (error) => this._emitError(error);
+
+    // Decode as a stream, so characters split across chunks stay intact
+    this.process.stdout.setEncoding('utf8');
+    this.process.stdout.on('data', this._onData);
+    this.process.stdin.on('error', this._onStdinError);
+    this.process.on('exit', this._onExit);
+  }
+
+  /**
+   * Write a message as a single line to the process' stdin
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _write(message) {
+    const stdin = this.process.stdin;
+    if (!stdin.writable) {
+      throw new JsonRpcError(JsonRpcErrorCode.CONNECTION_CLOSED, 'Server stdin is not writable');
+    }
+
+    return new Promise((resolve, reject) => {
+      stdin.write(JSON.stringify(message) + '\n', (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Detach from the process and end its stdin
+   * @returns {Promise<void>}
+   */
+  async _close() {
+    this.process.stdout.off('data', this._onData);
+    this.process.off('exit', this._onExit);
+
+    if (this.process.stdin && !this.process.stdin.destroyed) {
+      this.process.stdin.end();
+    }
+  }
+}
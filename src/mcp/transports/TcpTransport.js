@@ -0,0 +1,113 @@
+/**
+ * TCP Transport - Newline-delimited JSON-RPC over a TCP socket
+ */
+
+import net from 'net';
+import { ReconnectingTransport } from './ReconnectingTransport.js';
+
+export class TcpTransport extends ReconnectingTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server port
+   */
+  constructor(options = {}) {
+    super({
+      host: '127.0.0.1',
+      ...options
+    });
+
+    if (!this.options.port) {
+      throw new Error('TCP transport requires a port');
+    }
+
+    this.type = 'tcp';
+    this.socket = null;
+  }
+
+  /**
+   * Open a socket to the server
+   * @returns {Promise<void>}
+   */
+  async _openConnection() {
+    const { host, port, connectTimeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Connection to ${host}:${port} timed out`));
+      }, connectTimeout);
+
+      const onError = (error) => {
+        clearTimeout(timer);
+        socket.destroy();
+        reject(error);
+      };
+
+      socket.once('error', onError);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.off('error', onError);
+        this._attachSocket(socket);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Wire up a connected socket
+   * @param {net.Socket} socket - Connected socket
+   */
+  _attachSocket(socket) {
+    this.socket = socket;
+    this.lineBuffer = '';
+
+    socket.setNoDelay(true);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => this._handleLineData(chunk));
+    socket.on('error', (error) => this._emitError(error));
+    socket.on('close', () => {
+      // Ignore sockets we already replaced or destroyed ourselves
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this._handleDisconnect('Socket closed');
+    });
+  }
+
+  /**
+   * Write a message as a single line
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _writeFrame(message) {
+    const socket = this.socket;
+
+    return new Promise((resolve, reject) => {
+      socket.write(JSON.stringify(message) + '\n', (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the socket
+   * @returns {Promise<void>}
+   */
+  async _destroyConnection() {
+    const socket = this.socket;
+    this.socket = null;
+
+    if (socket) {
+      socket.end();
+      socket.destroy();
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * WebSocket Transport - One JSON-RPC message per WebSocket text frame
+ */
+
+import WebSocket from 'ws';
+import { ReconnectingTransport } from './ReconnectingTransport.js';
+
+export class WebSocketTransport extends ReconnectingTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.url - Server URL (ws:// or wss://)
+   * @param {Array<string>} options.protocols - WebSocket subprotocols to request
+   * @param {Object} options.headers - Extra handshake headers
+   */
+  constructor(options = {}) {
+    super({
+      protocols: [],
+      headers: {},
+      ...options
+    });
+
+    if (!this.options.url) {
+      throw new Error('WebSocket transport requires a url');
+    }
+
+    this.type = 'websocket';
+    this.socket = null;
+  }
+
+  /**
+   * Open a WebSocket to the server
+   * @returns {Promise<void>}
+   */
+  async _openConnection() {
+    const { url, protocols, headers, connectTimeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(url, protocols, {
+        headers,
+        handshakeTimeout: connectTimeout
+      });
+
+      const onError = (error) => {
+        socket.terminate();
+        reject(error);
+      };
+
+      socket.once('error', onError);
+      socket.once('open', () => {
+        socket.off('error', onError);
+        this._attachSocket(socket);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Wire up an open WebSocket
+   * @param {WebSocket} socket - Open socket
+   */
+  _attachSocket(socket) {
+    this.socket = socket;
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        this._emitError(new Error('Ignoring binary WebSocket frame'));
+        return;
+      }
+      this._handlePayload(data.toString());
+    });
+
+    socket.on('error', (error) => this._emitError(error));
+    socket.on('close', (code) => {
+      // Ignore sockets we already replaced or closed ourselves
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this._handleDisconnect(`WebSocket closed (code: ${code})`);
+    });
+  }
+
+  /**
+   * Write a message as a text frame
+   * @param {Object} message - JSON-RPC message
+   * @returns {Promise<void>}
+   */
+  async _writeFrame(message) {
+    const socket = this.socket;
+
+    return new Promise((resolve, reject) => {
+      socket.send(JSON.stringify(message), (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Close the WebSocket
+   * @returns {Promise<void>}
+   */
+  async _destroyConnection() {
+    const socket = this.socket;
+    this.socket = null;
+
+    if (socket) {
+      socket.close(1000, 'Client closing');
+    }
+  }
+}
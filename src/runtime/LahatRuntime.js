@@ -8,6 +8,7 @@ import { NodeSandbox } from './sandbox/NodeSandbox.js';
 import { PermissionManager } from './sandbox/PermissionManager.js';
 import { LahatAPI } from './api/LahatAPI.js';
 import { StorageAPI } from './api/StorageAPI.js';
+import { mcp } from '../mcp/index.js';
 
 export class LahatRuntime extends EventEmitter {
   constructor(options = {}) {
@@ -17,11 +18,15 @@ export class LahatRuntime extends EventEmitter {
       mode: 'production', // 'development' | 'production' | 'test'
       sandboxed: true,
       mockMCP: false,
+      mcpManager: null, // defaults to the shared MCP manager
       ...options
     };
     
     this.sandbox = new NodeSandbox(this.options);
     this.permissions = new PermissionManager();
+    this.mcpManager = this.options.mcpManager || mcp;
+    this.mcpStart = null;
+    this.ownsMCPManager = false;
     this.runningApps = new Map();
     this.apis = this._initializeAPIs();
   }
@@ -30,12 +35,58 @@ export class LahatRuntime extends EventEmitter {
    * Initialize available APIs for mini apps
    */
   _initializeAPIs() {
+    const lahat = new LahatAPI({
+      name: 'Lahat Platform',
+      mcpManager: this.mcpManager,
+      permissionManager: this.permissions
+    });
+    lahat._setRuntime(this);
+
     return {
-      lahat: new LahatAPI(this),
+      lahat,
       storage: new StorageAPI('platform') // Use 'platform' as default appId
     };
   }
 
+  /**
+   * Create the APIs handed to a single app, scoped to its permissions
+   * @param {Object} appConfig - App configuration
+   * @returns {Object} App APIs
+   */
+  _createAppAPIs(appConfig) {
+    const lahat = new LahatAPI({
+      id: appConfig.id,
+      name: appConfig.name,
+      version: appConfig.version,
+      permissions: appConfig.permissions || [],
+      mcpRequirements: appConfig.mcpRequirements || [],
+      mcpManager: this.mcpManager,
+      permissionManager: this.permissions
+    });
+    lahat._setRuntime(this);
+
+    return {
+      lahat,
+      storage: lahat.storage
+    };
+  }
+
+  /**
+   * Start the MCP manager the first time an app needs it
+   * @returns {Promise<void>}
+   */
+  async _ensureMCPStarted() {
+    if (this.mcpManager.isStarted) return;
+
+    if (!this.mcpStart) {
+      this.mcpStart = this.mcpManager.start()
+        .then(() => { this.ownsMCPManager = true; })
+        .finally(() => { this.mcpStart = null; });
+    }
+
+    await this.mcpStart;
+  }
+
   /**
    * Execute a mini app in the runtime
    * @param {Object} appConfig - App configuration and metadata
@@ -43,6 +94,8 @@ export class LahatRuntime extends EventEmitter {
    * @returns {Promise<Object>} Execution result
    */
   async executeApp(appConfig, appPath) {
+    let apis;
+    
     try {
       // Validate app configuration
       this._validateAppConfig(appConfig);
@@ -50,11 +103,18 @@ export class LahatRuntime extends EventEmitter {
       // Check permissions
       await this.permissions.validateAppPermissions(appConfig);
       
+      const permissions = appConfig.permissions || [];
+      if (permissions.some(permission => permission.startsWith('lahat:mcp:'))) {
+        await this._ensureMCPStarted();
+      }
+      
+      apis = this._createAppAPIs(appConfig);
+      
       // Create execution context
       const context = await this.sandbox.createContext({
         appId: appConfig.id,
-        permissions: appConfig.permissions || [],
-        apis: this.apis
+        permissions,
+        apis
       });
       
       // Load and execute the app
@@ -64,6 +124,7 @@ export class LahatRuntime extends EventEmitter {
       this.runningApps.set(appConfig.id, {
         config: appConfig,
         context,
+        apis,
         startTime: Date.now()
       });
       
@@ -72,6 +133,7 @@ export class LahatRuntime extends EventEmitter {
       return result;
       
     } catch (error) {
+      apis?.lahat._dispose();
       this.emit('app:error', { appId: appConfig.id, error });
       throw error;
     }
@@ -89,6 +151,7 @@ export class LahatRuntime extends EventEmitter {
 
     try {
       await this.sandbox.destroyContext(app.context);
+      app.apis.lahat._dispose();
       this.runningApps.delete(appId);
       this.emit('app:stopped', { appId });
     } catch (error) {
@@ -146,6 +209,12 @@ export class LahatRuntime extends EventEmitter {
     // Cleanup sandbox
     await this.sandbox.cleanup();
     
+    // Only stop the MCP manager if this runtime started it
+    if (this.ownsMCPManager) {
+      await this.mcpManager.stop();
+      this.ownsMCPManager = false;
+    }
+    
     this.emit('runtime:shutdown');
   }
 }
\ No newline at end of file
@@ -4,6 +4,14 @@
  */
 
 import { StorageAPI } from './StorageAPI.js';
+import { PermissionManager } from '../sandbox/PermissionManager.js';
+
+// App-facing MCP events and the registry events they are derived from
+const MCP_EVENTS = {
+  server_connected: 'server:connected',
+  server_disconnected: 'server:disconnected',
+  capability_available: 'server:connected'
+};
 
 export class LahatAPI {
   constructor(options = {}) {
@@ -12,11 +20,16 @@ export class LahatAPI {
       version: '1.0.0',
       permissions: ['lahat:storage'],
       mcpRequirements: [],
+      mcpManager: null, // MCPManager backing the mcp interface
+      permissionManager: null,
       ...options
     };
     
-    this.appId = this._generateAppId();
+    this.appId = this.options.id || this._generateAppId();
     this.runtime = null; // Set by runtime when app is executed
+    this.permissionManager = this.options.permissionManager || new PermissionManager();
+    this.mcpConnections = new Set();
+    this.mcpListeners = [];
     
     // Initialize storage with app-specific namespace
     this.storage = new StorageAPI(this.appId);
@@ -30,6 +43,19 @@ export class LahatAPI {
     this.runtime = runtime;
   }
 
+  /**
+   * Release platform resources held for the app (called by Lahat runtime)
+   */
+  _dispose() {
+    const manager = this.options.mcpManager;
+    for (const { sourceEvent, listener } of this.mcpListeners) {
+      manager?.registry.off(sourceEvent, listener);
+    }
+
+    this.mcpListeners = [];
+    this.mcpConnections.clear();
+  }
+
   /**
    * Get platform information
    * @returns {Object} Platform information
@@ -99,57 +125,68 @@ export class LahatAPI {
     return {
       /**
        * Discover available MCP servers
+       * Only capabilities the app holds a lahat:mcp:* permission for are listed
        * @returns {Promise<Array>} Available MCP servers
        */
       discoverServers: async () => {
-        // Mock implementation - will be connected to MCP registry
-        return [
-          { name: 'filesystem', capabilities: ['read_file', 'write_file', 'list_directory'] },
-          { name: 'weather', capabilities: ['get_current_weather', 'get_forecast'] },
-          { name: 'database', capabilities: ['query', 'list_tables', 'execute'] }
-        ];
+        const manager = this._getMCPManager();
+
+        return manager.registry.getServers()
+          .map(server => this._describeServer(server))
+          .filter(server => server.capabilities.length > 0);
       },
 
       /**
        * Connect to an MCP server
+       * Starts the server process if it is registered but not running yet
        * @param {string} serverName - Name of the MCP server
        * @returns {Promise<boolean>} Connection success
        */
       connect: async (serverName) => {
-        console.log(`[${this.appId}] Connecting to MCP server: ${serverName}`);
-        // Mock implementation
+        const manager = this._getMCPManager();
+        const server = this._resolveServer(serverName);
+
+        if (server.command && !manager.serverManager.isServerRunning(server.id)) {
+          await manager.serverManager.startServer(server.id, server);
+        }
+
+        this.mcpConnections.add(server.id);
         return true;
       },
 
       /**
        * Disconnect from an MCP server
+       * Servers are shared between apps, so this only releases the app's interest in it
        * @param {string} serverName - Name of the MCP server
        * @returns {Promise<boolean>} Disconnection success
        */
       disconnect: async (serverName) => {
-        console.log(`[${this.appId}] Disconnecting from MCP server: ${serverName}`);
-        return true;
+        this._getMCPManager();
+        const server = this._resolveServer(serverName);
+        return this.mcpConnections.delete(server.id);
       },
 
       /**
        * Call an MCP server capability
        * @param {string} serverName - Name of the MCP server
-       * @param {string} method - Method to call
+       * @param {string} method - Capability to call
        * @param {Object} params - Parameters for the method
+       * @param {Object} options - Execution options (timeout, retryAttempts)
        * @returns {Promise<any>} Result from MCP server
        */
-      call: async (serverName, method, params = {}) => {
-        console.log(`[${this.appId}] MCP call: ${serverName}.${method}`, params);
-        
-        // Mock responses for demo
-        if (serverName === 'filesystem' && method === 'list_directory') {
-          return ['file1.txt', 'file2.js', 'folder1/'];
-        }
-        if (serverName === 'weather' && method === 'get_current_weather') {
-          return { temperature: 72, condition: 'sunny', humidity: 45 };
+      call: async (serverName, method, params = {}, options = {}) => {
+        const manager = this._getMCPManager();
+        this._assertMCPPermission(method);
+
+        const server = this._resolveServer(serverName);
+        if (!server.capabilities.includes(method)) {
+          throw new Error(`MCP server ${serverName} does not provide capability: ${method}`);
         }
-        
-        throw new Error(`MCP server ${serverName} not available or method ${method} not found`);
+
+        return await manager.serverProxy.executeCapability(method, params, {
+          ...options,
+          requirements: { ...options.requirements, serverId: server.id }
+        });
       },
 
       /**
@@ -158,11 +195,12 @@ export class LahatAPI {
        * @returns {Promise<Array>} Matching capabilities
        */
       findCapabilities: async (pattern) => {
-        // Mock implementation
         const servers = await this.mcp.discoverServers();
         const matches = [];
         
         for (const server of servers) {
+          if (server.status !== 'connected') continue;
+
           for (const capability of server.capabilities) {
             if (capability.includes(pattern)) {
               matches.push({
@@ -179,12 +217,48 @@ export class LahatAPI {
 
       /**
        * Listen for MCP events
+       * Events: server_connected, server_disconnected, capability_available
        * @param {string} event - Event name
        * @param {Function} callback - Event handler
        */
       on: (event, callback) => {
-        // Events: server_connected, server_disconnected, capability_available
-        console.log(`[${this.appId}] Listening for MCP event: ${event}`);
+        const manager = this._getMCPManager();
+        const sourceEvent = MCP_EVENTS[event];
+        if (!sourceEvent) {
+          throw new Error(`Unknown MCP event: ${event}`);
+        }
+
+        const listener = ({ serverId }) => {
+          const server = manager.registry.getServer(serverId);
+          if (!server) return;
+
+          if (event === 'capability_available') {
+            for (const capability of this._getPermittedCapabilities(server)) {
+              callback(server.name, capability);
+            }
+          } else if (this._getPermittedCapabilities(server).length > 0) {
+            callback(server.name);
+          }
+        };
+
+        manager.registry.on(sourceEvent, listener);
+        this.mcpListeners.push({ event, callback, sourceEvent, listener });
+      },
+
+      /**
+       * Remove an MCP event listener
+       * @param {string} event - Event name
+       * @param {Function} callback - Event handler to remove
+       */
+      off: (event, callback) => {
+        const manager = this._getMCPManager();
+
+        this.mcpListeners = this.mcpListeners.filter(entry => {
+          if (entry.event !== event || entry.callback !== callback) return true;
+
+          manager.registry.off(entry.sourceEvent, entry.listener);
+          return false;
+        });
       }
     };
   }
@@ -333,6 +407,95 @@ export class LahatAPI {
   }
 
   // Private helper methods
+
+  /**
+   * Get the MCP manager after checking the app may use MCP at all
+   * @returns {MCPManager} MCP manager
+   */
+  _getMCPManager() {
+    const manager = this.options.mcpManager;
+    if (!manager) {
+      throw new Error('MCP is not available in this runtime');
+    }
+
+    const permissions = this.options.permissions || [];
+    const hasMCPAccess = permissions.some(permission =>
+      permission === 'lahat:*' || permission.startsWith('lahat:mcp:')
+    );
+    if (!hasMCPAccess) {
+      throw new Error(`Permission denied: ${this.options.name} has no lahat:mcp permissions`);
+    }
+
+    if (!manager.isStarted) {
+      throw new Error('MCP manager not started');
+    }
+
+    return manager;
+  }
+
+  /**
+   * Check the app holds the permission for an MCP capability
+   * @param {string} capability - Capability name
+   * @returns {boolean} Whether the capability may be used
+   */
+  _hasMCPPermission(capability) {
+    return this.permissionManager.hasPermission(
+      { permissions: this.options.permissions || [] },
+      `lahat:mcp:${capability}`
+    );
+  }
+
+  /**
+   * Throw unless the app holds the permission for an MCP capability
+   * @param {string} capability - Capability name
+   */
+  _assertMCPPermission(capability) {
+    if (!this._hasMCPPermission(capability)) {
+      throw new Error(`Permission denied: lahat:mcp:${capability}`);
+    }
+  }
+
+  /**
+   * Get the capabilities of a server the app is allowed to use
+   * @param {Object} server - Registry server entry
+   * @returns {Array<string>} Permitted capabilities
+   */
+  _getPermittedCapabilities(server) {
+    return server.capabilities.filter(capability => this._hasMCPPermission(capability));
+  }
+
+  /**
+   * Find a registered server by name or ID
+   * @param {string} serverName - Server name or ID
+   * @returns {Object} Registry server entry
+   */
+  _resolveServer(serverName) {
+    const registry = this.options.mcpManager.registry;
+    const server = registry.getServer(serverName) ||
+      registry.getServers().find(candidate => candidate.name === serverName);
+
+    if (!server) {
+      throw new Error(`MCP server not found: ${serverName}`);
+    }
+
+    return server;
+  }
+
+  /**
+   * Describe a server as seen by the app
+   * @param {Object} server - Registry server entry
+   * @returns {Object} Server description
+   */
+  _describeServer(server) {
+    return {
+      id: server.id,
+      name: server.name,
+      type: server.type,
+      status: server.status,
+      capabilities: this._getPermittedCapabilities(server),
+      description: server.metadata?.description || ''
+    };
+  }
   
   /**
    * Generate unique app ID
@@ -98,8 +98,9 @@ export class PermissionManager {
    */
   hasPermission(appContext, permission) {
     const appPermissions = appContext.permissions || [];
-    const expandedPermissions = this.expandPermissions(appPermissions);
-    
+    // Keep the wildcards themselves so they also match capabilities outside their group
+    const expandedPermissions = [...appPermissions, ...this.expandPermissions(appPermissions)];
+
     return expandedPermissions.includes(permission) || 
            expandedPermissions.includes('lahat:*') ||
            expandedPermissions.some(p => {
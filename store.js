@@ -14,6 +14,24 @@ const schema = {
   encryptedOpenAIKey: {
     type: 'string'
   },
+  // OAuth providers to sign in with; see OAuthProvider for the fields
+  oauthProviders: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        displayName: { type: 'string' },
+        clientId: { type: 'string' },
+        authorizationEndpoint: { type: 'string' },
+        tokenEndpoint: { type: 'string' },
+        deviceAuthorizationEndpoint: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['id', 'displayName', 'clientId', 'tokenEndpoint']
+    },
+    default: []
+  },
   recentApps: {
     type: 'array',
     items: {
@@ -32,7 +50,25 @@ const schema = {
     properties: {
       defaultWindowWidth: { type: 'number', default: 800 },
       defaultWindowHeight: { type: 'number', default: 600 },
-      theme: { type: 'string', enum: ['light', 'dark'], default: 'light' }
+      theme: { type: 'string', enum: ['light', 'dark'], default: 'light' },
+      // App generation defaults; see modules/utils/generationSettings.js
+      generation: {
+        type: 'object',
+        properties: {
+          model: { type: 'string' },
+          maxTokens: { type: 'integer', minimum: 1 },
+          temperature: { type: 'number', minimum: 0, maximum: 1 },
+          thinkingBudget: { type: 'integer', minimum: 0 }
+        }
+      },
+      // Mini app updates; see src/distribution/UpdateManager.js for the feed and keyring formats
+      updates: {
+        type: 'object',
+        properties: {
+          feedUrl: { type: 'string' },
+          keyringPath: { type: 'string' }
+        }
+      }
     },
     default: {
       defaultWindowWidth: 800,
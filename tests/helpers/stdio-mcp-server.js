@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal stdio MCP server used by integration tests
+ * Speaks newline-delimited JSON-RPC on stdin/stdout
+ *
+ * Environment overrides:
+ * - MCP_TEST_PROTOCOL_VERSION: protocol version to answer initialize with
+ * - MCP_TEST_IGNORE_INITIALIZE: never answer initialize
+ */
+
+import readline from 'readline';
+
+let initialized = false;
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the provided arguments',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } }
+  },
+  {
+    name: 'status',
+    description: 'Report whether the initialized notification was received',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'echo-split',
+    description: 'Echo the provided text, writing the response in two parts split inside its first multibyte character',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } }
+  },
+  {
+    name: 'delay',
+    description: 'Respond after the given number of milliseconds',
+    inputSchema: { type: 'object', properties: { ms: { type: 'number' } } }
+  }
+];
+
+function write(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+// Write a message in two parts, the first ending inside a multibyte UTF-8 character
+function writeSplit(message) {
+  const data = Buffer.from(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  const splitAt = data.findIndex(byte => byte >= 0x80) + 1;
+
+  process.stdout.write(data.subarray(0, splitAt));
+  setTimeout(() => process.stdout.write(data.subarray(splitAt)), 20);
+}
+
+function handleRequest(request) {
+  const { id, method, params = {} } = request;
+
+  switch (method) {
+    case 'initialize':
+      if (process.env.MCP_TEST_IGNORE_INITIALIZE) return;
+      return write({
+        id,
+        result: {
+          protocolVersion: process.env.MCP_TEST_PROTOCOL_VERSION || params.protocolVersion,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'test-stdio-server', version: '1.0.0' }
+        }
+      });
+
+    case 'ping':
+      return write({ id, result: {} });
+
+    case 'tools/list':
+      return write({ id, result: { tools } });
+
+    case 'tools/call':
+      if (params.name === 'echo') {
+        return write({ id, result: { content: [{ type: 'text', text: params.arguments?.text ?? '' }] } });
+      }
+      if (params.name === 'echo-split') {
+        return writeSplit({ id, result: { content: [{ type: 'text', text: params.arguments?.text ?? '' }] } });
+      }
+      if (params.name === 'status') {
+        return write({ id, result: { content: [{ type: 'text', text: JSON.stringify({ initialized }) }] } });
+      }
+      if (params.name === 'delay') {
+        const ms = params.arguments?.ms ?? 0;
+        setTimeout(() => write({ id, result: { content: [{ type: 'text', text: `waited ${ms}` }] } }), ms);
+        return;
+      }
+      return write({ id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+
+    default:
+      return write({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+
+rl.on('line', (line) => {
+  if (!line.trim()) return;
+
+  const message = JSON.parse(line);
+  if (message.id !== undefined && message.method) {
+    handleRequest(message);
+  } else if (message.method === 'notifications/initialized') {
+    initialized = true;
+  }
+});
+
+rl.on('close', () => process.exit(0));
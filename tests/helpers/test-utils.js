@@ -311,6 +311,37 @@ export function createMockElectronAPI(overrides = {}) {
   };
 }
 
+/**
+ * Create an in-memory keychain with keytar's API
+ * Passed as the CredentialManager `keychain` option so tests never touch the OS keychain.
+ * @param {Object} overrides - Method overrides, e.g. to make writes fail
+ * @returns {Object} Keychain; `entries` maps "service/account" to the stored password
+ */
+export function createMemoryKeychain(overrides = {}) {
+  const entries = new Map();
+  const key = (service, account) => `${service}/${account}`;
+
+  return {
+    entries,
+    getPassword: async (service, account) => entries.get(key(service, account)) ?? null,
+    setPassword: async (service, account, password) => {
+      entries.set(key(service, account), password);
+    },
+    deletePassword: async (service, account) => entries.delete(key(service, account)),
+    findCredentials: async (service) => Array.from(entries)
+      .filter(([entryKey]) => entryKey.startsWith(`${service}/`))
+      .map(([entryKey, password]) => ({ account: entryKey.slice(service.length + 1), password })),
+    ...overrides
+  };
+}
+
+/**
+ * Whether keytar's native module can be loaded
+ * The credential modules import it even when given another keychain, so their
+ * tests are skipped where it isn't built.
+ */
+export const keytarAvailable = await import('keytar').then(() => true, () => false);
+
 /**
  * Simulate user interaction in tests
  * @param {HTMLElement} element - Target element
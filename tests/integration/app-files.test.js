@@ -0,0 +1,128 @@
+/**
+ * Integration tests for multi-file mini apps
+ * Covers parsing generated file sets, saving them to an app folder and reading them back
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { integrationTest } from '../helpers/test-utils.js';
+import {
+  AppFormat,
+  parseAppFiles,
+  serializeAppFiles,
+  validateFilePath,
+  isFileSetComplete,
+  inlineAppFiles,
+  writeAppContent,
+  readAppContent
+} from '../../modules/utils/appFiles.js';
+import { validateAppFiles } from '../../modules/utils/appValidator.js';
+
+const INDEX = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Counter</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <div style="height: 38px; width: 100%; position: fixed; top: 0; left: 0; -webkit-app-region: drag; z-index: 1000;"></div>
+  <main id="app"><img src="assets/icon.svg" alt=""></main>
+  <script src="app.js"></script>
+</body>
+</html>`;
+
+const FILE_SET = `=== FILE: index.html ===
+${INDEX}
+=== FILE: styles.css ===
+body { padding-top: 38px; }
+=== FILE: app.js ===
+document.getElementById('app').dataset.count = '0';
+=== FILE: assets/icon.svg ===
+<svg xmlns="http://www.w3.org/2000/svg"></svg>
+=== END ===
+`;
+
+describe('Multi-File App Integration', () => {
+  test('should parse and serialize generated file sets', integrationTest('app-files-parse', async () => {
+    const parsed = parseAppFiles(FILE_SET);
+    assert.equal(parsed.complete, true);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(parsed.files.map(file => file.path), ['index.html', 'styles.css', 'app.js', 'assets/icon.svg']);
+    assert.equal(parsed.files[1].content, 'body { padding-top: 38px; }\n');
+
+    assert.equal(serializeAppFiles(parsed.files), FILE_SET, 'Serializing gives back the generated text');
+
+    // A response cut off mid-file is incomplete until the end marker arrives
+    const truncated = FILE_SET.slice(0, FILE_SET.indexOf('=== FILE: app.js'));
+    assert.equal(isFileSetComplete(truncated), false);
+    assert.equal(parseAppFiles(truncated).complete, false);
+
+    const invalid = parseAppFiles('=== FILE: ../main.js ===\nx\n=== FILE: assets/logo.svg ===\n<svg></svg>\n=== FILE: styles.css ===\na{}\n=== FILE: styles.css ===\nb{}\n=== END ===');
+    assert.deepEqual(invalid.files.map(file => file.path), ['styles.css']);
+    assert.equal(invalid.errors.length, 4);
+    assert.match(invalid.errors[0], /"\.\.\/main\.js" is not an allowed file/);
+    assert.match(invalid.errors[1], /reserved for the app logo/);
+    assert.match(invalid.errors[2], /"styles\.css" appears more than once/);
+    assert.equal(invalid.errors[3], 'The app has no index.html');
+
+    assert.equal(validateFilePath('assets/data/cities.json'), null);
+    assert.match(validateFilePath('assets/photo.png'), /not an allowed file/);
+    assert.match(validateFilePath('/etc/passwd'), /not an allowed file/);
+
+    console.log('✅ File sets are parsed and serialized');
+  }));
+
+  test('should save a file set and read it back', integrationTest('app-files-save', async (t, { createTestDir }) => {
+    const appDir = await createTestDir('multi-file-app');
+
+    const saved = await writeAppContent(appDir, FILE_SET, AppFormat.MULTI_FILE);
+    assert.equal(saved.filePath, path.join(appDir, 'index.html'));
+    assert.deepEqual(saved.files, ['index.html', 'styles.css', 'app.js', 'assets/icon.svg']);
+    assert.equal(await fs.readFile(path.join(appDir, 'assets', 'icon.svg'), 'utf-8'), '<svg xmlns="http://www.w3.org/2000/svg"></svg>\n');
+
+    // Updates are saved in a version folder and read back relative to its index.html
+    const update = FILE_SET.replace('38px; }', '48px; }');
+    const updated = await writeAppContent(path.join(appDir, 'v2'), update, AppFormat.MULTI_FILE);
+    assert.equal(await readAppContent(appDir, { filePath: 'index.html', format: AppFormat.MULTI_FILE, files: saved.files }), FILE_SET);
+    assert.equal(await readAppContent(appDir, { filePath: 'v2/index.html', format: AppFormat.MULTI_FILE, files: updated.files }), update);
+
+    // Single-file apps keep writing one HTML document
+    const singleDir = await createTestDir('single-file-app');
+    const single = await writeAppContent(singleDir, INDEX);
+    assert.deepEqual(single.files, ['index.html']);
+    assert.equal(await readAppContent(singleDir, { filePath: 'index.html' }), INDEX);
+
+    await assert.rejects(
+      writeAppContent(appDir, '=== FILE: styles.css ===\na{}\n=== END ===', AppFormat.MULTI_FILE),
+      /Generated files could not be saved: The app has no index\.html/
+    );
+
+    console.log('✅ File sets are saved and read back');
+  }));
+
+  test('should validate file sets as one page', integrationTest('app-files-validate', async () => {
+    const files = parseAppFiles(FILE_SET).files;
+    const page = inlineAppFiles(files);
+    assert.match(page, /<style>\nbody \{ padding-top: 38px; \}\n<\/style>/);
+    assert.match(page, /<script>\ndocument\.getElementById\('app'\)/);
+    assert.doesNotMatch(page, /styles\.css|app\.js/);
+
+    const pages = [];
+    const valid = await validateAppFiles(FILE_SET, { runScripts: async (html) => { pages.push(html); return []; } });
+    assert.deepEqual(valid, { valid: true, issues: [] });
+    assert.deepEqual(pages, [page], 'Scripts run on the combined page');
+
+    const broken = await validateAppFiles(FILE_SET
+      .replace('body { padding-top: 38px; }', 'body { padding: 0; }')
+      .replace('=== END ===\n', ''));
+    assert.deepEqual(broken.issues, [
+      { rule: 'files', message: 'The response must end with the "=== END ===" line' },
+      { rule: 'top-padding', message: broken.issues[1].message }
+    ]);
+
+    console.log('✅ File sets are validated as one page');
+  }));
+});
@@ -0,0 +1,149 @@
+/**
+ * Integration tests for the generated app validator
+ * Checks generated HTML against the system prompt's rules, with a stand-in for the headless script run
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import { integrationTest } from '../helpers/test-utils.js';
+import { parseHtml, validateGeneratedApp, formatIssues } from '../../modules/utils/appValidator.js';
+
+const DRAG_REGION = '<div style="height: 38px; width: 100%; position: fixed; top: 0; left: 0; -webkit-app-region: drag; z-index: 1000;"></div>';
+
+/**
+ * Build a generated app document
+ * @param {Object} parts - { head, body, script }
+ * @returns {string} HTML document
+ */
+function buildApp({ head = '<style>body { padding-top: 38px; }</style>', body = `${DRAG_REGION}\n<main id="app"></main>`, script = 'document.getElementById("app").textContent = "Hi";' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Mini App</title>
+  ${head}
+</head>
+<body>
+  ${body}
+  <script>
+${script}
+  </script>
+</body>
+</html>`;
+}
+
+const rulesOf = result => result.issues.map(issue => issue.rule);
+
+describe('Generated App Validator Integration', () => {
+  test('should accept an app that follows the guidelines', integrationTest('validator-valid', async () => {
+    const runs = [];
+    const html = buildApp({
+      // Links, SVG namespaces and data URLs don't load anything from the network
+      body: `${DRAG_REGION}\n<main><a href="https://example.com">Docs</a><svg xmlns="http://www.w3.org/2000/svg"></svg><img src="data:image/png;base64,AAAA"></main>`,
+      script: 'const closing = "</div>";\nconsole.log(closing);'
+    });
+
+    const result = await validateGeneratedApp(html, { runScripts: async (page) => { runs.push(page); return []; } });
+    assert.deepEqual(result, { valid: true, issues: [] });
+    assert.deepEqual(runs, [html], 'Scripts run once in the sandbox');
+
+    const document = parseHtml(html);
+    assert.equal(document.doctype, true);
+    assert.equal(document.closed, true);
+    assert.equal(document.scripts.length, 1);
+    assert.match(document.scripts[0].content, /const closing = "<\/div>"/);
+    assert.equal(document.elements.find(element => element.tagName === 'main').parent.tagName, 'body');
+
+    // The drag region and padding can also come from the stylesheet
+    const styled = buildApp({
+      head: '<style>@import url("local.css");\n.title-bar { height: 40px; -webkit-app-region: drag; }\n#app { padding: 3rem 1rem; }</style>',
+      body: '<div class="title-bar"></div>\n<main id="app"></main>'
+    });
+    assert.deepEqual((await validateGeneratedApp(styled)).issues, []);
+
+    console.log('✅ Valid apps pass validation');
+  }));
+
+  test('should report structure, drag region and padding problems', integrationTest('validator-structure', async () => {
+    const truncated = await validateGeneratedApp('<html><body><div>');
+    assert.deepEqual(truncated.issues.filter(issue => issue.rule === 'document').map(issue => issue.message), [
+      'The document must start with <!DOCTYPE html>',
+      'The document must end with a closing </html> tag'
+    ]);
+
+    const missingRegion = await validateGeneratedApp(buildApp({ body: '<main id="app"></main>' }));
+    assert.deepEqual(rulesOf(missingRegion), ['drag-region']);
+    assert.match(missingRegion.issues[0].message, /first element in <body>/);
+    assert.equal(missingRegion.issues[0].line, 9);
+
+    const shortRegion = await validateGeneratedApp(buildApp({ body: DRAG_REGION.replace('38px', '20px') }));
+    assert.deepEqual(shortRegion.issues.map(issue => issue.message), ['The draggable region is 20px tall; it must be at least 38px']);
+
+    const unpadded = await validateGeneratedApp(buildApp({ head: '<style>body { padding: 10px; }</style>' }));
+    assert.deepEqual(rulesOf(unpadded), ['top-padding']);
+
+    console.log('✅ Structure, drag region and padding problems are reported');
+  }));
+
+  test('should flag external network references', integrationTest('validator-network', async () => {
+    const result = await validateGeneratedApp(buildApp({
+      head: `<link rel="stylesheet" href="https://cdn.example/site.css">
+  <style>@import "//fonts.example/font.css"; body { padding-top: 38px; background: url('https://img.example/bg.png'); }</style>`,
+      body: `${DRAG_REGION}
+  <img srcset="local.png 1x, https://img.example/big.png 2x">
+  <script src="https://cdn.example/lib.js"></script>`,
+      script: `fetch('https://api.example/data');
+const request = new XMLHttpRequest();
+request.open('GET', 'http://api.example/legacy');
+const socket = new WebSocket("wss://live.example");`
+    }));
+
+    const references = result.issues.filter(issue => issue.rule === 'external-reference').map(issue => issue.message.split(' (')[0]);
+    assert.deepEqual(references.sort(), [
+      'External reference to //fonts.example/font.css',
+      'External reference to http://api.example/legacy',
+      'External reference to https://api.example/data',
+      'External reference to https://cdn.example/lib.js',
+      'External reference to https://cdn.example/site.css',
+      'External reference to https://img.example/bg.png',
+      'External reference to https://img.example/big.png',
+      'External reference to wss://live.example'
+    ]);
+
+    const fetchIssue = result.issues.find(issue => issue.message.includes('api.example/data'));
+    assert.equal(fetchIssue.line, 14, 'Script issues point at the document line');
+
+    console.log('✅ External network references are flagged');
+  }));
+
+  test('should catch script syntax and runtime errors', integrationTest('validator-scripts', async () => {
+    let ran = false;
+    const runScripts = async () => {
+      ran = true;
+      return [{ message: 'Uncaught TypeError: Cannot read properties of null (reading \'textContent\')', line: 13 }];
+    };
+
+    const broken = await validateGeneratedApp(buildApp({ script: 'const total = 1;\nconst next = total +;' }), { runScripts });
+    assert.deepEqual(rulesOf(broken), ['script-syntax']);
+    assert.match(broken.issues[0].message, /^SyntaxError: /);
+    assert.equal(broken.issues[0].line, 13);
+    assert.equal(ran, false, 'Scripts that fail to parse are not run');
+
+    // Module scripts skip the classic syntax check and go straight to the sandbox
+    const moduleApp = buildApp({ script: 'import { x } from "./x.js";' }).replace('<script>', '<script type="module">');
+    assert.deepEqual((await validateGeneratedApp(moduleApp)).issues, []);
+
+    const failing = await validateGeneratedApp(buildApp(), { runScripts });
+    assert.equal(ran, true);
+    assert.deepEqual(failing.issues, [{
+      rule: 'script-runtime',
+      message: 'Uncaught TypeError: Cannot read properties of null (reading \'textContent\')',
+      line: 13
+    }]);
+
+    assert.equal(formatIssues(failing.issues),
+      '- [script-runtime] Uncaught TypeError: Cannot read properties of null (reading \'textContent\') (line 13)');
+
+    console.log('✅ Script syntax and runtime errors are caught');
+  }));
+});
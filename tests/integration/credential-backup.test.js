@@ -0,0 +1,151 @@
+/**
+ * Integration tests for credential backups
+ * Tests the secure storage key handling, exporting, previewing and restoring backups
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  integrationTest,
+  createMemoryKeychain,
+  keytarAvailable
+} from '../helpers/test-utils.js';
+import { SecureStorage } from '../../src/credentials/SecureStorage.js';
+
+/**
+ * Create a credential manager that keeps its metadata in a test directory
+ * @param {string} dir - Test directory
+ * @returns {Promise<CredentialManager>} Initialized credential manager
+ */
+async function createCredentialManager(dir) {
+  const { CredentialManager } = await import('../../src/credentials/CredentialManager.js');
+  const manager = new CredentialManager({
+    serviceName: 'LahatTest',
+    metadataPath: path.join(dir, 'metadata.json'),
+    keychain: createMemoryKeychain()
+  });
+
+  await manager.initialize();
+  return manager;
+}
+
+describe('Credential Backup Integration', () => {
+  test('should derive the storage key once and read data back with the key salt', integrationTest('secure-storage-keys', async () => {
+    const storage = new SecureStorage();
+    await storage.initialize('correct horse');
+
+    assert.equal(storage.masterKey.length, 32);
+    assert.notDeepEqual(storage.masterKey, Buffer.from('correct horse'), 'The password itself is not kept');
+
+    // Values are encrypted without running the password derivation again
+    let derivations = 0;
+    const deriveMasterKey = storage._deriveMasterKey.bind(storage);
+    storage._deriveMasterKey = async (...args) => {
+      derivations++;
+      return await deriveMasterKey(...args);
+    };
+
+    const values = await Promise.all(['sk-ant-1', 'sk-ant-2', 'sk-ant-3'].map(value => storage.encrypt(value, 'claude.default')));
+    assert.equal(derivations, 0);
+    assert.equal(new Set(values).size, 3, 'Each value gets its own salt and IV');
+    assert.equal(await storage.decrypt(values[1], 'claude.default'), 'sk-ant-2');
+
+    // Another instance reads the values with the same password and key salt
+    const reopened = new SecureStorage();
+    await reopened.initialize('correct horse', storage.getKeySalt());
+    assert.equal(await reopened.decrypt(values[0], 'claude.default'), 'sk-ant-1');
+    await assert.rejects(reopened.decrypt(values[0], 'openai.default'), /Decryption failed/);
+
+    const wrongPassword = new SecureStorage();
+    await wrongPassword.initialize('battery staple', storage.getKeySalt());
+    await assert.rejects(wrongPassword.decrypt(values[0], 'claude.default'), /Decryption failed/);
+
+    const newSalt = new SecureStorage();
+    await newSalt.initialize('correct horse');
+    assert.notEqual(newSalt.getKeySalt(), storage.getKeySalt());
+    await assert.rejects(newSalt.decrypt(values[0], 'claude.default'), /Decryption failed/);
+
+    // Locking wipes the key
+    const key = storage.masterKey;
+    storage.lock();
+    assert.ok(key.every(byte => byte === 0));
+    await assert.rejects(storage.encrypt('sk-ant-4'), /Secure storage is locked/);
+
+    console.log('✅ Secure storage derives its key once per unlock');
+  }));
+
+  test('should export, preview and restore a backup', { skip: !keytarAvailable && 'keytar native module is not built' }, integrationTest('credential-backup-restore', async (t, { createTestDir }) => {
+    const dir = await createTestDir('credential-backup-restore');
+    const backupPath = path.join(dir, 'backup.json');
+    const source = await createCredentialManager(path.join(dir, 'source'));
+    await source.setCredential('claude.default', 'sk-ant-test', { provider: 'anthropic', description: 'Main key' });
+    await source.setCredential('openai.default', 'sk-openai-test', { provider: 'openai' });
+
+    assert.throws(() => source.validateBackupPassphrase('short'), /at least 8 characters/);
+    await assert.rejects(source.exportCredentials(backupPath, 'short'), /Backup passphrase must be at least 8 characters/);
+    await assert.rejects(fs.access(backupPath), 'Nothing is written for a rejected passphrase');
+
+    const exported = await source.exportCredentials(backupPath, 'backup passphrase');
+    assert.deepEqual(exported.names, ['claude.default', 'openai.default']);
+
+    const backup = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+    assert.equal(backup.encryption.iterations, 100000);
+    assert.match(backup.encryption.salt, /^[0-9a-f]{64}$/);
+    assert.doesNotMatch(JSON.stringify(backup), /sk-ant-test/);
+
+    const target = await createCredentialManager(path.join(dir, 'target'));
+    await target.setCredential('claude.default', 'sk-ant-existing');
+    await assert.rejects(target.previewImport(backupPath, 'wrong passphrase'), /check the passphrase/);
+
+    const preview = await target.previewImport(backupPath, 'backup passphrase');
+    assert.deepEqual(preview.credentials.map(({ name, conflict }) => ({ name, conflict })), [
+      { name: 'claude.default', conflict: true },
+      { name: 'openai.default', conflict: false }
+    ]);
+    assert.doesNotMatch(JSON.stringify(preview), /sk-/, 'Previews never include values');
+
+    const imported = await target.importCredentials(backupPath, 'backup passphrase', { onConflict: 'rename', validate: false });
+    assert.deepEqual(imported.results.map(result => result.importedAs), ['claude.default.imported', 'openai.default']);
+    assert.equal(await target.getCredential('claude.default'), 'sk-ant-existing');
+    assert.equal(await target.getCredential('claude.default.imported'), 'sk-ant-test');
+    assert.equal(target.getCredentialMetadata('claude.default.imported').description, 'Main key');
+
+    // Reads record their access time in the background
+    await Promise.all([source.saveQueue, target.saveQueue]);
+
+    console.log('✅ Backups restore on another credential manager');
+  }));
+
+  test('should check the key derivation settings of a backup', { skip: !keytarAvailable && 'keytar native module is not built' }, integrationTest('credential-backup-settings', async (t, { createTestDir }) => {
+    const dir = await createTestDir('credential-backup-settings');
+    const backupPath = path.join(dir, 'backup.json');
+    const manager = await createCredentialManager(dir);
+    await manager.setCredential('claude.default', 'sk-ant-test');
+    await manager.exportCredentials(backupPath, 'backup passphrase');
+
+    const backup = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+    const writeBackup = async (encryption) => {
+      const filePath = path.join(dir, `edited-${Date.now()}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...backup, encryption }));
+      return filePath;
+    };
+
+    // Without a recorded iteration count the backup default is used, not undefined
+    const { iterations, ...withoutIterations } = backup.encryption;
+    const preview = await manager.previewImport(await writeBackup(withoutIterations), 'backup passphrase');
+    assert.deepEqual(preview.credentials.map(cred => cred.name), ['claude.default']);
+
+    await assert.rejects(
+      manager.previewImport(await writeBackup({ ...backup.encryption, iterations: 1e9 }), 'backup passphrase'),
+      /invalid key derivation setting/
+    );
+    await assert.rejects(
+      manager.previewImport(await writeBackup({ ...backup.encryption, salt: undefined }), 'backup passphrase'),
+      /missing its key salt/
+    );
+
+    console.log('✅ Backup key derivation settings are checked');
+  }));
+});
@@ -0,0 +1,134 @@
+/**
+ * Integration tests for credential expiry reminders
+ * Tests expiry checks, the reminders shown in the main window and rotating an expiring credential
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import path from 'path';
+import {
+  integrationTest,
+  createMemoryKeychain,
+  keytarAvailable
+} from '../helpers/test-utils.js';
+import { applyExpiryEvent, describeExpiry, toExpiryEvents } from '../../src/credentials/expiryReminders.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a credential manager that keeps its metadata in a test directory
+ * @param {string} dir - Test directory
+ * @returns {Promise<CredentialManager>} Initialized credential manager
+ */
+async function createCredentialManager(dir) {
+  const { CredentialManager } = await import('../../src/credentials/CredentialManager.js');
+  const manager = new CredentialManager({
+    serviceName: 'LahatTest',
+    metadataPath: path.join(dir, 'metadata.json'),
+    keychain: createMemoryKeychain()
+  });
+
+  await manager.initialize();
+  return manager;
+}
+
+/**
+ * Fold expiry events into main window reminders
+ * @param {Array<Object>} events - Expiry events
+ * @param {Map<string, Object>} reminders - Reminders to start from
+ * @returns {Map<string, Object>} Reminders
+ */
+function remindersFrom(events, reminders = new Map()) {
+  return events.reduce(applyExpiryEvent, reminders);
+}
+
+describe('Credential Expiry Integration', () => {
+  test('should keep the main window reminders in step with expiry events', integrationTest('credential-expiry-reminders', async () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const inThreeDays = new Date(now.getTime() + 3 * DAY).toISOString();
+    const yesterday = new Date(now.getTime() - DAY).toISOString();
+
+    let reminders = remindersFrom([
+      { type: 'expiring', name: 'openai.default', state: 'expiring', expiresAt: inThreeDays, daysRemaining: 3 },
+      { type: 'expired', name: 'claude.default', state: 'expired', expiresAt: yesterday, daysRemaining: 0 }
+    ]);
+    assert.deepEqual([...reminders.keys()], ['claude.default', 'openai.default'], 'Soonest expiry first');
+
+    // The same event sent again (e.g. re-sent on window load) doesn't add a second row
+    reminders = applyExpiryEvent(reminders, { type: 'expiring', name: 'openai.default', expiresAt: inThreeDays, daysRemaining: 3 });
+    assert.equal(reminders.size, 2);
+
+    reminders = applyExpiryEvent(reminders, { type: 'rotated', name: 'claude.default', rotatedAt: now.toISOString(), expiresAt: null });
+    assert.deepEqual([...reminders.keys()], ['openai.default']);
+
+    assert.equal(describeExpiry(reminders.get('openai.default'), now), 'expires in 3 days');
+    assert.equal(describeExpiry({ state: 'expiring', expiresAt: new Date(now.getTime() + DAY / 2).toISOString() }, now), 'expires within a day');
+    assert.match(describeExpiry({ state: 'expired', expiresAt: yesterday }, now), /^expired on /);
+
+    console.log('✅ Expiry reminders follow expiry events');
+  }));
+
+  test('should remind a window that loads after the expiry check', { skip: !keytarAvailable && 'keytar native module is not built' }, integrationTest('credential-expiry-late-window', async (t, { createTestDir }) => {
+    const manager = await createCredentialManager(await createTestDir('credential-expiry-late-window'));
+    await manager.setCredential('claude.default', 'sk-ant-old', { expiresAt: new Date(Date.now() + 3 * DAY).toISOString() });
+    await manager.setCredential('openai.default', 'sk-openai-old', { expiresAt: new Date(Date.now() - DAY).toISOString() });
+    await manager.setCredential('github.default', 'ghp-test', { expiresAt: new Date(Date.now() + 90 * DAY).toISOString() });
+
+    const events = [];
+    manager.on('credential:expiring', status => events.push({ type: 'expiring', ...status }));
+    manager.on('credential:expired', status => events.push({ type: 'expired', ...status }));
+
+    const first = await manager.checkExpiry();
+    assert.deepEqual(first.expiring.map(status => status.name), ['claude.default']);
+    assert.deepEqual(first.expired.map(status => status.name), ['openai.default']);
+    assert.equal(events.length, 2);
+
+    // Later checks report the same credentials but don't emit again
+    const second = await manager.checkExpiry();
+    assert.equal(second.expiring.length + second.expired.length, 2);
+    assert.equal(events.length, 2, 'Events are only emitted when a state changes');
+
+    // A window that missed those events gets the same reminders when it loads
+    const loaded = remindersFrom(toExpiryEvents(manager.getExpiringCredentials()));
+    assert.deepEqual(loaded, remindersFrom(events));
+    assert.deepEqual([...loaded.keys()], ['openai.default', 'claude.default']);
+
+    await assert.rejects(manager.getCredential('openai.default'), /expired/);
+
+    console.log('✅ Windows that load late still see expiring credentials');
+  }));
+
+  test('should only replace a credential with a value that passes its test', { skip: !keytarAvailable && 'keytar native module is not built' }, integrationTest('credential-expiry-rotation', async (t, { createTestDir }) => {
+    const manager = await createCredentialManager(await createTestDir('credential-expiry-rotation'));
+    await manager.setCredential('claude.default', 'sk-ant-old', {
+      expiresAt: new Date(Date.now() + 2 * DAY).toISOString(),
+      rotationDays: 30
+    });
+
+    let reminders = remindersFrom(toExpiryEvents((await manager.checkExpiry()).expiring));
+    assert.deepEqual([...reminders.keys()], ['claude.default']);
+
+    manager.on('credential:rotated', status => {
+      reminders = applyExpiryEvent(reminders, { type: 'rotated', ...status });
+    });
+
+    // A value that fails its test leaves the current one and the reminder in place
+    const testFunction = async (value) => ({ success: value.startsWith('sk-ant-'), message: 'Invalid API key' });
+    await assert.rejects(
+      manager.rotateCredential('claude.default', 'not-a-key', { testFunction }),
+      /Rotation of 'claude\.default' aborted, the new value failed its test: Invalid API key/
+    );
+    assert.equal(await manager.getCredential('claude.default'), 'sk-ant-old');
+    assert.equal(reminders.size, 1);
+
+    const rotated = await manager.rotateCredential('claude.default', 'sk-ant-new', { testFunction });
+    assert.equal(await manager.getCredential('claude.default'), 'sk-ant-new');
+    assert.equal(reminders.size, 0);
+    assert.ok(new Date(rotated.expiresAt) > new Date(Date.now() + 29 * DAY), 'The new value gets a fresh rotation period');
+
+    const after = await manager.checkExpiry();
+    assert.equal(after.expiring.length + after.expired.length, 0);
+
+    console.log('✅ Rotation tests the new value before replacing the old one');
+  }));
+});
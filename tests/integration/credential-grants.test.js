@@ -0,0 +1,156 @@
+/**
+ * Integration tests for per-app credential grants
+ * Tests approval, denial and revocation, and that app reads always carry the app's identity
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import path from 'path';
+import {
+  integrationTest,
+  createMemoryKeychain,
+  keytarAvailable
+} from '../helpers/test-utils.js';
+import { InMemoryTransport } from '../../src/mcp/transports/InMemoryTransport.js';
+import { JsonRpcError, JsonRpcErrorCode } from '../../src/mcp/transports/JsonRpcTransport.js';
+import { LahatMCP } from '../../src/mcp/protocols/LahatMCP.js';
+
+/**
+ * Create a security manager that keeps everything in a test directory
+ * @param {string} dir - Test directory
+ * @returns {Promise<SecurityManager>} Initialized security manager
+ */
+async function createSecurityManager(dir) {
+  const { SecurityManager } = await import('../../src/credentials/SecurityManager.js');
+  const security = new SecurityManager({
+    serviceName: 'LahatTest',
+    masterPasswordPath: path.join(dir, 'master-password.json'),
+    auditLogPath: path.join(dir, 'audit.log'),
+    credentialOptions: {
+      metadataPath: path.join(dir, 'metadata.json'),
+      keychain: createMemoryKeychain()
+    }
+  });
+
+  await security.initialize();
+  await security.getCredentials().set('claude.default', 'sk-ant-test', { provider: 'anthropic' });
+  await security.getCredentials().set('openai.default', 'sk-openai-test', { provider: 'openai' });
+  return security;
+}
+
+describe('Credential Grants Integration', { skip: !keytarAvailable && 'keytar native module is not built' }, () => {
+  test('should only hand apps the credentials they were granted', integrationTest('credential-grants', async (t, { createTestDir }) => {
+    const security = await createSecurityManager(await createTestDir('credential-grants'));
+    const prompts = [];
+    const approve = async (request) => {
+      prompts.push(request);
+      return true;
+    };
+
+    const manifest = { app: { name: 'Notes' }, credentials: ['claude.default'] };
+    const granted = await security.requestAppCredentials('notes', manifest, approve);
+    assert.equal(granted.granted, true);
+    assert.deepEqual(prompts.map(({ appName, credentials }) => ({ appName, credentials })), [
+      { appName: 'Notes', credentials: ['claude.default'] }
+    ]);
+
+    // Approved once, not on every launch
+    await security.requestAppCredentials('notes', manifest, approve);
+    assert.equal(prompts.length, 1);
+
+    assert.equal(await security.getAppCredential('notes', 'claude.default'), 'sk-ant-test');
+    await assert.rejects(security.getAppCredential('notes', 'openai.default'), /not allowed to read credential 'openai\.default'/);
+
+    // App reads without an identity are refused rather than treated as trusted
+    await assert.rejects(security.getAppCredential(undefined, 'claude.default'), /An app ID is required/);
+    await assert.rejects(security.getCredentials().get('claude.default', { appId: '' }), /not allowed to read/);
+
+    // A provider grant covers every credential of that provider
+    await security.requestAppCredentials('chat', { credentials: [{ provider: 'openai' }] }, approve);
+    assert.equal(await security.getAppCredential('chat', 'openai.default'), 'sk-openai-test');
+    await assert.rejects(security.getAppCredential('chat', 'claude.default'), /not allowed/);
+
+    const actions = security.getAuditLog().map(entry => entry.action);
+    assert.ok(actions.includes('credential:granted'));
+    assert.ok(actions.includes('credential:access_denied'));
+
+    await security.auditStore.flush();
+
+    console.log('✅ Apps only read the credentials granted to them');
+  }));
+
+  test('should deny by default and after revocation', integrationTest('credential-grants-revoke', async (t, { createTestDir }) => {
+    const security = await createSecurityManager(await createTestDir('credential-grants-revoke'));
+    const manifest = { credentials: ['claude.default', 'openai.default'] };
+
+    // An app that was never approved gets nothing
+    await assert.rejects(security.getAppCredential('notes', 'claude.default'), /not allowed/);
+
+    const denied = await security.requestAppCredentials('notes', manifest, async () => false);
+    assert.deepEqual(denied, { granted: false, access: null });
+    assert.deepEqual(security.getAppCredentialGrants('notes'), []);
+    await assert.rejects(security.getAppCredential('notes', 'claude.default'), /not allowed/);
+
+    // Approving part of the request leaves the grant incomplete
+    const partial = await security.requestAppCredentials('notes', manifest, async () => ({ credentials: ['claude.default'] }));
+    assert.equal(partial.granted, false);
+    assert.equal(await security.getAppCredential('notes', 'claude.default'), 'sk-ant-test');
+
+    await security.requestAppCredentials('notes', manifest, async () => true);
+    assert.equal(await security.getAppCredential('notes', 'openai.default'), 'sk-openai-test');
+
+    // Revoking one credential keeps the rest; revoking everything drops the grant
+    assert.equal(await security.revokeAppCredentials('notes', { credentials: ['openai.default'] }), true);
+    await assert.rejects(security.getAppCredential('notes', 'openai.default'), /not allowed/);
+    assert.equal(await security.getAppCredential('notes', 'claude.default'), 'sk-ant-test');
+
+    assert.equal(await security.revokeAppCredentials('notes'), true);
+    assert.deepEqual(security.getAppCredentialGrants(), []);
+    await assert.rejects(security.getAppCredential('notes', 'claude.default'), /not allowed/);
+    assert.equal(await security.revokeAppCredentials('notes'), false);
+
+    const actions = security.getAuditLog().map(entry => entry.action);
+    assert.ok(actions.includes('credential:grant:denied'));
+    assert.ok(actions.includes('credential:revoked'));
+
+    await security.auditStore.flush();
+
+    console.log('✅ Credential access is denied by default and after revocation');
+  }));
+
+  test('should read credentials through LahatMCP as the client app', integrationTest('credential-grants-mcp', async (t, { createTestDir, addCleanup }) => {
+    const security = await createSecurityManager(await createTestDir('credential-grants-mcp'));
+    await security.requestAppCredentials('notes', { credentials: ['claude.default'] }, async () => true);
+
+    const [client, server] = InMemoryTransport.createPair();
+    server.setRequestHandler(async ({ method, params }) => {
+      switch (method) {
+        case 'initialize':
+          return { protocolVersion: params.protocolVersion, capabilities: {}, serverInfo: { name: 'lahat', version: '1.0.0' } };
+        case 'lahat/security/credential/get':
+          return { value: await security.getAppCredential(params.appId, params.name) };
+        default:
+          throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+    });
+
+    const protocol = new LahatMCP({ transport: client, appId: 'notes' });
+    addCleanup(() => protocol.close());
+    await protocol.initialize({ name: 'notes', version: '1.0.0' });
+
+    assert.equal(await protocol.getCredential('claude.default'), 'sk-ant-test');
+    await assert.rejects(protocol.getCredential('openai.default'), /not allowed/);
+
+    // A client without an app identity can't read credentials at all
+    const [anonymousClient, anonymousServer] = InMemoryTransport.createPair();
+    anonymousServer.setRequestHandler(async ({ params }) => ({ protocolVersion: params.protocolVersion, capabilities: {}, serverInfo: { name: 'lahat' } }));
+    const anonymous = new LahatMCP({ transport: anonymousClient });
+    addCleanup(() => anonymous.close());
+    await anonymous.initialize({ name: 'anonymous', version: '1.0.0' });
+    await assert.rejects(anonymous.getCredential('claude.default'), /An app ID is required/);
+
+    await security.auditStore.flush();
+
+    console.log('✅ LahatMCP reads credentials as its app');
+  }));
+});
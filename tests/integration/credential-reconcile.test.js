@@ -0,0 +1,99 @@
+/**
+ * Integration tests for reconciling credential metadata with the keychain
+ * Tests the first run without a metadata file and entries changed outside Lahat
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  integrationTest,
+  createMemoryKeychain,
+  keytarAvailable
+} from '../helpers/test-utils.js';
+
+/**
+ * Create a credential manager without initializing it, so listeners can be added first
+ * @param {string} dir - Test directory
+ * @param {Object} keychain - Keychain holding the credentials
+ * @returns {Promise<CredentialManager>} Credential manager
+ */
+async function createCredentialManager(dir, keychain) {
+  const { CredentialManager } = await import('../../src/credentials/CredentialManager.js');
+  return new CredentialManager({
+    serviceName: 'LahatTest',
+    metadataPath: path.join(dir, 'metadata.json'),
+    keychain
+  });
+}
+
+describe('Credential Reconcile Integration', { skip: !keytarAvailable && 'keytar native module is not built' }, () => {
+  test('should migrate existing keychain entries when there is no metadata file', integrationTest('credential-reconcile-migrate', async (t, { createTestDir }) => {
+    const dir = await createTestDir('credential-reconcile-migrate');
+    const keychain = createMemoryKeychain();
+    await keychain.setPassword('LahatTest', 'claude.default', 'sk-ant-test');
+    await keychain.setPassword('LahatTest', 'openai.default', 'sk-openai-test');
+    await keychain.setPassword('OtherApp', 'token', 'not ours');
+
+    const manager = await createCredentialManager(dir, keychain);
+    const discovered = [];
+    manager.on('credential:discovered', ({ name }) => discovered.push(name));
+
+    const result = await manager.initialize();
+    assert.deepEqual(result, { added: [], migrated: ['claude.default', 'openai.default'], removed: [] });
+    assert.deepEqual(discovered, [], 'Lahat\'s own credentials are not reported as discovered');
+
+    for (const name of result.migrated) {
+      assert.equal(manager.getCredentialMetadata(name).discoveredExternally, undefined);
+    }
+    assert.equal(await manager.getCredential('claude.default'), 'sk-ant-test');
+
+    // The migrated metadata is saved, so the next start has nothing to do
+    await manager.saveQueue;
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'metadata.json'), 'utf8'));
+    assert.deepEqual(saved.credentials.map(metadata => metadata.name), ['claude.default', 'openai.default']);
+
+    const restarted = await createCredentialManager(dir, keychain);
+    assert.deepEqual(await restarted.initialize(), { added: [], migrated: [], removed: [] });
+
+    console.log('✅ The first run migrates existing credentials');
+  }));
+
+  test('should flag entries changed outside Lahat once metadata exists', integrationTest('credential-reconcile-external', async (t, { createTestDir }) => {
+    const dir = await createTestDir('credential-reconcile-external');
+    const keychain = createMemoryKeychain();
+
+    const manager = await createCredentialManager(dir, keychain);
+    await manager.initialize();
+    await manager.setCredential('claude.default', 'sk-ant-test', { description: 'Main key' });
+    await manager.setCredential('openai.default', 'sk-openai-test');
+    await manager.saveQueue;
+
+    // Another tool adds one entry and deletes another while Lahat is closed
+    await keychain.setPassword('LahatTest', 'github.default', 'ghp-test');
+    await keychain.deletePassword('LahatTest', 'openai.default');
+
+    const restarted = await createCredentialManager(dir, keychain);
+    const discovered = [];
+    const removed = [];
+    restarted.on('credential:discovered', ({ name }) => discovered.push(name));
+    restarted.on('credential:removed_externally', ({ name }) => removed.push(name));
+
+    const result = await restarted.initialize();
+    assert.deepEqual(result, { added: ['github.default'], migrated: [], removed: ['openai.default'] });
+    assert.deepEqual(discovered, ['github.default']);
+    assert.deepEqual(removed, ['openai.default']);
+
+    assert.equal(restarted.getCredentialMetadata('github.default').discoveredExternally, true);
+    assert.equal(restarted.getCredentialMetadata('claude.default').discoveredExternally, undefined);
+    assert.equal(restarted.getCredentialMetadata('claude.default').description, 'Main key');
+    assert.equal(restarted.getCredentialMetadata('openai.default'), null);
+
+    // Reconciling again without outside changes does nothing
+    assert.deepEqual(await restarted.reconcile(), { added: [], migrated: [], removed: [] });
+    await restarted.saveQueue;
+
+    console.log('✅ Outside changes are reconciled');
+  }));
+});
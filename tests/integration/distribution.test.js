@@ -7,16 +7,24 @@ import { test, describe } from 'node:test';
 import { strict as assert } from 'assert';
 import path from 'path';
 import fs from 'fs/promises';
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
 import { 
   integrationTest, 
   assertFileExists,
   createMockFileStructure,
-  countFiles
+  countFiles,
+  TestEventCollector
 } from '../helpers/test-utils.js';
 import { ProjectGenerator } from '../../src/scaffolding/ProjectGenerator.js';
 import { AppPackager } from '../../src/distribution/AppPackager.js';
 import { AppInstaller } from '../../src/distribution/AppInstaller.js';
 import { AppValidator } from '../../src/distribution/AppValidator.js';
+import { LahatPackager } from '../../src/distribution/LahatPackager.js';
+import { ProjectManager } from '../../src/distribution/ProjectManager.js';
+import { UpdateManager } from '../../src/distribution/UpdateManager.js';
+import { DistributionManager } from '../../src/distribution/index.js';
 
 describe.skip('App Distribution Integration', () => {
   test('should package a generated project into .lahat file', integrationTest('app-packaging', async (t, { createTestDir }) => {
@@ -406,4 +414,400 @@ describe('Distribution Manager Integration', () => {
     
     console.log(`✅ Complete distribution workflow works correctly`);
   }));
-});
\ No newline at end of file
+
+  test('should roll back a broken update with the default health check', integrationTest('distribution-update-rollback', async (t, { createTestDir }) => {
+    const installDir = await createTestDir('distribution-rollback-installed');
+    const sourceDir = await createTestDir('distribution-rollback-source');
+    const packagesDir = await createTestDir('distribution-rollback-packages');
+
+    const manifestFor = (version) => JSON.stringify({ app: { name: 'diary', version } });
+    await createMockFileStructure(installDir, {
+      'diary/manifest.json': manifestFor('1.0.0'),
+      'diary/main.js': 'console.log("v1");'
+    });
+
+    const projectPath = path.join(sourceDir, 'diary-1.1.0');
+    await createMockFileStructure(projectPath, { 'manifest.json': manifestFor('1.1.0'), 'main.js': 'process.exit(1);' });
+    const packagePath = await new AppPackager({ outputDir: packagesDir }).packageApp(projectPath, { outputName: 'diary-1.1.0' });
+
+    // Everything but where apps are installed keeps the manager's defaults
+    const manager = new DistributionManager();
+    manager.installer = new AppInstaller({ installDir });
+    manager.projectManager.setDependencies(manager.installer, manager.packager);
+    await manager.start();
+    t.after(() => manager.stop());
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    await manager.updateManager.addTrustedPublisher('lahat-internal', publicKey.export({ type: 'spki', format: 'pem' }));
+    const signature = await manager.packager.createPackageSignature(packagePath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    // Stands in for the new version's process exiting right after it starts
+    manager.projectManager.on('app:started', ({ appId, manifest }) => {
+      if (manifest.app.version === '1.1.0') {
+        setImmediate(() => manager.projectManager.stopApp(appId));
+      }
+    });
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(manager.projectManager, 'app:rolled_back');
+
+    await assert.rejects(
+      () => manager.updateApp('diary', packagePath, { signature, publisher: 'lahat-internal' }),
+      /Update of diary failed its health check and was rolled back: App exited within 5000ms of starting/
+    );
+
+    assert.equal(manager.getApp('diary').manifest.app.version, '1.0.0');
+    assert.equal(await fs.readFile(path.join(installDir, 'diary', 'main.js'), 'utf8'), 'console.log("v1");');
+    assert.equal(eventCollector.getEvents('app:rolled_back')[0].data.automatic, true);
+    assert.equal(manager.projectManager.getRunningApps().length, 0, 'The app was not running before the update');
+
+    console.log('✅ Broken updates roll back without a health check probe');
+  }));
+});
+
+describe('Update Manager Integration', () => {
+  /**
+   * Install a bare app and return a project manager that sees it
+   */
+  const createProjectManager = async (installDir, appId, version) => {
+    await createMockFileStructure(installDir, {
+      [`${appId}/package.json`]: JSON.stringify({ name: appId, version })
+    });
+
+    const projectManager = new ProjectManager({ autoCleanup: false });
+    projectManager.setDependencies(new AppInstaller({ installDir }), null);
+    return projectManager;
+  };
+
+  test('should find and download updates from a file feed', integrationTest('update-feed-file', async (t, { createTestDir }) => {
+    const installDir = await createTestDir('update-feed-installed');
+    const feedDir = await createTestDir('update-feed-source');
+    const downloadDir = await createTestDir('update-feed-downloads');
+
+    const packageContent = 'feed package '.repeat(5000);
+    await createMockFileStructure(feedDir, {
+      'packages/notes-1.2.0.lahat': packageContent,
+      'feed.json': JSON.stringify({
+        apps: [
+          {
+            id: 'notes',
+            versions: [
+              { version: '1.1.0', url: 'packages/notes-1.1.0.lahat', checksum: 'a'.repeat(64) },
+              { version: '1.2.0', url: 'packages/notes-1.2.0.lahat', checksum: 'b'.repeat(64), signature: 'c2ln', size: packageContent.length, releaseNotes: 'Faster search' },
+              { version: '0.9.0', url: 'packages/notes-0.9.0.lahat', checksum: 'c'.repeat(64) }
+            ]
+          },
+          { id: 'not-installed', versions: [{ version: '9.0.0', url: 'x.lahat', checksum: 'd'.repeat(64) }] }
+        ]
+      })
+    });
+
+    const updateManager = new UpdateManager({ feedUrl: path.join(feedDir, 'feed.json'), downloadDir });
+    updateManager.setProjectManager(await createProjectManager(installDir, 'notes', '1.0.0'));
+
+    const updates = await updateManager.checkForUpdates();
+    assert.equal(updates.length, 1, 'Only installed apps with newer releases are reported');
+
+    const [update] = updates;
+    assert.equal(update.appId, 'notes');
+    assert.equal(update.currentVersion, '1.0.0');
+    assert.equal(update.availableVersion, '1.2.0', 'The newest release wins regardless of feed order');
+    assert.equal(update.checksum, 'b'.repeat(64));
+    assert.equal(update.signature, 'c2ln');
+    assert.equal(update.updateSize, packageContent.length);
+    assert.equal(update.releaseNotes, 'Faster search');
+    assert.equal(update.downloadUrl, new URL('packages/notes-1.2.0.lahat', `file://${feedDir}/`).href, 'Relative URLs resolve against the feed');
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(updateManager, 'download:progress');
+
+    const packagePath = await updateManager._downloadUpdate('notes', update);
+    assert.equal(await fs.readFile(packagePath, 'utf8'), packageContent);
+
+    const progress = eventCollector.getEvents('download:progress').map(event => event.data);
+    assert(progress.length > 0, 'Progress should be reported');
+    assert.deepEqual(progress.at(-1), {
+      appId: 'notes',
+      receivedBytes: packageContent.length,
+      totalBytes: packageContent.length,
+      progress: 100
+    });
+
+    // Nothing newer once the feed's latest version is installed
+    updateManager.setProjectManager(await createProjectManager(await createTestDir('update-feed-current'), 'notes', '1.2.0'));
+    assert.deepEqual(await updateManager.checkForUpdates(), []);
+
+    await assert.rejects(() => new UpdateManager().loadFeed(), /No update feed configured/);
+
+    // Checking without a feed reports no updates instead of failing
+    const unconfigured = new UpdateManager();
+    unconfigured.setProjectManager(updateManager.projectManager);
+    assert.equal(unconfigured.hasFeed(), false);
+    assert.deepEqual(await unconfigured.checkForUpdates(), []);
+    assert.equal(await unconfigured.checkAppForUpdates('notes'), null);
+
+    console.log('✅ Update feed from a file works correctly');
+  }));
+
+  test('should resume interrupted downloads over HTTP', integrationTest('update-feed-http', async (t, { createTestDir, addCleanup }) => {
+    const installDir = await createTestDir('update-http-installed');
+    const downloadDir = await createTestDir('update-http-downloads');
+
+    const packageContent = Buffer.from('http package '.repeat(8000));
+    const rangeHeaders = [];
+
+    const server = http.createServer((req, res) => {
+      if (req.url === '/feed.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          apps: [{ id: 'tracker', versions: [{ version: '2.0.0', url: '/packages/tracker.lahat', checksum: 'e'.repeat(64) }] }]
+        }));
+        return;
+      }
+
+      if (req.url === '/latest.lahat') {
+        res.writeHead(302, { Location: '/packages/tracker.lahat' });
+        res.end();
+        return;
+      }
+
+      rangeHeaders.push(req.headers.range || null);
+      const start = Number(/^bytes=(\d+)-$/.exec(req.headers.range || '')?.[1] ?? 0);
+      const body = packageContent.subarray(start);
+
+      res.writeHead(start > 0 ? 206 : 200, {
+        'Content-Length': body.length,
+        ...(start > 0 && { 'Content-Range': `bytes ${start}-${packageContent.length - 1}/${packageContent.length}` })
+      });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    addCleanup(() => new Promise(resolve => server.close(resolve)));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const updateManager = new UpdateManager({ feedUrl: `${baseUrl}/feed.json`, downloadDir });
+    updateManager.setProjectManager(await createProjectManager(installDir, 'tracker', '1.0.0'));
+
+    const [update] = await updateManager.checkForUpdates();
+    assert.equal(update.downloadUrl, `${baseUrl}/packages/tracker.lahat`);
+
+    // Simulate an earlier attempt that stopped part way
+    const resumeOffset = 30000;
+    await fs.writeFile(path.join(downloadDir, 'tracker-2.0.0.lahat.part'), packageContent.subarray(0, resumeOffset));
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(updateManager, 'download:resumed');
+    eventCollector.collect(updateManager, 'download:progress');
+
+    const packagePath = await updateManager._downloadUpdate('tracker', update);
+    assert.deepEqual(await fs.readFile(packagePath), packageContent, 'Resumed download should match the package');
+    assert.deepEqual(rangeHeaders, [`bytes=${resumeOffset}-`]);
+    assert.equal(eventCollector.getEvents('download:resumed')[0].data.offset, resumeOffset);
+    assert(eventCollector.getEvents('download:progress')[0].data.receivedBytes > resumeOffset, 'Progress counts resumed bytes');
+    await assert.rejects(() => fs.access(`${packagePath}.part`), 'Partial file is renamed when complete');
+
+    // Redirects are followed for fresh downloads
+    const redirectedPath = await updateManager._downloadUpdate('tracker', { ...update, availableVersion: '2.0.1', downloadUrl: `${baseUrl}/latest.lahat` });
+    assert.deepEqual(await fs.readFile(redirectedPath), packageContent);
+    assert.equal(rangeHeaders.at(-1), null);
+
+    console.log('✅ Update downloads resume over HTTP correctly');
+  }));
+
+  test('should refuse and quarantine updates that fail verification', integrationTest('update-verification', async (t, { createTestDir }) => {
+    const sourceDir = await createTestDir('update-verify-source');
+    const downloadDir = await createTestDir('update-verify-downloads');
+    const keyringPath = path.join(await createTestDir('update-verify-keyring'), 'keyring.json');
+
+    const packageContent = 'signed package '.repeat(2000);
+    const packagePath = path.join(sourceDir, 'ledger-1.1.0.lahat');
+    await fs.writeFile(packagePath, packageContent);
+
+    const toPEM = ({ publicKey, privateKey }) => ({
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    });
+    const publisherKeys = toPEM(crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }));
+    const otherKeys = toPEM(crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }));
+
+    const packager = new LahatPackager();
+    const updateInfo = {
+      appId: 'ledger',
+      currentVersion: '1.0.0',
+      availableVersion: '1.1.0',
+      downloadUrl: pathToFileURL(packagePath).href,
+      checksum: crypto.createHash('sha256').update(packageContent).digest('hex'),
+      signature: await packager.createPackageSignature(packagePath, publisherKeys.privateKey),
+      publisher: 'lahat-internal'
+    };
+
+    // The keyring persists, so a fresh manager trusts the same publishers
+    await new UpdateManager({ keyringPath }).addTrustedPublisher('lahat-internal', publisherKeys.publicKey, { name: 'Lahat Internal' });
+    const updateManager = new UpdateManager({ keyringPath, downloadDir });
+    updateManager.setPackager(packager);
+    await updateManager.loadKeyring();
+    assert.deepEqual(updateManager.getTrustedPublishers().map(publisher => publisher.name), ['Lahat Internal']);
+    await assert.rejects(() => updateManager.addTrustedPublisher('broken', 'not a key'), /Invalid public key for publisher broken/);
+
+    const verification = await updateManager._verifyUpdatePackage(packagePath, updateInfo);
+    assert.equal(verification.verified, true);
+    assert.equal(verification.checksum, 'passed');
+    assert.equal(verification.signature, 'passed');
+
+    const quarantined = new TestEventCollector();
+    quarantined.collect(updateManager, 'update:quarantined');
+
+    const cases = [
+      { overrides: { checksum: 'f'.repeat(64) }, error: /Checksum mismatch/, checksum: 'failed', signature: 'skipped' },
+      { overrides: { signature: undefined }, error: /Update is not signed/, checksum: 'passed', signature: 'missing' },
+      { overrides: { publisher: 'someone-else' }, error: /Publisher someone-else is not trusted/, checksum: 'passed', signature: 'untrusted' },
+      {
+        overrides: { signature: await packager.createPackageSignature(packagePath, otherKeys.privateKey) },
+        error: /Signature verification failed for publisher lahat-internal/,
+        checksum: 'passed',
+        signature: 'failed'
+      }
+    ];
+
+    for (const { overrides, error, checksum, signature } of cases) {
+      await assert.rejects(() => updateManager.updateApp('ledger', { ...updateInfo, ...overrides }), error);
+
+      const [entry] = updateManager.getUpdateHistory('ledger').slice(-1);
+      assert.equal(entry.success, false);
+      assert.match(entry.error, error);
+      assert.equal(entry.verification.checksum, checksum);
+      assert.equal(entry.verification.signature, signature);
+
+      // Refused packages are kept aside with the reason, never left for install
+      const quarantine = JSON.parse(await fs.readFile(`${entry.verification.quarantinePath}.json`, 'utf8'));
+      assert.match(quarantine.reason, error);
+      await assertFileExists(entry.verification.quarantinePath, 'Refused package should be quarantined');
+    }
+
+    assert.equal(quarantined.getEvents('update:quarantined').length, cases.length);
+    assert.deepEqual(
+      (await fs.readdir(downloadDir)).filter(name => name.endsWith('.lahat')),
+      [],
+      'No refused package should stay in the download directory'
+    );
+
+    // Packages picked by the user get the same checks, but stay where they are
+    updateManager.setProjectManager(await createProjectManager(await createTestDir('update-verify-installed'), 'ledger', '1.0.0'));
+    const manualCases = [
+      { options: {}, error: /Package for ledger failed verification: Update is not signed/ },
+      { options: { signature: updateInfo.signature, publisher: 'someone-else' }, error: /Publisher someone-else is not trusted/ },
+      { options: { signature: updateInfo.signature, publisher: 'lahat-internal', checksum: 'f'.repeat(64) }, error: /Checksum mismatch/ },
+      {
+        options: { signature: await packager.createPackageSignature(packagePath, otherKeys.privateKey), publisher: 'lahat-internal' },
+        error: /Signature verification failed for publisher lahat-internal/
+      }
+    ];
+
+    for (const { options, error } of manualCases) {
+      await assert.rejects(() => updateManager.updateAppFromPackage('ledger', packagePath, options), error);
+      assert.match(updateManager.getUpdateHistory('ledger').at(-1).error, error);
+    }
+
+    await assertFileExists(packagePath, 'Refused manual packages are not moved');
+    assert.equal(quarantined.getEvents('update:quarantined').length, cases.length);
+
+    console.log('✅ Update verification refuses and quarantines bad packages');
+  }));
+
+  test('should roll back updates that fail their health check', integrationTest('update-rollback', async (t, { createTestDir }) => {
+    const installDir = await createTestDir('update-rollback-installed');
+    const sourceDir = await createTestDir('update-rollback-source');
+    const packagesDir = await createTestDir('update-rollback-packages');
+
+    const manifestFor = (version) => JSON.stringify({ app: { name: 'journal', version } });
+    await createMockFileStructure(installDir, {
+      'journal/manifest.json': manifestFor('1.0.0'),
+      'journal/main.js': 'console.log("v1");'
+    });
+
+    const packager = new AppPackager({ outputDir: packagesDir });
+    const createPackage = async (version, files) => {
+      const projectPath = path.join(sourceDir, version);
+      await createMockFileStructure(projectPath, { 'manifest.json': manifestFor(version), ...files });
+      return await packager.packageApp(projectPath, { outputName: `journal-${version}` });
+    };
+
+    // Stands in for the host's check of the app's window: versions that throw on load are unhealthy
+    const probed = [];
+    const projectManager = new ProjectManager({
+      autoCleanup: false,
+      healthCheckDuration: 50,
+      healthCheck: async (appId, processInfo) => {
+        probed.push(processInfo.manifest.app.version);
+        return !(await fs.readFile(path.join(processInfo.installPath, 'main.js'), 'utf8')).includes('throw');
+      }
+    });
+    projectManager.setDependencies(new AppInstaller({ installDir }), null);
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(projectManager, 'app:rolled_back');
+
+    // A healthy update replaces the app and keeps the previous version around
+    const healthyPackage = await createPackage('1.1.0', { 'main.js': 'console.log("v1.1");' });
+    const result = await projectManager.updateApp('journal', healthyPackage);
+    assert.equal(result.version, '1.1.0');
+    assert.equal(result.previousVersion, '1.0.0');
+    assert.equal(result.healthChecked, true);
+    assert.deepEqual(probed, ['1.1.0']);
+    assert.equal(projectManager.getApp('journal').manifest.app.version, '1.1.0');
+    assert.equal(projectManager.getRunningApps().length, 0, 'Apps that were stopped stay stopped after the health check');
+    assert.deepEqual((await projectManager.getBackups('journal')).map(backup => backup.version), ['1.0.0']);
+    assert.deepEqual((await projectManager.getApps()).map(app => app.id), ['journal'], 'Backups are not listed as apps');
+
+    // A running app that fails its health check gets the previous version back
+    await projectManager.startApp('journal');
+    const brokenPackage = await createPackage('1.2.0', { 'main.js': 'throw new Error("broken");' });
+    const restoredWhileRunning = [];
+    projectManager.once('app:restored', ({ appId }) => restoredWhileRunning.push(projectManager.runningApps.has(appId)));
+    await assert.rejects(
+      () => projectManager.updateApp('journal', brokenPackage),
+      /Update of journal failed its health check and was rolled back: Health check failed/
+    );
+    assert.deepEqual(restoredWhileRunning, [false], 'The failed version is stopped before it is replaced');
+
+    const restored = projectManager.getApp('journal');
+    assert.equal(restored.manifest.app.version, '1.1.0');
+    assert.equal(await fs.readFile(path.join(restored.installPath, 'main.js'), 'utf8'), 'console.log("v1.1");');
+    assert.equal(restored.isRunning, true, 'The restored version is restarted');
+    assert.deepEqual(eventCollector.getEvents('app:rolled_back')[0].data, {
+      appId: 'journal',
+      fromVersion: '1.2.0',
+      toVersion: '1.1.0',
+      reason: 'Health check failed',
+      automatic: true
+    });
+
+    // A probe given with the update replaces the manager's, and its errors count as failures
+    const crashingPackage = await createPackage('1.3.0', {});
+    await assert.rejects(
+      () => projectManager.updateApp('journal', crashingPackage, {
+        healthCheck: async () => { throw new Error('Window closed while loading'); }
+      }),
+      /Health check failed: Window closed while loading/
+    );
+    assert.equal(projectManager.getApp('journal').manifest.app.version, '1.1.0');
+
+    // Updates can skip the health check, and the result says so
+    const unprobed = new ProjectManager({ autoCleanup: false, backupDir: path.join(packagesDir, 'unprobed-backups') });
+    unprobed.setDependencies(new AppInstaller({ installDir }), null);
+    const unchecked = await unprobed.updateApp('journal', crashingPackage, { healthCheck: false });
+    assert.equal(unchecked.healthChecked, false);
+    assert.equal(unprobed.getRunningApps().length, 0, 'Unchecked updates do not start the app');
+    await unprobed.rollbackApp('journal');
+
+    // Manual rollback goes back to the version before the last update
+    const rollback = await projectManager.rollbackApp('journal');
+    assert.deepEqual(rollback, { appId: 'journal', fromVersion: '1.1.0', toVersion: '1.0.0', automatic: false });
+    assert.equal(projectManager.getApp('journal').manifest.app.version, '1.0.0');
+    assert.equal(await fs.readFile(path.join(installDir, 'journal', 'main.js'), 'utf8'), 'console.log("v1");');
+
+    await assert.rejects(() => projectManager.rollbackApp('journal'), /No previous version of journal to roll back to/);
+
+    console.log('✅ Failed updates roll back to the previous version');
+  }));
+});
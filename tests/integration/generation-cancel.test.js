@@ -0,0 +1,168 @@
+/**
+ * Integration tests for canceling generations
+ * Tests aborting the stream, keeping drafts and resuming from them
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { integrationTest } from '../helpers/test-utils.js';
+import { streamWithContinuation } from '../../modules/utils/generationContinuation.js';
+import {
+  DRAFT_FILE,
+  GenerationTracker,
+  finishCanceledGeneration,
+  readGenerationDraft,
+  removeGenerationDraft
+} from '../../modules/utils/generationDrafts.js';
+import { GenerationStatus, IpcResponseStatus } from '../../modules/ipc/ipcTypes.js';
+
+const PARTIAL_APP = '<!DOCTYPE html>\n<html><body>\n  <div>Hel';
+
+/**
+ * Create an IPC event whose sender records what it was sent
+ * @returns {Object} Event { sender } with sender.messages
+ */
+function createEvent() {
+  const sender = {
+    messages: [],
+    isDestroyed: () => false,
+    send: (channel, payload) => sender.messages.push({ channel, payload })
+  };
+  return { sender };
+}
+
+/**
+ * Stream text deltas like the Anthropic SDK, then wait until the request is aborted
+ * @param {Array<string>} chunks - Text deltas sent before the stream stalls
+ * @param {AbortSignal} signal - Request signal
+ * @returns {AsyncGenerator} Stream events
+ */
+async function* stallingStream(chunks, signal) {
+  yield { type: 'message_start', message: {} };
+  for (const text of chunks) {
+    yield { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+  }
+
+  await new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Request was aborted.')), { once: true });
+  });
+}
+
+/**
+ * Start a generation that streams the partial app and stalls until it is canceled
+ * @param {Object} generation - Generation entry { controller, keepDraft }
+ * @returns {Object} { started: Promise, done: Promise, received: () => string }
+ */
+function startStalledGeneration(generation) {
+  let content = '';
+  let resolveStarted;
+  const started = new Promise(resolve => { resolveStarted = resolve; });
+
+  const done = streamWithContinuation(async () => stallingStream(['<!DOCTYPE html>\n<html>', '<body>\n  <div>Hel'], generation.controller.signal), {
+    onText: (text) => {
+      content += text;
+      if (content === PARTIAL_APP) resolveStarted();
+    }
+  });
+
+  return { started, done, received: () => content };
+}
+
+describe('Generation Cancel Integration', () => {
+  test('should abort the stream and report the cancel', integrationTest('generation-cancel-abort', async (t, { createTestDir }) => {
+    const folderPath = await createTestDir('generation-cancel-abort');
+    const generations = new GenerationTracker();
+    const generation = generations.start('conv-1');
+
+    const streaming = startStalledGeneration(generation);
+    await streaming.started;
+
+    assert.equal(generations.cancel('conv-1'), true);
+    await assert.rejects(streaming.done, /aborted/);
+    assert.equal(generation.controller.signal.aborted, true);
+
+    const event = createEvent();
+    const result = await finishCanceledGeneration(event, generation, folderPath, streaming.received());
+    generations.finish('conv-1');
+
+    assert.deepEqual(result, { success: false, status: IpcResponseStatus.CANCELED, canceled: true, draftSaved: false });
+    assert.deepEqual(event.sender.messages, [{
+      channel: 'generation-status',
+      payload: { status: GenerationStatus.CANCELED, message: 'Generation canceled.', draftSaved: false }
+    }]);
+    assert.equal(await readGenerationDraft(folderPath), null, 'No draft unless one was asked for');
+
+    // Nothing left to cancel once the generation is done
+    assert.equal(generations.cancel('conv-1'), false);
+
+    console.log('✅ Canceling aborts the stream');
+  }));
+
+  test('should keep a draft only when asked and resume from it', integrationTest('generation-cancel-draft', async (t, { createTestDir }) => {
+    const folderPath = await createTestDir('generation-cancel-draft');
+    const generations = new GenerationTracker();
+    const generation = generations.start('conv-2');
+
+    const streaming = startStalledGeneration(generation);
+    await streaming.started;
+    generations.cancel('conv-2', { keepDraft: true });
+    await assert.rejects(streaming.done, /aborted/);
+
+    const event = createEvent();
+    const result = await finishCanceledGeneration(event, generation, folderPath, streaming.received());
+    generations.finish('conv-2');
+
+    assert.equal(result.draftSaved, true);
+    assert.equal(event.sender.messages[0].payload.message, 'Generation canceled. The partial app was kept as a draft.');
+    assert.equal(await fs.readFile(path.join(folderPath, DRAFT_FILE), 'utf8'), PARTIAL_APP);
+
+    // Nothing is written without an app folder or without any content
+    const emptyFolder = await createTestDir('generation-cancel-empty');
+    assert.equal((await finishCanceledGeneration(createEvent(), { keepDraft: true }, null, PARTIAL_APP)).draftSaved, false);
+    assert.equal((await finishCanceledGeneration(createEvent(), { keepDraft: true }, emptyFolder, '  \n')).draftSaved, false);
+    assert.equal(await readGenerationDraft(emptyFolder), null);
+
+    // Resuming prefills the draft, so the model picks up where it stopped
+    const draft = await readGenerationDraft(folderPath);
+    const drafts = [];
+    const resumed = await streamWithContinuation(async (partial) => {
+      drafts.push(partial);
+      return (async function* () {
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo</div>\n</body>\n</html>' } };
+        yield { type: 'message_delta', delta: { stop_reason: 'end_turn' } };
+      })();
+    }, { draft });
+
+    assert.deepEqual(drafts, [PARTIAL_APP]);
+    assert.equal(resumed.content, `${PARTIAL_APP}lo</div>\n</body>\n</html>`);
+    assert.equal(resumed.complete, true);
+
+    // The draft goes once the app is saved
+    await removeGenerationDraft(folderPath);
+    assert.equal(await readGenerationDraft(folderPath), null);
+
+    console.log('✅ Drafts are kept on request and resumed');
+  }));
+
+  test('should refuse a second generation of the same app', integrationTest('generation-cancel-duplicate', async () => {
+    const generations = new GenerationTracker();
+    const first = generations.start('conv-3');
+
+    assert(first);
+    assert.equal(generations.start('conv-3'), null, 'Only one generation per app at a time');
+    assert(generations.start('conv-4'), 'Other apps can generate at the same time');
+
+    // Canceling the refused duplicate's key still reaches the running generation
+    generations.cancel('conv-3');
+    assert.equal(first.controller.signal.aborted, true);
+
+    generations.finish('conv-3');
+    const next = generations.start('conv-3');
+    assert(next && next !== first, 'A finished generation frees its key');
+    assert.equal(next.controller.signal.aborted, false);
+
+    console.log('✅ Duplicate generations are refused');
+  }));
+});
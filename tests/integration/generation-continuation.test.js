@@ -0,0 +1,123 @@
+/**
+ * Integration tests for continuing truncated generations
+ * Feeds scripted message streams through the continuation loop
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import { integrationTest } from '../helpers/test-utils.js';
+import { isDocumentComplete, streamWithContinuation } from '../../modules/utils/generationContinuation.js';
+
+/**
+ * Build a message stream like the Anthropic SDK returns
+ * @param {Array<string>} chunks - Text deltas
+ * @param {string} stopReason - Stop reason reported at the end
+ * @returns {AsyncGenerator} Stream events
+ */
+async function* messageStream(chunks, stopReason) {
+  yield { type: 'message_start', message: {} };
+  for (const text of chunks) {
+    yield { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+  }
+  yield { type: 'message_delta', delta: { stop_reason: stopReason } };
+  yield { type: 'message_stop' };
+}
+
+/**
+ * Create a generate function that replays scripted responses and records the drafts it was given
+ * @param {Array<Array>} responses - [chunks, stopReason] per request
+ * @returns {Function} generate(draft)
+ */
+function scriptedGenerate(responses) {
+  const generate = async (draft) => {
+    generate.drafts.push(draft);
+    const [chunks, stopReason] = responses[generate.drafts.length - 1];
+    return messageStream(chunks, stopReason);
+  };
+  generate.drafts = [];
+  return generate;
+}
+
+describe('Generation Continuation Integration', () => {
+  test('should detect unterminated documents', integrationTest('continuation-detect', async () => {
+    assert.equal(isDocumentComplete('<!DOCTYPE html><html><body></body></html>\n'), true);
+    assert.equal(isDocumentComplete('<html><body></body></HTML>'), true);
+    assert.equal(isDocumentComplete('<!DOCTYPE html><html><body><div>'), false);
+    assert.equal(isDocumentComplete('<html></html>\nThat is your app!'), false);
+
+    console.log('✅ Unterminated documents are detected');
+  }));
+
+  test('should continue a cut-off response and stitch the document', integrationTest('continuation-stitch', async () => {
+    const generate = scriptedGenerate([
+      [['<!DOCTYPE html>\n<html>', '<body>\n  <div>Hel'], 'max_tokens'],
+      [['lo</div>\n', '</body>'], 'max_tokens'],
+      [['\n</html>'], 'end_turn']
+    ]);
+    const texts = [];
+    const rounds = [];
+
+    const result = await streamWithContinuation(generate, {
+      onText: (text) => texts.push(text),
+      onContinue: (info) => rounds.push(info)
+    });
+
+    assert.equal(result.content, '<!DOCTYPE html>\n<html><body>\n  <div>Hello</div>\n</body>\n</html>');
+    assert.equal(result.continuations, 2);
+    assert.equal(result.complete, true);
+    assert.equal(result.stopReason, 'end_turn');
+    assert.deepEqual(rounds, [{ round: 1, stopReason: 'max_tokens' }, { round: 2, stopReason: 'max_tokens' }]);
+    assert.equal(texts.join(''), '<!DOCTYPE html>\n<html><body>\n  <div>Hello</div>\n</body>\n</html>');
+
+    // Each continuation prefills the document so far, without trailing whitespace
+    assert.deepEqual(generate.drafts, [
+      null,
+      '<!DOCTYPE html>\n<html><body>\n  <div>Hel',
+      '<!DOCTYPE html>\n<html><body>\n  <div>Hello</div>\n</body>'
+    ]);
+
+    // A response that ends without closing the document is continued too
+    const unterminated = scriptedGenerate([
+      [['<html><body>'], 'end_turn'],
+      [['</body></html>'], 'end_turn']
+    ]);
+    const finished = await streamWithContinuation(unterminated);
+    assert.equal(finished.content, '<html><body></body></html>');
+    assert.equal(finished.continuations, 1);
+
+    // Starting from a draft continues it from the first request
+    const resumed = scriptedGenerate([[['</html>'], 'end_turn']]);
+    const fromDraft = await streamWithContinuation(resumed, { draft: '<html><body></body>\n' });
+    assert.deepEqual(resumed.drafts, ['<html><body></body>']);
+    assert.equal(fromDraft.content, '<html><body></body></html>');
+    assert.equal(fromDraft.continuations, 0);
+
+    console.log('✅ Cut-off responses are continued and stitched together');
+  }));
+
+  test('should stop when out of rounds or the model adds nothing', integrationTest('continuation-limits', async () => {
+    const endless = scriptedGenerate(Array.from({ length: 4 }, () => [['<div>'], 'max_tokens']));
+    const limited = await streamWithContinuation(endless, { maxContinuations: 2 });
+    assert.equal(endless.drafts.length, 3);
+    assert.equal(limited.continuations, 2);
+    assert.equal(limited.complete, false);
+    assert.equal(limited.content, '<div><div><div>');
+
+    const stalled = scriptedGenerate([
+      [['<html><body>'], 'end_turn'],
+      [['  '], 'end_turn']
+    ]);
+    const stalledResult = await streamWithContinuation(stalled);
+    assert.equal(stalled.drafts.length, 2);
+    assert.equal(stalledResult.complete, false);
+    assert.equal(stalledResult.continuations, 1);
+
+    // Errors such as a cancel end the loop
+    const failing = async () => {
+      throw new Error('Request was aborted.');
+    };
+    await assert.rejects(streamWithContinuation(failing), /aborted/);
+
+    console.log('✅ Continuation stops at its limits');
+  }));
+});
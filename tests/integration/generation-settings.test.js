@@ -0,0 +1,88 @@
+/**
+ * Integration tests for app generation settings
+ * Tests model validation, layering stored and per-app settings, and the resulting API parameters
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import { integrationTest } from '../helpers/test-utils.js';
+import {
+  KNOWN_MODELS,
+  DEFAULT_GENERATION_SETTINGS,
+  getModel,
+  validateGenerationSettings,
+  resolveGenerationSettings,
+  toMessageParams
+} from '../../modules/utils/generationSettings.js';
+
+describe('Generation Settings Integration', () => {
+  test('should validate settings against the known models', integrationTest('generation-settings-validation', async () => {
+    assert.deepEqual(validateGenerationSettings(DEFAULT_GENERATION_SETTINGS), []);
+    assert(getModel(DEFAULT_GENERATION_SETTINGS.model), 'The default model is a known model');
+    assert.equal(getModel('claude-unknown'), null);
+
+    for (const model of KNOWN_MODELS) {
+      assert.deepEqual(validateGenerationSettings({ ...DEFAULT_GENERATION_SETTINGS, model: model.id, maxTokens: model.maxOutputTokens }), [],
+        `${model.name} accepts its own output limit`);
+    }
+
+    const errors = validateGenerationSettings({
+      model: 'gpt-4',
+      maxTokens: 1.5,
+      temperature: 2,
+      thinkingBudget: -1,
+      topK: 5
+    });
+
+    for (const expected of [
+      'Unknown generation setting "topK"',
+      'Unknown model "gpt-4"',
+      '"maxTokens" must be a positive whole number',
+      '"temperature" must be a number from 0 to 1',
+      '"thinkingBudget" must be 0 or a positive whole number'
+    ]) {
+      assert(errors.includes(expected), `Missing error: ${expected}\n${errors.join('\n')}`);
+    }
+
+    // Limits depend on the model
+    assert.deepEqual(validateGenerationSettings({ ...DEFAULT_GENERATION_SETTINGS, model: 'claude-3-5-haiku-20241022' }),
+      ['"maxTokens" can be at most 8192 for Claude Haiku 3.5']);
+    assert.deepEqual(validateGenerationSettings({ ...DEFAULT_GENERATION_SETTINGS, model: 'claude-3-5-haiku-20241022', maxTokens: 8000, thinkingBudget: 2048 }),
+      ['Claude Haiku 3.5 does not support extended thinking']);
+
+    // Extended thinking has its own rules
+    const thinking = { ...DEFAULT_GENERATION_SETTINGS, thinkingBudget: 4000 };
+    assert.deepEqual(validateGenerationSettings(thinking), []);
+    assert.deepEqual(validateGenerationSettings({ ...thinking, thinkingBudget: 500 }), ['"thinkingBudget" must be at least 1024']);
+    assert.deepEqual(validateGenerationSettings({ ...thinking, thinkingBudget: 16000 }), ['"thinkingBudget" must be less than "maxTokens"']);
+    assert.deepEqual(validateGenerationSettings({ ...thinking, temperature: 0.5 }), ['"temperature" must be 1 when extended thinking is on']);
+
+    console.log('✅ Generation settings are validated against known models');
+  }));
+
+  test('should layer per-app settings over stored defaults', integrationTest('generation-settings-resolve', async () => {
+    assert.deepEqual(resolveGenerationSettings(), DEFAULT_GENERATION_SETTINGS);
+
+    // Nothing stored yet and no per-app choices
+    assert.deepEqual(resolveGenerationSettings(undefined, null), DEFAULT_GENERATION_SETTINGS);
+
+    const stored = { model: 'claude-opus-4-20250514', maxTokens: 32000 };
+    const perApp = { temperature: 0.2, maxTokens: null };
+    const settings = resolveGenerationSettings(stored, perApp);
+    assert.deepEqual(settings, { model: 'claude-opus-4-20250514', maxTokens: 32000, temperature: 0.2, thinkingBudget: 0 });
+
+    assert.throws(() => resolveGenerationSettings(stored, { maxTokens: 64000 }),
+      /Invalid generation settings: "maxTokens" can be at most 32000 for Claude Opus 4/);
+
+    assert.deepEqual(toMessageParams(settings), {
+      model: 'claude-opus-4-20250514',
+      max_tokens: 32000,
+      temperature: 0.2
+    });
+
+    assert.deepEqual(toMessageParams(resolveGenerationSettings({ thinkingBudget: 8000 })).thinking,
+      { type: 'enabled', budget_tokens: 8000 });
+
+    console.log('✅ Per-app settings override stored defaults');
+  }));
+});
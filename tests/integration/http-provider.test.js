@@ -0,0 +1,140 @@
+/**
+ * Integration tests for the generic HTTP credential provider
+ * Tests configuration, field validation and credential testing against a local service
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import http from 'http';
+import { integrationTest } from '../helpers/test-utils.js';
+import { ProviderRegistry } from '../../src/credentials/providers/ProviderRegistry.js';
+import { HttpApiProvider } from '../../src/credentials/providers/http/HttpApiProvider.js';
+
+/**
+ * Start a local service that accepts one credential
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+async function startService() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+    const authorized = req.headers.authorization === 'Bearer good-token' ||
+      req.headers['x-api-key'] === 'good-key';
+
+    if (req.url === '/api/v1/ping') {
+      res.writeHead(authorized ? 204 : 401);
+    } else {
+      res.writeHead(404);
+    }
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/api/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('HTTP Credential Provider Integration', () => {
+  test('should register generic providers that plug into validation', integrationTest('http-provider-registry', async () => {
+    const registry = new ProviderRegistry();
+
+    assert(registry.hasProvider('http-bearer'));
+    assert(registry.hasProvider('http-api-key'));
+
+    // Without a fixed base URL the credential carries it
+    const generic = registry.getProvider('http-bearer');
+    assert.deepEqual(generic.getFields().map(field => field.name), ['apiKey', 'baseUrl', 'testEndpoint']);
+
+    const missing = registry.validateCredentials('http-bearer', { apiKey: 'token' });
+    assert.equal(missing.isValid, false);
+    assert(missing.errors.includes('Base URL is required'));
+
+    const badUrl = registry.validateCredentials('http-bearer', { apiKey: 'token', baseUrl: 'ftp://example.com' });
+    assert.deepEqual(badUrl.errors, ['Base URL must be a valid http or https URL']);
+
+    // A configured service only asks for the secret, with its own format rules
+    const service = registry.registerHttpProvider({
+      id: 'billing',
+      name: 'Billing',
+      displayName: 'Billing Service',
+      baseUrl: 'https://billing.internal/api',
+      headerName: 'X-Billing-Key',
+      authScheme: '',
+      keyField: { pattern: /^bk_[a-z0-9]{8}$/, patternMessage: 'Billing keys start with "bk_"' }
+    });
+
+    assert.equal(registry.getProvider('billing'), service);
+    assert.deepEqual(service.getFields().map(field => field.name), ['apiKey']);
+    assert.deepEqual(service.getAuthHeaders({ apiKey: 'bk_12345678' }), { 'X-Billing-Key': 'bk_12345678' });
+    assert.equal(service.resolveUrl({}, '/invoices'), 'https://billing.internal/api/invoices');
+    assert.deepEqual(registry.validateCredentials('billing', { apiKey: 'nope' }).errors, ['Billing keys start with "bk_"']);
+    assert.equal(registry.getProviderUIConfig('billing').fields.length, 1);
+
+    assert.throws(() => new HttpApiProvider({ id: 'x', name: 'X', displayName: 'X', baseUrl: 'not a url' }), /valid http or https URL/);
+    assert.throws(() => new HttpApiProvider({ id: 'x', name: 'X', displayName: 'X', headerName: 'Bad Header' }), /invalid header name/);
+
+    console.log('✅ Generic HTTP providers register and validate fields');
+  }));
+
+  test('should test credentials against the configured endpoint', integrationTest('http-provider-test', async (t, { addCleanup }) => {
+    const service = await startService();
+    addCleanup(service.close);
+
+    const registry = new ProviderRegistry();
+
+    // Bearer token with a per-credential base URL and test endpoint
+    const bearer = { apiKey: 'good-token', baseUrl: service.baseUrl, testEndpoint: '/ping' };
+    const bearerProvider = registry.registerHttpProvider({
+      id: 'bearer-204',
+      name: 'Bearer',
+      displayName: 'Bearer Service',
+      expectedStatus: [200, 204]
+    });
+
+    const passed = await bearerProvider.testCredentials(bearer);
+    assert.equal(passed.success, true, passed.message);
+    assert.equal(service.requests[0].url, '/api/v1/ping');
+    assert.equal(service.requests[0].headers.authorization, 'Bearer good-token');
+
+    const rejected = await bearerProvider.testCredentials({ ...bearer, apiKey: 'bad-token' });
+    assert.equal(rejected.success, false);
+    assert.match(rejected.message, /expected status 200 or 204, got 401/);
+
+    // API key header with a fixed base URL and test endpoint
+    const keyProvider = registry.registerHttpProvider({
+      id: 'internal-keys',
+      name: 'Internal',
+      displayName: 'Internal Service',
+      baseUrl: service.baseUrl,
+      headerName: 'X-API-Key',
+      authScheme: '',
+      testEndpoint: 'ping',
+      testMethod: 'HEAD',
+      expectedStatus: 204
+    });
+
+    const keyResult = await registry.testCredentials('internal-keys', { apiKey: 'good-key' });
+    assert.equal(keyResult.success, true, keyResult.message);
+    assert.equal(service.requests[service.requests.length - 1].method, 'HEAD');
+    assert.equal(keyProvider.transformForStorage({ apiKey: 'good-key' }).provider, 'internal-keys');
+
+    // Invalid credentials never reach the network
+    const before = service.requests.length;
+    const invalid = await registry.testCredentials('http-bearer', { apiKey: '', baseUrl: service.baseUrl });
+    assert.equal(invalid.success, false);
+    assert.equal(service.requests.length, before);
+
+    // No test endpoint means only the format is checked
+    const formatOnly = await registry.testCredentials('http-bearer', { apiKey: 'token', baseUrl: service.baseUrl });
+    assert.equal(formatOnly.success, true);
+    assert.match(formatOnly.message, /no test endpoint/);
+    assert.equal(service.requests.length, before);
+
+    console.log('✅ HTTP provider tests credentials against the service');
+  }));
+});
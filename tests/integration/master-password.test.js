@@ -0,0 +1,112 @@
+/**
+ * Integration tests for the master password lock
+ * Tests idle locking, unlocking and changing the password without losing credentials
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import path from 'path';
+import {
+  integrationTest,
+  createMemoryKeychain,
+  keytarAvailable,
+  wait
+} from '../helpers/test-utils.js';
+
+/**
+ * Create a security manager that keeps everything in a test directory
+ * @param {string} dir - Test directory
+ * @param {Object} options - SecurityManager option overrides
+ * @param {Object} keychain - Keychain to store credentials in
+ * @returns {Promise<SecurityManager>} Initialized security manager
+ */
+async function createSecurityManager(dir, options = {}, keychain = createMemoryKeychain()) {
+  const { SecurityManager } = await import('../../src/credentials/SecurityManager.js');
+  const security = new SecurityManager({
+    serviceName: 'LahatTest',
+    masterPasswordPath: path.join(dir, 'master-password.json'),
+    auditLogPath: path.join(dir, 'audit.log'),
+    credentialOptions: {
+      metadataPath: path.join(dir, 'metadata.json'),
+      keychain
+    },
+    ...options
+  });
+
+  await security.initialize();
+  return security;
+}
+
+describe('Master Password Integration', { skip: !keytarAvailable && 'keytar native module is not built' }, () => {
+  test('should only lock idle sessions when a master password is set', integrationTest('master-password-idle', async (t, { createTestDir }) => {
+    const security = await createSecurityManager(await createTestDir('master-password-idle'), { sessionTimeout: 400 });
+    const credentials = security.getCredentials();
+    await credentials.set('claude.default', 'sk-ant-test');
+
+    // Without a master password the session outlives the idle timeout
+    await wait(600);
+    assert.equal(security.getSecurityStatus().sessionActive, true);
+    assert.equal(await credentials.get('claude.default'), 'sk-ant-test');
+
+    await security.enableMasterPassword('correct horse');
+    await wait(600);
+    assert.equal(security.getSecurityStatus().locked, true);
+    await assert.rejects(credentials.get('claude.default'), /Credential storage is locked/);
+
+    await security.unlock('correct horse');
+    assert.equal(await credentials.get('claude.default'), 'sk-ant-test');
+
+    // Turning the password off disarms the idle lock again
+    await security.disableMasterPassword('correct horse');
+    await wait(600);
+    assert.equal(await credentials.get('claude.default'), 'sk-ant-test');
+    assert.deepEqual(security.getAuditLog({ action: 'security:locked' }).map(entry => entry.reason), ['idle']);
+
+    await security.auditStore.flush();
+
+    console.log('✅ Idle lock only applies with a master password');
+  }));
+
+  test('should keep the current password working when a change fails', integrationTest('master-password-change', async (t, { createTestDir }) => {
+    let failWrites = false;
+    let writes = 0;
+    const keychain = createMemoryKeychain();
+    const setPassword = keychain.setPassword;
+    keychain.setPassword = async (...args) => {
+      if (failWrites && ++writes === 2) {
+        throw new Error('Keychain unavailable');
+      }
+      return setPassword(...args);
+    };
+
+    const dir = await createTestDir('master-password-change');
+    const security = await createSecurityManager(dir, {}, keychain);
+    const credentials = security.getCredentials();
+    await credentials.set('claude.default', 'sk-ant-test');
+    await credentials.set('openai.default', 'sk-openai-test');
+    await security.enableMasterPassword('correct horse');
+
+    // The second rewrite fails after the first credential was already re-encrypted
+    failWrites = true;
+    await assert.rejects(security.changeMasterPassword('correct horse', 'battery staple'), /Failed to change master password: .*Keychain unavailable/);
+    failWrites = false;
+
+    const restarted = await createSecurityManager(dir, {}, keychain);
+    await assert.rejects(restarted.unlock('battery staple'), /Incorrect master password/);
+    await restarted.unlock('correct horse');
+    assert.equal(await restarted.getCredentials().get('claude.default'), 'sk-ant-test');
+    assert.equal(await restarted.getCredentials().get('openai.default'), 'sk-openai-test');
+
+    // A change that goes through switches every credential to the new password
+    const result = await restarted.changeMasterPassword('correct horse', 'battery staple');
+    assert.equal(result.reencrypted, 2);
+
+    const changed = await createSecurityManager(dir, {}, keychain);
+    await changed.unlock('battery staple');
+    assert.equal(await changed.getCredentials().get('openai.default'), 'sk-openai-test');
+
+    await Promise.all([security, restarted, changed].map(manager => manager.auditStore.flush()));
+
+    console.log('✅ A failed password change leaves credentials readable');
+  }));
+});
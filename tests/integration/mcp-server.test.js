@@ -3,16 +3,30 @@
  * Tests Lahat's capabilities when exposed as an MCP server
  */
 
-import { test, describe } from 'node:test';
+import { test, describe, before, after, mock } from 'node:test';
 import { strict as assert } from 'assert';
 import { 
   integrationTest, 
   wait,
-  createMockFileStructure
+  waitFor,
+  createMockFileStructure,
+  TestEventCollector
 } from '../helpers/test-utils.js';
 import { LahatMCPServer } from '../../src/mcp-server/LahatMCPServer.js';
-import { MCPServerManager } from '../../src/mcp-server/index.js';
+import { MCPServerManager, ServiceAdvertiser } from '../../src/mcp-server/index.js';
 import { LahatRuntime } from '../../src/runtime/LahatRuntime.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+// The servers here log emoji on every start and stop. Node 20's test runner
+// can misread its report stream when multibyte output shares stdout with it,
+// so this file's logging goes to stderr
+before(() => mock.method(console, 'log', (...args) => console.error(...args)));
+after(() => mock.restoreAll());
 
 describe('MCP Server Integration', () => {
   test('should expose Lahat capabilities as MCP server', integrationTest('mcp-server-basic', async (t, { createTestDir }) => {
@@ -297,4 +311,202 @@ describe('MCP Server Integration', () => {
     
     console.log('✅ MCP error handling works correctly');
   }));
-});
\ No newline at end of file
+});
+describe('MCP Server HTTP Transport', () => {
+  test('should serve MCP clients over authenticated streamable HTTP', integrationTest('mcp-server-http', async (t, { createTestDir, addCleanup }) => {
+    const tokenDir = await createTestDir('mcp-http-token');
+    const tokenPath = path.join(tokenDir, 'mcp-server-token');
+
+    const runtime = new LahatRuntime({ mode: 'test', mockMCP: true });
+    const mcpServer = new LahatMCPServer(runtime, { transport: 'http', port: 0, tokenPath });
+    addCleanup(() => mcpServer.stop());
+
+    await mcpServer.start();
+
+    // A token is generated on first start and kept private to the user
+    const token = (await fs.readFile(tokenPath, 'utf8')).trim();
+    assert.match(token, /^[0-9a-f]{64}$/);
+    assert.equal((await fs.stat(tokenPath)).mode & 0o777, 0o600);
+
+    const endpoint = mcpServer.getEndpoint();
+    assert.match(endpoint, /^http:\/\/127\.0\.0\.1:\d+\/mcp$/);
+
+    // Requests without the token, or through a foreign Host, are refused
+    const unauthorized = await fetch(endpoint, { method: 'POST', body: '{}' });
+    assert.equal(unauthorized.status, 401);
+
+    const foreignHostStatus = await new Promise((resolve, reject) => {
+      const { port } = new URL(endpoint);
+      http.get({ host: '127.0.0.1', port, path: '/mcp', headers: { host: 'attacker.example', authorization: `Bearer ${token}` } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(foreignHostStatus, 403);
+
+    // An MCP client drives Lahat tools with the token
+    const client = new Client({ name: 'http-test-client', version: '1.0.0' });
+    const notifications = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+      notifications.push(notification.params);
+    });
+
+    await client.connect(new StreamableHTTPClientTransport(new URL(endpoint), {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } }
+    }));
+    addCleanup(() => client.close());
+
+    const { tools } = await client.listTools();
+    assert(tools.some(tool => tool.name === 'lahat:app:create'));
+    assert(tools.some(tool => tool.name === 'lahat:app:launch'));
+
+    const listResult = await client.callTool({ name: 'lahat:app:list', arguments: {} });
+    assert.equal(JSON.parse(listResult.content[0].text).success, true);
+
+    const unknownResult = await client.callTool({ name: 'lahat:unknown', arguments: {} });
+    assert.equal(unknownResult.isError, true);
+    assert.match(unknownResult.content[0].text, /Unknown tool/);
+
+    const status = await client.readResource({ uri: 'lahat://platform/status' });
+    assert.equal(JSON.parse(status.contents[0].text).isRunning, true);
+    assert.equal(mcpServer.getStatus().sessions, 1);
+
+    // App lifecycle events reach the client over its SSE stream once it is open
+    await waitFor(() => {
+      runtime.emit('app:started', { appId: 'sse-demo' });
+      return notifications.length > 0;
+    }, 3000, 50);
+    assert.deepEqual(notifications[0].data, { event: 'app:started', appId: 'sse-demo' });
+
+    // The token survives restarts
+    const restarted = new LahatMCPServer(runtime, { transport: 'http', port: 0, tokenPath });
+    await restarted.start();
+    assert.equal(restarted.authToken, token);
+    await restarted.stop();
+
+    console.log('✅ MCP server HTTP transport works correctly');
+  }));
+
+  test('should refuse to bind the HTTP transport beyond loopback', integrationTest('mcp-server-http-host', async (t, { createTestDir }) => {
+    const tokenDir = await createTestDir('mcp-http-host');
+    const runtime = new LahatRuntime({ mode: 'test', mockMCP: true });
+    const mcpServer = new LahatMCPServer(runtime, {
+      transport: 'http',
+      host: '0.0.0.0',
+      port: 0,
+      tokenPath: path.join(tokenDir, 'token')
+    });
+    mcpServer.on('error', () => {});
+
+    await assert.rejects(mcpServer.start(), /must bind to a loopback address/);
+    assert.equal(mcpServer.isRunning, false);
+
+    console.log('✅ MCP server HTTP transport stays on loopback');
+  }));
+});
+
+describe('MCP Server Discovery Integration', () => {
+  test('should serve discovery endpoints with ETag caching', integrationTest('mcp-discovery-http', async (t, { addCleanup }) => {
+    const runtime = new LahatRuntime({ mode: 'test', mockMCP: true });
+    const mcpServer = new LahatMCPServer(runtime, { name: 'discovery-test-server' });
+    const advertiser = new ServiceAdvertiser(mcpServer, {
+      enableMDNS: false,
+      discoveryPort: 0,
+      advertiseInterval: 60000
+    });
+    addCleanup(() => advertiser.stop());
+
+    await advertiser.start();
+
+    const baseUrl = advertiser.getStatus().discoveryUrl;
+    assert.match(baseUrl, /^http:\/\/127\.0\.0\.1:\d+$/);
+
+    // Info comes from the generated discovery information
+    const infoResponse = await fetch(`${baseUrl}/lahat/info`);
+    assert.equal(infoResponse.status, 200);
+    const info = await infoResponse.json();
+    assert.equal(info.service.name, 'discovery-test-server');
+    assert.equal(info.discovery.discoveryPort, Number(new URL(baseUrl).port));
+
+    // Unchanged documents revalidate with 304
+    const infoETag = infoResponse.headers.get('etag');
+    assert(infoETag);
+    const notModified = await fetch(`${baseUrl}/lahat/info`, { headers: { 'If-None-Match': infoETag } });
+    assert.equal(notModified.status, 304);
+
+    const capabilitiesResponse = await fetch(`${baseUrl}/lahat/capabilities`);
+    const capabilities = await capabilitiesResponse.json();
+    assert(capabilities.tools.some(tool => tool.name === 'lahat:app:create'));
+    const weakMatch = await fetch(`${baseUrl}/lahat/capabilities`, {
+      headers: { 'If-None-Match': `W/${capabilitiesResponse.headers.get('etag')}` }
+    });
+    assert.equal(weakMatch.status, 304);
+
+    const status = await (await fetch(`${baseUrl}/lahat/status`)).json();
+    assert.equal(status.advertiser.isAdvertising, true);
+    assert.equal(status.server.name, 'discovery-test-server');
+
+    // Re-announcing changes the info document and its ETag
+    await wait(5);
+    await advertiser.announce();
+    const changed = await fetch(`${baseUrl}/lahat/info`, { headers: { 'If-None-Match': infoETag } });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get('etag'), infoETag);
+
+    assert.equal((await fetch(`${baseUrl}/lahat/unknown`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/lahat/info`, { method: 'POST' })).status, 405);
+
+    // Stopping closes the listener
+    await advertiser.stop();
+    assert.equal(advertiser.getStatus().discoveryUrl, null);
+    await assert.rejects(fetch(`${baseUrl}/lahat/info`));
+
+    console.log('✅ Discovery endpoints are served correctly');
+  }));
+
+  test('should advertise and browse Lahat instances over mDNS', integrationTest('mcp-discovery-mdns', async (t, { addCleanup }) => {
+    // A private port keeps the test off the system's mDNS responder
+    const mdnsPort = 40000 + Math.floor(Math.random() * 10000);
+    const runtime = new LahatRuntime({ mode: 'test', mockMCP: true });
+
+    const createAdvertiser = (name) => {
+      const mcpServer = new LahatMCPServer(runtime, { name, port: 8765 });
+      const advertiser = new ServiceAdvertiser(mcpServer, {
+        enableHTTPDiscovery: false,
+        mdnsPort,
+        instanceName: name,
+        advertiseInterval: 60000
+      });
+      addCleanup(() => advertiser.stop());
+      return advertiser;
+    };
+
+    const alpha = createAdvertiser('alpha');
+    const beta = createAdvertiser('beta');
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(beta, 'peer:removed');
+
+    await alpha.start();
+    await beta.start();
+    assert.equal(alpha.getStatus().serviceName, 'alpha._lahat._tcp.local');
+
+    // Browsing asks the network and lists everyone but ourselves
+    const peers = await beta.browse({ timeout: 300 });
+    assert.deepEqual(peers.map(peer => peer.name), ['alpha']);
+
+    const [peer] = peers;
+    assert.equal(peer.port, 8765);
+    assert.equal(peer.txt.version, '3.0.0');
+    assert.equal(peer.txt.type, 'lahat-mcp-server');
+    assert.match(peer.txt.capabilities, /^[0-9a-f]{16}$/);
+    assert.equal(peer.txt.capabilities, beta._getTXTData().capabilities, 'Identical servers share a capabilities hash');
+
+    // Stopping sends a goodbye that removes the peer
+    await alpha.stop();
+    await waitFor(() => beta.getPeers().length === 0, 3000, 20);
+    assert.equal(eventCollector.getEvents('peer:removed')[0].data.name, 'alpha');
+
+    console.log('✅ mDNS advertising and browsing work correctly');
+  }));
+});
@@ -14,6 +14,35 @@ import {
 import { MCPRegistry } from '../../src/mcp/MCPRegistry.js';
 import { CapabilityMatcher } from '../../src/mcp/CapabilityMatcher.js';
 import { MCPManager } from '../../src/mcp/index.js';
+import { ServerManager } from '../../src/mcp/ServerManager.js';
+import { StandardMCP } from '../../src/mcp/protocols/StandardMCP.js';
+import { InMemoryTransport } from '../../src/mcp/transports/InMemoryTransport.js';
+import { JsonRpcError, JsonRpcErrorCode } from '../../src/mcp/transports/JsonRpcTransport.js';
+import { LahatRuntime } from '../../src/runtime/LahatRuntime.js';
+import fs from 'fs/promises';
+import path from 'path';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const stdioServerPath = path.join(__dirname, '..', 'helpers', 'stdio-mcp-server.js');
+
+/**
+ * Answer JSON-RPC requests the way the stdio test server does
+ * @param {Object} request - JSON-RPC request
+ * @returns {Object} JSON-RPC response
+ */
+function answerRequest(request) {
+  if (request.method === 'initialize') {
+    const result = { protocolVersion: request.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'loopback', version: '1.0.0' } };
+    return { jsonrpc: '2.0', id: request.id, result };
+  }
+  if (request.method === 'tools/call') {
+    return { jsonrpc: '2.0', id: request.id, result: { content: [{ type: 'text', text: request.params.arguments.text }] } };
+  }
+  return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method not found: ${request.method}` } };
+}
 
 describe('MCP Registry Integration', () => {
   test('should discover and register built-in servers', integrationTest('builtin-servers', async (t, { addCleanup }) => {
@@ -404,4 +433,639 @@ describe('MCP Manager Integration', () => {
     
     console.log(`✅ Manager server registration works correctly`);
   }));
-});
\ No newline at end of file
+});
+
+describe('MCP Transport Integration', () => {
+  test('should correlate out-of-order responses by request id', integrationTest('transport-correlation', async (t, { addCleanup }) => {
+    const [client, server] = InMemoryTransport.createPair();
+    addCleanup(() => client.close());
+
+    // Respond to the slow request last
+    server.setRequestHandler(async (request) => {
+      await wait(request.params.delay);
+      return { value: request.params.value };
+    });
+
+    const [slow, fast] = await Promise.all([
+      client.send({ method: 'test/echo', params: { value: 'slow', delay: 50 } }),
+      client.send({ method: 'test/echo', params: { value: 'fast', delay: 0 } })
+    ]);
+
+    assert.equal(slow.result.value, 'slow');
+    assert.equal(fast.result.value, 'fast');
+    assert.notEqual(slow.id, fast.id, 'Requests should get distinct ids');
+    assert.equal(client.getPendingCount(), 0);
+
+    console.log(`✅ Transport request correlation works correctly`);
+  }));
+
+  test('should map JSON-RPC errors and time out unanswered requests', integrationTest('transport-errors', async (t, { addCleanup }) => {
+    const [client, server] = InMemoryTransport.createPair({ requestTimeout: 100 });
+    addCleanup(() => client.close());
+
+    const cancellations = [];
+    server.on('notification', (notification) => cancellations.push(notification));
+    server.setRequestHandler(async (request) => {
+      if (request.method === 'test/hang') {
+        return new Promise(() => {});
+      }
+      throw new JsonRpcError(JsonRpcErrorCode.INVALID_PARAMS, 'Bad params', { field: 'x' });
+    });
+
+    await assert.rejects(client.send({ method: 'test/fail' }), (error) => {
+      assert(error instanceof JsonRpcError);
+      assert.equal(error.code, JsonRpcErrorCode.INVALID_PARAMS);
+      assert.deepEqual(error.data, { field: 'x' });
+      return true;
+    });
+
+    await assert.rejects(client.send({ method: 'test/hang' }), (error) => {
+      assert.equal(error.code, JsonRpcErrorCode.REQUEST_TIMEOUT);
+      return true;
+    });
+
+    await waitFor(() => cancellations.length > 0, 1000, 10);
+    assert.equal(cancellations[0].method, 'notifications/cancelled');
+
+    // Closing fails whatever is still in flight
+    const pending = client.send({ method: 'test/hang' }, { timeout: 5000 });
+    await client.close();
+    await assert.rejects(pending, (error) => error.code === JsonRpcErrorCode.CONNECTION_CLOSED);
+
+    console.log(`✅ Transport error mapping and timeouts work correctly`);
+  }));
+
+  test('should drive StandardMCP over a transport', integrationTest('standard-mcp-transport', async (t, { addCleanup }) => {
+    const [client, server] = InMemoryTransport.createPair();
+    const protocol = new StandardMCP({ transport: client });
+    addCleanup(() => protocol.close());
+
+    const received = [];
+    server.on('notification', (notification) => received.push(notification.method));
+    server.setRequestHandler(async ({ method, params }) => {
+      switch (method) {
+        case 'initialize':
+          return { protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'memory', version: '1.0.0' } };
+        case 'tools/list':
+          return { tools: [{ name: 'add', inputSchema: { type: 'object' } }] };
+        case 'tools/call':
+          return { content: [{ type: 'text', text: String(params.arguments.a + params.arguments.b) }] };
+        default:
+          throw new JsonRpcError(JsonRpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+    });
+
+    const serverInfo = await protocol.initialize({ name: 'lahat-test', version: '1.0.0' });
+    assert.equal(serverInfo.serverInfo.name, 'memory');
+
+    await waitFor(() => received.includes('notifications/initialized'), 1000, 10);
+
+    const tools = await protocol.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['add']);
+
+    const result = await protocol.callTool('add', { a: 2, b: 3 });
+    assert.equal(result.content[0].text, '5');
+
+    await assert.rejects(protocol.getPrompt('missing'), (error) => error.code === JsonRpcErrorCode.METHOD_NOT_FOUND);
+
+    // Server-initiated ping is answered by the client
+    const pong = await server.send({ method: 'ping' });
+    assert.deepEqual(pong.result, {});
+
+    console.log(`✅ StandardMCP transport integration works correctly`);
+  }));
+
+  test('should exchange messages with a stdio server process', integrationTest('stdio-transport', async (t, { addCleanup }) => {
+    const serverManager = new ServerManager({ shutdownTimeout: 2000 });
+    addCleanup(() => serverManager.stopAllServers());
+
+    await serverManager.startServer('stdio-test', {
+      command: process.execPath,
+      args: [stdioServerPath]
+    });
+
+    const state = serverManager.getServerState('stdio-test');
+    assert.equal(state.transport.type, 'stdio');
+
+    const [delayed, echoed] = await Promise.all([
+      serverManager.sendMessage('stdio-test', { jsonrpc: '2.0', method: 'tools/call', params: { name: 'delay', arguments: { ms: 50 } } }),
+      serverManager.sendMessage('stdio-test', { jsonrpc: '2.0', method: 'tools/call', params: { name: 'echo', arguments: { text: 'hello' } } })
+    ]);
+
+    assert.equal(delayed.result.content[0].text, 'waited 50');
+    assert.equal(echoed.result.content[0].text, 'hello');
+
+    // A character split across two writes arrives intact
+    const split = await serverManager.sendMessage('stdio-test', { jsonrpc: '2.0', method: 'tools/call', params: { name: 'echo-split', arguments: { text: 'größe 日本 🚀' } } });
+    assert.equal(split.result.content[0].text, 'größe 日本 🚀');
+
+    await assert.rejects(
+      serverManager.sendMessage('stdio-test', { jsonrpc: '2.0', method: 'unknown/method' }),
+      (error) => error.code === JsonRpcErrorCode.METHOD_NOT_FOUND
+    );
+
+    await serverManager.stopServer('stdio-test');
+    assert.equal(serverManager.getServerState('stdio-test').status, 'stopped');
+
+    console.log(`✅ Stdio transport works correctly`);
+  }));
+});
+
+describe('MCP Network Transport Integration', () => {
+  test('should talk to a TCP server and reconnect after it drops', integrationTest('tcp-transport', async (t, { addCleanup }) => {
+    // Loopback stand-in for a locally hosted MCP server
+    const sockets = new Set();
+    const tcpServer = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+
+      let buffer = '';
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+          const request = JSON.parse(buffer.slice(0, index));
+          buffer = buffer.slice(index + 1);
+          if (request.id !== undefined) {
+            socket.write(JSON.stringify(answerRequest(request)) + '\n');
+          }
+        }
+      });
+    });
+    await new Promise(resolve => tcpServer.listen(0, '127.0.0.1', resolve));
+    addCleanup(() => {
+      for (const socket of sockets) socket.destroy();
+      return new Promise(resolve => tcpServer.close(resolve));
+    });
+
+    const serverManager = new ServerManager();
+    addCleanup(() => serverManager.stopAllServers());
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(serverManager, 'server:reconnected');
+
+    await serverManager.startServer('tcp-test', {
+      transport: 'tcp',
+      host: '127.0.0.1',
+      port: tcpServer.address().port,
+      reconnect: { reconnectDelay: 20 }
+    });
+
+    const callEcho = (text) => serverManager.sendMessage('tcp-test', {
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'echo', arguments: { text } }
+    });
+
+    const first = await callEcho('over tcp');
+    assert.equal(first.result.content[0].text, 'over tcp');
+
+    // Drop the connection from the server side
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+
+    await waitFor(() => eventCollector.getEvents('server:reconnected').length > 0, 3000, 20);
+
+    const second = await callEcho('after reconnect');
+    assert.equal(second.result.content[0].text, 'after reconnect');
+    assert.equal(serverManager.getServerState('tcp-test').status, 'running');
+
+    console.log(`✅ TCP transport works correctly`);
+  }));
+
+  test('should register a WebSocket server through the registry', integrationTest('websocket-transport', async (t, { addCleanup }) => {
+    const wsServer = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    await new Promise(resolve => wsServer.once('listening', resolve));
+    addCleanup(() => {
+      for (const client of wsServer.clients) client.terminate();
+      return new Promise(resolve => wsServer.close(resolve));
+    });
+
+    wsServer.on('connection', (socket) => {
+      socket.on('message', (data) => {
+        const request = JSON.parse(data.toString());
+        socket.send(JSON.stringify(answerRequest(request)));
+      });
+    });
+
+    const registry = new MCPRegistry();
+    addCleanup(() => registry.stop());
+    await registry.start();
+
+    const serverId = await registry.registerServer({
+      name: 'websocket-test-server',
+      transport: 'websocket',
+      url: `ws://127.0.0.1:${wsServer.address().port}`,
+      capabilities: ['ws-echo']
+    });
+
+    const server = registry.getServer(serverId);
+    assert.equal(server.status, 'connected');
+    assert(registry.getServersByCapability('ws-echo').some(s => s.id === serverId));
+
+    const response = await server.connection.send({
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'echo', arguments: { text: 'over websocket' } }
+    });
+    assert.equal(response.result.content[0].text, 'over websocket');
+
+    await assert.rejects(
+      server.connection.send({ jsonrpc: '2.0', method: 'unknown/method' }),
+      (error) => error.code === JsonRpcErrorCode.METHOD_NOT_FOUND
+    );
+
+    await registry.unregisterServer(serverId);
+    await waitFor(() => wsServer.clients.size === 0, 2000, 20);
+
+    console.log(`✅ WebSocket transport works correctly`);
+  }));
+
+  test('should fail to start when no TCP server is listening', integrationTest('tcp-transport-unavailable', async (t, { addCleanup }) => {
+    // Grab a free port and release it again
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const port = probe.address().port;
+    await new Promise(resolve => probe.close(resolve));
+
+    const serverManager = new ServerManager();
+    addCleanup(() => serverManager.stopAllServers());
+
+    await assert.rejects(
+      serverManager.startServer('tcp-missing', {
+        transport: 'tcp',
+        port,
+        reconnect: { maxReconnectAttempts: 2, reconnectDelay: 10 }
+      }),
+      /Failed to connect tcp transport/
+    );
+    assert.equal(serverManager.getServerState('tcp-missing').status, 'failed');
+
+    console.log(`✅ TCP transport reports unavailable servers correctly`);
+  }));
+});
+
+describe('MCP Server Readiness Integration', () => {
+  test('should complete the initialize handshake before reporting ready', integrationTest('server-handshake', async (t, { addCleanup }) => {
+    const serverManager = new ServerManager({ shutdownTimeout: 2000 });
+    addCleanup(() => serverManager.stopAllServers());
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(serverManager, 'server:initialized');
+
+    await serverManager.startServer('handshake-test', {
+      command: process.execPath,
+      args: [stdioServerPath],
+      env: { MCP_TEST_PROTOCOL_VERSION: '2024-11-05' }
+    });
+
+    const state = serverManager.getServerState('handshake-test');
+    assert.equal(state.status, 'running');
+    assert.equal(state.protocolVersion, '2024-11-05');
+    assert.deepEqual(state.serverCapabilities, { tools: {} });
+    assert.equal(state.serverInfo.name, 'test-stdio-server');
+    eventCollector.assertEventEmitted('server:initialized', 1);
+
+    // The server saw notifications/initialized before our first request
+    const status = await serverManager.sendMessage('handshake-test', {
+      jsonrpc: '2.0',
+      method: 'tools/call',
+      params: { name: 'status', arguments: {} }
+    });
+    assert.deepEqual(JSON.parse(status.result.content[0].text), { initialized: true });
+
+    console.log(`✅ MCP initialize handshake works correctly`);
+  }));
+
+  test('should fail startup on protocol mismatch or timeout', integrationTest('server-handshake-failures', async (t, { addCleanup }) => {
+    const serverManager = new ServerManager({ startupTimeout: 500, shutdownTimeout: 2000 });
+    addCleanup(() => serverManager.stopAllServers());
+
+    await assert.rejects(
+      serverManager.startServer('mismatch-test', {
+        command: process.execPath,
+        args: [stdioServerPath],
+        env: { MCP_TEST_PROTOCOL_VERSION: '1999-01-01' }
+      }),
+      /negotiated unsupported protocol version 1999-01-01/
+    );
+
+    await assert.rejects(
+      serverManager.startServer('timeout-test', {
+        command: process.execPath,
+        args: [stdioServerPath],
+        env: { MCP_TEST_IGNORE_INITIALIZE: '1' }
+      }),
+      /did not complete initialization within 500ms/
+    );
+
+    // Failed servers do not leave processes behind
+    for (const serverId of ['mismatch-test', 'timeout-test']) {
+      const state = serverManager.getServerState(serverId);
+      assert.equal(state.status, 'failed');
+      assert.equal(state.process, null);
+      assert.equal(serverManager.processes.has(serverId), false);
+    }
+
+    console.log(`✅ MCP startup failures are reported correctly`);
+  }));
+});
+
+describe('MCP Config Discovery Integration', () => {
+  test('should load servers from user and project config files', integrationTest('config-discovery', async (t, { createTestDir, addCleanup }) => {
+    const testDir = await createTestDir('mcp-config');
+    const userConfigPath = path.join(testDir, 'user', 'mcp.json');
+    const projectConfigPath = path.join(testDir, 'project', '.mcp.json');
+
+    await fs.mkdir(path.dirname(userConfigPath), { recursive: true });
+    await fs.mkdir(path.dirname(projectConfigPath), { recursive: true });
+
+    await fs.writeFile(userConfigPath, JSON.stringify({
+      mcpServers: {
+        'user-tools': { command: 'user-tools-server', args: ['--stdio'], capabilities: ['user-cap'] },
+        'shared': { command: 'from-user' },
+        'broken': { args: ['missing-command'] }
+      }
+    }));
+    await fs.writeFile(projectConfigPath, JSON.stringify({
+      mcpServers: {
+        'shared': { command: 'from-project', env: { DEBUG: '1' } },
+        'loopback': { type: 'websocket', url: 'not-a-url' }
+      }
+    }));
+
+    const registry = new MCPRegistry({
+      userConfigPath,
+      projectConfigPath,
+      scanPath: false,
+      discoveryInterval: 60000
+    });
+    addCleanup(() => registry.stop());
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(registry, 'config:invalid');
+    eventCollector.collect(registry, 'server:unregistered');
+
+    await registry.start();
+
+    const userServer = registry.getServer('mcp-user-tools');
+    assert(userServer, 'User config server should be registered');
+    assert.equal(userServer.command, 'user-tools-server');
+    assert.deepEqual(userServer.args, ['--stdio']);
+    assert.equal(userServer.metadata.source, 'user-config');
+    assert(registry.getServersByCapability('user-cap').length > 0);
+
+    const sharedServer = registry.getServer('mcp-shared');
+    assert.equal(sharedServer.command, 'from-project', 'Project config should override user config');
+    assert.deepEqual(sharedServer.env, { DEBUG: '1' });
+
+    const invalid = eventCollector.getEvents('config:invalid').map(event => event.data.server);
+    assert(invalid.includes('broken'), 'Missing command should be reported');
+    assert(invalid.includes('loopback'), 'Invalid URL should be reported');
+    assert.equal(registry.getServer('mcp-broken'), null);
+
+    // Editing the project config swaps servers live
+    await fs.writeFile(projectConfigPath, JSON.stringify({
+      mcpServers: {
+        'project-only': { command: 'project-server' }
+      }
+    }));
+
+    await waitFor(() => registry.getServer('mcp-project-only') !== null, 3000, 20);
+    assert.equal(registry.getServer('mcp-shared').command, 'from-user', 'Shared server should fall back to user config');
+
+    // Removing the user config unregisters its servers
+    await fs.rm(userConfigPath);
+    await waitFor(() => registry.getServer('mcp-user-tools') === null, 3000, 20);
+    assert.equal(registry.getServer('mcp-shared'), null);
+    assert(registry.getServer('mcp-project-only'), 'Project server should remain registered');
+
+    console.log(`✅ Config file discovery works correctly`);
+  }));
+
+  test('should keep servers when a config file becomes unparseable', integrationTest('config-discovery-invalid-json', async (t, { createTestDir, addCleanup }) => {
+    const testDir = await createTestDir('mcp-config-invalid');
+    const projectConfigPath = path.join(testDir, '.mcp.json');
+    await fs.writeFile(projectConfigPath, JSON.stringify({ mcpServers: { stable: { command: 'stable-server' } } }));
+
+    const registry = new MCPRegistry({
+      userConfigPath: path.join(testDir, 'missing.json'),
+      projectConfigPath,
+      scanPath: false,
+      discoveryInterval: 60000
+    });
+    addCleanup(() => registry.stop());
+
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(registry, 'config:invalid');
+
+    await registry.start();
+    assert(registry.getServer('mcp-stable'));
+
+    await fs.writeFile(projectConfigPath, '{ "mcpServers": {');
+    await waitFor(() => eventCollector.getEvents('config:invalid').length > 0, 3000, 20);
+
+    const [event] = eventCollector.getEvents('config:invalid');
+    assert.equal(event.data.configPath, projectConfigPath);
+    assert.match(event.data.errors[0], /Invalid JSON/);
+    assert(registry.getServer('mcp-stable'), 'Servers should survive a broken edit');
+
+    console.log(`✅ Invalid config files are reported correctly`);
+  }));
+
+  test('should discover MCP server executables on the PATH', integrationTest('path-discovery', async (t, { createTestDir, addCleanup }) => {
+    const binDir = await createTestDir('mcp-path');
+    await fs.writeFile(path.join(binDir, 'mcp-server-demo'), '#!/bin/sh\n', { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'mcp-server-not-executable'), '', { mode: 0o644 });
+    await fs.writeFile(path.join(binDir, 'unrelated-tool'), '#!/bin/sh\n', { mode: 0o755 });
+
+    const registry = new MCPRegistry({
+      userConfigPath: null,
+      projectConfigPath: null,
+      pathDirs: [binDir],
+      discoveryInterval: 60000
+    });
+    addCleanup(() => registry.stop());
+
+    await registry.start();
+
+    const systemServers = registry.getServers({ type: 'system' });
+    assert.deepEqual(systemServers.map(server => server.name), ['mcp-server-demo']);
+    assert.equal(systemServers[0].command, path.join(binDir, 'mcp-server-demo'));
+    assert.equal(systemServers[0].metadata.source, 'path');
+
+    console.log(`✅ PATH discovery works correctly`);
+  }));
+
+  test('should only start config servers the user approved', integrationTest('config-approval', async (t, { createTestDir, addCleanup }) => {
+    const testDir = await createTestDir('mcp-config-approval');
+    const projectDir = path.join(testDir, 'project');
+    const approvalsPath = path.join(testDir, 'mcp-approvals.json');
+    await fs.mkdir(projectDir, { recursive: true });
+
+    const writeProjectConfig = (env = {}) => fs.writeFile(path.join(projectDir, '.mcp.json'), JSON.stringify({
+      mcpServers: { loopback: { command: process.execPath, args: [stdioServerPath], env } }
+    }));
+    await writeProjectConfig();
+
+    const createManager = (requestApproval = null) => {
+      const manager = new MCPManager({
+        registry: { userConfigPath: null, scanPath: false, discoveryInterval: 60000 },
+        approvalsPath,
+        requestApproval
+      });
+      addCleanup(() => manager.stop());
+      return manager;
+    };
+
+    const prompts = [];
+    const manager = createManager(async (prompt) => {
+      prompts.push(prompt);
+      return false;
+    });
+    await manager.start();
+
+    // Nothing is read from the working directory until a project is opened
+    assert.equal(manager.registry.options.projectConfigPath, null);
+    assert.equal(manager.registry.getServer('mcp-loopback'), null);
+
+    await manager.setProjectPath(projectDir);
+    await waitFor(() => manager.getPendingApprovals().length === 1, 3000, 20);
+    assert(!manager.serverManager.isServerRunning('mcp-loopback'), 'Declined servers are not started');
+    assert.deepEqual(prompts.map(({ serverId, command, source }) => ({ serverId, command, source })), [
+      { serverId: 'mcp-loopback', command: process.execPath, source: 'project-config' }
+    ]);
+
+    await manager.approveServer('mcp-loopback');
+    assert(manager.serverManager.isServerRunning('mcp-loopback'));
+    assert.deepEqual(manager.getPendingApprovals(), []);
+    await manager.stop();
+
+    // The approval is remembered for the same command
+    const restarted = createManager();
+    await restarted.start();
+    await restarted.setProjectPath(projectDir);
+    await waitFor(() => restarted.serverManager.isServerRunning('mcp-loopback'), 5000, 20);
+
+    // Changing what the server runs needs a new approval
+    await writeProjectConfig({ MCP_TEST_PROTOCOL_VERSION: '2024-11-05' });
+    await waitFor(() => restarted.getPendingApprovals().length === 1, 5000, 20);
+    assert(!restarted.serverManager.isServerRunning('mcp-loopback'));
+
+    // Closing the project drops its servers
+    await restarted.setProjectPath(null);
+    assert.equal(restarted.registry.getServer('mcp-loopback'), null);
+    assert.deepEqual(restarted.getPendingApprovals(), []);
+
+    console.log(`✅ Config servers need approval before they run`);
+  }));
+});
+
+describe('Lahat Runtime MCP Integration', () => {
+  test('should route app MCP calls to running servers', integrationTest('runtime-mcp-call', async (t, { createTestDir, addCleanup }) => {
+    const mcpManager = new MCPManager({ discoveryEnabled: false });
+    addCleanup(() => mcpManager.stop());
+    await mcpManager.start();
+
+    const serverId = await mcpManager.registerServer({
+      name: 'echo-server',
+      type: 'external',
+      command: process.execPath,
+      args: [stdioServerPath],
+      capabilities: ['echo', 'status']
+    });
+    assert(mcpManager.serverManager.isServerRunning(serverId));
+
+    const runtime = new LahatRuntime({ mode: 'test', sandboxed: false, mcpManager });
+    addCleanup(() => runtime.shutdown());
+
+    const appDir = await createTestDir('runtime-mcp-app');
+    const appPath = path.join(appDir, 'main.js');
+    await fs.writeFile(appPath, `
+      export async function main() {
+        const servers = await lahat.mcp.discoverServers();
+        const result = await lahat.mcp.call('echo-server', 'echo', { text: 'hello from app' });
+        let denied = null;
+        try {
+          await lahat.mcp.call('echo-server', 'status');
+        } catch (error) {
+          denied = error.message;
+        }
+        return { servers, result, denied };
+      }
+    `);
+
+    const { servers, result, denied } = await runtime.executeApp({
+      id: 'echo-app',
+      name: 'Echo App',
+      entrypoint: 'main.js',
+      permissions: ['lahat:storage', 'lahat:mcp:echo']
+    }, appPath);
+
+    // Built-in servers offer nothing this app may use, so only the echo server is listed
+    assert.deepEqual(servers.map(server => server.name), ['echo-server']);
+    assert.deepEqual(servers[0].capabilities, ['echo']);
+    assert.equal(result.content[0].text, 'hello from app');
+    assert.equal(denied, 'Permission denied: lahat:mcp:status');
+
+    // Apps without any MCP permission cannot reach the bridge
+    const deniedPath = path.join(appDir, 'denied.js');
+    await fs.writeFile(deniedPath, 'export async function main() { return await lahat.mcp.discoverServers(); }');
+
+    await assert.rejects(
+      runtime.executeApp({ id: 'storage-app', name: 'Storage App', entrypoint: 'denied.js', permissions: ['lahat:storage'] }, deniedPath),
+      /Permission denied: Storage App has no lahat:mcp permissions/
+    );
+
+    console.log(`✅ App MCP calls are routed and permission-checked correctly`);
+  }));
+
+  test('should deliver MCP events to subscribed apps', integrationTest('runtime-mcp-events', async (t, { createTestDir, addCleanup }) => {
+    const mcpManager = new MCPManager({ discoveryEnabled: false });
+    addCleanup(() => mcpManager.stop());
+    await mcpManager.start();
+
+    const runtime = new LahatRuntime({ mode: 'test', sandboxed: false, mcpManager });
+    addCleanup(() => runtime.shutdown());
+
+    const appDir = await createTestDir('runtime-mcp-events');
+    const appPath = path.join(appDir, 'main.js');
+    await fs.writeFile(appPath, 'export async function main() { return true; }');
+
+    const baselineListeners = mcpManager.registry.listenerCount('server:connected');
+
+    await runtime.executeApp({
+      id: 'watcher-app',
+      name: 'Watcher App',
+      entrypoint: 'main.js',
+      permissions: ['lahat:mcp:*']
+    }, appPath);
+
+    const { lahat } = runtime.runningApps.get('watcher-app').apis;
+    const events = [];
+    lahat.mcp.on('server_connected', (serverName) => events.push(['connected', serverName]));
+    lahat.mcp.on('capability_available', (serverName, capability) => events.push(['capability', serverName, capability]));
+    lahat.mcp.on('server_disconnected', (serverName) => events.push(['disconnected', serverName]));
+    assert.throws(() => lahat.mcp.on('server_exploded', () => {}), /Unknown MCP event/);
+
+    const serverId = await mcpManager.registerServer({
+      name: 'late-server',
+      type: 'external',
+      capabilities: ['late-cap']
+    });
+    await mcpManager.unregisterServer(serverId);
+
+    assert.deepEqual(events, [
+      ['connected', 'late-server'],
+      ['capability', 'late-server', 'late-cap'],
+      ['disconnected', 'late-server']
+    ]);
+
+    // Stopping the app drops its subscriptions
+    await runtime.stopApp('watcher-app');
+    assert.equal(mcpManager.registry.listenerCount('server:connected'), baselineListeners);
+
+    console.log(`✅ MCP events are delivered to apps correctly`);
+  }));
+});
@@ -0,0 +1,321 @@
+/**
+ * Integration tests for the OAuth 2.0 credential provider
+ * Runs the PKCE and device code flows against a local stand-in authorization server
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import { integrationTest } from '../helpers/test-utils.js';
+import { ProviderRegistry } from '../../src/credentials/providers/ProviderRegistry.js';
+import { OAuthProvider, registerOAuthProviders } from '../../src/credentials/providers/oauth/OAuthProvider.js';
+
+/**
+ * Start a stand-in authorization server
+ * @param {Object} behaviour - { pendingPolls, denyDevice, authorizeError }
+ * @returns {Promise<Object>} { baseUrl, grants, close }
+ */
+async function startAuthServer(behaviour = {}) {
+  const grants = [];
+  const pendingCodes = new Map(); // code -> { challenge, redirectUri }
+  let pendingPolls = behaviour.pendingPolls || 0;
+
+  const readForm = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  });
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/authorize') {
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+
+      if (behaviour.authorizeError) {
+        redirect.searchParams.set('error', behaviour.authorizeError);
+      } else {
+        assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+        pendingCodes.set('auth-code', {
+          challenge: url.searchParams.get('code_challenge'),
+          redirectUri: url.searchParams.get('redirect_uri')
+        });
+        redirect.searchParams.set('code', 'auth-code');
+      }
+
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+      return;
+    }
+
+    if (url.pathname === '/device') {
+      json(res, 200, {
+        device_code: behaviour.denyDevice ? 'denied-device' : 'device-123',
+        user_code: 'WDJB-MJHT',
+        verification_uri: 'https://auth.example/device',
+        expires_in: 60,
+        interval: 0
+      });
+      return;
+    }
+
+    if (url.pathname === '/me') {
+      res.writeHead(req.headers.authorization?.startsWith('Bearer at-') ? 200 : 401);
+      res.end();
+      return;
+    }
+
+    if (url.pathname === '/token') {
+      const form = await readForm(req);
+      grants.push(form);
+
+      if (form.client_id !== 'lahat-test') {
+        json(res, 401, { error: 'invalid_client' });
+      } else if (form.grant_type === 'authorization_code') {
+        const pending = pendingCodes.get(form.code);
+        const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+
+        if (!pending || pending.challenge !== challenge || pending.redirectUri !== form.redirect_uri) {
+          json(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        } else {
+          json(res, 200, { access_token: 'at-1', refresh_token: 'rt-1', token_type: 'Bearer', expires_in: 3600, scope: 'read' });
+        }
+      } else if (form.grant_type === 'refresh_token') {
+        if (form.refresh_token === 'rt-1') {
+          json(res, 200, { access_token: 'at-2', token_type: 'Bearer', expires_in: 3600 });
+        } else {
+          json(res, 400, { error: 'invalid_grant', error_description: 'Refresh token is no longer valid' });
+        }
+      } else if (form.grant_type === 'urn:ietf:params:oauth:grant-type:device_code') {
+        if (form.device_code === 'denied-device') {
+          json(res, 400, { error: 'access_denied' });
+        } else if (pendingPolls > 0) {
+          pendingPolls--;
+          json(res, 400, { error: 'authorization_pending' });
+        } else {
+          json(res, 200, { access_token: 'at-device', refresh_token: 'rt-device', expires_in: 3600 });
+        }
+      } else {
+        json(res, 400, { error: 'unsupported_grant_type' });
+      }
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    grants,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Create a provider pointing at the stand-in server
+ * @param {string} baseUrl - Server URL
+ * @returns {OAuthProvider} Provider
+ */
+function createProvider(baseUrl) {
+  return new OAuthProvider({
+    id: 'stand-in',
+    name: 'StandIn',
+    displayName: 'Stand-in Service',
+    clientId: 'lahat-test',
+    authorizationEndpoint: `${baseUrl}/authorize`,
+    tokenEndpoint: `${baseUrl}/token`,
+    deviceAuthorizationEndpoint: `${baseUrl}/device`,
+    testEndpoint: `${baseUrl}/me`,
+    scopes: ['read']
+  });
+}
+
+// Follow the authorization redirect the way a browser would
+const openInBrowser = async (url) => {
+  const response = await fetch(url);
+  await response.text();
+};
+
+describe('OAuth Credential Provider Integration', () => {
+  test('should sign in with PKCE through a loopback redirect', integrationTest('oauth-pkce', async (t, { addCleanup }) => {
+    const server = await startAuthServer();
+    addCleanup(server.close);
+
+    const provider = createProvider(server.baseUrl);
+    let authorizationUrl;
+
+    const tokens = await provider.authorizeWithPkce({
+      openUrl: async (url) => {
+        authorizationUrl = new URL(url);
+        await openInBrowser(url);
+      }
+    });
+
+    assert.equal(tokens.accessToken, 'at-1');
+    assert.equal(tokens.refreshToken, 'rt-1');
+    assert.equal(tokens.scope, 'read');
+    assert(new Date(tokens.expiresAt) > new Date());
+
+    assert.equal(authorizationUrl.searchParams.get('client_id'), 'lahat-test');
+    assert.equal(authorizationUrl.searchParams.get('scope'), 'read');
+    assert.match(authorizationUrl.searchParams.get('redirect_uri'), /^http:\/\/127\.0\.0\.1:\d+\/callback$/);
+
+    const exchange = server.grants.find(grant => grant.grant_type === 'authorization_code');
+    assert(exchange.code_verifier, 'Code exchange must send the PKCE verifier');
+
+    // A callback for another request is rejected
+    await assert.rejects(provider.authorizeWithPkce({
+      openUrl: async (url) => {
+        const redirect = new URL(new URL(url).searchParams.get('redirect_uri'));
+        redirect.searchParams.set('state', 'forged');
+        redirect.searchParams.set('code', 'stolen');
+        await fetch(redirect);
+      }
+    }), /did not match the request/);
+
+    // The user can be sent back with an error
+    const denyingServer = await startAuthServer({ authorizeError: 'access_denied' });
+    addCleanup(denyingServer.close);
+    await assert.rejects(
+      createProvider(denyingServer.baseUrl).authorizeWithPkce({ openUrl: openInBrowser }),
+      /Authorization failed: access_denied/
+    );
+
+    // Sign-in can be cancelled while waiting for the user
+    const controller = new AbortController();
+    await assert.rejects(provider.authorizeWithPkce({
+      openUrl: async () => controller.abort(),
+      signal: controller.signal
+    }), /cancelled/);
+
+    console.log('✅ PKCE sign-in exchanges a verified code for tokens');
+  }));
+
+  test('should sign in with a device code', integrationTest('oauth-device', async (t, { addCleanup }) => {
+    const server = await startAuthServer({ pendingPolls: 2 });
+    addCleanup(server.close);
+
+    const provider = createProvider(server.baseUrl);
+    const prompts = [];
+
+    const tokens = await provider.authorizeWithDeviceCode({
+      onUserCode: (prompt) => prompts.push(prompt)
+    });
+
+    assert.equal(tokens.accessToken, 'at-device');
+    assert.equal(prompts.length, 1);
+    assert.equal(prompts[0].userCode, 'WDJB-MJHT');
+    assert.equal(prompts[0].verificationUri, 'https://auth.example/device');
+    assert.equal(prompts[0].deviceCode, undefined, 'The device code stays private');
+
+    const polls = server.grants.filter(grant => grant.grant_type.endsWith(':device_code'));
+    assert.equal(polls.length, 3, 'Polling continues while authorization is pending');
+
+    const denyingServer = await startAuthServer({ denyDevice: true });
+    addCleanup(denyingServer.close);
+    await assert.rejects(
+      createProvider(denyingServer.baseUrl).authorizeWithDeviceCode({ onUserCode: () => {} }),
+      /Sign-in was denied/
+    );
+
+    console.log('✅ Device code sign-in polls until the user approves');
+  }));
+
+  test('should refresh and test tokens', integrationTest('oauth-refresh', async (t, { addCleanup }) => {
+    const server = await startAuthServer();
+    addCleanup(server.close);
+
+    const registry = new ProviderRegistry();
+    const provider = new OAuthProvider({
+      id: 'stand-in',
+      name: 'StandIn',
+      displayName: 'Stand-in Service',
+      clientId: 'lahat-test',
+      tokenEndpoint: `${server.baseUrl}/token`,
+      testEndpoint: `${server.baseUrl}/me`
+    });
+    registry.registerProvider(provider);
+    assert.equal(registry.getProvider('stand-in'), provider);
+
+    const expired = {
+      accessToken: 'at-1',
+      refreshToken: 'rt-1',
+      scope: 'read',
+      expiresAt: new Date(Date.now() - 1000).toISOString()
+    };
+    const fresh = { ...expired, expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() };
+
+    assert.equal(provider.needsRefresh(expired), true);
+    assert.equal(provider.needsRefresh(fresh), false);
+    assert.equal(provider.needsRefresh({ ...fresh, expiresAt: new Date(Date.now() + 30 * 1000).toISOString() }), true,
+      'Tokens about to expire are refreshed early');
+
+    // The refresh token is kept when the server doesn't issue a new one
+    const refreshed = await provider.refreshTokens(expired);
+    assert.equal(refreshed.accessToken, 'at-2');
+    assert.equal(refreshed.refreshToken, 'rt-1');
+    assert.equal(refreshed.scope, 'read');
+
+    await assert.rejects(provider.refreshTokens({ ...expired, refreshToken: 'rt-revoked' }), /no longer valid/);
+
+    // Testing calls the test endpoint but never spends the refresh token
+    assert.equal((await registry.testCredentials('stand-in', fresh)).success, true);
+    assert.equal((await registry.testCredentials('stand-in', { ...fresh, accessToken: 'revoked' })).success, false);
+
+    const grantsBefore = server.grants.length;
+    const expiredTest = await registry.testCredentials('stand-in', expired);
+    assert.equal(expiredTest.success, true);
+    assert.equal(server.grants.length, grantsBefore);
+    assert.equal((await registry.testCredentials('stand-in', { ...expired, refreshToken: '' })).success, false);
+
+    assert.throws(() => new OAuthProvider({ id: 'x', name: 'X', displayName: 'X' }), /missing: clientId, tokenEndpoint/);
+
+    console.log('✅ OAuth tokens refresh and test without side effects');
+  }));
+
+  test('should register OAuth providers from settings', integrationTest('oauth-register', async () => {
+    const registry = new ProviderRegistry();
+    const config = {
+      id: 'stand-in',
+      displayName: 'Stand-in Service',
+      clientId: 'lahat-test',
+      tokenEndpoint: 'https://auth.example/token',
+      deviceAuthorizationEndpoint: 'https://auth.example/device/code'
+    };
+
+    const result = registerOAuthProviders([
+      config,
+      { ...config, id: 'anthropic' },
+      { id: 'no-client', displayName: 'No Client', tokenEndpoint: 'https://auth.example/token' }
+    ], registry);
+
+    assert.deepEqual(result.registered, ['stand-in']);
+    assert.deepEqual(result.errors.map(({ id }) => id), ['anthropic', 'no-client']);
+    assert.match(result.errors[0].error, /not an OAuth provider/);
+    assert.match(result.errors[1].error, /missing: clientId/);
+    assert.notEqual(registry.getProvider('anthropic') instanceof OAuthProvider, true, 'Built-in providers are kept');
+
+    const provider = registry.getProvider('stand-in');
+    assert(provider instanceof OAuthProvider);
+    assert.equal(provider.config.name, 'Stand-in Service');
+    assert.deepEqual(provider.getFlows(), ['device']);
+
+    // Changed settings replace an OAuth provider registered earlier
+    registerOAuthProviders([{ ...config, authorizationEndpoint: 'https://auth.example/authorize' }], registry);
+    assert.notEqual(registry.getProvider('stand-in'), provider);
+    assert.deepEqual(registry.getProvider('stand-in').getFlows(), ['pkce', 'device']);
+
+    console.log('✅ OAuth providers are registered from settings');
+  }));
+});
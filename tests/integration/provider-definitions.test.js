@@ -0,0 +1,211 @@
+/**
+ * Integration tests for user-defined credential providers
+ * Tests definition validation, test request templates and loading a watched providers folder
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import http from 'http';
+import { integrationTest, TestEventCollector, wait, waitFor } from '../helpers/test-utils.js';
+import { ProviderRegistry } from '../../src/credentials/providers/ProviderRegistry.js';
+import { DefinedProvider } from '../../src/credentials/providers/defined/DefinedProvider.js';
+import { ProviderDefinitionLoader } from '../../src/credentials/providers/defined/ProviderDefinitionLoader.js';
+
+const ACME_DEFINITION = {
+  id: 'acme',
+  displayName: 'Acme Cloud',
+  description: 'Acme Cloud API tokens',
+  branding: { primaryColor: '#0F766E', textColor: '#FFFFFF' },
+  fields: [
+    { name: 'token', label: 'API Token', pattern: '^acme_[a-z0-9]{8}$', patternMessage: 'Acme tokens start with "acme_"' },
+    { name: 'workspace', type: 'text', label: 'Workspace', required: false }
+  ],
+  test: {
+    url: 'https://api.acme.test/workspaces/{{workspace}}',
+    headers: { Authorization: 'Token {{token}}' }
+  }
+};
+
+const ACME_YAML = `
+id: acme-yaml
+displayName: Acme (YAML)
+fields:
+  - name: apiKey
+    label: API Key
+    minLength: 4
+`;
+
+/**
+ * Start a local service that accepts one token
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+async function startService() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(req.headers.authorization === 'Token acme_12345678' ? 200 : 403);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('User-defined Credential Providers Integration', () => {
+  test('should validate definitions and fill in the test request', integrationTest('provider-definition-schema', async (t, { addCleanup }) => {
+    assert.deepEqual(DefinedProvider.validateDefinition(ACME_DEFINITION), []);
+
+    const errors = DefinedProvider.validateDefinition({
+      id: 'Bad Id',
+      fields: [
+        { name: 'token', label: 'Token', pattern: '([' },
+        { name: 'token', label: 'Again', type: 'checkbox' }
+      ],
+      branding: { primaryColor: 'teal', iconSvg: '<img src=x onerror="alert(1)">' },
+      test: { url: 'https://api.acme.test/{{missing}}', method: 'FETCH' },
+      colour: 'red'
+    });
+
+    for (const expected of [
+      'Unknown property "colour"',
+      '"id" must be lowercase letters, digits and dashes',
+      '"displayName" is required',
+      '"fields[0].pattern" must be a valid regular expression',
+      'Field "token" is defined more than once',
+      '"fields[1].type" must be one of password, text, url, email',
+      '"branding.primaryColor" must be a hex color such as #1A2B3C',
+      '"branding.iconSvg" must be an <svg> element of at most 20KB',
+      '"test.method" must be one of GET, HEAD, POST, PUT, PATCH, DELETE',
+      '"test" refers to unknown field "{{missing}}"'
+    ]) {
+      assert(errors.includes(expected), `Missing error: ${expected}\n${errors.join('\n')}`);
+    }
+
+    assert.throws(() => new DefinedProvider({ id: 'x' }), /Provider definition "x" is invalid: .*"displayName" is required/);
+
+    // Field rules from the definition apply like a provider class's own
+    const provider = new DefinedProvider(ACME_DEFINITION);
+    assert.equal(provider.getId(), 'acme');
+    assert.equal(provider.config.name, 'Acme Cloud');
+    assert.equal(provider.getBranding().primaryColor, '#0F766E');
+
+    // Icons are only ever handed out as image URLs, so markup in them can't run
+    const icon = '<svg ><image href=x /onerror=alert(1)></svg>';
+    const branded = new DefinedProvider({ ...ACME_DEFINITION, branding: { iconSvg: icon } });
+    assert.equal(branded.getBranding().iconUrl, `data:image/svg+xml;charset=utf-8,${encodeURIComponent(icon)}`);
+    assert.equal(branded.getBranding().iconSvg, undefined);
+    assert.deepEqual(provider.validateCredentials({ token: 'nope' }).errors, ['Acme tokens start with "acme_"']);
+    assert.equal(provider.validateCredentials({ token: 'acme_12345678' }).isValid, true);
+
+    // Values are URL-encoded in the path but sent as-is in headers
+    const request = provider.buildTestRequest({ token: 'acme_12345678', workspace: 'team a/b' });
+    assert.equal(request.url, 'https://api.acme.test/workspaces/team%20a%2Fb');
+    assert.deepEqual(request.headers, { Authorization: 'Token acme_12345678' });
+
+    // Test the credentials against a local service, with a JSON body and a base URL field
+    const service = await startService();
+    addCleanup(service.close);
+
+    const posting = new DefinedProvider({
+      id: 'acme-local',
+      displayName: 'Acme Local',
+      fields: [
+        { name: 'baseUrl', type: 'url', label: 'Base URL' },
+        { name: 'token', label: 'Token' }
+      ],
+      test: {
+        method: 'POST',
+        url: '{{baseUrl}}/v1/verify',
+        headers: { Authorization: 'Token {{token}}' },
+        body: { token: '{{token}}', note: 'say "hi"' },
+        expectedStatus: [200, 204]
+      }
+    });
+
+    const passed = await posting.testCredentials({ baseUrl: `${service.baseUrl}/`, token: 'acme_12345678' });
+    assert.equal(passed.success, true, passed.message);
+    assert.equal(service.requests[0].method, 'POST');
+    assert.equal(service.requests[0].url, '/v1/verify');
+    assert.equal(service.requests[0].headers['content-type'], 'application/json');
+    assert.deepEqual(JSON.parse(service.requests[0].body), { token: 'acme_12345678', note: 'say "hi"' });
+
+    const rejected = await posting.testCredentials({ baseUrl: service.baseUrl, token: 'acme_wrong' });
+    assert.equal(rejected.success, false);
+    assert.match(rejected.message, /expected status 200 or 204, got 403/);
+
+    const untested = new DefinedProvider({ id: 'untested', displayName: 'Untested', fields: [{ name: 'apiKey', label: 'API Key' }] });
+    const formatOnly = await untested.testCredentials({ apiKey: 'abcd' });
+    assert.equal(formatOnly.success, true);
+    assert.match(formatOnly.message, /no test request/);
+
+    console.log('✅ Provider definitions are validated and drive credential tests');
+  }));
+
+  test('should load a providers folder and reload it when files change', integrationTest('provider-definition-loader', async (t, { createTestDir, addCleanup }) => {
+    const directory = await createTestDir('provider-definitions');
+    const registry = new ProviderRegistry();
+    const events = new TestEventCollector();
+
+    await fs.writeFile(path.join(directory, 'acme.json'), JSON.stringify(ACME_DEFINITION));
+    await fs.writeFile(path.join(directory, 'acme.yaml'), ACME_YAML);
+    await fs.writeFile(path.join(directory, 'broken.json'), '{ "id": ');
+    await fs.writeFile(path.join(directory, 'openai.json'), JSON.stringify({ ...ACME_DEFINITION, id: 'openai' }));
+    await fs.writeFile(path.join(directory, 'zz-copy.yml'), JSON.stringify(ACME_DEFINITION));
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'not a definition');
+
+    const loader = new ProviderDefinitionLoader({ directory, registry, reloadDelay: 20 });
+    events.collect(loader, 'providers:loaded');
+    events.collect(loader, 'provider:definition:error');
+    addCleanup(() => loader.stop());
+
+    await loader.start();
+
+    assert(registry.getProvider('acme') instanceof DefinedProvider);
+    assert.equal(registry.getProvider('acme-yaml').getFields()[0].minLength, 4);
+    assert.deepEqual(loader.getDefinitions().map(definition => definition.id).sort(), ['acme', 'acme-yaml']);
+    assert.notEqual(registry.getProvider('openai').constructor, DefinedProvider, 'Built-in providers stay in place');
+    events.assertEventEmitted('providers:loaded', 1);
+
+    const errors = Object.fromEntries(loader.getErrors().map(entry => [path.basename(entry.filePath), entry.errors]));
+    assert.deepEqual(Object.keys(errors).sort(), ['broken.json', 'openai.json', 'zz-copy.yml']);
+    assert.match(errors['broken.json'][0], /Could not parse broken.json/);
+    assert.deepEqual(errors['openai.json'], ['Provider "openai" is built in and can\'t be redefined']);
+    assert.deepEqual(errors['zz-copy.yml'], ['Provider "acme" is already defined in acme.json']);
+    events.assertEventEmitted('provider:definition:error', 3);
+
+    // Editing a definition replaces its provider
+    await fs.writeFile(path.join(directory, 'acme.json'), JSON.stringify({ ...ACME_DEFINITION, displayName: 'Acme Cloud v2' }));
+    await waitFor(() => registry.getProvider('acme')?.getDisplayName() === 'Acme Cloud v2', 5000, 20);
+
+    // A definition that stops validating is dropped, and comes back once fixed
+    await fs.writeFile(path.join(directory, 'acme.yaml'), ACME_YAML.replace('minLength: 4', 'minLength: four'));
+    await waitFor(() => !registry.hasProvider('acme-yaml'), 5000, 20);
+    assert.match(loader.getErrors().find(entry => entry.filePath.endsWith('acme.yaml')).errors[0], /minLength/);
+
+    // The watcher can miss a save made moments after the loader read the file
+    await wait(100);
+    await fs.writeFile(path.join(directory, 'acme.yaml'), ACME_YAML);
+    await waitFor(() => registry.hasProvider('acme-yaml'), 5000, 20);
+
+    // Removing a file removes its provider
+    await fs.rm(path.join(directory, 'zz-copy.yml'));
+    await fs.rm(path.join(directory, 'acme.json'));
+    await waitFor(() => !registry.hasProvider('acme'), 5000, 20);
+    assert(registry.hasProvider('openai'));
+    assert.deepEqual(loader.getErrors().map(entry => path.basename(entry.filePath)), ['broken.json', 'openai.json']);
+
+    console.log('✅ Providers folder loads definitions and hot reloads changes');
+  }));
+});
+
@@ -0,0 +1,191 @@
+/**
+ * Integration tests for the persistent security audit log
+ * Tests hash chaining, tamper detection, anchoring, rotation and querying
+ */
+
+import { test, describe } from 'node:test';
+import { strict as assert } from 'assert';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  integrationTest,
+  TestEventCollector,
+  createMemoryKeychain,
+  keytarAvailable
+} from '../helpers/test-utils.js';
+import { AuditLog } from '../../src/credentials/AuditLog.js';
+
+const getKey = async () => 'audit-test-key';
+
+describe('Security Audit Log Integration', () => {
+  test('should persist a hash chain that survives restarts and detects edits', integrationTest('audit-log-chain', async (t, { createTestDir }) => {
+    const auditDir = await createTestDir('audit-log-chain');
+    const filePath = path.join(auditDir, 'audit.log');
+
+    const first = new AuditLog({ filePath, getKey });
+    await first.append({ action: 'credential:granted', appId: 'notes', timestamp: '2026-01-01T10:00:00.000Z' });
+    await first.append({ action: 'credential:get', appId: 'notes', name: 'claude.default', timestamp: '2026-01-02T10:00:00.000Z' });
+    await first.append({ action: 'credential:error', error: new Error('Keychain locked'), timestamp: '2026-01-03T10:00:00.000Z' });
+
+    // A new instance picks up history and continues the same chain
+    const second = new AuditLog({ filePath, getKey });
+    const history = await second.load();
+    assert.deepEqual(history.map(entry => entry.action), ['credential:granted', 'credential:get', 'credential:error']);
+    assert.equal(history[2].error, 'Keychain locked', 'Errors are stored as their message');
+
+    const record = await second.append({ action: 'credential:revoked', appId: 'notes', timestamp: '2026-01-04T10:00:00.000Z' });
+    assert.equal(record.prevHash, history[2].hash);
+
+    const verified = await second.verify();
+    assert.equal(verified.valid, true);
+    assert.equal(verified.entries, 4);
+
+    // Queries filter by action, app id and date range
+    assert.equal((await second.query({ appId: 'notes' })).length, 3);
+    assert.deepEqual((await second.query({ action: 'credential:get' })).map(entry => entry.name), ['claude.default']);
+    const ranged = await second.query({ since: '2026-01-02T00:00:00.000Z', until: '2026-01-03T23:59:59.000Z' });
+    assert.deepEqual(ranged.map(entry => entry.action), ['credential:get', 'credential:error']);
+    assert.deepEqual((await second.query({ limit: 1 })).map(entry => entry.action), ['credential:revoked']);
+
+    // Editing an entry breaks its hash
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    lines[1] = lines[1].replace('claude.default', 'openai.default');
+    await fs.writeFile(filePath, lines.join('\n') + '\n');
+
+    const edited = await new AuditLog({ filePath, getKey }).verify();
+    assert.equal(edited.valid, false);
+    assert.deepEqual(edited.errors, [{ file: 'audit.log', line: 2, reason: 'Entry contents do not match its hash' }]);
+
+    // Removing an entry breaks the chain
+    lines.splice(1, 1);
+    await fs.writeFile(filePath, lines.join('\n') + '\n');
+
+    const removed = await new AuditLog({ filePath, getKey }).verify();
+    assert.equal(removed.valid, false);
+    assert.deepEqual(removed.errors, [{ file: 'audit.log', line: 2, reason: 'Entry does not follow the previous entry' }]);
+
+    console.log('✅ Audit log chain persists and detects tampering');
+  }));
+
+  test('should only accept chains signed with the key and ending at the anchor', integrationTest('audit-log-anchor', async (t, { createTestDir }) => {
+    const auditDir = await createTestDir('audit-log-anchor');
+    const filePath = path.join(auditDir, 'audit.log');
+    const anchorPath = path.join(auditDir, 'audit.anchor.json');
+
+    const auditLog = new AuditLog({ filePath, getKey });
+    for (let i = 0; i < 3; i++) {
+      await auditLog.append({ action: 'credential:get', name: `key.${i}`, timestamp: `2026-01-0${i + 1}T10:00:00.000Z` });
+    }
+    assert.equal((await auditLog.verify()).valid, true);
+
+    const original = await fs.readFile(filePath, 'utf8');
+    const anchor = JSON.parse(await fs.readFile(anchorPath, 'utf8'));
+    assert.equal(anchor.head, JSON.parse(original.trim().split('\n').pop()).hash);
+
+    // Without the key an edited chain can't be re-signed
+    const otherKey = await new AuditLog({ filePath, getKey: async () => 'another-key' }).verify();
+    assert.equal(otherKey.valid, false);
+    assert.equal(otherKey.errors.filter(error => error.reason === 'Entry contents do not match its hash').length, 3);
+    assert.ok(otherKey.errors.some(error => error.reason === 'The anchor does not match its signature'));
+
+    // Dropping the newest entries leaves the chain short of the anchor
+    const lines = original.trim().split('\n');
+    await fs.writeFile(filePath, lines.slice(0, 2).join('\n') + '\n');
+    const truncated = new AuditLog({ filePath, getKey });
+    assert.deepEqual((await truncated.verify()).errors, [{ file: 'audit.log', line: 2, reason: 'Entries after this one are missing' }]);
+
+    // New entries keep following the missing one, so the gap stays visible
+    await truncated.append({ action: 'credential:get', name: 'key.3', timestamp: '2026-01-04T10:00:00.000Z' });
+    assert.deepEqual((await truncated.verify()).errors, [{ file: 'audit.log', line: 3, reason: 'Entry does not follow the previous entry' }]);
+
+    // Dropping the oldest entries leaves a chain that starts too late
+    await fs.writeFile(filePath, lines.slice(1).join('\n') + '\n');
+    await fs.writeFile(anchorPath, JSON.stringify(anchor));
+    assert.deepEqual((await new AuditLog({ filePath, getKey }).verify()).errors, [{ file: 'audit.log', line: 1, reason: 'Entries before this one are missing' }]);
+
+    // Removing the anchor is caught, and it isn't silently recreated
+    await fs.writeFile(filePath, original);
+    await fs.rm(anchorPath);
+    const unanchored = new AuditLog({ filePath, getKey });
+    await unanchored.append({ action: 'credential:get', name: 'key.4', timestamp: '2026-01-05T10:00:00.000Z' });
+    assert.deepEqual((await unanchored.verify()).errors, [{ file: 'audit.anchor.json', reason: 'The log has no anchor' }]);
+
+    await assert.rejects(new AuditLog({ filePath }).load(), /needs a getKey option/);
+
+    console.log('✅ Audit log chain is keyed and anchored');
+  }));
+
+  test('should rotate by size and age and keep the chain across files', integrationTest('audit-log-rotation', async (t, { createTestDir }) => {
+    const auditDir = await createTestDir('audit-log-rotation');
+    const filePath = path.join(auditDir, 'audit.log');
+    const auditLog = new AuditLog({ filePath, getKey, maxFileSize: 800, maxAge: 24 * 60 * 60 * 1000, maxFiles: 1 });
+    const eventCollector = new TestEventCollector();
+    eventCollector.collect(auditLog, 'audit:rotated');
+    eventCollector.collect(auditLog, 'audit:pruned');
+
+    for (let i = 0; i < 4; i++) {
+      await auditLog.append({ action: 'credential:get', name: `key.${i}`, timestamp: `2026-02-01T10:00:0${i}.000Z` });
+    }
+
+    const rotations = eventCollector.getEvents('audit:rotated');
+    assert.equal(rotations.length, 1, 'Log should rotate once it exceeds maxFileSize');
+    assert.equal(rotations[0].data.reason, 'size');
+
+    // An entry more than maxAge after the file started also rotates
+    const before = rotations.length;
+    await auditLog.append({ action: 'credential:get', name: 'key.late', timestamp: '2026-02-05T10:00:00.000Z' });
+    const after = eventCollector.getEvents('audit:rotated');
+    assert.equal(after.length, before + 1);
+    assert.equal(after[after.length - 1].data.reason, 'age');
+
+    // Old rotated files beyond maxFiles are pruned
+    const files = (await fs.readdir(auditDir)).sort();
+    assert(files.includes('audit.log'));
+    assert.equal(files.filter(file => file.startsWith('audit-')).length, 1);
+    assert.equal(eventCollector.getEvents('audit:pruned').length, 1);
+
+    // The retained files still form one valid chain
+    const result = await auditLog.verify();
+    assert.equal(result.valid, true, JSON.stringify(result.errors));
+    assert.equal(result.files[result.files.length - 1], 'audit.log');
+
+    // Deleting the oldest retained file is not mistaken for pruning
+    await fs.rm(path.join(auditDir, files.find(file => file.startsWith('audit-'))));
+    const deleted = await new AuditLog({ filePath, getKey }).verify();
+    assert.deepEqual(deleted.errors, [{ file: 'audit.log', line: 1, reason: 'Entries before this one are missing' }]);
+
+    const latest = await auditLog.query({ limit: 1 });
+    assert.equal(latest[0].name, 'key.late');
+
+    console.log('✅ Audit log rotates and prunes without breaking the chain');
+  }));
+
+  test('should keep the audit key in the keychain', { skip: !keytarAvailable && 'keytar native module is not built' }, integrationTest('audit-log-key', async (t, { createTestDir }) => {
+    const auditDir = await createTestDir('audit-log-key');
+    const keychain = createMemoryKeychain();
+    const { SecurityManager } = await import('../../src/credentials/SecurityManager.js');
+    const createSecurityManager = () => new SecurityManager({
+      serviceName: 'LahatTest',
+      masterPasswordPath: path.join(auditDir, 'master-password.json'),
+      auditLogPath: path.join(auditDir, 'audit.log'),
+      credentialOptions: { metadataPath: path.join(auditDir, 'metadata.json'), keychain }
+    });
+
+    const security = createSecurityManager();
+    await security.initialize();
+    await security.auditStore.flush();
+
+    const key = await keychain.getPassword('LahatTest.audit', 'audit-log-key');
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.deepEqual(await security.getCredentials().list(), [], 'The key is not listed as a credential');
+
+    // A restart reuses the key, so the existing chain still verifies
+    const restarted = createSecurityManager();
+    await restarted.initialize();
+    const result = await restarted.verifyAuditLog();
+    assert.equal(result.valid, true, JSON.stringify(result.errors));
+    assert.equal(result.entries, 2);
+
+    console.log('✅ Audit key is kept in the keychain');
+  }));
+});